@@ -37,7 +37,9 @@ class ServerLauncher {
       dev: false,
       daemon: false,
       verbose: false,
-      quiet: false
+      quiet: false,
+      tls: {},
+      socket: process.env.NOTIFY_SOCKET ? { path: path.resolve(process.env.NOTIFY_SOCKET) } : {}
     };
 
     for (let i = 0; i < args.length; i++) {
@@ -59,6 +61,21 @@ class ServerLauncher {
         case '--log-level':
           this.options.logLevel = args[++i];
           break;
+        case '--tls-cert':
+          this.options.tls.cert = args[++i];
+          break;
+        case '--tls-key':
+          this.options.tls.key = args[++i];
+          break;
+        case '--tls-ca':
+          this.options.tls.ca = args[++i];
+          break;
+        case '--tls-require-client-cert':
+          this.options.tls.requireClientCert = true;
+          break;
+        case '--socket':
+          this.options.socket.path = path.resolve(args[++i]);
+          break;
         case '-d':
         case '--daemon':
           this.options.daemon = true;
@@ -145,7 +162,9 @@ class ServerLauncher {
         },
         auth: {
           enabled: !this.options.dev // Disable auth in development mode
-        }
+        },
+        tls: this.options.tls,
+        socket: this.options.socket
       };
 
       this.server = new NotificationServer(serverOptions);
@@ -162,7 +181,10 @@ class ServerLauncher {
       // Log successful startup
       const uptime = Date.now() - this.startTime;
       this.log(`✓ Server started successfully in ${uptime}ms`);
-      this.log(`✓ Listening on http://${this.options.host}:${this.options.port}`);
+      this.log(`✓ Listening on ${this.server.protocol}://${this.options.host}:${this.options.port}`);
+      if (this.server.socketServer) {
+        this.log(`✓ Listening on unix:${this.server.socketServer.address()}`);
+      }
       
       if (this.options.dev) {
         this.log('🔧 Development mode: Authentication disabled, CORS enabled');
@@ -331,13 +353,20 @@ class ServerLauncher {
    */
   async performHealthCheck() {
     try {
+      if (this.server.tls && this.server.tls.requireClientCert) {
+        this.verbose('Skipping health check: client certificates are required');
+        return true;
+      }
+
       this.verbose('Performing health check...');
       
-      // Simple HTTP request to health endpoint
-      const http = require('http');
+      // Simple HTTP(S) request to health endpoint; the local listener's certificate is not checked
+      const protocol = this.server.protocol;
+      const client = require(protocol);
       
       return new Promise((resolve, reject) => {
-        const req = http.get(`http://${this.options.host}:${this.options.port}/api/health`, (res) => {
+        const url = `${protocol}://${this.options.host}:${this.options.port}/api/health`;
+        const req = client.get(url, { rejectUnauthorized: false }, (res) => {
           let data = '';
           
           res.on('data', chunk => {
@@ -382,6 +411,11 @@ class ServerLauncher {
     console.log('  -h, --host <host>      Server host (default: 0.0.0.0)');
     console.log('  -c, --config <path>    Configuration file path');
     console.log('  --log-level <level>    Log level (debug, info, warn, error)');
+    console.log('  --tls-cert <path>      Serve HTTPS with this certificate (PEM)');
+    console.log('  --tls-key <path>       Private key for --tls-cert (PEM)');
+    console.log('  --tls-ca <path>        Verify client certificates against this CA (PEM)');
+    console.log('  --tls-require-client-cert  Reject clients without a valid certificate');
+    console.log('  --socket <path>        Also listen on a Unix socket (mode 0600, no token needed)');
     console.log('  -d, --daemon           Run as daemon');
     console.log('  --dev                  Development mode (disables auth)');
     console.log('  -v, --verbose          Verbose output');
@@ -394,12 +428,15 @@ class ServerLauncher {
     console.log('  HOST                   Server host');
     console.log('  CONFIG_PATH            Configuration file path');
     console.log('  LOG_LEVEL              Logging level');
+    console.log('  NOTIFY_SOCKET          Unix socket path');
     console.log('  NODE_ENV               Node environment (development/production)');
     console.log('');
     console.log('Examples:');
     console.log('  notify-server                          # Start with defaults');
     console.log('  notify-server -p 8080 --dev           # Development mode on port 8080');
     console.log('  notify-server -c /etc/notify.json -d  # Daemon with custom config');
+    console.log('  notify-server --tls-cert server.pem --tls-key server.key --tls-ca ca.pem');
+    console.log('  notify-server --socket ~/.notifytool/notify.sock');
   }
 
   /**
@@ -6,7 +6,9 @@
  */
 
 const path = require('path');
+const fs = require('fs');
 const NotificationClient = require('../client/NotificationClient');
+const TunnelManager = require('../services/TunnelManager');
 
 class NotifyCLI {
   constructor() {
@@ -15,6 +17,13 @@ class NotifyCLI {
     this.options = {
       server: process.env.NOTIFY_SERVER_URL || 'http://localhost:3000',
       token: process.env.NOTIFY_AUTH_TOKEN,
+      signingSecret: process.env.NOTIFY_SIGNING_SECRET,
+      socket: process.env.NOTIFY_SOCKET,
+      tls: {
+        cert: process.env.NOTIFY_TLS_CERT,
+        key: process.env.NOTIFY_TLS_KEY,
+        ca: process.env.NOTIFY_TLS_CA
+      },
       timeout: parseInt(process.env.NOTIFY_TIMEOUT) || 30000,
       retries: parseInt(process.env.NOTIFY_RETRY_ATTEMPTS) || 3,
       verbose: false,
@@ -38,6 +47,9 @@ class NotifyCLI {
       this.client = new NotificationClient({
         baseURL: this.options.server,
         token: this.options.token,
+        signingSecret: this.options.signingSecret,
+        tls: this.options.tls,
+        socketPath: this.options.socket,
         timeout: this.options.timeout,
         retryAttempts: this.options.retries
       });
@@ -52,6 +64,32 @@ class NotifyCLI {
         case 'broadcast':
           await this.handleBroadcast();
           break;
+        case 'delivery':
+          await this.handleDelivery();
+          break;
+        case 'ack':
+          await this.handleAck();
+          break;
+        case 'history':
+          await this.handleHistory();
+          break;
+        case 'watch':
+          await this.handleWatch();
+          break;
+        case 'scheduled':
+          await this.handleScheduled();
+          break;
+        case 'template':
+        case 'templates':
+          await this.handleTemplate();
+          break;
+        case 'keys':
+          await this.handleKeys();
+          break;
+        case 'tunnel':
+        case 'tunnels':
+          await this.handleTunnel();
+          break;
         case 'channels':
           await this.handleChannels();
           break;
@@ -102,6 +140,14 @@ class NotifyCLI {
     let level = 'info';
     let channels = [];
     let metadata = null;
+    let asyncMode = false;
+    let escalation = null;
+    let dedupKey = null;
+    let sendAt = null;
+    let delay = null;
+    let template = null;
+    let dryRun = false;
+    const vars = {};
 
     // Parse send arguments
     for (let i = 0; i < sendArgs.length; i++) {
@@ -132,6 +178,37 @@ class NotifyCLI {
             process.exit(1);
           }
           break;
+        case '--async':
+          asyncMode = true;
+          break;
+        case '--dry-run':
+          dryRun = true;
+          break;
+        case '--escalate':
+          escalation = sendArgs[++i];
+          break;
+        case '--dedup-key':
+          dedupKey = sendArgs[++i];
+          break;
+        case '--at':
+          sendAt = this._parseTime(sendArgs[++i]);
+          break;
+        case '--delay':
+          delay = this._parseDuration(sendArgs[++i]);
+          break;
+        case '--template':
+          template = sendArgs[++i];
+          break;
+        case '--var': {
+          const assignment = sendArgs[++i] || '';
+          const separator = assignment.indexOf('=');
+          if (separator < 1) {
+            this.error('Template variables must be given as --var name=value');
+            process.exit(1);
+          }
+          vars[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+          break;
+        }
         default:
           if (!title) {
             title = arg;
@@ -142,16 +219,11 @@ class NotifyCLI {
       }
     }
 
-    if (!title || !message) {
+    if ((!title || !message) && !template) {
       this.error('Title and message are required');
       this.log('Usage: notify send <title> <message> [options]');
       this.log('   or: notify send -t "Title" -m "Message" [options]');
-      process.exit(1);
-    }
-
-    if (channels.length === 0) {
-      this.error('At least one channel must be specified');
-      this.log('Use --channels to specify channels or use broadcast command');
+      this.log('   or: notify send --template <name> --var key=value [options]');
       process.exit(1);
     }
 
@@ -161,13 +233,70 @@ class NotifyCLI {
     }
 
     const notification = { title, message, level };
-    if (metadata) {
-      notification.metadata = metadata;
+    if (metadata || Object.keys(vars).length > 0) {
+      notification.metadata = { ...metadata, ...vars };
+    }
+    if (template) {
+      notification.template = template;
+    }
+    if (dedupKey) {
+      notification.dedupKey = dedupKey;
+    }
+    if (sendAt) {
+      notification.sendAt = sendAt;
+    }
+    if (delay) {
+      notification.delay = delay;
+    }
+
+    if (escalation && channels.length > 0) {
+      this.error('Use either --channels or --escalate, not both');
+      process.exit(1);
     }
 
-    this.verbose(`Sending notification to channels: ${channels.join(', ')}`);
+    if (sendAt && delay) {
+      this.error('Use either --at or --delay, not both');
+      process.exit(1);
+    }
+
+    if (escalation) {
+      this.verbose(`Sending notification with escalation policy: ${escalation}`);
+    } else if (channels.length > 0) {
+      this.verbose(`Sending notification to channels: ${channels.join(', ')}`);
+    } else {
+      this.verbose('Sending notification to channels chosen by server routing rules');
+    }
+
+    if (dryRun) {
+      const preview = await this.client.notify(notification, channels, { escalation, dryRun: true });
+      this._printDryRun(preview);
+      return;
+    }
+
+    if (sendAt || delay) {
+      const scheduled = await this.client.notify(notification, channels, { escalation });
+      this.log(`✓ Notification scheduled for ${new Date(scheduled.sendAt).toLocaleString()}: ${scheduled.scheduleId}`);
+      this.verbose(`Cancel with: notify scheduled cancel ${scheduled.scheduleId}`);
+      return;
+    }
     
-    const result = await this.client.notify(notification, channels);
+    if (asyncMode) {
+      const accepted = await this.client.notify(notification, channels, { async: true, escalation });
+      if (accepted.suppressed) {
+        this.log(`Duplicate suppressed, original delivery: ${accepted.deliveryId}`);
+        return;
+      }
+      this.log(`✓ Notification accepted: ${accepted.deliveryId}`);
+      this.verbose(`Check status with: notify delivery ${accepted.deliveryId}`);
+      return;
+    }
+
+    const result = await this.client.notify(notification, channels, { escalation });
+
+    if (result.suppressed) {
+      this.log(`Duplicate suppressed, original delivery: ${result.deliveryId} (${result.suppressedCount} suppressed so far)`);
+      return;
+    }
     
     if (result.success) {
       this.log(`✓ Notification sent successfully to ${result.successfulChannels}/${result.totalChannels} channels`);
@@ -182,6 +311,43 @@ class NotifyCLI {
         this.log(`  ${status} ${cr.channel}: ${cr.message}`);
       });
     }
+
+    if (result.escalation) {
+      this.log(`Escalation ${result.escalation.policy} started, acknowledge with: notify ack ${result.deliveryId}`);
+    }
+  }
+
+  /**
+   * Print what a dry run would have sent on each channel
+   * @private
+   * @param {Object} result - Dry-run result from the server
+   */
+  _printDryRun(result) {
+    if (result.sendAt) {
+      this.log(`Would be sent at ${new Date(result.sendAt).toLocaleString()}`);
+    }
+    if (result.escalation) {
+      this.log(`Escalation ${result.escalation.policy}: ${result.escalation.tiers.length} tiers, showing the first`);
+    }
+    if (result.matchedRules && result.matchedRules.length > 0) {
+      this.log(`Matched routing rules: ${result.matchedRules.join(', ')}`);
+    }
+    this.log(`Dry run: ${result.message}`);
+    this.log('');
+
+    result.channelResults.forEach(cr => {
+      this.log(`=== ${cr.channel} ===`);
+      this.log(`${cr.success ? '✓' : '✗'} ${cr.message}`);
+      if (cr.payload) {
+        this.log('Payload:');
+        this.log(JSON.stringify(cr.payload, null, 2));
+      }
+      this.log('');
+    });
+
+    if (!result.success) {
+      process.exit(1);
+    }
   }
 
   /**
@@ -193,6 +359,7 @@ class NotifyCLI {
     let message = '';
     let level = 'info';
     let metadata = null;
+    let dryRun = false;
 
     // Parse broadcast arguments
     for (let i = 0; i < broadcastArgs.length; i++) {
@@ -219,6 +386,9 @@ class NotifyCLI {
             process.exit(1);
           }
           break;
+        case '--dry-run':
+          dryRun = true;
+          break;
         default:
           if (!title) {
             title = arg;
@@ -240,9 +410,19 @@ class NotifyCLI {
       notification.metadata = metadata;
     }
 
+    if (dryRun) {
+      this._printDryRun(await this.client.broadcast(notification, { dryRun: true }));
+      return;
+    }
+
     this.verbose('Broadcasting notification to all available channels');
     
     const result = await this.client.broadcast(notification);
+
+    if (result.suppressed) {
+      this.log(`Duplicate suppressed, original delivery: ${result.deliveryId}`);
+      return;
+    }
     
     if (result.success) {
       this.log(`✓ Broadcast sent successfully to ${result.successfulChannels}/${result.totalChannels} channels`);
@@ -259,6 +439,770 @@ class NotifyCLI {
     }
   }
 
+  /**
+   * Handle delivery status command
+   */
+  async handleDelivery() {
+    const deliveryId = this.args[1];
+    const wait = this.args.includes('--wait');
+
+    if (!deliveryId || deliveryId.startsWith('-')) {
+      this.error('Delivery ID is required');
+      this.log('Usage: notify delivery <deliveryId> [--wait]');
+      process.exit(1);
+    }
+
+    this.verbose(`Fetching status for delivery: ${deliveryId}`);
+
+    const delivery = wait ?
+      await this.client.waitForDelivery(deliveryId, { timeout: this.options.timeout }) :
+      await this.client.getDelivery(deliveryId);
+
+    this.log(`Delivery: ${delivery.deliveryId}`);
+    this.log(`Status: ${delivery.status}`);
+
+    if (delivery.channelResults) {
+      this.log(`Delivered to ${delivery.successfulChannels}/${delivery.totalChannels} channels`);
+      delivery.channelResults.forEach(cr => {
+        const status = cr.success ? '✓' : '✗';
+        this.log(`  ${status} ${cr.channel}: ${cr.message}`);
+      });
+    } else if (delivery.channels) {
+      this.log(`Channels: ${delivery.channels.join(', ')}`);
+    }
+
+    if (delivery.escalation) {
+      const escalation = delivery.escalation;
+      this.log(`Escalation: ${escalation.policy} (${escalation.status}, tier ${escalation.tier}/${escalation.tiers})`);
+
+      if (escalation.nextEscalationAt) {
+        this.log(`  Next tier at: ${new Date(escalation.nextEscalationAt).toLocaleString()}`);
+      }
+      if (escalation.acknowledgedAt) {
+        this.log(`  Acknowledged at ${new Date(escalation.acknowledgedAt).toLocaleString()} by ${escalation.acknowledgedBy || 'unknown'}`);
+      }
+    }
+
+    if (delivery.status === 'failed') {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Handle ack command (acknowledge an escalation)
+   */
+  async handleAck() {
+    const ackArgs = this.args.slice(1);
+    let deliveryId = null;
+    let note = null;
+
+    for (let i = 0; i < ackArgs.length; i++) {
+      const arg = ackArgs[i];
+
+      if (arg === '--note') {
+        note = ackArgs[++i];
+      } else if (!deliveryId && !arg.startsWith('-')) {
+        deliveryId = arg;
+      } else {
+        this.error(`Unknown ack option: ${arg}`);
+        process.exit(1);
+      }
+    }
+
+    if (!deliveryId) {
+      this.error('Delivery ID is required');
+      this.log('Usage: notify ack <deliveryId> [--note <text>]');
+      process.exit(1);
+    }
+
+    const escalation = await this.client.acknowledge(deliveryId, { note });
+
+    this.log(`✓ Escalation ${escalation.id} acknowledged at tier ${escalation.tier}/${escalation.tiers}`);
+  }
+
+  /**
+   * Handle scheduled command
+   */
+  async handleScheduled() {
+    const subcommand = this.args[1] || 'list';
+
+    switch (subcommand) {
+      case 'list':
+        await this.handleScheduledList();
+        break;
+      case 'cancel':
+        await this.handleScheduledCancel(this.args[2]);
+        break;
+      default:
+        this.error(`Unknown scheduled subcommand: ${subcommand}`);
+        this.log('Usage: notify scheduled [list|cancel <id>]');
+        process.exit(1);
+    }
+  }
+
+  /**
+   * Handle scheduled list command
+   */
+  async handleScheduledList() {
+    const { scheduled } = await this.client.getScheduled();
+
+    if (scheduled.length === 0) {
+      this.log('No scheduled notifications');
+      return;
+    }
+
+    this.log(`Scheduled notifications (${scheduled.length}):`);
+    scheduled.forEach(entry => {
+      const target = entry.escalation
+        ? `escalation ${entry.escalation}`
+        : (entry.channels.length > 0 ? entry.channels.join(',') : 'routing rules');
+      this.log(`  ${entry.id}  ${new Date(entry.sendAt).toLocaleString()}  [${entry.notification.level}] ${entry.notification.title} -> ${target}`);
+    });
+  }
+
+  /**
+   * Handle scheduled cancel command
+   * @param {string} scheduleId - Schedule ID
+   */
+  async handleScheduledCancel(scheduleId) {
+    if (!scheduleId) {
+      this.error('Schedule ID is required');
+      this.log('Usage: notify scheduled cancel <id>');
+      process.exit(1);
+    }
+
+    const cancelled = await this.client.cancelScheduled(scheduleId);
+
+    this.log(`✓ Cancelled scheduled notification: ${cancelled.notification.title}`);
+  }
+
+  /**
+   * Handle template command
+   */
+  async handleTemplate() {
+    const subcommand = this.args[1] || 'list';
+
+    switch (subcommand) {
+      case 'list': {
+        const { templates } = await this.client.getTemplates();
+        if (templates.length === 0) {
+          this.log('No templates configured');
+          return;
+        }
+        this.log(`Templates (${templates.length}):`);
+        templates.forEach(name => this.log(`  ${name}`));
+        break;
+      }
+      case 'preview':
+        await this.handleTemplatePreview();
+        break;
+      default:
+        this.error(`Unknown template subcommand: ${subcommand}`);
+        this.log('Usage: notify template [list|preview <name>]');
+        process.exit(1);
+    }
+  }
+
+  /**
+   * Handle API key command
+   */
+  async handleKeys() {
+    const subcommand = this.args[1] || 'list';
+
+    switch (subcommand) {
+      case 'list':
+        await this.handleKeysList();
+        break;
+      case 'create':
+        await this.handleKeysCreate();
+        break;
+      case 'revoke':
+        await this.handleKeysRevoke(this.args[2]);
+        break;
+      default:
+        this.error(`Unknown keys subcommand: ${subcommand}`);
+        this.log('Usage: notify keys [list|create <name>|revoke <id>]');
+        process.exit(1);
+    }
+  }
+
+  /**
+   * Handle API key list command
+   */
+  async handleKeysList() {
+    const { keys } = await this.client.getApiKeys();
+
+    if (keys.length === 0) {
+      this.log('No API keys');
+      return;
+    }
+
+    this.log(`API keys (${keys.length}):`);
+    keys.forEach(key => {
+      const channels = key.channels ? key.channels.join(',') : 'all channels';
+      const levels = key.levels ? key.levels.join(',') : 'all levels';
+      const limit = key.rateLimit ? `, ${key.rateLimit.max} per ${key.rateLimit.windowMs / 1000}s` : '';
+      this.log(`  ${key.id}  ${key.name}  ${channels}; ${levels}${limit}`);
+    });
+  }
+
+  /**
+   * Handle API key create command
+   */
+  async handleKeysCreate() {
+    const createArgs = this.args.slice(2);
+    const options = {};
+    let rateLimit = null;
+    let rateWindow = 60;
+
+    for (let i = 0; i < createArgs.length; i++) {
+      const arg = createArgs[i];
+
+      switch (arg) {
+        case '-c':
+        case '--channels':
+          options.channels = createArgs[++i].split(',').map(c => c.trim());
+          break;
+        case '-l':
+        case '--levels':
+          options.levels = createArgs[++i].split(',').map(l => l.trim());
+          break;
+        case '--rate-limit':
+          rateLimit = parseInt(createArgs[++i]);
+          if (!Number.isInteger(rateLimit) || rateLimit <= 0) {
+            this.error('Rate limit must be a positive number of requests');
+            process.exit(1);
+          }
+          break;
+        case '--rate-window':
+          rateWindow = this._parseDuration(createArgs[++i]);
+          break;
+        default:
+          if (!options.name && !arg.startsWith('-')) {
+            options.name = arg;
+          } else {
+            this.error(`Unknown keys option: ${arg}`);
+            process.exit(1);
+          }
+          break;
+      }
+    }
+
+    if (!options.name) {
+      this.error('API key name is required');
+      this.log('Usage: notify keys create <name> [-c channels] [-l levels] [--rate-limit <count>] [--rate-window <duration>]');
+      process.exit(1);
+    }
+
+    if (rateLimit) {
+      options.rateLimit = { max: rateLimit, windowMs: rateWindow * 1000 };
+    }
+
+    const created = await this.client.createApiKey(options);
+
+    this.log(`✓ Created API key ${created.id} for ${created.name}`);
+    this.log(`  ${created.key}`);
+    this.log('Store this key now, it cannot be shown again.');
+  }
+
+  /**
+   * Handle API key revoke command
+   * @param {string} keyId - Key ID
+   */
+  async handleKeysRevoke(keyId) {
+    if (!keyId) {
+      this.error('Key ID is required');
+      this.log('Usage: notify keys revoke <id>');
+      process.exit(1);
+    }
+
+    await this.client.revokeApiKey(keyId);
+
+    this.log(`✓ Revoked API key ${keyId}`);
+  }
+
+  /**
+   * Handle SSH tunnel commands
+   */
+  async handleTunnel() {
+    const subcommand = this.args[1] || 'list';
+    const manager = new TunnelManager();
+    await manager.open();
+
+    switch (subcommand) {
+      case 'list':
+        this.handleTunnelList(manager);
+        break;
+      case 'add':
+        await this.handleTunnelAdd(manager);
+        break;
+      case 'remove':
+        await this.handleTunnelRemove(manager, this.args[2]);
+        break;
+      case 'up':
+        await this.handleTunnelUp(manager);
+        break;
+      case 'down':
+        this.handleTunnelDown(manager, this.args[2]);
+        break;
+      case 'status':
+        await this.handleTunnelStatus(manager, this.args[2]);
+        break;
+      default:
+        this.error(`Unknown tunnel subcommand: ${subcommand}`);
+        this.log('Usage: notify tunnel [list|add <name> <[user@]host>|remove <name>|up [name]|down [name]|status [name]]');
+        process.exit(1);
+    }
+  }
+
+  /**
+   * Handle tunnel list command
+   * @param {TunnelManager} manager - Tunnel manager
+   */
+  handleTunnelList(manager) {
+    const tunnels = manager.list();
+
+    if (tunnels.length === 0) {
+      this.log('No tunnels defined. Add one with: notify tunnel add <name> <[user@]host>');
+      return;
+    }
+
+    this.log(`Tunnels (${tunnels.length}):`);
+    tunnels.forEach(tunnel => {
+      const icon = tunnel.state.status === 'up' ? '✓' : tunnel.state.status === 'dead' ? '✗' : '○';
+      this.log(`  ${icon} ${tunnel.name}  ${this._formatTunnel(tunnel)}  ${tunnel.state.status}`);
+    });
+  }
+
+  /**
+   * Handle tunnel add command
+   * @param {TunnelManager} manager - Tunnel manager
+   */
+  async handleTunnelAdd(manager) {
+    const addArgs = this.args.slice(2);
+    const definition = {};
+    const positional = [];
+
+    const options = {
+      '--local-port': 'localPort',
+      '--remote-port': 'remotePort',
+      '--local-socket': 'localSocket',
+      '--remote-socket': 'remoteSocket',
+      '--ssh-port': 'sshPort',
+      '-i': 'keyFile',
+      '--key': 'keyFile',
+      '-J': 'jumpHosts',
+      '--jump': 'jumpHosts',
+      '--control-master': 'controlMaster',
+      '--control-path': 'controlPath',
+      '--control-persist': 'controlPersist',
+      '--identity-agent': 'identityAgent'
+    };
+
+    for (let i = 0; i < addArgs.length; i++) {
+      const arg = addArgs[i];
+
+      if (options[arg]) {
+        definition[options[arg]] = addArgs[++i];
+      } else if (arg === '--reverse' || arg === '-R') {
+        definition.reverse = true;
+      } else if (!arg.startsWith('-')) {
+        positional.push(arg);
+      } else {
+        this.error(`Unknown tunnel option: ${arg}`);
+        process.exit(1);
+      }
+    }
+
+    const [name, destination] = positional;
+    if (!name || !destination) {
+      this.error('Tunnel name and destination are required');
+      this.log('Usage: notify tunnel add <name> <[user@]host> [--local-port <port>] [--remote-port <port>]');
+      this.log('       [--local-socket <path>] [--remote-socket <path>] [--reverse] [--ssh-port <port>] [-i <key>]');
+      this.log('       [-J <jump hosts>] [--control-master <mode>] [--control-path <path>] [--control-persist <time>]');
+      this.log('       [--identity-agent <socket>]');
+      process.exit(1);
+    }
+
+    const at = destination.lastIndexOf('@');
+    definition.remoteHost = destination.substring(at + 1);
+    if (at > 0) {
+      definition.remoteUser = destination.substring(0, at);
+    }
+
+    const tunnel = await manager.add(name, definition);
+
+    this.log(`✓ Added tunnel ${name}: ${this._formatTunnel(tunnel)}`);
+    this.log(`  Start it with: notify tunnel up ${name}`);
+  }
+
+  /**
+   * Handle tunnel remove command
+   * @param {TunnelManager} manager - Tunnel manager
+   * @param {string} name - Tunnel name
+   */
+  async handleTunnelRemove(manager, name) {
+    if (!name) {
+      this.error('Tunnel name is required');
+      this.log('Usage: notify tunnel remove <name>');
+      process.exit(1);
+    }
+
+    if (!await manager.remove(name)) {
+      this.error(`Unknown tunnel: ${name}`);
+      process.exit(1);
+    }
+
+    this.log(`✓ Removed tunnel ${name}`);
+  }
+
+  /**
+   * Handle tunnel up command
+   * Starts a background supervisor per tunnel, or supervises in this process with --foreground.
+   * @param {TunnelManager} manager - Tunnel manager
+   */
+  async handleTunnelUp(manager) {
+    const upArgs = this.args.slice(2);
+    const foreground = upArgs.includes('--foreground');
+    const requested = upArgs.filter(arg => arg !== '--foreground');
+    const names = requested.length > 0 ? requested : manager.list().map(tunnel => tunnel.name);
+
+    if (names.length === 0) {
+      this.log('No tunnels defined. Add one with: notify tunnel add <name> <[user@]host>');
+      return;
+    }
+
+    if (foreground) {
+      manager.on('up', ({ name, pid }) => this.log(`✓ Tunnel ${name} up (ssh pid ${pid})`));
+      manager.on('exit', ({ name, error, retryIn }) => {
+        this.error(`✗ Tunnel ${name} exited: ${error}; restarting in ${Math.round(retryIn / 1000)}s`);
+      });
+      manager.on('unhealthy', ({ name }) => this.error(`✗ Tunnel ${name} stopped accepting connections; restarting`));
+      manager.on('failed', ({ name, error }) => this.error(`✗ Tunnel ${name} cannot start: ${error}`));
+
+      for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => manager.stop());
+      }
+
+      names.forEach(name => manager.supervise(name));
+      return;
+    }
+
+    for (const name of names) {
+      const state = manager.getState(name);
+      if (state.running) {
+        this.log(`○ Tunnel ${name} is already running (pid ${state.pid})`);
+        continue;
+      }
+
+      const pid = manager.startSupervisor(name, [process.execPath, __filename, 'tunnel', 'up', name, '--foreground']);
+      this.log(`✓ Started tunnel ${name} (supervisor pid ${pid})`);
+    }
+  }
+
+  /**
+   * Handle tunnel down command
+   * @param {TunnelManager} manager - Tunnel manager
+   * @param {string} [name] - Tunnel name (default: all tunnels)
+   */
+  handleTunnelDown(manager, name) {
+    const names = name ? [name] : manager.list().map(tunnel => tunnel.name);
+
+    for (const tunnelName of names) {
+      if (manager.stopSupervisor(tunnelName)) {
+        this.log(`✓ Stopped tunnel ${tunnelName}`);
+      } else if (name) {
+        this.log(`○ Tunnel ${tunnelName} is not running`);
+      }
+    }
+  }
+
+  /**
+   * Handle tunnel status command
+   * @param {TunnelManager} manager - Tunnel manager
+   * @param {string} [name] - Tunnel name (default: all tunnels)
+   */
+  async handleTunnelStatus(manager, name) {
+    const names = name ? [name] : manager.list().map(tunnel => tunnel.name);
+
+    for (const tunnelName of names) {
+      const status = await manager.getStatus(tunnelName);
+      const reachable = status.reachable === null ? 'not checked (reverse)' : status.reachable ? 'yes' : 'no';
+
+      this.log(`${tunnelName}: ${status.status}`);
+      this.log(`  Forward:    ${this._formatTunnel(status.definition)}`);
+
+      // Jump hosts may come from ~/.ssh/config
+      const route = manager.helper.resolveHost(status.definition);
+      if (route.jumpHosts.length > 0) {
+        this.log(`  Route:      ${[...route.jumpHosts, `${route.hostName}:${route.port}`].join(' -> ')}`);
+      }
+      if (status.running) {
+        this.log(`  Supervisor: pid ${status.pid}${status.sshPid ? `, ssh pid ${status.sshPid}` : ''}`);
+      }
+      this.log(`  Reachable:  ${reachable}`);
+      this.log(`  Restarts:   ${status.restarts}`);
+      if (status.lastError) {
+        this.log(`  Last error: ${status.lastError}`);
+      }
+      if (status.status === 'restarting' && status.retryAt) {
+        this.log(`  Retry at:   ${new Date(status.retryAt).toLocaleString()}`);
+      }
+      if (status.status === 'dead') {
+        this.log(`  The supervisor exited; restart with: notify tunnel up ${tunnelName}`);
+      }
+      if (status.status === 'failed') {
+        this.log(`  Fix the tunnel definition, then run: notify tunnel up ${tunnelName}`);
+      }
+    }
+
+    const unmanaged = await manager.findUnmanaged();
+    if (unmanaged.length > 0) {
+      this.log('');
+      this.log(`Unmanaged ssh tunnels (${unmanaged.length}):`);
+      unmanaged.forEach(tunnel => this.log(`  pid ${tunnel.pid}  ${tunnel.command}`));
+    }
+  }
+
+  /**
+   * Describe a tunnel definition
+   * @private
+   * @param {Object} tunnel - Tunnel definition
+   * @returns {string} Description like "localhost:3001 -> build-01:3000 via bastion"
+   */
+  _formatTunnel(tunnel) {
+    const host = tunnel.remoteUser ? `${tunnel.remoteUser}@${tunnel.remoteHost}` : tunnel.remoteHost;
+    const via = tunnel.jumpHosts && tunnel.jumpHosts.length > 0 ? ` via ${[].concat(tunnel.jumpHosts).join(', ')}` : '';
+
+    if (tunnel.reverse) {
+      return `${host}:${tunnel.remoteSocket || tunnel.remotePort || 3001} -> ${tunnel.localSocket || `localhost:${tunnel.localPort || 3000}`}${via} (reverse)`;
+    }
+
+    return `${tunnel.localSocket || `localhost:${tunnel.localPort || 3001}`} -> ${host}:${tunnel.remoteSocket || tunnel.remotePort || 3000}${via}`;
+  }
+
+  /**
+   * Handle template preview command
+   */
+  async handleTemplatePreview() {
+    const previewArgs = this.args.slice(2);
+    const notification = { level: 'info', metadata: {} };
+    let name = null;
+    let channels = [];
+    let json = false;
+
+    for (let i = 0; i < previewArgs.length; i++) {
+      const arg = previewArgs[i];
+
+      switch (arg) {
+        case '-c':
+        case '--channels':
+          channels = previewArgs[++i].split(',').map(c => c.trim());
+          break;
+        case '-l':
+        case '--level':
+          notification.level = previewArgs[++i];
+          break;
+        case '-t':
+        case '--title':
+          notification.title = previewArgs[++i];
+          break;
+        case '-m':
+        case '--message':
+          notification.message = previewArgs[++i];
+          break;
+        case '--metadata':
+          try {
+            Object.assign(notification.metadata, JSON.parse(previewArgs[++i]));
+          } catch (error) {
+            this.error('Invalid JSON format for metadata');
+            process.exit(1);
+          }
+          break;
+        case '--var': {
+          const assignment = previewArgs[++i] || '';
+          const separator = assignment.indexOf('=');
+          if (separator < 1) {
+            this.error('Template variables must be given as --var name=value');
+            process.exit(1);
+          }
+          notification.metadata[assignment.slice(0, separator)] = assignment.slice(separator + 1);
+          break;
+        }
+        case '--json':
+          json = true;
+          break;
+        default:
+          if (!name && !arg.startsWith('-')) {
+            name = arg;
+          } else {
+            this.error(`Unknown preview option: ${arg}`);
+            process.exit(1);
+          }
+          break;
+      }
+    }
+
+    if (!name) {
+      this.error('Template name is required');
+      this.log('Usage: notify template preview <name> [--var key=value] [-c channels] [--json]');
+      process.exit(1);
+    }
+
+    const { previews } = await this.client.previewTemplate(name, notification, channels);
+
+    if (json) {
+      console.log(JSON.stringify(previews, null, 2));
+      return;
+    }
+
+    previews.forEach(preview => {
+      this.log(`=== ${preview.channel} ===`);
+      if (!preview.success) {
+        this.log(`✗ ${preview.error}`);
+        this.log('');
+        return;
+      }
+      this.log(`Title: ${preview.title}`);
+      this.log(`Message: ${preview.message}`);
+      this.log('Payload:');
+      this.log(JSON.stringify(preview.payload, null, 2));
+      this.log('');
+    });
+
+    if (previews.some(preview => !preview.success)) {
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Handle delivery history command
+   */
+  async handleHistory() {
+    const historyArgs = this.args.slice(1);
+    const filters = {};
+    let json = false;
+
+    for (let i = 0; i < historyArgs.length; i++) {
+      const arg = historyArgs[i];
+
+      switch (arg) {
+        case '-c':
+        case '--channel':
+          filters.channel = historyArgs[++i];
+          break;
+        case '-l':
+        case '--level':
+          filters.level = historyArgs[++i];
+          break;
+        case '--status':
+          filters.status = historyArgs[++i];
+          break;
+        case '--since':
+          filters.since = this._parseSince(historyArgs[++i]);
+          break;
+        case '--until':
+          filters.until = this._parseSince(historyArgs[++i]);
+          break;
+        case '-n':
+        case '--limit':
+          filters.limit = parseInt(historyArgs[++i]);
+          break;
+        case '--cursor':
+          filters.cursor = historyArgs[++i];
+          break;
+        case '--json':
+          json = true;
+          break;
+        default:
+          this.error(`Unknown history option: ${arg}`);
+          process.exit(1);
+      }
+    }
+
+    this.verbose(`Fetching delivery history: ${JSON.stringify(filters)}`);
+
+    const page = await this.client.getDeliveries(filters);
+
+    if (json) {
+      console.log(JSON.stringify(page, null, 2));
+      return;
+    }
+
+    if (page.deliveries.length === 0) {
+      this.log('No deliveries found');
+      return;
+    }
+
+    page.deliveries.forEach(delivery => {
+      const statusIcons = { completed: '✓', partial: '⚠', failed: '✗' };
+      const channels = delivery.channelResults.length > 0 ?
+        delivery.channelResults.map(cr => `${cr.channel}${cr.success ? '✓' : '✗'}`).join(' ') :
+        delivery.channels.join(' ');
+
+      this.log(`${statusIcons[delivery.status] || '?'} ${delivery.createdAt} [${delivery.notification.level}] ${delivery.notification.title}`);
+      this.log(`    ${delivery.deliveryId} → ${channels}`);
+
+      if (this.options.verbose && delivery.error) {
+        this.log(`    Error: ${delivery.error}`);
+      }
+    });
+
+    if (page.nextCursor) {
+      this.log(`\nMore results: notify history --cursor ${page.nextCursor}`);
+    }
+  }
+
+  /**
+   * Handle watch command (tail routing events)
+   */
+  async handleWatch() {
+    const watchArgs = this.args.slice(1);
+    const filters = { channels: [], levels: [] };
+    let json = false;
+
+    for (let i = 0; i < watchArgs.length; i++) {
+      const arg = watchArgs[i];
+
+      switch (arg) {
+        case '-c':
+        case '--channel':
+        case '--channels':
+          filters.channels = watchArgs[++i].split(',').map(c => c.trim());
+          break;
+        case '-l':
+        case '--level':
+          filters.levels = watchArgs[++i].split(',').map(l => l.trim());
+          break;
+        case '--json':
+          json = true;
+          break;
+        default:
+          this.error(`Unknown watch option: ${arg}`);
+          process.exit(1);
+      }
+    }
+
+    this.verbose('Connecting to event stream...');
+
+    const subscription = await this.client.watchEvents((event) => {
+      if (json) {
+        console.log(JSON.stringify(event));
+      } else {
+        console.log(this._formatEvent(event));
+      }
+    }, filters);
+
+    this.log('Watching routing events (Ctrl+C to stop)');
+
+    process.on('SIGINT', () => {
+      subscription.close();
+    });
+
+    await subscription.closed;
+    this.verbose('Event stream closed');
+  }
+
   /**
    * Handle channels command
    */
@@ -353,6 +1297,27 @@ class NotifyCLI {
         this.log(`    Average Time: ${channelStats.averageTime.toFixed(0)}ms`);
       });
     }
+
+    if (stats.pendingDigests && stats.pendingDigests.length > 0) {
+      this.log('\nPending Digests:');
+      stats.pendingDigests.forEach(digest => {
+        this.log(`  ${digest.channel}: ${digest.size} notifications, sending at ${new Date(digest.flushAt).toLocaleString()}`);
+      });
+    }
+
+    if (stats.deferredNotifications && stats.deferredNotifications.length > 0) {
+      this.log('\nDeferred by Quiet Hours:');
+      stats.deferredNotifications.forEach(deferred => {
+        this.log(`  ${deferred.channel}: ${deferred.size} notifications, sending at ${new Date(deferred.releaseAt).toLocaleString()}`);
+      });
+    }
+
+    if (stats.quotas && Object.keys(stats.quotas).length > 0) {
+      this.log('\nYour Quotas:');
+      Object.entries(stats.quotas).forEach(([channel, quota]) => {
+        this.log(`  ${channel}: ${quota.used}/${quota.max} per ${quota.period}, resets ${new Date(quota.resetAt).toLocaleString()}`);
+      });
+    }
   }
 
   /**
@@ -422,6 +1387,11 @@ class NotifyCLI {
    * Handle test command
    */
   async handleTest() {
+    if (this.args.includes('--diagnose')) {
+      await this.handleTestDiagnose();
+      return;
+    }
+
     this.verbose('Testing connection to server...');
     
     const connected = await this.client.testConnection();
@@ -443,6 +1413,151 @@ class NotifyCLI {
     } else {
       this.log('✗ Connection failed');
       this.log('Please check if the server is running and the URL is correct');
+      this.log('Run "notify test --diagnose" to find out why');
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Handle test --diagnose command
+   * Explains why the connection fails and prints the command that fixes it.
+   */
+  async handleTestDiagnose() {
+    this.verbose('Diagnosing connection to server...');
+
+    const diagnosis = await this.client.testConnection({ diagnose: true });
+
+    diagnosis.checks.forEach(check => {
+      this.log(`${check.ok ? '✓' : '✗'} ${check.name.padEnd(10)} ${check.detail}`);
+    });
+    this.log('');
+
+    if (diagnosis.ok) {
+      this.log(`✓ ${diagnosis.message}`);
+      return;
+    }
+
+    this.log(`✗ ${diagnosis.message}`);
+
+    if (diagnosis.fix) {
+      this.log('');
+      this.log('To fix:');
+      this.log(`  ${diagnosis.fix}`);
+    }
+
+    if (diagnosis.guideStep) {
+      const step = diagnosis.guideStep;
+      this.log('');
+      this.log(`Setup guide, step ${step.step}: ${step.title}`);
+      this.log(`  ${step.description}`);
+      this.log(`  $ ${step.command}`);
+      step.notes.forEach(note => this.log(`  - ${note}`));
+    }
+
+    process.exit(1);
+  }
+
+  /**
+   * Format a routing event as a single line
+   * @private
+   * @param {Object} event - Routing event
+   * @returns {string} Formatted line
+   */
+  _formatEvent(event) {
+    const time = new Date(event.timestamp).toLocaleTimeString();
+    const data = event.data || {};
+    const level = event.level ? `[${event.level}]` : '';
+    let detail = '';
+
+    switch (event.event) {
+      case 'routingStarted':
+        detail = `${data.notification.title} → ${data.channels.join(', ')}`;
+        break;
+      case 'channelDeliveryStarted':
+      case 'channelDeliveryRetry':
+        detail = `${event.channel} attempt ${data.attempt}${data.error ? ` (${data.error})` : ''}`;
+        break;
+      case 'channelDeliveryCompleted':
+      case 'channelDeliveryFailed':
+        detail = `${event.channel}: ${data.result.message}`;
+        break;
+      case 'routingCompleted':
+      case 'routingFailed':
+        detail = data.message;
+        break;
+      default:
+        detail = event.channel || '';
+        break;
+    }
+
+    return `${time} ${event.event.padEnd(24)} ${event.deliveryId} ${level} ${detail}`.trimEnd();
+  }
+
+  /**
+   * Parse a --since/--until value as a relative duration or a date
+   * @private
+   * @param {string} value - Duration like 30m, 12h, 7d or a date string
+   * @returns {string} ISO timestamp
+   */
+  _parseSince(value) {
+    const match = /^(\d+)([mhd])$/.exec(value || '');
+    if (match) {
+      const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+      return new Date(Date.now() - parseInt(match[1]) * units[match[2]]).toISOString();
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      this.error(`Invalid date or duration: ${value}`);
+      process.exit(1);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Parse an --at value as a date, in local time unless it has an offset
+   * @private
+   * @param {string} value - Date string like 2026-10-20T09:00
+   * @returns {string} ISO timestamp
+   */
+  _parseTime(value) {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+      this.error(`Invalid date: ${value}`);
+      process.exit(1);
+    }
+    return date.toISOString();
+  }
+
+  /**
+   * Parse a duration such as a --delay value as seconds
+   * @private
+   * @param {string} value - Duration like 90, 90s, 30m, 12h, 7d
+   * @returns {number} Seconds
+   */
+  _parseDuration(value) {
+    const match = /^(\d+)([smhd]?)$/.exec(value || '');
+    if (!match || parseInt(match[1]) === 0) {
+      this.error(`Invalid duration: ${value}`);
+      process.exit(1);
+    }
+
+    const units = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+    return parseInt(match[1]) * units[match[2]];
+  }
+
+  /**
+   * Read a signing secret from a file
+   * Keeps the secret out of shell history and process lists.
+   * @private
+   * @param {string} filePath - Path to a file containing only the secret
+   * @returns {string} Secret
+   */
+  _readSecretFile(filePath) {
+    try {
+      return fs.readFileSync(filePath, 'utf8').trim();
+    } catch (error) {
+      this.error(`Cannot read secret file ${filePath}: ${error.message}`);
       process.exit(1);
     }
   }
@@ -465,6 +1580,21 @@ class NotifyCLI {
         case '--token':
           this.options.token = this.args[++i];
           break;
+        case '--secret-file':
+          this.options.signingSecret = this._readSecretFile(this.args[++i]);
+          break;
+        case '--socket':
+          this.options.socket = this.args[++i];
+          break;
+        case '--tls-cert':
+          this.options.tls.cert = this.args[++i];
+          break;
+        case '--tls-key':
+          this.options.tls.key = this.args[++i];
+          break;
+        case '--tls-ca':
+          this.options.tls.ca = this.args[++i];
+          break;
         case '--timeout':
           this.options.timeout = parseInt(this.args[++i]);
           break;
@@ -497,11 +1627,19 @@ class NotifyCLI {
     this.log('Commands:');
     this.log('  send <title> <message>     Send notification to specific channels');
     this.log('  broadcast <title> <message> Broadcast notification to all channels');
+    this.log('  delivery <id> [--wait]     Show delivery status and channel results');
+    this.log('  ack <id> [--note <text>]   Acknowledge an escalating notification');
+    this.log('  history [options]          Browse delivery history');
+    this.log('  watch [options]            Tail live routing events');
+    this.log('  scheduled [list|cancel <id>] List or cancel scheduled notifications');
+    this.log('  template [list|preview <name>] List templates or preview one per channel');
+    this.log('  keys [list|create|revoke]  Manage API keys (requires the server token)');
+    this.log('  tunnel [list|add|remove|up|down|status] Manage supervised SSH tunnels');
     this.log('  channels [list|health]     List available channels or check health');
     this.log('  health                     Check server health');
     this.log('  stats                      Show delivery statistics');
     this.log('  plugins [name]             List plugins or show plugin details');
-    this.log('  test                       Test connection and channels');
+    this.log('  test [--diagnose]          Test connection and channels, or explain why it fails');
     this.log('  help                       Show this help message');
     this.log('  version                    Show version information');
     this.log('');
@@ -509,12 +1647,69 @@ class NotifyCLI {
     this.log('  -t, --title <title>        Notification title');
     this.log('  -m, --message <message>    Notification message');
     this.log('  -l, --level <level>        Notification level (info, warning, error)');
-    this.log('  -c, --channels <channels>  Comma-separated list of channels (send only)');
+    this.log('  -c, --channels <channels>  Comma-separated list of channels (send only, default: routing rules)');
     this.log('  --metadata <json>          Additional metadata as JSON string');
+    this.log('  --async                    Return once accepted and print delivery ID (send only)');
+    this.log('  --escalate <policy>        Deliver through an escalation policy (send only)');
+    this.log('  --dedup-key <key>          Suppress repeats with this key within the dedup window (send only)');
+    this.log('  --template <name>          Render title and message from a server template (send only)');
+    this.log('  --var <name=value>         Template variable, added to metadata (send only, repeatable)');
+    this.log('  --at <time>                Send at this time, e.g. 2026-10-20T09:00 (send only)');
+    this.log('  --delay <duration>         Send after a delay like 90s, 30m, 12h, 7d (send only)');
+    this.log('  --dry-run                  Show what each channel would send without sending it');
+    this.log('');
+    this.log('History Options:');
+    this.log('  -c, --channel <channel>    Only deliveries routed to this channel');
+    this.log('  -l, --level <level>        Only notifications with this level');
+    this.log('  --status <status>          completed, partial or failed');
+    this.log('  --since <when>             Start time (ISO date or 30m, 12h, 7d)');
+    this.log('  --until <when>             End time (ISO date or 30m, 12h, 7d)');
+    this.log('  -n, --limit <count>        Page size (default: 50)');
+    this.log('  --cursor <cursor>          Continue from a previous page');
+    this.log('  --json                     Print raw JSON');
+    this.log('');
+    this.log('Template Preview Options:');
+    this.log('  --var <name=value>         Template variable (repeatable)');
+    this.log('  --metadata <json>          Template variables as JSON');
+    this.log('  -l, --level <level>        Notification level to render with');
+    this.log('  -c, --channels <channels>  Comma-separated channels (default: all enabled)');
+    this.log('  --json                     Print raw JSON');
+    this.log('');
+    this.log('Keys Create Options:');
+    this.log('  -c, --channels <channels>  Comma-separated channels the key may use (default: all)');
+    this.log('  -l, --levels <levels>      Comma-separated levels the key may send (default: all)');
+    this.log('  --rate-limit <count>       Maximum requests per rate window');
+    this.log('  --rate-window <duration>   Rate window like 30s, 1m, 1h (default: 1m)');
+    this.log('');
+    this.log('Tunnel Add Options (notify tunnel add <name> <[user@]host>):');
+    this.log('  --local-port <port>        Local end of the tunnel (default: 3001)');
+    this.log('  --remote-port <port>       Server port on the remote host (default: 3000)');
+    this.log('  --local-socket <path>      Listen on a local Unix socket instead of a port');
+    this.log('  --remote-socket <path>     Forward to the server\'s Unix socket instead of a port');
+    this.log('  -R, --reverse              Forward from the remote host to a server on this machine');
+    this.log('  --ssh-port <port>          SSH port (default: 22)');
+    this.log('  -i, --key <path>           SSH private key');
+    this.log('  -J, --jump <hosts>         Comma-separated jump hosts, as [user@]host[:port]');
+    this.log('  --control-master <mode>    Share the connection: auto, yes, no, ask or autoask');
+    this.log('  --control-path <path>      Control socket for shared connections, e.g. ~/.ssh/cm-%C');
+    this.log('  --control-persist <time>   Keep a shared connection open, e.g. 10m');
+    this.log('  --identity-agent <socket>  ssh agent socket, SSH_AUTH_SOCK or none');
+    this.log('  Options in ~/.ssh/config for the host, such as ProxyJump, apply as they do for ssh.');
+    this.log('  Tunnels restart with backoff when they die; "up --foreground" supervises in the terminal.');
+    this.log('');
+    this.log('Watch Options:');
+    this.log('  -c, --channel <channels>   Comma-separated channels to follow');
+    this.log('  -l, --level <levels>       Comma-separated levels to follow');
+    this.log('  --json                     Print one JSON event per line');
     this.log('');
     this.log('Global Options:');
     this.log('  -s, --server <url>         Notification server URL');
     this.log('  --token <token>            Authentication token');
+    this.log('  --secret-file <path>       Sign requests with the shared secret in this file');
+    this.log('  --socket <path>            Connect through a Unix socket instead of TCP');
+    this.log('  --tls-cert <path>          Client certificate for HTTPS servers (PEM)');
+    this.log('  --tls-key <path>           Private key for --tls-cert (PEM)');
+    this.log('  --tls-ca <path>            CA to verify the server certificate against (PEM)');
     this.log('  --timeout <ms>             Request timeout in milliseconds');
     this.log('  --retries <count>          Number of retry attempts');
     this.log('  --verbose                  Enable verbose output');
@@ -523,12 +1718,25 @@ class NotifyCLI {
     this.log('Environment Variables:');
     this.log('  NOTIFY_SERVER_URL          Default server URL');
     this.log('  NOTIFY_AUTH_TOKEN          Default authentication token');
+    this.log('  NOTIFY_SIGNING_SECRET      Shared secret to sign requests with instead of a token');
+    this.log('  NOTIFY_SOCKET              Default Unix socket path');
+    this.log('  NOTIFY_TLS_CERT            Default client certificate file');
+    this.log('  NOTIFY_TLS_KEY             Default client key file');
+    this.log('  NOTIFY_TLS_CA              Default server CA file');
     this.log('  NOTIFY_TIMEOUT             Default timeout');
     this.log('  NOTIFY_RETRY_ATTEMPTS      Default retry attempts');
     this.log('');
     this.log('Examples:');
     this.log('  notify send "Deploy Complete" "Version 1.2.3 deployed successfully" -c desktop,email');
     this.log('  notify broadcast "System Alert" "High memory usage detected" -l warning');
+    this.log('  notify send "Backup Done" "Nightly backup finished" -c email --async');
+    this.log('  notify send "Batch Failed" "Nightly ETL exited with 1" -l error --escalate oncall');
+    this.log('  notify send "Cert Expiry" "example.com expires in 14 days" -c email --at "2026-10-20T09:00"');
+    this.log('  notify send --template deploy --var service=api --var version=1.2.3 -c slack,sms');
+    this.log('  notify template preview deploy --var service=api --var version=1.2.3 -c slack');
+    this.log('  notify history --channel dingtalk --since 12h --status failed');
+    this.log('  notify watch --channel email --level error');
+    this.log('  notify tunnel add prod deploy@prod-01 --local-port 13001 && notify tunnel up prod');
     this.log('  notify channels list');
     this.log('  notify test');
   }
@@ -4,7 +4,12 @@
  */
 
 const axios = require('axios');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
 const { URL } = require('url');
+const RequestSigner = require('../utils/request-signer');
+const ConnectionDiagnostics = require('../utils/connection-diagnostics');
 
 /**
  * HTTP client for sending notifications to the notification server
@@ -29,7 +34,10 @@ class NotificationClient {
       headers: {
         'Content-Type': 'application/json',
         'User-Agent': 'SSH-Notify-Tool-Client/1.0.0'
-      }
+      },
+      httpsAgent: this._createHttpsAgent(this.options.tls),
+      // Requests still use baseURL for the path and Host header
+      socketPath: this.options.socketPath
     });
 
     // Set authentication token if provided
@@ -37,10 +45,41 @@ class NotificationClient {
       this.setAuthToken(this.options.token);
     }
 
+    // Sign every request instead of, or as well as, sending a token
+    this.requestSigner = this.options.signingSecret
+      ? new RequestSigner(this.options.signingSecret)
+      : null;
+
     // Add request/response interceptors
     this._setupInterceptors();
   }
 
+  /**
+   * Create an HTTPS agent presenting a client certificate and trusting the server's CA
+   * @private
+   * @param {{cert?: string, key?: string, ca?: string}} [tls] - Certificate, key and CA files (PEM)
+   * @returns {https.Agent|undefined} Agent, or undefined to use the default
+   * @throws {Error} If only one of cert and key is set or a file cannot be read
+   */
+  _createHttpsAgent(tls) {
+    if (!tls || (!tls.cert && !tls.key && !tls.ca)) {
+      return undefined;
+    }
+
+    if (Boolean(tls.cert) !== Boolean(tls.key)) {
+      throw new Error('Client certificate and key must be set together');
+    }
+
+    const options = {};
+    for (const name of ['cert', 'key', 'ca']) {
+      if (tls[name]) {
+        options[name] = fs.readFileSync(tls[name]);
+      }
+    }
+
+    return new https.Agent(options);
+  }
+
   /**
    * Set authentication token
    * @param {string} token - Authentication token
@@ -56,43 +95,273 @@ class NotificationClient {
   /**
    * Send notification to specific channels
    * @param {NotificationRequest} notification - Notification to send
-   * @param {string[]} channels - Target channels
-   * @returns {Promise<RoutingResult>} Routing result
+   * @param {string[]} [channels] - Target channels (omit to let server routing rules decide)
+   * @param {Object} [options] - Send options
+   * @param {boolean} [options.async] - Return as soon as the server accepts the notification
+   * @param {string} [options.escalation] - Escalation policy to deliver through instead of channels
+   * @param {boolean} [options.dryRun] - Prepare each channel's payload without sending anything
+   * @returns {Promise<RoutingResult>} Routing result, accepted delivery in async mode, schedule for notifications
+   *   with sendAt or delay, or the payload each channel would send in dry-run mode
    */
-  async notify(notification, channels) {
+  async notify(notification, channels, options = {}) {
     if (!notification) {
       throw new Error('Notification is required');
     }
 
-    if (!Array.isArray(channels) || channels.length === 0) {
-      throw new Error('At least one channel must be specified');
+    if (channels !== undefined && channels !== null && !Array.isArray(channels)) {
+      throw new Error('Channels must be an array');
     }
 
     const payload = {
       notification: this._validateNotification(notification),
-      channels
+      ...(channels && channels.length > 0 && { channels }),
+      ...(options.async && { async: true }),
+      ...(options.escalation && { escalation: options.escalation }),
+      ...(options.dryRun && { dryRun: true })
     };
 
     return await this._sendWithRetry('POST', '/api/notify', payload);
   }
 
+  /**
+   * Get status of a delivery
+   * @param {string} deliveryId - Delivery ID returned by notify()
+   * @returns {Promise<Object>} Delivery status with per-channel results once finished
+   */
+  async getDelivery(deliveryId) {
+    return await this._sendWithRetry('GET', `/api/deliveries/${encodeURIComponent(deliveryId)}`);
+  }
+
+  /**
+   * Acknowledge an escalating delivery, stopping further tiers
+   * @param {string} deliveryId - Delivery ID of any tier in the escalation
+   * @param {Object} [details] - Acknowledgement details
+   * @param {string} [details.by] - Who acknowledged (default: local user and host)
+   * @param {string} [details.note] - Free-form note
+   * @returns {Promise<Object>} Escalation status
+   */
+  async acknowledge(deliveryId, details = {}) {
+    return await this._sendWithRetry('POST', `/api/deliveries/${encodeURIComponent(deliveryId)}/ack`, {
+      by: details.by || `${os.userInfo().username}@${os.hostname()}`,
+      ...(details.note && { note: details.note })
+    });
+  }
+
+  /**
+   * List notifications waiting to be sent
+   * @returns {Promise<{scheduled: ScheduledNotification[], count: number}>} Scheduled notifications, soonest first
+   */
+  async getScheduled() {
+    return await this._sendWithRetry('GET', '/api/scheduled');
+  }
+
+  /**
+   * Cancel a scheduled notification
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Promise<ScheduledNotification>} Cancelled notification
+   */
+  async cancelScheduled(scheduleId) {
+    return await this._sendWithRetry('DELETE', `/api/scheduled/${encodeURIComponent(scheduleId)}`);
+  }
+
+  /**
+   * Create an API key scoped to channels, levels and a rate limit
+   * Requires the server token. The full key is only returned here.
+   * @param {Object} options - Key options
+   * @param {string} options.name - Team or service using the key
+   * @param {string[]} [options.channels] - Allowed channels (default: all)
+   * @param {string[]} [options.levels] - Allowed levels (default: all)
+   * @param {{max: number, windowMs: number}} [options.rateLimit] - Maximum requests per window
+   * @returns {Promise<Object>} Created key details including `key`
+   */
+  async createApiKey(options) {
+    if (!options || !options.name) {
+      throw new Error('API key name is required');
+    }
+
+    return await this._sendWithRetry('POST', '/api/keys', options);
+  }
+
+  /**
+   * List API keys configured on the server
+   * @returns {Promise<{keys: Object[], count: number}>} Key details without secrets
+   */
+  async getApiKeys() {
+    return await this._sendWithRetry('GET', '/api/keys');
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - Key ID
+   * @returns {Promise<{id: string, status: string}>} Revocation result
+   */
+  async revokeApiKey(keyId) {
+    return await this._sendWithRetry('DELETE', `/api/keys/${encodeURIComponent(keyId)}`);
+  }
+
+  /**
+   * List notification templates configured on the server
+   * @returns {Promise<{templates: string[], count: number}>} Template names
+   */
+  async getTemplates() {
+    return await this._sendWithRetry('GET', '/api/templates');
+  }
+
+  /**
+   * Render a template for each channel without sending
+   * @param {string} name - Template name
+   * @param {Object} [notification] - Level, metadata and optional title or message to render with
+   * @param {string[]} [channels] - Channels to preview (default: all enabled channels)
+   * @returns {Promise<{template: string, previews: Object[]}>} Per-channel rendering and plugin payload
+   */
+  async previewTemplate(name, notification = {}, channels) {
+    return await this._sendWithRetry('POST', `/api/templates/${encodeURIComponent(name)}/preview`, {
+      notification,
+      ...(channels && channels.length > 0 && { channels })
+    });
+  }
+
+  /**
+   * Query delivery history
+   * @param {HistoryQuery} [filters] - Query filters
+   * @returns {Promise<{deliveries: DeliveryRecord[], count: number, nextCursor: string|null}>} Page of delivery records
+   */
+  async getDeliveries(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, String(value));
+      }
+    });
+
+    const query = params.toString();
+    return await this._sendWithRetry('GET', `/api/deliveries${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Poll a delivery until it has finished
+   * @param {string} deliveryId - Delivery ID returned by notify()
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.interval=1000] - Delay between polls in milliseconds
+   * @param {number} [options.timeout=120000] - Maximum time to wait in milliseconds
+   * @returns {Promise<Object>} Finished delivery status
+   */
+  async waitForDelivery(deliveryId, options = {}) {
+    const interval = options.interval || 1000;
+    const timeout = options.timeout || 120000;
+    const deadline = Date.now() + timeout;
+
+    while (Date.now() < deadline) {
+      const delivery = await this.getDelivery(deliveryId);
+      if (delivery.status !== 'accepted' && delivery.status !== 'in_progress') {
+        return delivery;
+      }
+      await this._sleep(interval);
+    }
+
+    throw new Error(`Delivery ${deliveryId} did not finish within ${timeout}ms`);
+  }
+
   /**
    * Broadcast notification to all available channels
    * @param {NotificationRequest} notification - Notification to send
+   * @param {Object} [options] - Send options
+   * @param {boolean} [options.dryRun] - Prepare each channel's payload without sending anything
    * @returns {Promise<RoutingResult>} Routing result
    */
-  async broadcast(notification) {
+  async broadcast(notification, options = {}) {
     if (!notification) {
       throw new Error('Notification is required');
     }
 
     const payload = {
-      notification: this._validateNotification(notification)
+      notification: this._validateNotification(notification),
+      ...(options.dryRun && { dryRun: true })
     };
 
     return await this._sendWithRetry('POST', '/api/notify/broadcast', payload);
   }
 
+  /**
+   * Stream routing events from the server
+   * @param {Function} onEvent - Called with each routing event
+   * @param {Object} [filters] - Event filters
+   * @param {string[]} [filters.channels] - Only events touching these channels
+   * @param {string[]} [filters.levels] - Only events for notifications with these levels
+   * @returns {Promise<{close: Function, closed: Promise<void>}>} Subscription handle; `closed` rejects
+   *   with the stream error, or with the error thrown by onEvent, which also closes the stream
+   * @throws {Error} If onEvent is not a function
+   */
+  async watchEvents(onEvent, filters = {}) {
+    if (typeof onEvent !== 'function') {
+      throw new Error('watchEvents requires an event callback');
+    }
+
+    const params = new URLSearchParams();
+    if (filters.channels && filters.channels.length > 0) {
+      params.set('channel', filters.channels.join(','));
+    }
+    if (filters.levels && filters.levels.length > 0) {
+      params.set('level', filters.levels.join(','));
+    }
+
+    const query = params.toString();
+    let response;
+
+    try {
+      response = await this.httpClient.request({
+        method: 'GET',
+        url: `/api/events${query ? `?${query}` : ''}`,
+        headers: { Accept: 'text/event-stream' },
+        responseType: 'stream',
+        timeout: 0
+      });
+    } catch (error) {
+      throw this._createClientError(error);
+    }
+
+    const stream = response.data;
+    let buffer = '';
+
+    stream.setEncoding('utf8');
+    stream.on('data', (chunk) => {
+      buffer += chunk.replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = this._parseServerSentEvent(block);
+        if (!event) {
+          continue;
+        }
+
+        // A throwing callback would otherwise escape the stream's event emitter
+        try {
+          onEvent(event);
+        } catch (error) {
+          stream.destroy(error);
+          return;
+        }
+      }
+    });
+
+    const closed = new Promise((resolve, reject) => {
+      stream.on('error', reject);
+      stream.on('end', resolve);
+      stream.on('close', resolve);
+    });
+
+    // Callers that never await `closed` should not get an unhandled rejection
+    closed.catch(() => {});
+
+    return {
+      close: () => stream.destroy(),
+      closed
+    };
+  }
+
   /**
    * Get list of available channels
    * @returns {Promise<string[]>} Available channel names
@@ -146,9 +415,15 @@ class NotificationClient {
 
   /**
    * Test connection to the server
-   * @returns {Promise<boolean>} True if connection is successful
+   * @param {Object} [options] - Test options
+   * @param {boolean} [options.diagnose] - Find out why the connection fails instead of returning false
+   * @returns {Promise<boolean|ConnectionDiagnosis>} True if connection is successful, or the diagnosis
    */
-  async testConnection() {
+  async testConnection(options = {}) {
+    if (options.diagnose) {
+      return await new ConnectionDiagnostics(this).run();
+    }
+
     try {
       await this.getHealth();
       return true;
@@ -222,11 +497,12 @@ class NotificationClient {
    * @returns {NotificationRequest} Validated notification
    */
   _validateNotification(notification) {
-    if (!notification.title) {
+    // Templates render a missing title or message on the server
+    if (!notification.title && !notification.template) {
       throw new Error('Notification title is required');
     }
 
-    if (!notification.message) {
+    if (!notification.message && !notification.template) {
       throw new Error('Notification message is required');
     }
 
@@ -237,13 +513,56 @@ class NotificationClient {
     }
 
     return {
-      title: String(notification.title),
-      message: String(notification.message),
+      ...(notification.title && { title: String(notification.title) }),
+      ...(notification.message && { message: String(notification.message) }),
+      ...(notification.template && { template: String(notification.template) }),
       level: notification.level,
+      host: notification.host || os.hostname(),
+      ...(notification.dedupKey && { dedupKey: String(notification.dedupKey) }),
+      ...(notification.sendAt !== undefined && { sendAt: notification.sendAt }),
+      ...(notification.delay !== undefined && { delay: Number(notification.delay) }),
       ...(notification.metadata && { metadata: notification.metadata })
     };
   }
 
+  /**
+   * Parse a single Server-Sent Events block
+   * @private
+   * @param {string} block - Event block without the trailing blank line
+   * @returns {Object|null} Parsed event or null for comments and control blocks
+   */
+  _parseServerSentEvent(block) {
+    let eventName = 'message';
+    const dataLines = [];
+
+    for (const line of block.split('\n')) {
+      if (!line || line.startsWith(':')) {
+        continue;
+      }
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        eventName = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    }
+
+    if (dataLines.length === 0) {
+      return null;
+    }
+
+    const data = dataLines.join('\n');
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      return { event: eventName, data };
+    }
+  }
+
   /**
    * Create client-specific error
    * @private
@@ -277,6 +596,34 @@ class NotificationClient {
     return error;
   }
 
+  /**
+   * Add HMAC signature headers to an outgoing request
+   * The body is serialized here so the signed bytes are exactly the bytes sent.
+   * Runs for every attempt, so retries get a fresh timestamp and nonce.
+   * @private
+   * @param {Object} config - Axios request config
+   */
+  _signRequest(config) {
+    let body = '';
+    if (config.data !== undefined) {
+      body = typeof config.data === 'string' ? config.data : JSON.stringify(config.data);
+      config.data = body;
+    }
+
+    const base = (config.baseURL || '').replace(/\/+$/, '');
+    const url = new URL(/^https?:\/\//.test(config.url) ? config.url : `${base}${config.url}`);
+
+    const headers = this.requestSigner.sign({
+      method: config.method,
+      path: `${url.pathname}${url.search}`,
+      body
+    });
+
+    for (const [name, value] of Object.entries(headers)) {
+      config.headers[name] = value;
+    }
+  }
+
   /**
    * Setup request/response interceptors
    * @private
@@ -289,6 +636,10 @@ class NotificationClient {
         if (process.env.DEBUG) {
           console.debug(`Sending ${config.method.toUpperCase()} request to ${config.url}`);
         }
+
+        if (this.requestSigner) {
+          this._signRequest(config);
+        }
         return config;
       },
       (error) => {
@@ -349,6 +700,22 @@ class NotificationClient {
       options.token = process.env.NOTIFY_AUTH_TOKEN;
     }
 
+    if (process.env.NOTIFY_SIGNING_SECRET) {
+      options.signingSecret = process.env.NOTIFY_SIGNING_SECRET;
+    }
+
+    if (process.env.NOTIFY_SOCKET) {
+      options.socketPath = process.env.NOTIFY_SOCKET;
+    }
+
+    if (process.env.NOTIFY_TLS_CERT || process.env.NOTIFY_TLS_KEY || process.env.NOTIFY_TLS_CA) {
+      options.tls = {
+        cert: process.env.NOTIFY_TLS_CERT,
+        key: process.env.NOTIFY_TLS_KEY,
+        ca: process.env.NOTIFY_TLS_CA
+      };
+    }
+
     if (process.env.NOTIFY_TIMEOUT) {
       options.timeout = parseInt(process.env.NOTIFY_TIMEOUT, 10);
     }
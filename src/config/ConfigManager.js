@@ -7,6 +7,8 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
+const QuietHours = require('../services/QuietHours');
+const QuotaTracker = require('../services/QuotaTracker');
 
 /**
  * Configuration manager for centralized configuration loading and validation
@@ -182,6 +184,9 @@ class ConfigManager {
     try {
       this._validateServerConfig(config.server);
       this._validatePluginConfig(config.plugins);
+      this._validateRoutingConfig(config.routing);
+      this._validateEscalationConfig(config.escalation);
+      this._validateQuotaConfig(config.quotas);
       this._validateLoggingConfig(config.logging);
       return true;
     } catch (error) {
@@ -239,6 +244,21 @@ class ConfigManager {
         port: 5000,
         host: '127.0.0.1',
         authToken: this._generateToken(),
+        signingSecret: '',
+        signingKeyId: '',
+        signingWindowMs: 5 * 60 * 1000,
+        tls: {
+          cert: '',
+          key: '',
+          ca: '',
+          requireClientCert: false,
+          identities: {},
+          allowUnmappedCertificates: false
+        },
+        socket: {
+          path: '',
+          mode: '0600'
+        },
         timeout: 30000,
         cors: false
       },
@@ -249,7 +269,14 @@ class ConfigManager {
           desktop: {
             enabled: true,
             sound: true,
-            timeout: 5
+            timeout: 5,
+            quietHours: {
+              enabled: false,
+              start: '22:00',
+              end: '07:00',
+              timezone: '',
+              action: 'defer'
+            }
           },
           email: {
             enabled: false,
@@ -265,7 +292,14 @@ class ConfigManager {
             enabled: false,
             provider: 'twilio',
             credentials: {},
-            to: []
+            to: [],
+            quietHours: {
+              enabled: false,
+              start: '22:00',
+              end: '07:00',
+              timezone: '',
+              action: 'errorsOnly'
+            }
           },
           dingtalk: {
             enabled: false,
@@ -286,9 +320,62 @@ class ConfigManager {
             channel: '',
             username: 'notify-bot',
             iconEmoji: ':bell:'
+          },
+          teams: {
+            enabled: false,
+            webhook: '',
+            mentions: [],
+            mentionLevel: 'error'
+          },
+          telegram: {
+            enabled: false,
+            botToken: '',
+            chatIds: [],
+            parseMode: 'HTML',
+            disableNotification: false
+          },
+          webhook: {
+            enabled: false,
+            endpoints: {}
           }
         }
       },
+      routing: {
+        defaultChannels: [],
+        rules: []
+      },
+      escalation: {
+        path: path.join(os.homedir(), '.notifytool', 'escalations.json'),
+        policies: {}
+      },
+      dedup: {
+        enabled: false,
+        windowSeconds: 300
+      },
+      templates: {
+        directory: path.join(os.homedir(), '.notifytool', 'templates'),
+        definitions: {}
+      },
+      scheduler: {
+        path: path.join(os.homedir(), '.notifytool', 'scheduled.json'),
+        maxEntries: 1000
+      },
+      apiKeys: [],
+      quotas: {
+        path: path.join(os.homedir(), '.notifytool', 'quotas.json'),
+        channels: {}
+      },
+      queue: {
+        enabled: true,
+        journalPath: path.join(os.homedir(), '.notifytool', 'queue', 'journal.log'),
+        fsync: true,
+        maxReplayAttempts: 3
+      },
+      history: {
+        store: 'file',
+        path: path.join(os.homedir(), '.notifytool', 'history', 'deliveries.jsonl'),
+        maxEntries: 10000
+      },
       logging: {
         level: 'info',
         console: true,
@@ -341,6 +428,9 @@ class ConfigManager {
 
     this._validateServerConfig(this.config.server);
     this._validatePluginConfig(this.config.plugins);
+    this._validateRoutingConfig(this.config.routing);
+    this._validateEscalationConfig(this.config.escalation);
+    this._validateQuotaConfig(this.config.quotas);
     this._validateLoggingConfig(this.config.logging);
   }
 
@@ -369,6 +459,37 @@ class ConfigManager {
     if (!serverConfig.authToken || typeof serverConfig.authToken !== 'string') {
       throw new Error('Server auth token is required');
     }
+
+    if (serverConfig.signingSecret && (typeof serverConfig.signingSecret !== 'string' || serverConfig.signingSecret.length < 16)) {
+      throw new Error('Server signing secret must be at least 16 characters');
+    }
+
+    if (serverConfig.signingKeyId && (typeof serverConfig.signingKeyId !== 'string' || !serverConfig.signingSecret)) {
+      throw new Error('Server signingKeyId must be an API key ID and requires a signing secret');
+    }
+
+    if (serverConfig.signingWindowMs !== undefined &&
+        !(Number.isInteger(serverConfig.signingWindowMs) && serverConfig.signingWindowMs >= 1000 && serverConfig.signingWindowMs <= 60 * 60 * 1000)) {
+      throw new Error('Server signingWindowMs must be between 1000 and 3600000 milliseconds');
+    }
+
+    const tls = serverConfig.tls || {};
+    if (tls.cert && !tls.key) {
+      throw new Error('Server TLS key is required when a TLS certificate is configured');
+    }
+
+    if (tls.requireClientCert && !tls.ca) {
+      throw new Error('Server TLS CA is required to verify client certificates');
+    }
+
+    const socket = serverConfig.socket || {};
+    if (socket.path && (typeof socket.path !== 'string' || !path.isAbsolute(socket.path))) {
+      throw new Error('Server socket path must be an absolute path');
+    }
+
+    if (socket.mode && !/^0?[0-7]{3}$/.test(String(socket.mode))) {
+      throw new Error('Server socket mode must be an octal permission string like "0600"');
+    }
   }
 
   /**
@@ -392,6 +513,81 @@ class ConfigManager {
     if (pluginConfig.config && typeof pluginConfig.config !== 'object') {
       throw new Error('Plugin config must be an object');
     }
+
+    for (const [name, config] of Object.entries(pluginConfig.config || {})) {
+      try {
+        QuietHours.getSettings(config && config.quietHours);
+      } catch (error) {
+        throw new Error(`Invalid quiet hours for plugin ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Validate routing configuration
+   * @private
+   * @param {Object} [routingConfig] - Routing configuration
+   */
+  _validateRoutingConfig(routingConfig) {
+    if (!routingConfig) {
+      return;
+    }
+
+    if (routingConfig.defaultChannels && !Array.isArray(routingConfig.defaultChannels)) {
+      throw new Error('Routing default channels must be an array');
+    }
+
+    if (routingConfig.rules && !Array.isArray(routingConfig.rules)) {
+      throw new Error('Routing rules must be an array');
+    }
+  }
+
+  /**
+   * Validate escalation configuration
+   * @private
+   * @param {Object} [escalationConfig] - Escalation configuration
+   */
+  _validateEscalationConfig(escalationConfig) {
+    if (!escalationConfig) {
+      return;
+    }
+
+    if (escalationConfig.retryDelay !== undefined && !(Number.isInteger(escalationConfig.retryDelay) && escalationConfig.retryDelay > 0)) {
+      throw new Error('Escalation retryDelay must be a positive number of milliseconds');
+    }
+
+    if (escalationConfig.maxRetries !== undefined && !(Number.isInteger(escalationConfig.maxRetries) && escalationConfig.maxRetries >= 0)) {
+      throw new Error('Escalation maxRetries must be a non-negative integer');
+    }
+
+    if (!escalationConfig.policies) {
+      return;
+    }
+
+    if (typeof escalationConfig.policies !== 'object' || Array.isArray(escalationConfig.policies)) {
+      throw new Error('Escalation policies must be an object keyed by policy name');
+    }
+
+    for (const [name, policy] of Object.entries(escalationConfig.policies)) {
+      if (!policy || !Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+        throw new Error(`Escalation policy ${name} must have at least one tier`);
+      }
+    }
+  }
+
+  /**
+   * Validate quota configuration
+   * @private
+   * @param {QuotaConfig} [quotaConfig] - Quota configuration
+   */
+  _validateQuotaConfig(quotaConfig) {
+    if (!quotaConfig || !quotaConfig.channels) {
+      return;
+    }
+
+    for (const [channel, limit] of Object.entries(quotaConfig.channels)) {
+      QuotaTracker.normalizeLimit(channel, limit);
+    }
   }
 
   /**
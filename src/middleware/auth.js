@@ -4,6 +4,8 @@
  */
 
 const crypto = require('crypto');
+const ApiKeyStore = require('../services/ApiKeyStore');
+const RequestSigner = require('../utils/request-signer');
 
 /**
  * Authentication middleware for Express applications
@@ -15,6 +17,16 @@ class AuthMiddleware {
     this.algorithm = 'aes-256-gcm';
     this.headerName = options.headerName || 'authorization';
     this.tokenPrefix = options.tokenPrefix || 'Bearer ';
+    this.sharedToken = options.sharedToken || null;
+    this.apiKeyStore = options.apiKeyStore || null;
+    this.requestSigner = options.signingSecret
+      ? new RequestSigner(options.signingSecret, { windowMs: options.signatureWindowMs })
+      : null;
+    // API key whose scopes and limits signed requests get (null for full access)
+    this.signingKeyId = options.signingKeyId || null;
+    // Set when the listener verifies client certificates; maps certificate names to API key IDs
+    // and sets whether unmapped certificates get full access
+    this.clientCertificates = options.clientCertificates || null;
   }
 
   /**
@@ -25,6 +37,22 @@ class AuthMiddleware {
    */
   authenticate = (req, res, next) => {
     try {
+      // Only users allowed by the socket file's permissions can connect to it
+      if (req.socket && req.socket.unixSocket) {
+        req.authenticated = true;
+        req.unixSocket = true;
+        return next();
+      }
+
+      const certificateName = this._getClientCertificateName(req);
+      if (certificateName) {
+        return this._authenticateCertificate(certificateName, req, res, next);
+      }
+
+      if (this.requestSigner && RequestSigner.isSigned(req.headers)) {
+        return this._authenticateSignature(req, res, next);
+      }
+
       // Extract token from header
       const token = this._extractToken(req);
       
@@ -32,8 +60,14 @@ class AuthMiddleware {
         return this._sendUnauthorized(res, 'No authentication token provided');
       }
 
+      if (this.apiKeyStore && ApiKeyStore.isApiKey(token)) {
+        return this._authenticateApiKey(token, req, res, next);
+      }
+
       // Validate token
-      const isValid = this._validateToken(token);
+      const isValid = this.sharedToken
+        ? this._timingSafeEqual(token, this.sharedToken)
+        : this._validateToken(token);
       
       if (!isValid) {
         return this._sendUnauthorized(res, 'Invalid or expired token');
@@ -49,6 +83,43 @@ class AuthMiddleware {
     }
   };
 
+  /**
+   * Express middleware that authenticates when credentials are valid but never rejects
+   * For public routes that show more to authenticated callers; check
+   * `req.authenticated` afterwards.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  authenticateOptional = (req, res, next) => {
+    // Unauthorized responses continue the request unauthenticated instead
+    const anonymous = {
+      status: () => anonymous,
+      json: () => next()
+    };
+
+    this.authenticate(req, anonymous, next);
+  };
+
+  /**
+   * Middleware that rejects requests authenticated with an API key
+   * Use after authenticate() on routes reserved for the shared server token.
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  requireAdmin = (req, res, next) => {
+    if (req.apiKey) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This endpoint requires the server token, not an API key',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    next();
+  };
+
   /**
    * Optional middleware for specific routes
    * @param {string} requiredToken - Specific token required for this route
@@ -193,6 +264,120 @@ class AuthMiddleware {
     return null;
   }
 
+  /**
+   * Get the common name of a verified client certificate
+   * @private
+   * @param {Object} req - Express request object
+   * @returns {string|null} Certificate common name, or null without a verified certificate
+   */
+  _getClientCertificateName(req) {
+    const socket = req.socket;
+    if (!this.clientCertificates || !socket || !socket.authorized || typeof socket.getPeerCertificate !== 'function') {
+      return null;
+    }
+
+    const certificate = socket.getPeerCertificate();
+    return (certificate && certificate.subject && certificate.subject.CN) || null;
+  }
+
+  /**
+   * Authenticate a request by its verified client certificate
+   * A certificate mapped to an API key gets that key's scopes and limits. Other
+   * certificates are rejected unless `allowUnmapped` grants them full access.
+   * @private
+   * @param {string} name - Certificate common name
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  _authenticateCertificate(name, req, res, next) {
+    const keyId = (this.clientCertificates.identities || {})[name];
+
+    if (keyId) {
+      const apiKey = this.apiKeyStore && this.apiKeyStore.get(keyId);
+      if (!apiKey) {
+        return this._sendUnauthorized(res, `Client certificate ${name} is mapped to an unknown API key`);
+      }
+      req.apiKey = apiKey;
+    } else if (!this.clientCertificates.allowUnmapped) {
+      return this._sendUnauthorized(res, `Client certificate ${name} is not mapped to an API key`);
+    }
+
+    req.authenticated = true;
+    req.clientCertificate = name;
+    next();
+  }
+
+  /**
+   * Authenticate an HMAC-signed request
+   * When the signing secret is bound to an API key, the request gets that key's
+   * scopes and limits; otherwise it has full access, like the server token.
+   * @private
+   * @param {Object} req - Express request object, with rawBody captured by the body parser
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  _authenticateSignature(req, res, next) {
+    // Bodies the server does not parse are not captured, so the signature could not cover them
+    if (!req.rawBody && this._hasBody(req)) {
+      return this._sendUnauthorized(res, 'Signed request bodies must be JSON or form-encoded');
+    }
+
+    const { valid, reason } = this.requestSigner.verify({
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody,
+      headers: req.headers
+    });
+
+    if (!valid) {
+      return this._sendUnauthorized(res, reason);
+    }
+
+    if (this.signingKeyId) {
+      const apiKey = this.apiKeyStore && this.apiKeyStore.get(this.signingKeyId);
+      if (!apiKey) {
+        return this._sendUnauthorized(res, 'Signing secret is bound to an unknown API key');
+      }
+      req.apiKey = apiKey;
+    }
+
+    req.authenticated = true;
+    req.signed = true;
+    next();
+  }
+
+  /**
+   * Check whether a request has a body
+   * @private
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if the request declares a non-empty body
+   */
+  _hasBody(req) {
+    const length = Number(req.headers['content-length']);
+    return req.headers['transfer-encoding'] !== undefined || length > 0;
+  }
+
+  /**
+   * Authenticate a managed API key
+   * @private
+   * @param {string} token - API key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   */
+  _authenticateApiKey(token, req, res, next) {
+    const apiKey = this.apiKeyStore.authenticate(token);
+
+    if (!apiKey) {
+      return this._sendUnauthorized(res, 'Invalid or revoked API key');
+    }
+
+    req.authenticated = true;
+    req.apiKey = apiKey;
+    next();
+  }
+
   /**
    * Validate token (basic validation)
    * @private
@@ -297,47 +482,87 @@ class AuthMiddleware {
     return decrypted;
   }
 
+  /**
+   * Get the identity a request is counted against
+   * Behind an SSH tunnel every request comes from 127.0.0.1, so authenticated
+   * requests are identified by their API key or token rather than their address.
+   * @param {Object} req - Express request object
+   * @returns {string} Identity like "key:<id>", "cert:<name>", "token:<hash>", "signed", "socket" or "ip:<address>"
+   */
+  getIdentity(req) {
+    if (req.apiKey) {
+      return `key:${req.apiKey.id}`;
+    }
+
+    if (req.clientCertificate) {
+      return `cert:${req.clientCertificate}`;
+    }
+
+    if (req.signed) {
+      return 'signed';
+    }
+
+    if (req.unixSocket) {
+      return 'socket';
+    }
+
+    if (req.authenticated && req.authToken) {
+      return `token:${crypto.createHash('sha256').update(req.authToken).digest('hex').substring(0, 16)}`;
+    }
+
+    return `ip:${req.ip || req.connection.remoteAddress}`;
+  }
+
   /**
    * Rate limiting functionality
+   * Requests are counted per identity in fixed windows. API keys with their own
+   * rate limit use it instead of the default. Use after authenticate().
    * @param {Object} options - Rate limiting options
    * @param {number} options.windowMs - Time window in milliseconds
    * @param {number} options.max - Maximum requests per window
    * @returns {Function} Express middleware
    */
   rateLimit(options = {}) {
-    const windowMs = options.windowMs || 15 * 60 * 1000; // 15 minutes
-    const max = options.max || 100;
-    const requests = new Map();
+    const defaults = {
+      windowMs: options.windowMs || 15 * 60 * 1000, // 15 minutes
+      max: options.max || 100
+    };
+    const windows = new Map();
 
     return (req, res, next) => {
-      const clientId = req.ip || req.connection.remoteAddress;
+      const identity = this.getIdentity(req);
+      const { windowMs, max } = (req.apiKey && req.apiKey.rateLimit) || defaults;
       const now = Date.now();
-      const windowStart = now - windowMs;
 
-      // Clean old entries
-      for (const [key, value] of requests.entries()) {
-        if (value.timestamp < windowStart) {
-          requests.delete(key);
+      // Clean expired windows
+      for (const [key, value] of windows.entries()) {
+        if (value.resetAt <= now) {
+          windows.delete(key);
         }
       }
 
-      // Check current requests
-      const clientRequests = requests.get(clientId);
-      if (!clientRequests) {
-        requests.set(clientId, { count: 1, timestamp: now });
-        return next();
+      let window = windows.get(identity);
+      if (!window) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(identity, window);
       }
 
-      if (clientRequests.count >= max) {
+      const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+      res.set('X-RateLimit-Limit', String(max));
+      res.set('X-RateLimit-Reset', String(Math.ceil(window.resetAt / 1000)));
+
+      if (window.count >= max) {
+        res.set('X-RateLimit-Remaining', '0');
+        res.set('Retry-After', String(retryAfter));
         return res.status(429).json({
           error: 'Too Many Requests',
-          message: `Rate limit exceeded. Maximum ${max} requests per ${windowMs/1000} seconds`,
-          retryAfter: Math.ceil((clientRequests.timestamp + windowMs - now) / 1000)
+          message: `Rate limit exceeded. Maximum ${max} requests per ${windowMs / 1000} seconds`,
+          retryAfter
         });
       }
 
-      clientRequests.count++;
-      clientRequests.timestamp = now;
+      window.count++;
+      res.set('X-RateLimit-Remaining', String(max - window.count));
       next();
     };
   }
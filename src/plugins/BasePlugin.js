@@ -119,6 +119,24 @@ class BasePlugin {
     this.config = {};
   }
 
+  /**
+   * Build the payload send() would deliver, without sending it
+   * Plugins override this to return their channel-specific payload.
+   * @optional
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Payload that would be sent
+   * @throws {Error} If the notification is invalid
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+
+    return {
+      title: notification.title,
+      message: notification.message,
+      level: notification.level || 'info'
+    };
+  }
+
   /**
    * Check plugin health status
    * @optional
@@ -95,6 +95,16 @@ class DesktopPlugin extends BasePlugin {
     }
   }
 
+  /**
+   * Build the payload send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Options passed to node-notifier
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+    return this._prepareNotificationOptions(notification);
+  }
+
   /**
    * Validate plugin configuration
    * @param {Object} config - Configuration to validate
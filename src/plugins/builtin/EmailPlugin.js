@@ -5,6 +5,7 @@
 
 const nodemailer = require('nodemailer');
 const BasePlugin = require('../BasePlugin');
+const Template = require('../../utils/template');
 
 /**
  * Email notification plugin for SMTP email delivery
@@ -40,7 +41,17 @@ class EmailPlugin extends BasePlugin {
             minItems: 1
           },
           subject: { type: 'string' },
-          replyTo: { type: 'string', format: 'email' }
+          replyTo: { type: 'string', format: 'email' },
+          digest: {
+            type: 'object',
+            description: 'Roll up notifications below a level into periodic digests',
+            properties: {
+              enabled: { type: 'boolean' },
+              belowLevel: { type: 'string', enum: ['warning', 'error'] },
+              intervalMinutes: { type: 'number', minimum: 1 },
+              maxItems: { type: 'number', minimum: 1 }
+            }
+          }
         }
       }
     };
@@ -126,6 +137,16 @@ class EmailPlugin extends BasePlugin {
     }
   }
 
+  /**
+   * Build the payload send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Mail options passed to nodemailer
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+    return this._prepareMailOptions(notification);
+  }
+
   /**
    * Validate plugin configuration
    * @param {Object} config - Configuration to validate
@@ -347,7 +368,9 @@ class EmailPlugin extends BasePlugin {
       to: Array.isArray(this.config.to) ? this.config.to.join(', ') : this.config.to,
       subject: subject,
       text: this._generateTextContent(notification),
-      html: this._generateHtmlContent(notification)
+      html: notification.digest ?
+        this._generateDigestHtmlContent(notification) :
+        this._generateHtmlContent(notification)
     };
 
     // Add reply-to if configured
@@ -454,18 +477,76 @@ class EmailPlugin extends BasePlugin {
   }
 
   /**
-   * Format template string with notification data
+   * Generate HTML email content for a digest, one table row per notification
+   * @private
+   * @param {NotificationRequest} notification - Digest notification with `digest` items
+   * @returns {string} HTML content
+   */
+  _generateDigestHtmlContent(notification) {
+    const levelColors = {
+      info: '#2196F3',
+      warning: '#FF9800',
+      error: '#F44336'
+    };
+
+    const { since, until } = notification.metadata.digest;
+    const rows = notification.digest.map(item => `
+            <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #eee; white-space: nowrap;">${this._escapeHtml(new Date(item.receivedAt).toLocaleString())}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #eee; color: ${levelColors[item.level] || levelColors.info}; text-transform: uppercase;">${item.level}</td>
+                <td style="padding: 8px; border-bottom: 1px solid #eee;"><strong>${this._escapeHtml(item.title)}</strong></td>
+                <td style="padding: 8px; border-bottom: 1px solid #eee; white-space: pre-wrap;">${this._escapeHtml(item.message)}</td>
+            </tr>`).join('');
+
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this._escapeHtml(notification.title)}</title>
+</head>
+<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 800px; margin: 0 auto; padding: 20px;">
+    <h2 style="margin-top: 0;">${this._escapeHtml(notification.title)}</h2>
+    <p style="color: #666;">${this._escapeHtml(new Date(since).toLocaleString())} &ndash; ${this._escapeHtml(new Date(until).toLocaleString())}</p>
+    
+    <table style="width: 100%; border-collapse: collapse; font-size: 14px;">
+        <thead>
+            <tr style="background: #f5f5f5; text-align: left;">
+                <th style="padding: 8px;">Time</th>
+                <th style="padding: 8px;">Level</th>
+                <th style="padding: 8px;">Title</th>
+                <th style="padding: 8px;">Message</th>
+            </tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+    </table>
+    
+    <div style="border-top: 1px solid #ddd; padding-top: 15px; margin-top: 30px; text-align: center; color: #666; font-size: 12px;">
+        <p>This digest was sent by <strong>SSH Notify Tool</strong></p>
+    </div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Format template string with notification data and metadata
    * @private
    * @param {string} template - Template string
    * @param {NotificationRequest} notification - Notification data
    * @returns {string} Formatted string
    */
   _formatTemplate(template, notification) {
-    return template
-      .replace(/\{\{title\}\}/g, notification.title || '')
-      .replace(/\{\{message\}\}/g, notification.message || '')
-      .replace(/\{\{level\}\}/g, notification.level || 'info')
-      .replace(/\{\{timestamp\}\}/g, new Date().toISOString());
+    return Template.render(template, {
+      ...(notification.metadata || {}),
+      title: notification.title || '',
+      message: notification.message || '',
+      level: notification.level || 'info',
+      host: notification.host,
+      timestamp: new Date().toISOString(),
+      metadata: notification.metadata || {}
+    });
   }
 
   /**
@@ -138,6 +138,21 @@ class SmsPlugin extends BasePlugin {
     }
   }
 
+  /**
+   * Build the message send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Provider, recipients and SMS content
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+
+    return {
+      provider: this.config.provider,
+      to: this.config.to || [],
+      content: this._prepareSmsContent(notification)
+    };
+  }
+
   /**
    * Validate plugin configuration
    * @param {Object} config - Configuration to validate
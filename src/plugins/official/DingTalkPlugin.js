@@ -111,6 +111,16 @@ class DingTalkPlugin extends BasePlugin {
     }
   }
 
+  /**
+   * Build the payload send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Webhook payload
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+    return this._preparePayload(notification);
+  }
+
   /**
    * Validate plugin configuration
    * @param {Object} config - Configuration to validate
@@ -61,6 +61,16 @@ class SlackPlugin extends BasePlugin {
             type: 'boolean',
             default: true,
             description: 'Enable automatic media unfurling'
+          },
+          digest: {
+            type: 'object',
+            description: 'Roll up notifications below a level into periodic digests',
+            properties: {
+              enabled: { type: 'boolean' },
+              belowLevel: { type: 'string', enum: ['warning', 'error'] },
+              intervalMinutes: { type: 'number', minimum: 1 },
+              maxItems: { type: 'number', minimum: 1 }
+            }
           }
         }
       }
@@ -129,6 +139,16 @@ class SlackPlugin extends BasePlugin {
     }
   }
 
+  /**
+   * Build the payload send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Webhook payload
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+    return this._preparePayload(notification);
+  }
+
   /**
    * Validate plugin configuration
    * @param {Object} config - Configuration to validate
@@ -239,6 +259,12 @@ class SlackPlugin extends BasePlugin {
       payload.icon_emoji = this.config.iconEmoji;
     }
 
+    if (notification.digest) {
+      payload.text = `SSH Notify Tool - ${notification.title}`;
+      payload.blocks = this._prepareDigestBlocks(notification);
+      return payload;
+    }
+
     // Prepare message content with attachments
     const attachment = this._prepareAttachment(notification);
     
@@ -305,6 +331,57 @@ class SlackPlugin extends BasePlugin {
     return attachment;
   }
 
+  /**
+   * Prepare Block Kit blocks for a digest, one section per notification
+   * @private
+   * @param {NotificationRequest} notification - Digest notification with `digest` items
+   * @returns {Object[]} Slack blocks
+   */
+  _prepareDigestBlocks(notification) {
+    // Slack rejects messages with more than 50 blocks
+    const maxItems = 45;
+    const items = notification.digest.slice(0, maxItems);
+    const { since, until } = notification.metadata.digest;
+
+    const blocks = [
+      {
+        type: 'header',
+        text: { type: 'plain_text', text: notification.title }
+      },
+      {
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `${new Date(since).toLocaleString()} – ${new Date(until).toLocaleString()}`
+        }]
+      },
+      { type: 'divider' }
+    ];
+
+    items.forEach(item => {
+      blocks.push({
+        type: 'section',
+        text: {
+          type: 'mrkdwn',
+          // Section text is limited to 3000 characters
+          text: `${this._getLevelEmoji(item.level)} *${item.title}*\n${item.message}`.slice(0, 3000)
+        }
+      });
+    });
+
+    if (notification.digest.length > items.length) {
+      blocks.push({
+        type: 'context',
+        elements: [{
+          type: 'mrkdwn',
+          text: `_…and ${notification.digest.length - items.length} more_`
+        }]
+      });
+    }
+
+    return blocks;
+  }
+
   /**
    * Prepare simple text message (fallback)
    * @private
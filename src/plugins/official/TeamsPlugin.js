@@ -0,0 +1,517 @@
+/**
+ * @fileoverview Microsoft Teams notification plugin for incoming webhooks and Workflows
+ * Provides Teams channel notifications as Adaptive Cards with facts, action buttons and @mentions
+ */
+
+const axios = require('axios');
+const BasePlugin = require('../BasePlugin');
+
+/** Notification levels in increasing severity */
+const LEVELS = ['info', 'warning', 'error'];
+
+/** Hosts that serve Teams incoming webhooks and Workflows triggers */
+const WEBHOOK_HOSTS = ['webhook.office.com', 'outlook.office.com', 'logic.azure.com', 'api.powerplatform.com'];
+
+/** Teams rejects messages over 28 KB; leave room for the rest of the card */
+const MAX_MESSAGE_BYTES = 20000;
+
+/** Teams shows at most six card actions */
+const MAX_ACTIONS = 6;
+
+/** Metadata keys used for buttons and mentions rather than shown as facts */
+const RESERVED_METADATA = ['actions', 'mentions'];
+
+/**
+ * Microsoft Teams notification plugin
+ * Posts an Adaptive Card with a level-colored header, a fact set built from
+ * `metadata`, buttons from `metadata.actions` and mentions from the
+ * configured on-call users and `metadata.mentions`
+ */
+class TeamsPlugin extends BasePlugin {
+  /**
+   * Plugin metadata
+   * @returns {Object} Plugin metadata
+   */
+  static get metadata() {
+    return {
+      name: 'teams',
+      displayName: 'Microsoft Teams',
+      version: '1.0.0',
+      author: 'SSH Notify Tool Project',
+      description: 'Microsoft Teams channel notifications with Adaptive Cards, action buttons and mentions',
+      capabilities: ['text', 'markdown', 'buttons', 'mentions'],
+      configSchema: {
+        type: 'object',
+        required: ['enabled', 'webhook'],
+        properties: {
+          enabled: { type: 'boolean' },
+          webhook: {
+            type: 'string',
+            format: 'uri',
+            description: 'Incoming webhook or Workflows "When a Teams webhook request is received" URL'
+          },
+          mentions: {
+            type: 'array',
+            items: {
+              oneOf: [
+                { type: 'string' },
+                {
+                  type: 'object',
+                  required: ['id'],
+                  properties: {
+                    id: { type: 'string', description: 'User principal name, Entra object ID or tag ID' },
+                    name: { type: 'string', description: 'Display name' }
+                  }
+                }
+              ]
+            },
+            description: 'Users to mention on notifications at or above mentionLevel'
+          },
+          mentionLevel: {
+            type: 'string',
+            enum: LEVELS,
+            default: 'error'
+          },
+          fullWidth: {
+            type: 'boolean',
+            default: true,
+            description: 'Use the full width of the channel'
+          },
+          retries: { type: 'integer', minimum: 1, maximum: 5, default: 3 }
+        }
+      }
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    // Default configuration
+    this.defaultConfig = {
+      enabled: false,
+      mentions: [],
+      mentionLevel: 'error',
+      fullWidth: true,
+      retries: 3,
+      timeout: 30000
+    };
+
+    // Merge with provided config
+    this.config = { ...this.defaultConfig, ...config };
+
+    // HTTP client
+    this.httpClient = axios.create({
+      timeout: this.config.timeout,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  /**
+   * Send Teams notification
+   * @param {NotificationRequest} notification - Notification to send
+   * @returns {Promise<ChannelResponse>} Response indicating success/failure
+   */
+  async send(notification) {
+    try {
+      // Validate notification
+      this._validateNotification(notification);
+
+      // Check if Teams is available
+      if (!await this.isAvailable()) {
+        return this._createResponse(false, 'Teams notifications are not available');
+      }
+
+      const payload = this._preparePayload(notification);
+
+      // Send with retry logic
+      const response = await this._retryOperation(
+        () => this._sendWebhook(payload),
+        this.config.retries,
+        2000
+      );
+
+      return this._createResponse(true, 'Teams notification sent successfully', {
+        status: response.status,
+        mentions: payload.attachments[0].content.msteams.entities.length,
+        webhook: this._maskWebhookUrl(this.config.webhook)
+      });
+
+    } catch (error) {
+      return this._handleError(error, 'Teams notification');
+    }
+  }
+
+  /**
+   * Build the payload send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Webhook payload
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+    return this._preparePayload(notification);
+  }
+
+  /**
+   * Validate plugin configuration
+   * @param {Object} config - Configuration to validate
+   * @returns {Promise<boolean>} True if configuration is valid
+   */
+  async validate(config) {
+    try {
+      this._validateConfig(config, this.constructor.metadata.configSchema);
+
+      if (!this._isValidTeamsWebhook(config.webhook)) {
+        throw new Error('Invalid Teams webhook URL - use an incoming webhook or Workflows URL');
+      }
+
+      this._normalizeMentions(config.mentions, 'Configured mention');
+
+      if (config.mentionLevel && !LEVELS.includes(config.mentionLevel)) {
+        throw new Error(`Mention level must be one of ${LEVELS.join(', ')}`);
+      }
+
+      return true;
+    } catch (error) {
+      console.warn(`Teams plugin configuration validation failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check if Teams notifications are available
+   * @returns {Promise<boolean>} True if available
+   */
+  async isAvailable() {
+    if (!this.config.enabled || !this.config.webhook) {
+      return false;
+    }
+
+    // Don't actually send a test card, just validate the URL
+    return this._isValidTeamsWebhook(this.config.webhook);
+  }
+
+  /**
+   * Health check for Teams notifications
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    const baseHealth = await super.healthCheck();
+
+    if (!baseHealth.healthy) {
+      return baseHealth;
+    }
+
+    return {
+      healthy: true,
+      message: 'Teams notifications available',
+      metadata: {
+        teams: {
+          webhook: this._maskWebhookUrl(this.config.webhook),
+          mentions: (this.config.mentions || []).length,
+          mentionLevel: this.config.mentionLevel
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate a notification, including its Teams actions and mentions
+   * @protected
+   * @param {NotificationRequest} notification - Notification to validate
+   * @throws {Error} If the notification, an action or a mention is invalid
+   */
+  _validateNotification(notification) {
+    super._validateNotification(notification);
+
+    const metadata = notification.metadata || {};
+
+    if (metadata.actions !== undefined) {
+      if (!Array.isArray(metadata.actions)) {
+        throw new Error('metadata.actions must be an array');
+      }
+
+      if (metadata.actions.length > MAX_ACTIONS) {
+        throw new Error(`Teams cards show at most ${MAX_ACTIONS} actions`);
+      }
+
+      metadata.actions.forEach((action, index) => {
+        if (!action || !(action.text || action.label) || !action.url) {
+          throw new Error(`Teams action ${index + 1} needs text and a url`);
+        }
+
+        if (!/^https?:\/\//.test(action.url)) {
+          throw new Error(`Teams action ${index + 1} url must be http(s)`);
+        }
+      });
+    }
+
+    if (metadata.mentions !== undefined) {
+      this._normalizeMentions(metadata.mentions, 'Mention');
+    }
+  }
+
+  /**
+   * Prepare the webhook payload
+   * Incoming webhooks and Workflows both accept a message with the card as
+   * its only attachment.
+   * @private
+   * @param {NotificationRequest} notification - Notification request
+   * @returns {Object} Webhook payload
+   */
+  _preparePayload(notification) {
+    return {
+      type: 'message',
+      attachments: [{
+        contentType: 'application/vnd.microsoft.card.adaptive',
+        contentUrl: null,
+        content: this._prepareCard(notification)
+      }]
+    };
+  }
+
+  /**
+   * Build the Adaptive Card
+   * @private
+   * @param {NotificationRequest} notification - Notification request
+   * @returns {Object} Adaptive Card
+   */
+  _prepareCard(notification) {
+    const level = notification.level || 'info';
+    const metadata = notification.metadata || {};
+    const mentions = this._getMentions(notification);
+
+    const body = [
+      {
+        type: 'Container',
+        style: this._getLevelStyle(level),
+        bleed: true,
+        items: [{
+          type: 'TextBlock',
+          text: `${this._getLevelEmoji(level)} ${notification.title}`,
+          size: 'Medium',
+          weight: 'Bolder',
+          wrap: true
+        }]
+      },
+      {
+        type: 'TextBlock',
+        text: this._truncate(notification.message, MAX_MESSAGE_BYTES),
+        wrap: true
+      }
+    ];
+
+    const facts = Object.entries(metadata)
+      .filter(([key]) => !RESERVED_METADATA.includes(key))
+      .map(([key, value]) => ({
+        title: key,
+        value: value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value)
+      }));
+
+    if (notification.host) {
+      facts.push({ title: 'Host', value: notification.host });
+    }
+
+    if (facts.length > 0) {
+      body.push({ type: 'FactSet', facts });
+    }
+
+    if (mentions.length > 0) {
+      body.push({
+        type: 'TextBlock',
+        text: mentions.map(mention => mention.text).join(' '),
+        wrap: true
+      });
+    }
+
+    // Teams renders DATE() and TIME() in each reader's time zone
+    const sentAt = new Date(notification.timestamp || Date.now()).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    body.push({
+      type: 'TextBlock',
+      text: `Sent by SSH Notify Tool on {{DATE(${sentAt}, SHORT)}} at {{TIME(${sentAt})}}`,
+      size: 'Small',
+      isSubtle: true,
+      wrap: true
+    });
+
+    const card = {
+      type: 'AdaptiveCard',
+      $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+      version: '1.4',
+      body,
+      msteams: { entities: mentions }
+    };
+
+    if (this.config.fullWidth) {
+      card.msteams.width = 'Full';
+    }
+
+    const actions = (metadata.actions || []).map(action => ({
+      type: 'Action.OpenUrl',
+      title: action.text || action.label,
+      url: action.url
+    }));
+
+    if (actions.length > 0) {
+      card.actions = actions;
+    }
+
+    return card;
+  }
+
+  /**
+   * Mention entities for a notification
+   * Configured mentions apply at or above `mentionLevel`; mentions in the
+   * notification metadata always apply. Each user is mentioned once.
+   * @private
+   * @param {NotificationRequest} notification - Notification request
+   * @returns {Object[]} Teams mention entities
+   */
+  _getMentions(notification) {
+    const level = LEVELS.indexOf(notification.level || 'info');
+    const configured = level >= LEVELS.indexOf(this.config.mentionLevel || 'error')
+      ? this._normalizeMentions(this.config.mentions, 'Configured mention')
+      : [];
+    const requested = this._normalizeMentions((notification.metadata || {}).mentions, 'Mention');
+
+    const unique = [...configured, ...requested].filter((mention, index, all) => (
+      all.findIndex(other => other.id === mention.id) === index
+    ));
+
+    return unique.map(mention => ({
+        type: 'mention',
+        text: `<at>${mention.name}</at>`,
+        mentioned: { id: mention.id, name: mention.name }
+      }));
+  }
+
+  /**
+   * Normalize mentions given as ids or {id, name} objects
+   * @private
+   * @param {Array<string|Object>} [mentions] - Mentions
+   * @param {string} label - Label for error messages
+   * @returns {Array<{id: string, name: string}>} Mentions
+   * @throws {Error} If mentions is not an array or a mention has no id
+   */
+  _normalizeMentions(mentions, label) {
+    if (mentions === undefined || mentions === null) {
+      return [];
+    }
+
+    if (!Array.isArray(mentions)) {
+      throw new Error(`${label}s must be an array`);
+    }
+
+    return mentions.map((mention, index) => {
+      const id = typeof mention === 'string' ? mention : mention && mention.id;
+      if (typeof id !== 'string' || id.trim() === '') {
+        throw new Error(`${label} ${index + 1} needs an id`);
+      }
+
+      // The name is matched between <at> tags, so it can't contain them
+      const name = String((typeof mention === 'object' && mention.name) || id).replace(/[<>]/g, '');
+      return { id: id.trim(), name };
+    });
+  }
+
+  /**
+   * Shorten text to a UTF-8 byte budget
+   * @private
+   * @param {string} text - Text
+   * @param {number} maxBytes - Byte budget
+   * @returns {string} Text, marked as truncated if shortened
+   */
+  _truncate(text, maxBytes) {
+    if (Buffer.byteLength(text) <= maxBytes) {
+      return text;
+    }
+
+    // Cutting inside a multi-byte character leaves a replacement character
+    const cut = Buffer.from(text).subarray(0, maxBytes).toString().replace(/\uFFFD+$/, '');
+    return `${cut}…\n\n_(truncated)_`;
+  }
+
+  /**
+   * Get level emoji
+   * @private
+   * @param {string} level - Notification level
+   * @returns {string} Emoji
+   */
+  _getLevelEmoji(level) {
+    const emojis = {
+      info: 'ℹ️',
+      warning: '⚠️',
+      error: '🚨'
+    };
+    return emojis[level] || emojis.info;
+  }
+
+  /**
+   * Get the header container style for a level
+   * @private
+   * @param {string} level - Notification level
+   * @returns {string} Adaptive Card container style
+   */
+  _getLevelStyle(level) {
+    const styles = {
+      info: 'accent',
+      warning: 'warning',
+      error: 'attention'
+    };
+    return styles[level] || styles.info;
+  }
+
+  /**
+   * Send webhook request
+   * Incoming webhooks answer 200 even when Teams rejects the card, with the
+   * reason in the body instead of "1".
+   * @private
+   * @param {Object} payload - Webhook payload
+   * @returns {Promise<Object>} Response
+   * @throws {Error} If the request fails or Teams reports an error
+   */
+  async _sendWebhook(payload) {
+    const response = await this.httpClient.post(this.config.webhook, payload);
+
+    if (typeof response.data === 'string' && /error|fail/i.test(response.data)) {
+      throw new Error(`Teams webhook error: ${response.data}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Validate Teams webhook URL
+   * @private
+   * @param {string} webhook - Webhook URL
+   * @returns {boolean} True if valid
+   */
+  _isValidTeamsWebhook(webhook) {
+    try {
+      const url = new URL(webhook);
+      return url.protocol === 'https:' &&
+             WEBHOOK_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Mask webhook URL for logging
+   * Connector paths and Workflows signatures are both credentials, so
+   * only the host is kept.
+   * @private
+   * @param {string} webhook - Webhook URL
+   * @returns {string} Masked URL
+   */
+  _maskWebhookUrl(webhook) {
+    try {
+      return `${new URL(webhook).origin}/****`;
+    } catch (error) {
+      return 'Invalid URL';
+    }
+  }
+}
+
+module.exports = TeamsPlugin;
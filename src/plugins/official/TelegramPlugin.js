@@ -0,0 +1,623 @@
+/**
+ * @fileoverview Telegram notification plugin using the Bot API
+ * Provides Telegram chat notifications with MarkdownV2/HTML formatting, inline buttons and file attachments
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const BasePlugin = require('../BasePlugin');
+
+/** Longest text Telegram accepts in one message */
+const MAX_MESSAGE_LENGTH = 4096;
+
+/** Characters MarkdownV2 requires to be escaped outside code entities */
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+/**
+ * Telegram notification plugin for bot messages
+ * Sends each notification to every configured chat, with buttons built from
+ * `metadata.actions` and attachments uploaded as documents replying to it
+ */
+class TelegramPlugin extends BasePlugin {
+  /**
+   * Plugin metadata
+   * @returns {Object} Plugin metadata
+   */
+  static get metadata() {
+    return {
+      name: 'telegram',
+      displayName: 'Telegram',
+      version: '1.0.0',
+      author: 'SSH Notify Tool Project',
+      description: 'Telegram bot notifications with formatting, inline buttons and file attachments',
+      capabilities: ['text', 'markdown', 'html', 'buttons', 'attachments'],
+      configSchema: {
+        type: 'object',
+        required: ['enabled', 'botToken', 'chatIds'],
+        properties: {
+          enabled: { type: 'boolean' },
+          botToken: {
+            type: 'string',
+            pattern: '^[0-9]+:[A-Za-z0-9_-]+$',
+            description: 'Bot token from @BotFather'
+          },
+          chatIds: {
+            type: 'array',
+            items: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+            description: 'Chat IDs or @channel usernames to send to'
+          },
+          parseMode: {
+            type: 'string',
+            enum: ['HTML', 'MarkdownV2'],
+            default: 'HTML'
+          },
+          messageThreadId: {
+            type: 'integer',
+            description: 'Forum topic to post in'
+          },
+          disableNotification: {
+            type: 'boolean',
+            default: false,
+            description: 'Send messages silently'
+          },
+          disableWebPagePreview: {
+            type: 'boolean',
+            default: true
+          },
+          buttonsPerRow: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 8,
+            default: 2
+          },
+          apiUrl: {
+            type: 'string',
+            format: 'uri',
+            description: 'Bot API server (default: https://api.telegram.org)'
+          },
+          retries: { type: 'integer', minimum: 1, maximum: 5, default: 3 }
+        }
+      }
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    // Default configuration
+    this.defaultConfig = {
+      enabled: false,
+      chatIds: [],
+      parseMode: 'HTML',
+      disableNotification: false,
+      disableWebPagePreview: true,
+      buttonsPerRow: 2,
+      apiUrl: 'https://api.telegram.org',
+      retries: 3,
+      timeout: 30000
+    };
+
+    // Merge with provided config
+    this.config = { ...this.defaultConfig, ...config };
+
+    // HTTP client
+    this.httpClient = axios.create({
+      timeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Send Telegram notification to every configured chat
+   * Succeeds when at least one chat received the message; per-chat results
+   * are in the response metadata.
+   * @param {NotificationRequest} notification - Notification to send
+   * @returns {Promise<ChannelResponse>} Response indicating success/failure
+   */
+  async send(notification) {
+    try {
+      // Validate notification
+      this._validateNotification(notification);
+
+      // Check if Telegram is available
+      if (!await this.isAvailable()) {
+        return this._createResponse(false, 'Telegram notifications are not available');
+      }
+
+      const payload = this._preparePayload(notification);
+      const documents = this._prepareDocuments(notification);
+      const chatIds = this._getChatIds();
+      const results = [];
+
+      for (const chatId of chatIds) {
+        try {
+          const message = await this._retryOperation(
+            () => this._apiRequest('sendMessage', { chat_id: chatId, ...payload }),
+            this.config.retries,
+            2000
+          );
+
+          // Attachments reply to the message so they stay together in busy chats
+          for (const document of documents) {
+            await this._retryOperation(
+              () => this._sendDocument(chatId, document, message.message_id),
+              this.config.retries,
+              2000
+            );
+          }
+
+          results.push({ chatId, success: true, messageId: message.message_id });
+        } catch (error) {
+          results.push({ chatId, success: false, error: error.message });
+        }
+      }
+
+      const sent = results.filter(result => result.success).length;
+      if (sent === 0) {
+        throw new Error(results.map(result => `${result.chatId}: ${result.error}`).join('; '));
+      }
+
+      return this._createResponse(true, `Telegram notification sent to ${sent}/${chatIds.length} chats`, {
+        results,
+        documents: documents.length
+      });
+
+    } catch (error) {
+      return this._handleError(error, 'Telegram notification');
+    }
+  }
+
+  /**
+   * Build the message send() would deliver to each chat, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Chats, sendMessage payload and documents
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+
+    return {
+      chatIds: this._getChatIds(),
+      payload: this._preparePayload(notification),
+      documents: this._prepareDocuments(notification).map(document => ({
+        filename: document.filename,
+        ...(document.url ? { url: document.url } : { size: document.content.length })
+      }))
+    };
+  }
+
+  /**
+   * Validate plugin configuration
+   * @param {Object} config - Configuration to validate
+   * @returns {Promise<boolean>} True if configuration is valid
+   */
+  async validate(config) {
+    try {
+      this._validateConfig(config, this.constructor.metadata.configSchema);
+
+      if (!this._isValidBotToken(config.botToken)) {
+        throw new Error('Invalid Telegram bot token format');
+      }
+
+      const chatIds = [].concat(config.chatIds);
+      if (chatIds.length === 0) {
+        throw new Error('At least one chat ID is required');
+      }
+
+      for (const chatId of chatIds) {
+        if (!this._isValidChatId(chatId)) {
+          throw new Error(`Invalid chat ID: ${chatId} - use a numeric ID or @channel username`);
+        }
+      }
+
+      if (config.parseMode && !['HTML', 'MarkdownV2'].includes(config.parseMode)) {
+        throw new Error('Parse mode must be HTML or MarkdownV2');
+      }
+
+      if (config.apiUrl && !/^https?:\/\//.test(config.apiUrl)) {
+        throw new Error('Invalid Bot API URL');
+      }
+
+      return true;
+    } catch (error) {
+      console.warn(`Telegram plugin configuration validation failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check if Telegram notifications are available
+   * @returns {Promise<boolean>} True if available
+   */
+  async isAvailable() {
+    if (!this.config.enabled || !this.config.botToken) {
+      return false;
+    }
+
+    // Don't call the API here; healthCheck verifies the token
+    return this._isValidBotToken(this.config.botToken) && this._getChatIds().length > 0;
+  }
+
+  /**
+   * Health check for Telegram notifications
+   * Asks the Bot API who the bot is, which verifies the token.
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    const baseHealth = await super.healthCheck();
+
+    if (!baseHealth.healthy) {
+      return baseHealth;
+    }
+
+    try {
+      const bot = await this._apiRequest('getMe', {});
+
+      return {
+        healthy: true,
+        message: 'Telegram notifications available',
+        metadata: {
+          telegram: {
+            bot: `@${bot.username}`,
+            chats: this._getChatIds().length,
+            parseMode: this.config.parseMode,
+            token: this._maskToken(this.config.botToken)
+          }
+        }
+      };
+    } catch (error) {
+      return {
+        healthy: false,
+        message: `Health check failed: ${error.message}`
+      };
+    }
+  }
+
+  /**
+   * Validate a notification, including its Telegram buttons
+   * @protected
+   * @param {NotificationRequest} notification - Notification to validate
+   * @throws {Error} If the notification or one of its actions is invalid
+   */
+  _validateNotification(notification) {
+    super._validateNotification(notification);
+
+    const actions = notification.metadata && notification.metadata.actions;
+    if (actions !== undefined && !Array.isArray(actions)) {
+      throw new Error('metadata.actions must be an array');
+    }
+
+    (actions || []).flat().forEach((action, index) => {
+      const text = action && (action.text || action.label);
+      const target = action && (action.url || action.callbackData);
+
+      if (!text || !target) {
+        throw new Error(`Telegram action ${index + 1} needs text and a url or callbackData`);
+      }
+
+      if (action.url && !/^(https?|tg):\/\//.test(action.url)) {
+        throw new Error(`Telegram action ${index + 1} url must be http(s) or tg://`);
+      }
+
+      // Telegram limits callback data to 64 bytes
+      if (action.callbackData && Buffer.byteLength(String(action.callbackData)) > 64) {
+        throw new Error(`Telegram action ${index + 1} callbackData exceeds 64 bytes`);
+      }
+    });
+  }
+
+  /**
+   * Prepare the sendMessage payload shared by all chats
+   * @private
+   * @param {NotificationRequest} notification - Notification request
+   * @returns {Object} Payload without chat_id
+   */
+  _preparePayload(notification) {
+    const payload = {
+      text: this._formatMessage(notification),
+      parse_mode: this.config.parseMode,
+      disable_notification: this.config.disableNotification,
+      link_preview_options: { is_disabled: this.config.disableWebPagePreview }
+    };
+
+    if (this.config.messageThreadId) {
+      payload.message_thread_id = this.config.messageThreadId;
+    }
+
+    const keyboard = this._prepareInlineKeyboard(notification.metadata && notification.metadata.actions);
+    if (keyboard.length > 0) {
+      payload.reply_markup = { inline_keyboard: keyboard };
+    }
+
+    return payload;
+  }
+
+  /**
+   * Format the message text for the configured parse mode
+   * Only raw text is shortened, so escapes and tags stay intact. Very long
+   * titles are cut to half the limit and details that do not fit are left
+   * out, so the message always stays within the Telegram limit.
+   * @private
+   * @param {NotificationRequest} notification - Notification request
+   * @returns {string} Formatted text
+   */
+  _formatMessage(notification) {
+    const html = this.config.parseMode === 'HTML';
+    const escape = html ? text => this._escapeHTML(text) : text => this._escapeMarkdownV2(text);
+    const bold = text => (html ? `<b>${text}</b>` : `*${text}*`);
+    const italic = text => (html ? `<i>${text}</i>` : `_${text}_`);
+
+    // Room left after the truncation note
+    const room = MAX_MESSAGE_LENGTH - 20;
+
+    let title = this._fitEscaped(notification.title, escape, Math.floor(room / 2) - 20);
+    if (title !== escape(notification.title)) {
+      title += escape('…');
+    }
+    const header = `${this._getLevelEmoji(notification.level)} ${bold(title)}\n\n`;
+
+    const details = Object.entries(notification.metadata || {})
+      .filter(([key]) => key !== 'actions')
+      .map(([key, value]) => `${bold(escape(key))}: ${escape(typeof value === 'object' ? JSON.stringify(value) : String(value))}`);
+
+    if (notification.host) {
+      details.push(`${bold('Host')}: ${escape(notification.host)}`);
+    }
+
+    let footer = '';
+    for (const detail of details) {
+      const next = `${footer}${footer ? '\n' : '\n\n'}${detail}`;
+      if (header.length + next.length > room) {
+        break;
+      }
+      footer = next;
+    }
+
+    const budget = Math.max(room - header.length - footer.length, 0);
+
+    let message = escape(notification.message);
+    if (message.length > budget) {
+      message = `${this._fitEscaped(notification.message, escape, budget)}${escape('…')}\n${italic(escape('(truncated)'))}`;
+    }
+
+    return `${header}${message}${footer}`;
+  }
+
+  /**
+   * Escape the longest prefix of a text that fits a length after escaping
+   * @private
+   * @param {string} text - Raw text
+   * @param {Function} escape - Escape function for the parse mode
+   * @param {number} max - Longest escaped length
+   * @returns {string} Escaped text, or an escaped prefix of it
+   */
+  _fitEscaped(text, escape, max) {
+    // Escaping at most doubles a character, or adds five for an HTML entity
+    let raw = text.slice(0, Math.max(max, 0));
+    while (raw.length > 0 && escape(raw).length > max) {
+      raw = raw.slice(0, Math.floor(raw.length * 0.9));
+    }
+    return escape(raw);
+  }
+
+  /**
+   * Build inline keyboard rows from notification actions
+   * Actions given as nested arrays keep their rows; a flat list is split
+   * into rows of `buttonsPerRow`.
+   * @private
+   * @param {Array<Object|Object[]>} [actions] - Actions like {text, url} or {text, callbackData}
+   * @returns {Object[][]} Inline keyboard
+   */
+  _prepareInlineKeyboard(actions) {
+    if (!Array.isArray(actions) || actions.length === 0) {
+      return [];
+    }
+
+    const toButton = action => (action.url
+      ? { text: action.text || action.label, url: action.url }
+      : { text: action.text || action.label, callback_data: String(action.callbackData) });
+
+    if (actions.some(Array.isArray)) {
+      return actions.map(row => [].concat(row).map(toButton));
+    }
+
+    const rows = [];
+    for (let i = 0; i < actions.length; i += this.config.buttonsPerRow) {
+      rows.push(actions.slice(i, i + this.config.buttonsPerRow).map(toButton));
+    }
+    return rows;
+  }
+
+  /**
+   * Prepare notification attachments for upload
+   * @private
+   * @param {NotificationRequest} notification - Notification request
+   * @returns {Array<{filename: string, contentType: string, content?: Buffer, url?: string}>} Documents
+   * @throws {Error} If an attachment has neither content nor a url
+   */
+  _prepareDocuments(notification) {
+    return (notification.attachments || []).map((attachment, index) => {
+      const filename = attachment.filename || `attachment-${index + 1}`;
+
+      if (attachment.url) {
+        return { filename, url: attachment.url };
+      }
+
+      if (attachment.content === undefined || attachment.content === null) {
+        throw new Error(`Attachment ${filename} needs content or a url`);
+      }
+
+      return {
+        filename,
+        contentType: attachment.contentType || 'application/octet-stream',
+        content: Buffer.isBuffer(attachment.content)
+          ? attachment.content
+          : Buffer.from(String(attachment.content), attachment.encoding === 'base64' ? 'base64' : 'utf8')
+      };
+    });
+  }
+
+  /**
+   * Send a document to a chat
+   * Documents with a url are fetched by Telegram; others are uploaded.
+   * @private
+   * @param {string|number} chatId - Chat to send to
+   * @param {Object} document - Prepared document
+   * @param {number} replyTo - Message the document replies to
+   * @returns {Promise<Object>} Sent message
+   */
+  async _sendDocument(chatId, document, replyTo) {
+    const fields = {
+      chat_id: chatId,
+      disable_notification: true,
+      reply_parameters: { message_id: replyTo, allow_sending_without_reply: true }
+    };
+
+    if (this.config.messageThreadId) {
+      fields.message_thread_id = this.config.messageThreadId;
+    }
+
+    if (document.url) {
+      return await this._apiRequest('sendDocument', { ...fields, document: document.url });
+    }
+
+    const { body, contentType } = this._buildMultipart(fields, { field: 'document', ...document });
+    return await this._apiRequest('sendDocument', body, { 'Content-Type': contentType });
+  }
+
+  /**
+   * Encode fields and one file as multipart/form-data
+   * @private
+   * @param {Object} fields - Form fields; objects are sent as JSON
+   * @param {{field: string, filename: string, contentType: string, content: Buffer}} file - File part
+   * @returns {{body: Buffer, contentType: string}} Request body and its content type
+   */
+  _buildMultipart(fields, file) {
+    const boundary = `----ssh-notify-tool-${crypto.randomBytes(12).toString('hex')}`;
+    const parts = Object.entries(fields).map(([name, value]) => Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n` +
+      `${typeof value === 'object' ? JSON.stringify(value) : value}\r\n`
+    ));
+
+    const filename = file.filename.replace(/["\r\n\\]/g, '_');
+    parts.push(
+      Buffer.from(
+        `--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${filename}"\r\n` +
+        `Content-Type: ${file.contentType}\r\n\r\n`
+      ),
+      file.content,
+      Buffer.from(`\r\n--${boundary}--\r\n`)
+    );
+
+    return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+  }
+
+  /**
+   * Call a Bot API method
+   * @private
+   * @param {string} method - API method like "sendMessage"
+   * @param {Object|Buffer} body - JSON payload, or an encoded multipart body
+   * @param {Object} [headers] - Request headers (default: JSON)
+   * @returns {Promise<Object>} Method result
+   * @throws {Error} With Telegram's description when the call fails
+   */
+  async _apiRequest(method, body, headers = { 'Content-Type': 'application/json' }) {
+    const url = `${this.config.apiUrl.replace(/\/+$/, '')}/bot${this.config.botToken}/${method}`;
+
+    let response;
+    try {
+      response = await this.httpClient.post(url, body, { headers });
+    } catch (error) {
+      const description = error.response && error.response.data && error.response.data.description;
+      if (description) {
+        throw new Error(`Telegram API error: ${description}`);
+      }
+      // Network errors carry the URL, which contains the token
+      throw new Error(error.message.split(this.config.botToken).join(this._maskToken(this.config.botToken)));
+    }
+
+    if (!response.data || !response.data.ok) {
+      throw new Error(`Telegram API error: ${(response.data && response.data.description) || 'unexpected response'}`);
+    }
+
+    return response.data.result;
+  }
+
+  /**
+   * Escape text for HTML parse mode
+   * @private
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  _escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  /**
+   * Escape text for MarkdownV2 parse mode
+   * @private
+   * @param {string} text - Text
+   * @returns {string} Escaped text
+   */
+  _escapeMarkdownV2(text) {
+    return String(text).replace(MARKDOWN_V2_SPECIAL, '\\$&');
+  }
+
+  /**
+   * Get level emoji
+   * @private
+   * @param {string} level - Notification level
+   * @returns {string} Emoji
+   */
+  _getLevelEmoji(level) {
+    const emojis = {
+      info: 'ℹ️',
+      warning: '⚠️',
+      error: '🚨'
+    };
+    return emojis[level] || emojis.info;
+  }
+
+  /**
+   * Get configured chat IDs as a list
+   * @private
+   * @returns {Array<string|number>} Chat IDs
+   */
+  _getChatIds() {
+    return [].concat(this.config.chatIds || []).filter(chatId => chatId !== '' && chatId !== null);
+  }
+
+  /**
+   * Validate bot token format
+   * @private
+   * @param {string} token - Bot token
+   * @returns {boolean} True if valid
+   */
+  _isValidBotToken(token) {
+    return typeof token === 'string' && /^[0-9]+:[A-Za-z0-9_-]+$/.test(token);
+  }
+
+  /**
+   * Validate a chat ID
+   * @private
+   * @param {string|number} chatId - Numeric chat ID or @channel username
+   * @returns {boolean} True if valid
+   */
+  _isValidChatId(chatId) {
+    return Number.isInteger(chatId) || /^(-?\d+|@[A-Za-z]\w{4,})$/.test(String(chatId));
+  }
+
+  /**
+   * Mask bot token for logging
+   * @private
+   * @param {string} token - Bot token
+   * @returns {string} Masked token keeping the bot ID
+   */
+  _maskToken(token) {
+    const [botId, secret = ''] = String(token).split(':');
+    return secret.length > 8 ? `${botId}:${secret.substring(0, 4)}****${secret.substring(secret.length - 4)}` : `${botId}:****`;
+  }
+}
+
+module.exports = TelegramPlugin;
@@ -109,6 +109,16 @@ class WeChatWorkPlugin extends BasePlugin {
     }
   }
 
+  /**
+   * Build the payload send() would deliver, without sending it
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object>} Webhook payload
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+    return this._preparePayload(notification);
+  }
+
   /**
    * Validate plugin configuration
    * @param {Object} config - Configuration to validate
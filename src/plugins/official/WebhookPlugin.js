@@ -0,0 +1,611 @@
+/**
+ * @fileoverview Generic outgoing webhook plugin
+ * Sends notifications to named HTTP endpoints with templated headers, mapped bodies, HMAC signatures and response checks
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const BasePlugin = require('../BasePlugin');
+const JsonPath = require('../../utils/json-path');
+const Template = require('../../utils/template');
+
+/** Supported HTTP methods; GET sends the mapped body as query parameters */
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/** Supported signature algorithms */
+const ALGORITHMS = ['sha1', 'sha256', 'sha512'];
+
+/** HTTP header name characters (RFC 7230 token) */
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/** Status patterns like 200 or "2xx" */
+const STATUS_PATTERN = /^[1-5](?:\d\d|xx)$/;
+
+/**
+ * Stand-in for process.env in previews, so secrets are not displayed
+ */
+const MASKED_ENV = new Proxy({}, {
+  has: () => true,
+  get: () => '***'
+});
+
+/**
+ * Generic webhook plugin for internal tools
+ *
+ * Each named endpoint gets its own request. Strings in a body mapping are
+ * JSONPath lookups when they start with "$", templates when they contain
+ * "{{", and literals otherwise. URLs, headers and signing secrets may also
+ * use {{env.NAME}}; bodies cannot, so a mapping never leaks the environment.
+ */
+class WebhookPlugin extends BasePlugin {
+  /**
+   * Plugin metadata
+   * @returns {Object} Plugin metadata
+   */
+  static get metadata() {
+    return {
+      name: 'webhook',
+      displayName: 'Webhook',
+      version: '1.0.0',
+      author: 'SSH Notify Tool Project',
+      description: 'HTTP webhooks with payload mapping, HMAC signatures and response checks',
+      capabilities: ['text', 'json', 'signing'],
+      configSchema: {
+        type: 'object',
+        required: ['enabled'],
+        properties: {
+          enabled: { type: 'boolean' },
+          url: {
+            type: 'string',
+            description: 'Shorthand for a single endpoint named "default"'
+          },
+          endpoints: {
+            type: 'object',
+            description: 'Endpoints by name',
+            additionalProperties: {
+              type: 'object',
+              required: ['url'],
+              properties: {
+                url: { type: 'string', description: 'Endpoint URL template' },
+                method: { type: 'string', enum: METHODS, default: 'POST' },
+                headers: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  description: 'Header value templates'
+                },
+                body: {
+                  oneOf: [{ type: 'object' }, { type: 'array' }, { type: 'string' }],
+                  description: 'Body mapping or template (default: the notification fields)'
+                },
+                signing: {
+                  type: 'object',
+                  required: ['secret'],
+                  properties: {
+                    secret: { type: 'string', minLength: 16 },
+                    header: { type: 'string', default: 'X-Webhook-Signature' },
+                    algorithm: { type: 'string', enum: ALGORITHMS, default: 'sha256' },
+                    encoding: { type: 'string', enum: ['hex', 'base64'], default: 'hex' },
+                    prefix: { type: 'string', description: 'Signature prefix (default: "<algorithm>=")' },
+                    timestampHeader: { type: 'string', description: 'Send a timestamp and sign "<timestamp>.<body>"' }
+                  }
+                },
+                success: {
+                  type: 'object',
+                  properties: {
+                    status: {
+                      oneOf: [{ type: 'integer' }, { type: 'string' }, { type: 'array' }],
+                      default: '2xx'
+                    },
+                    match: {
+                      type: 'object',
+                      description: 'Expected response values by JSONPath'
+                    },
+                    contains: { type: 'string', description: 'Text the response body must contain' }
+                  }
+                },
+                levels: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['info', 'warning', 'error'] },
+                  description: 'Only send notifications of these levels'
+                },
+                timeout: { type: 'integer', minimum: 1000 }
+              }
+            }
+          },
+          retries: { type: 'integer', minimum: 1, maximum: 5, default: 3 },
+          timeout: { type: 'integer', minimum: 1000, default: 10000 }
+        }
+      }
+    };
+  }
+
+  constructor(config = {}) {
+    super(config);
+
+    // Default configuration
+    this.defaultConfig = {
+      enabled: false,
+      endpoints: {},
+      retries: 3,
+      timeout: 10000
+    };
+
+    // Merge with provided config
+    this.config = { ...this.defaultConfig, ...config };
+
+    // HTTP client
+    this.httpClient = axios.create({
+      timeout: this.config.timeout
+    });
+  }
+
+  /**
+   * Send the notification to every endpoint that accepts its level
+   * Succeeds when at least one endpoint accepted it; per-endpoint results
+   * are in the response metadata.
+   * @param {NotificationRequest} notification - Notification to send
+   * @returns {Promise<ChannelResponse>} Response indicating success/failure
+   */
+  async send(notification) {
+    try {
+      // Validate notification
+      this._validateNotification(notification);
+
+      // Check if webhooks are available
+      if (!await this.isAvailable()) {
+        return this._createResponse(false, 'Webhook notifications are not available');
+      }
+
+      const endpoints = this._getEndpoints(notification.level || 'info');
+      if (endpoints.length === 0) {
+        return this._createResponse(true, `No webhook endpoints accept ${notification.level || 'info'} notifications`, {
+          results: []
+        });
+      }
+
+      const results = [];
+
+      for (const [name, endpoint] of endpoints) {
+        try {
+          const request = this._signRequest(this._prepareRequest(name, endpoint, notification), endpoint.signing);
+          const result = await this._retryOperation(() => this._deliver(request, endpoint), this.config.retries, 1000);
+          results.push({ endpoint: name, ...result });
+        } catch (error) {
+          results.push({ endpoint: name, success: false, error: error.message });
+        }
+      }
+
+      const sent = results.filter(result => result.success).length;
+      if (sent === 0) {
+        throw new Error(results.map(result => `${result.endpoint}: ${result.error}`).join('; '));
+      }
+
+      return this._createResponse(true, `Webhook notification sent to ${sent}/${endpoints.length} endpoints`, {
+        results
+      });
+
+    } catch (error) {
+      return this._handleError(error, 'Webhook notification');
+    }
+  }
+
+  /**
+   * Build the requests send() would make, without sending them
+   * Environment values and signatures are masked.
+   * @param {NotificationRequest} notification - Notification to preview
+   * @returns {Promise<Object[]>} Endpoint name, method, url, headers and body per request
+   */
+  async preview(notification) {
+    this._validateNotification(notification);
+
+    return this._getEndpoints(notification.level || 'info').map(([name, endpoint]) => {
+      const request = this._prepareRequest(name, endpoint, notification, MASKED_ENV);
+
+      if (endpoint.signing) {
+        request.headers[endpoint.signing.header || 'X-Webhook-Signature'] = '***';
+        if (endpoint.signing.timestampHeader) {
+          request.headers[endpoint.signing.timestampHeader] = '***';
+        }
+      }
+
+      return {
+        endpoint: name,
+        method: request.method,
+        url: request.url,
+        headers: request.headers,
+        body: request.params || request.body
+      };
+    });
+  }
+
+  /**
+   * Validate plugin configuration
+   * @param {Object} config - Configuration to validate
+   * @returns {Promise<boolean>} True if configuration is valid
+   */
+  async validate(config) {
+    try {
+      this._validateConfig(config, this.constructor.metadata.configSchema);
+
+      const endpoints = Object.entries(this._collectEndpoints(config));
+      if (endpoints.length === 0) {
+        throw new Error('At least one endpoint is required');
+      }
+
+      for (const [name, endpoint] of endpoints) {
+        this._validateEndpoint(name, endpoint);
+      }
+
+      return true;
+    } catch (error) {
+      console.warn(`Webhook plugin configuration validation failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check if webhook notifications are available
+   * @returns {Promise<boolean>} True if available
+   */
+  async isAvailable() {
+    if (!this.config.enabled) {
+      return false;
+    }
+
+    return Object.values(this._collectEndpoints(this.config)).some(endpoint => endpoint && endpoint.url);
+  }
+
+  /**
+   * Health check for webhook notifications
+   * Endpoints are not called: a request may have side effects, and many
+   * webhooks reject HEAD and OPTIONS anyway.
+   * @returns {Promise<Object>} Health status
+   */
+  async healthCheck() {
+    const baseHealth = await super.healthCheck();
+
+    if (!baseHealth.healthy) {
+      return baseHealth;
+    }
+
+    const endpoints = Object.entries(this._collectEndpoints(this.config));
+    const invalid = endpoints.filter(([name, endpoint]) => {
+      try {
+        this._validateEndpoint(name, endpoint);
+        return false;
+      } catch {
+        return true;
+      }
+    });
+
+    if (invalid.length > 0) {
+      return {
+        healthy: false,
+        message: `Invalid webhook endpoints: ${invalid.map(([name]) => name).join(', ')}`
+      };
+    }
+
+    return {
+      healthy: true,
+      message: 'Webhook notifications available',
+      metadata: {
+        webhook: {
+          endpoints: endpoints.map(([name, endpoint]) => ({
+            name,
+            method: (endpoint.method || 'POST').toUpperCase(),
+            signed: Boolean(endpoint.signing)
+          }))
+        }
+      }
+    };
+  }
+
+  /**
+   * Endpoints by name, including the top-level `url` shorthand
+   * @private
+   * @param {Object} config - Plugin configuration
+   * @returns {Object<string, Object>} Endpoint definitions
+   */
+  _collectEndpoints(config) {
+    const endpoints = { ...(config.endpoints || {}) };
+
+    if (config.url) {
+      const { url, method, headers, body, signing, success, levels } = config;
+      endpoints.default = { url, method, headers, body, signing, success, levels };
+    }
+
+    return endpoints;
+  }
+
+  /**
+   * Endpoints that accept a notification level
+   * @private
+   * @param {string} level - Notification level
+   * @returns {Array<[string, Object]>} Endpoint name and definition pairs
+   */
+  _getEndpoints(level) {
+    return Object.entries(this._collectEndpoints(this.config))
+      .filter(([, endpoint]) => !endpoint.levels || endpoint.levels.includes(level));
+  }
+
+  /**
+   * Validate one endpoint definition
+   * @private
+   * @param {string} name - Endpoint name
+   * @param {Object} endpoint - Endpoint definition
+   * @throws {Error} Describing the first problem found
+   */
+  _validateEndpoint(name, endpoint) {
+    if (!/^[\w.-]+$/.test(name)) {
+      throw new Error(`Endpoint name ${name} may only contain letters, digits, ".", "_" and "-"`);
+    }
+
+    if (!endpoint || typeof endpoint.url !== 'string' || !/^https?:\/\//.test(endpoint.url)) {
+      throw new Error(`Endpoint ${name} needs an http(s) url`);
+    }
+
+    const method = (endpoint.method || 'POST').toUpperCase();
+    if (!METHODS.includes(method)) {
+      throw new Error(`Endpoint ${name} method must be one of ${METHODS.join(', ')}`);
+    }
+
+    try {
+      new Template(endpoint.url);
+      Object.entries(endpoint.headers || {}).forEach(([header, value]) => {
+        if (!HEADER_NAME.test(header)) {
+          throw new Error(`invalid header name ${header}`);
+        }
+        new Template(value);
+      });
+      this._mapBody(endpoint.body === undefined ? {} : endpoint.body, {});
+    } catch (error) {
+      throw new Error(`Endpoint ${name}: ${error.message}`);
+    }
+
+    if (endpoint.signing) {
+      const { algorithm = 'sha256', encoding = 'hex', header = 'X-Webhook-Signature', timestampHeader } = endpoint.signing;
+
+      if (this._renderSecret(endpoint.signing).length < 16) {
+        throw new Error(`Endpoint ${name} signing secret must be at least 16 characters`);
+      }
+      if (!ALGORITHMS.includes(algorithm)) {
+        throw new Error(`Endpoint ${name} signing algorithm must be one of ${ALGORITHMS.join(', ')}`);
+      }
+      if (!['hex', 'base64'].includes(encoding)) {
+        throw new Error(`Endpoint ${name} signing encoding must be hex or base64`);
+      }
+      if (!HEADER_NAME.test(header) || (timestampHeader !== undefined && !HEADER_NAME.test(timestampHeader))) {
+        throw new Error(`Endpoint ${name} has an invalid signing header name`);
+      }
+    }
+
+    const success = endpoint.success || {};
+    [].concat(success.status === undefined ? [] : success.status).forEach(status => {
+      if (!STATUS_PATTERN.test(String(status))) {
+        throw new Error(`Endpoint ${name} success status ${status} must be a status code or a pattern like 2xx`);
+      }
+    });
+    Object.keys(success.match || {}).forEach(path => new JsonPath(path));
+  }
+
+  /**
+   * Build the HTTP request for one endpoint
+   * @private
+   * @param {string} name - Endpoint name
+   * @param {Object} endpoint - Endpoint definition
+   * @param {NotificationRequest} notification - Notification request
+   * @param {Object} [env=process.env] - Environment for {{env.NAME}} in the url and headers
+   * @returns {{method: string, url: string, headers: Object, body?: string, params?: Object}} Request
+   */
+  _prepareRequest(name, endpoint, notification, env = process.env) {
+    const context = {
+      id: notification.id,
+      title: notification.title,
+      message: notification.message,
+      level: notification.level || 'info',
+      host: notification.host,
+      timestamp: new Date(notification.timestamp || Date.now()).toISOString(),
+      metadata: notification.metadata || {},
+      attachments: notification.attachments || [],
+      endpoint: name
+    };
+
+    const method = (endpoint.method || 'POST').toUpperCase();
+    const url = Template.render(endpoint.url, { ...context, env }, { escape: encodeURIComponent });
+
+    // Notification text may contain line breaks, which are not allowed in headers
+    const headers = {};
+    Object.entries(endpoint.headers || {}).forEach(([header, value]) => {
+      headers[header] = Template.render(value, { ...context, env }).replace(/[\r\n]+/g, ' ').trim();
+    });
+
+    const mapping = endpoint.body === undefined
+      ? { id: '$.id', title: '$.title', message: '$.message', level: '$.level', host: '$.host', timestamp: '$.timestamp', metadata: '$.metadata' }
+      : endpoint.body;
+
+    if (method === 'GET') {
+      const params = this._mapBody(mapping, context);
+      return { method, url, headers, params: typeof params === 'object' ? params : { body: params } };
+    }
+
+    const contentType = Object.keys(headers).find(header => header.toLowerCase() === 'content-type');
+
+    if (typeof mapping === 'string') {
+      const json = !contentType || /json/i.test(headers[contentType]);
+      const escape = json ? value => JSON.stringify(value).slice(1, -1) : undefined;
+      if (!contentType) {
+        headers['Content-Type'] = 'application/json';
+      }
+      return { method, url, headers, body: Template.render(mapping, context, { escape }) };
+    }
+
+    if (!contentType) {
+      headers['Content-Type'] = 'application/json';
+    }
+    return { method, url, headers, body: JSON.stringify(this._mapBody(mapping, context)) };
+  }
+
+  /**
+   * Resolve a body mapping against the notification
+   * Missing JSONPath values leave their key out of objects.
+   * @private
+   * @param {*} mapping - Mapping object, array, JSONPath, template or literal
+   * @param {Object} context - Notification fields
+   * @returns {*} Mapped value
+   * @throws {Error} If a JSONPath or template is invalid
+   */
+  _mapBody(mapping, context) {
+    if (Array.isArray(mapping)) {
+      return mapping.map(item => {
+        const value = this._mapBody(item, context);
+        return value === undefined ? null : value;
+      });
+    }
+
+    if (mapping !== null && typeof mapping === 'object') {
+      const body = {};
+      Object.entries(mapping).forEach(([key, item]) => {
+        const value = this._mapBody(item, context);
+        if (value !== undefined) {
+          body[key] = value;
+        }
+      });
+      return body;
+    }
+
+    if (JsonPath.isPath(mapping)) {
+      return JsonPath.get(context, mapping);
+    }
+
+    if (typeof mapping === 'string' && mapping.includes('{{')) {
+      return Template.render(mapping, context);
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Add signature headers to a request
+   * The HMAC covers the exact body sent, prefixed with "<timestamp>." when
+   * a timestamp header is configured, so receivers can reject replays.
+   * @private
+   * @param {Object} request - Prepared request
+   * @param {Object} [signing] - Endpoint signing options
+   * @returns {Object} The request
+   */
+  _signRequest(request, signing) {
+    if (!signing) {
+      return request;
+    }
+
+    const {
+      algorithm = 'sha256',
+      encoding = 'hex',
+      header = 'X-Webhook-Signature',
+      prefix = `${algorithm}=`,
+      timestampHeader
+    } = signing;
+
+    let payload = request.body || '';
+    if (timestampHeader) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      request.headers[timestampHeader] = timestamp;
+      payload = `${timestamp}.${payload}`;
+    }
+
+    const digest = crypto.createHmac(algorithm, this._renderSecret(signing)).update(payload).digest(encoding);
+    request.headers[header] = `${prefix}${digest}`;
+
+    return request;
+  }
+
+  /**
+   * Signing secret with {{env.NAME}} resolved
+   * @private
+   * @param {Object} signing - Endpoint signing options
+   * @returns {string} Secret
+   */
+  _renderSecret(signing) {
+    return Template.render(signing.secret || '', { env: process.env });
+  }
+
+  /**
+   * Send a request and apply the endpoint's success rules
+   * Network errors, 429 and 5xx responses throw so they are retried; other
+   * rejections are final.
+   * @private
+   * @param {Object} request - Prepared request
+   * @param {Object} endpoint - Endpoint definition
+   * @returns {Promise<{success: boolean, status: number, error?: string}>} Delivery result
+   */
+  async _deliver(request, endpoint) {
+    const response = await this.httpClient.request({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      data: request.body,
+      params: request.params,
+      timeout: endpoint.timeout || this.config.timeout,
+      responseType: 'text',
+      transformResponse: [data => data],
+      validateStatus: () => true
+    });
+
+    const { status } = response;
+    const error = this._checkResponse(status, response.data, endpoint.success || {});
+
+    if (error && (status === 429 || status >= 500)) {
+      throw new Error(error);
+    }
+
+    return error ? { success: false, status, error } : { success: true, status };
+  }
+
+  /**
+   * Check a response against success rules
+   * @private
+   * @param {number} status - HTTP status
+   * @param {string} text - Response body
+   * @param {Object} rules - Success rules: status, match and contains
+   * @returns {string|null} Why the response counts as a failure, or null
+   */
+  _checkResponse(status, text, rules) {
+    const statuses = [].concat(rules.status === undefined ? '2xx' : rules.status).map(String);
+    const statusMatches = statuses.some(pattern => (pattern.endsWith('xx')
+      ? String(status)[0] === pattern[0]
+      : String(status) === pattern));
+
+    if (!statusMatches) {
+      return `HTTP ${status}`;
+    }
+
+    const body = typeof text === 'string' ? text : '';
+
+    if (rules.contains !== undefined && !body.includes(rules.contains)) {
+      return `Response does not contain "${rules.contains}"`;
+    }
+
+    const expectations = Object.entries(rules.match || {});
+    if (expectations.length === 0) {
+      return null;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch {
+      return 'Response is not JSON';
+    }
+
+    for (const [path, expected] of expectations) {
+      const actual = JsonPath.get(data, path);
+      if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        return `Response ${path} is ${actual === undefined ? 'missing' : JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`;
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = WebhookPlugin;
@@ -3,6 +3,11 @@
  * Provides HTTP API for receiving and processing notification requests
  */
 
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -10,7 +15,25 @@ const rateLimit = require('express-rate-limit');
 const { AuthMiddleware } = require('../middleware/auth');
 const PluginManager = require('../plugins/PluginManager');
 const ChannelRouter = require('../services/ChannelRouter');
+const DeliveryQueue = require('../services/DeliveryQueue');
+const EventStream = require('../services/EventStream');
+const RoutingEngine = require('../services/RoutingEngine');
+const EscalationManager = require('../services/EscalationManager');
+const Deduplicator = require('../services/Deduplicator');
+const Scheduler = require('../services/Scheduler');
+const TemplateEngine = require('../services/TemplateEngine');
+const ApiKeyStore = require('../services/ApiKeyStore');
+const QuotaTracker = require('../services/QuotaTracker');
+const TunnelManager = require('../services/TunnelManager');
+const HistoryStore = require('../services/history/HistoryStore');
+const MemoryHistoryStore = require('../services/history/MemoryHistoryStore');
+const FileHistoryStore = require('../services/history/FileHistoryStore');
 const ConfigManager = require('../config/ConfigManager');
+const RequestSigner = require('../utils/request-signer');
+const { version } = require('../../package.json');
+
+/** How long the health check reuses tunnel state, in milliseconds */
+const TUNNEL_HEALTH_TTL = 10000;
 
 /**
  * Notification server for handling HTTP requests with plugin system integration
@@ -21,9 +44,13 @@ class NotificationServer {
       port: 3000,
       host: '0.0.0.0',
       cors: true,
+      ipRateLimit: {
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 1000 // limit each IP to 1000 requests per windowMs, before authentication
+      },
       rateLimit: {
         windowMs: 15 * 60 * 1000, // 15 minutes
-        max: 100 // limit each IP to 100 requests per windowMs
+        max: 100 // limit each API key, token or unauthenticated IP to 100 requests per windowMs
       },
       auth: {
         enabled: true
@@ -33,9 +60,25 @@ class NotificationServer {
 
     this.app = express();
     this.server = null;
+    this.protocol = 'http';
+    this.tls = {};
+    this.socketServer = null;
+    this.tunnelManager = new TunnelManager();
     this.configManager = new ConfigManager();
     this.pluginManager = new PluginManager();
     this.channelRouter = null;
+    this.deliveryQueue = null;
+    this.historyStore = null;
+    this.routingEngine = null;
+    this.deduplicator = null;
+    this.escalationManager = null;
+    this.scheduler = null;
+    this.templateEngine = null;
+    this.apiKeyStore = null;
+    this.quotaTracker = null;
+    this.eventStream = null;
+    this.eventConnections = new Set();
+    this.tunnelHealth = null;
     this.authMiddleware = new AuthMiddleware(this.options.auth);
     
     this._setupMiddleware();
@@ -57,25 +100,127 @@ class NotificationServer {
       await this.pluginManager.loadPlugins();
       console.log(`Loaded ${this.pluginManager.getPluginCount()} plugins`);
 
+      // Open persistent delivery queue
+      if (config.queue && config.queue.enabled) {
+        this.deliveryQueue = new DeliveryQueue(config.queue);
+        const pendingCount = await this.deliveryQueue.open();
+        console.log(`Delivery queue opened with ${pendingCount} pending deliveries`);
+      }
+
+      // Open delivery history store
+      this.historyStore = this._createHistoryStore(config.history || {});
+      await this.historyStore.open();
+
+      // Compile routing rules for notifications sent without channels
+      this.routingEngine = new RoutingEngine(config.routing || {});
+      console.log(`Loaded ${this.routingEngine.rules.length} routing rules`);
+
+      // Load named templates for notifications sent with a template
+      this.templateEngine = new TemplateEngine(config.templates || {});
+      console.log(`Loaded ${this.templateEngine.load()} notification templates`);
+
+      // Accept the shared server token and per-team API keys
+      this.apiKeyStore = new ApiKeyStore(config.apiKeys || [], async (keys) => {
+        config.apiKeys = keys;
+        await this.configManager.saveConfig();
+      });
+      this.authMiddleware.apiKeyStore = this.apiKeyStore;
+      this.authMiddleware.sharedToken = config.server && config.server.authToken;
+      if (config.server && config.server.signingSecret) {
+        this.authMiddleware.requestSigner = new RequestSigner(config.server.signingSecret, {
+          windowMs: config.server.signingWindowMs
+        });
+        this.authMiddleware.signingKeyId = config.server.signingKeyId || null;
+      }
+
+      // Command line TLS options override the server config
+      const tls = { ...(config.server && config.server.tls), ...this.options.tls };
+      if (tls.cert && tls.ca) {
+        this.authMiddleware.clientCertificates = {
+          identities: tls.identities || {},
+          allowUnmapped: tls.allowUnmappedCertificates === true
+        };
+      }
+      console.log(`Loaded ${this.apiKeyStore.list().length} API keys`);
+
+      // Load per-channel quota usage
+      this.quotaTracker = new QuotaTracker(config.quotas || {});
+      await this.quotaTracker.open();
+
+      // Suppress repeated notifications within the dedup window
+      if (config.dedup && config.dedup.enabled) {
+        this.deduplicator = new Deduplicator(config.dedup);
+      }
+
       // Initialize channel router
-      this.channelRouter = new ChannelRouter(this.pluginManager, config.routing);
+      this.channelRouter = new ChannelRouter(this.pluginManager, {
+        ...config.routing,
+        queue: this.deliveryQueue,
+        historyStore: this.historyStore,
+        routingEngine: this.routingEngine,
+        deduplicator: this.deduplicator,
+        templateEngine: this.templateEngine
+      });
+      
+      // Initialize escalation policies
+      this.escalationManager = new EscalationManager(this.channelRouter, config.escalation || {});
+      this.routingEngine.getEscalationPolicies().forEach(policy => {
+        if (!this.escalationManager.hasPolicy(policy)) {
+          throw new Error(`Routing rule references unknown escalation policy: ${policy}`);
+        }
+      });
+      const escalationCount = await this.escalationManager.open();
+      console.log(`Loaded ${escalationCount} pending escalations`);
+      
+      // Load notifications scheduled for later delivery
+      this.scheduler = new Scheduler(entry => this._dispatchScheduled(entry), config.scheduler || {});
+      const scheduledCount = await this.scheduler.open();
+      console.log(`Loaded ${scheduledCount} scheduled notifications`);
       
       // Setup channel router event listeners
       this._setupChannelRouterEvents();
+      this._setupEscalationEvents();
+      this.eventStream = new EventStream(this.channelRouter);
 
-      // Start HTTP server
-      this.server = this.app.listen(this.options.port, this.options.host, () => {
-        console.log(`Notification server running on http://${this.options.host}:${this.options.port}`);
+      // Start HTTP or HTTPS server
+      this.protocol = tls.cert ? 'https' : 'http';
+      this.tls = tls;
+      this.server = this._createListener(tls).listen(this.options.port, this.options.host, () => {
+        console.log(`Notification server running on ${this.protocol}://${this.options.host}:${this.options.port}`);
+        if (this.authMiddleware.clientCertificates) {
+          console.log(`Client certificates ${tls.requireClientCert ? 'required' : 'accepted'}, verified against ${tls.ca}`);
+        }
         console.log('Available endpoints:');
         console.log('  POST /api/notify - Send notification');
         console.log('  POST /api/notify/broadcast - Broadcast to all channels');
         console.log('  GET  /api/health - Server health check');
         console.log('  GET  /api/channels - List available channels');
         console.log('  GET  /api/channels/health - Channel health status');
+        console.log('  GET  /api/deliveries - Delivery history');
+        console.log('  GET  /api/deliveries/:id - Delivery status');
+        console.log('  POST /api/deliveries/:id/ack - Acknowledge escalation');
+        console.log('  GET  /api/scheduled - Scheduled notifications');
+        console.log('  GET  /api/scheduled/:id - Scheduled notification');
+        console.log('  DELETE /api/scheduled/:id - Cancel scheduled notification');
+        console.log('  GET  /api/templates - List notification templates');
+        console.log('  POST /api/templates/:name/preview - Preview a template per channel');
+        console.log('  GET  /api/events - Routing event stream (SSE)');
+        console.log('  GET  /api/keys - List API keys');
+        console.log('  POST /api/keys - Create API key');
+        console.log('  DELETE /api/keys/:id - Revoke API key');
         console.log('  GET  /api/stats - Delivery statistics');
         console.log('  GET  /api/plugins - List loaded plugins');
       });
 
+      // Also listen on a Unix socket, guarded by its file permissions
+      const socket = { ...(config.server && config.server.socket), ...this.options.socket };
+      if (socket.path) {
+        this.socketServer = await this._listenOnSocket(socket);
+      }
+
+      // Replay deliveries interrupted by a previous shutdown
+      this._replayPendingDeliveries();
+
       // Handle graceful shutdown
       this._setupGracefulShutdown();
 
@@ -85,12 +230,119 @@ class NotificationServer {
     }
   }
 
+  /**
+   * Create the HTTP listener, or an HTTPS one when a certificate is configured
+   * With a CA, client certificates are requested and verified against it;
+   * `requireClientCert` rejects connections without a valid one.
+   * @private
+   * @param {TlsConfig} tls - TLS settings
+   * @returns {http.Server|https.Server} Listener for the Express app
+   * @throws {Error} If the certificate is set without a key or a file cannot be read
+   */
+  _createListener(tls) {
+    if (!tls.cert) {
+      return http.createServer(this.app);
+    }
+
+    if (!tls.key) {
+      throw new Error('TLS key is required when a TLS certificate is configured');
+    }
+
+    const options = {
+      cert: fs.readFileSync(tls.cert),
+      key: fs.readFileSync(tls.key)
+    };
+
+    if (tls.ca) {
+      options.ca = fs.readFileSync(tls.ca);
+      options.requestCert = true;
+      options.rejectUnauthorized = tls.requireClientCert === true;
+    }
+
+    return https.createServer(options, this.app);
+  }
+
+  /**
+   * Listen on a Unix socket that only users with access to the socket file can connect to
+   * Connections on the socket are authenticated by those permissions rather than a token.
+   * @private
+   * @param {SocketConfig} socket - Socket settings
+   * @returns {Promise<http.Server>} Listener bound to the socket
+   * @throws {Error} If another server is using the socket or the path is not a socket
+   */
+  async _listenOnSocket(socket) {
+    const mode = parseInt(socket.mode || '0600', 8);
+    await this._removeStaleSocket(socket.path);
+
+    const listener = http.createServer(this.app);
+    listener.on('connection', (connection) => {
+      connection.unixSocket = true;
+    });
+
+    // Create the socket file without group or other access, then apply the configured mode
+    const umask = process.umask(0o177);
+    try {
+      await new Promise((resolve, reject) => {
+        listener.once('error', reject);
+        listener.listen(socket.path, resolve);
+      });
+    } finally {
+      process.umask(umask);
+    }
+    fs.chmodSync(socket.path, mode);
+
+    console.log(`Notification server listening on unix:${socket.path} (mode ${mode.toString(8).padStart(4, '0')})`);
+    return listener;
+  }
+
+  /**
+   * Remove a socket file left behind by a server that did not shut down cleanly
+   * @private
+   * @param {string} socketPath - Socket file path
+   * @returns {Promise<void>}
+   * @throws {Error} If the socket is still accepting connections or the path is not a socket
+   */
+  async _removeStaleSocket(socketPath) {
+    if (!fs.existsSync(socketPath)) {
+      return;
+    }
+
+    if (!fs.statSync(socketPath).isSocket()) {
+      throw new Error(`${socketPath} exists and is not a socket`);
+    }
+
+    const inUse = await new Promise((resolve) => {
+      const probe = net.connect(socketPath, () => {
+        probe.destroy();
+        resolve(true);
+      });
+      probe.on('error', () => resolve(false));
+    });
+
+    if (inUse) {
+      throw new Error(`Socket ${socketPath} is already in use by another server`);
+    }
+
+    fs.unlinkSync(socketPath);
+  }
+
   /**
    * Stop the notification server
    * @returns {Promise<void>}
    */
   async stop() {
     if (this.server) {
+      // Open event streams would otherwise keep the server from closing
+      for (const res of this.eventConnections) {
+        res.end();
+      }
+
+      // Closing the socket listener also removes the socket file
+      if (this.socketServer) {
+        this.socketServer.close();
+        this.socketServer = null;
+      }
+
       return new Promise((resolve, reject) => {
         this.server.close(async (error) => {
           if (error) {
@@ -98,9 +350,30 @@ class NotificationServer {
           } else {
             try {
               // Cleanup plugin manager
+              if (this.eventStream) {
+                this.eventStream.close();
+              }
+              if (this.scheduler) {
+                // Keep notifications deferred by quiet hours across the restart
+                await this._rescheduleDeferred();
+                this.scheduler.close();
+              }
+              if (this.escalationManager) {
+                this.escalationManager.close();
+              }
+              if (this.channelRouter) {
+                // Send buffered digests while plugins are still available
+                await this.channelRouter.flushDigests();
+              }
               if (this.pluginManager) {
                 await this.pluginManager.cleanup();
               }
+              if (this.deliveryQueue) {
+                await this.deliveryQueue.close();
+              }
+              if (this.historyStore) {
+                await this.historyStore.close();
+              }
               console.log('Notification server stopped');
               resolve();
             } catch (cleanupError) {
@@ -125,15 +398,18 @@ class NotificationServer {
       this.app.use(cors());
     }
 
-    // Rate limiting
-    if (this.options.rateLimit) {
-      const limiter = rateLimit(this.options.rateLimit);
-      this.app.use('/api/', limiter);
+    // Rate limiting by IP, so unauthenticated floods and token guessing stop before authentication
+    if (this.options.ipRateLimit) {
+      this.app.use('/api/', rateLimit(this.options.ipRateLimit));
     }
 
     // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
-    this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+    // Keep the raw body so signed requests can be verified byte for byte
+    const keepRawBody = (req, res, buffer) => {
+      req.rawBody = buffer;
+    };
+    this.app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
     // Request logging
     this.app.use((req, res, next) => {
@@ -143,28 +419,78 @@ class NotificationServer {
     });
   }
 
+  /**
+   * Get the state of tunnels supervised on this machine, such as reverse tunnels to remote hosts
+   * Health checks may be polled often, so the state files are read at most
+   * once per TUNNEL_HEALTH_TTL.
+   * @private
+   * @returns {Promise<Object[]>} Tunnel names, directions, statuses and restart counts
+   */
+  async _getTunnelHealth() {
+    if (this.tunnelHealth && Date.now() < this.tunnelHealth.expiresAt) {
+      return this.tunnelHealth.tunnels;
+    }
+
+    let tunnels = [];
+    try {
+      await this.tunnelManager.open();
+      tunnels = this.tunnelManager.list().map(tunnel => ({
+        name: tunnel.name,
+        reverse: tunnel.reverse,
+        status: tunnel.state.status,
+        restarts: tunnel.state.restarts
+      }));
+    } catch (error) {
+      console.warn(`Failed to read tunnel state: ${error.message}`);
+    }
+
+    this.tunnelHealth = { tunnels, expiresAt: Date.now() + TUNNEL_HEALTH_TTL };
+    return tunnels;
+  }
+
   /**
    * Setup API routes
    * @private
    */
   _setupRoutes() {
-    // Health check endpoint (no auth required)
-    this.app.get('/api/health', (req, res) => {
-      res.json({
+    // Health check endpoint (no auth required; tunnel details need authentication)
+    const identify = this.options.auth.enabled ? [this.authMiddleware.authenticateOptional] : [];
+    this.app.get('/api/health', ...identify, async (req, res) => {
+      const health = {
         status: 'healthy',
+        service: 'ssh-notify-tool',
         timestamp: new Date().toISOString(),
         uptime: process.uptime(),
-        version: process.env.npm_package_version || '1.0.0',
+        version,
         pluginsLoaded: this.pluginManager ? this.pluginManager.getPluginCount() : 0
-      });
+      };
+
+      if (req.authenticated || !this.options.auth.enabled) {
+        const tunnels = await this._getTunnelHealth();
+        if (tunnels.length > 0) {
+          health.tunnels = tunnels;
+        }
+      }
+
+      res.json(health);
     });
 
     // Apply authentication middleware to protected routes
     if (this.options.auth.enabled) {
       this.app.use('/api/notify', this.authMiddleware.authenticate);
       this.app.use('/api/channels', this.authMiddleware.authenticate);
+      this.app.use('/api/deliveries', this.authMiddleware.authenticate);
+      this.app.use('/api/scheduled', this.authMiddleware.authenticate);
+      this.app.use('/api/templates', this.authMiddleware.authenticate);
+      this.app.use('/api/events', this.authMiddleware.authenticate);
       this.app.use('/api/stats', this.authMiddleware.authenticate);
       this.app.use('/api/plugins', this.authMiddleware.authenticate);
+      this.app.use('/api/keys', this.authMiddleware.authenticate, this.authMiddleware.requireAdmin);
+    }
+
+    // Rate limiting per client, keyed by the identity authentication established
+    if (this.options.rateLimit) {
+      this.app.use('/api/', this.authMiddleware.rateLimit(this.options.rateLimit));
     }
 
     // Notification endpoints
@@ -175,6 +501,28 @@ class NotificationServer {
     this.app.get('/api/channels', this._handleGetChannels.bind(this));
     this.app.get('/api/channels/health', this._handleChannelHealth.bind(this));
 
+    // Delivery history endpoints
+    this.app.get('/api/deliveries', this._handleGetDeliveries.bind(this));
+    this.app.get('/api/deliveries/:id', this._handleGetDelivery.bind(this));
+    this.app.post('/api/deliveries/:id/ack', this._handleAcknowledge.bind(this));
+
+    // Scheduled notification endpoints
+    this.app.get('/api/scheduled', this._handleGetScheduled.bind(this));
+    this.app.get('/api/scheduled/:id', this._handleGetScheduledById.bind(this));
+    this.app.delete('/api/scheduled/:id', this._handleCancelScheduled.bind(this));
+
+    // Template endpoints
+    this.app.get('/api/templates', this._handleGetTemplates.bind(this));
+    this.app.post('/api/templates/:name/preview', this._handlePreviewTemplate.bind(this));
+
+    // Event stream endpoint
+    this.app.get('/api/events', this._handleEvents.bind(this));
+
+    // API key endpoints
+    this.app.get('/api/keys', this._handleGetApiKeys.bind(this));
+    this.app.post('/api/keys', this._handleCreateApiKey.bind(this));
+    this.app.delete('/api/keys/:id', this._handleRevokeApiKey.bind(this));
+
     // Statistics endpoints
     this.app.get('/api/stats', this._handleGetStats.bind(this));
 
@@ -192,6 +540,11 @@ class NotificationServer {
           health: '/api/health',
           notify: '/api/notify',
           broadcast: '/api/notify/broadcast',
+          deliveries: '/api/deliveries',
+          scheduled: '/api/scheduled',
+          templates: '/api/templates',
+          keys: '/api/keys',
+          events: '/api/events',
           channels: '/api/channels',
           stats: '/api/stats',
           plugins: '/api/plugins'
@@ -206,7 +559,8 @@ class NotificationServer {
    */
   async _handleNotify(req, res) {
     try {
-      const { notification, channels } = req.body;
+      const { channels, template } = req.body;
+      let { notification, escalation } = req.body;
 
       if (!notification) {
         return res.status(400).json({
@@ -215,18 +569,138 @@ class NotificationServer {
         });
       }
 
-      if (!channels || !Array.isArray(channels) || channels.length === 0) {
+      if (template) {
+        notification = { ...notification, template };
+      }
+
+      if (notification.template && !this.templateEngine.has(notification.template)) {
+        return res.status(400).json({
+          error: 'Unknown template',
+          message: `Template '${notification.template}' is not configured`
+        });
+      }
+
+      if (channels !== undefined && !Array.isArray(channels)) {
+        return res.status(400).json({
+          error: 'Invalid channels',
+          message: 'Channels must be an array'
+        });
+      }
+
+      const hasChannels = Array.isArray(channels) && channels.length > 0;
+      let targetChannels = hasChannels ? channels : [];
+
+      if (escalation && hasChannels) {
+        return res.status(400).json({
+          error: 'Conflicting options',
+          message: 'Specify either channels or an escalation policy, not both'
+        });
+      }
+
+      if (!escalation && !hasChannels) {
+        // Rules match on the rendered title and message
+        const resolution = this.routingEngine.resolve(
+          notification.template ? this.templateEngine.render(notification) : notification
+        );
+
+        targetChannels = resolution.channels;
+
+        if (resolution.escalation) {
+          escalation = resolution.escalation;
+        } else if (resolution.channels.length === 0) {
+          return res.status(400).json({
+            error: 'Missing channels',
+            message: 'No channels specified and no routing rule matched the notification'
+          });
+        }
+      }
+
+      if (escalation && !this.escalationManager.hasPolicy(escalation)) {
+        return res.status(400).json({
+          error: 'Unknown escalation policy',
+          message: `Escalation policy '${escalation}' is not configured`
+        });
+      }
+
+      if (escalation) {
+        targetChannels = this.escalationManager.getPolicy(escalation).tiers.flatMap(tier => tier.channels);
+      }
+
+      const denied = this.apiKeyStore.authorize(req.apiKey, notification.level, targetChannels);
+      if (denied) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: denied
+        });
+      }
+
+      let sendTime;
+      try {
+        sendTime = Scheduler.getSendTime(notification);
+      } catch (error) {
         return res.status(400).json({
-          error: 'Missing channels',
-          message: 'Request body must include channels array'
+          error: 'Invalid schedule',
+          message: error.message
+        });
+      }
+
+      // Later escalation tiers are only reached if nobody acknowledges, so only the first counts
+      const quotaChannels = escalation
+        ? this.escalationManager.getPolicy(escalation).tiers[0].channels
+        : targetChannels;
+      if (!this._checkQuota(req, res, quotaChannels)) {
+        return;
+      }
+
+      if (req.body.dryRun === true) {
+        return res.json(await this._dryRun(notification, channels, escalation, sendTime));
+      }
+
+      if (sendTime) {
+        this._spendQuota(req, res, quotaChannels);
+        const scheduled = await this.scheduler.schedule(notification, {
+          channels,
+          escalation: req.body.escalation,
+          sender: this.authMiddleware.getIdentity(req)
+        });
+        const statusUrl = `/api/scheduled/${scheduled.id}`;
+
+        return res.status(202).location(statusUrl).json({
+          status: 'scheduled',
+          scheduleId: scheduled.id,
+          sendAt: scheduled.sendAt,
+          statusUrl
         });
       }
 
-      const result = await this.channelRouter.route(notification, channels);
+      const asyncMode = req.body.async === true || this._prefersAsync(req);
+      const sender = this.authMiddleware.getIdentity(req);
+      const onAccept = () => this._spendQuota(req, res, quotaChannels);
+
+      if (escalation) {
+        const result = await this.escalationManager.start(notification, escalation, { async: asyncMode, sender, onAccept });
+
+        if (asyncMode) {
+          return this._sendAccepted(req, res, result);
+        }
+
+        return res.status(result.success ? 200 : 207).json(result);
+      }
+
+      if (asyncMode) {
+        const accepted = await this.channelRouter.routeAsync(notification, channels, { sender, onAccept });
+        return this._sendAccepted(req, res, accepted);
+      }
+
+      const result = await this.channelRouter.route(notification, channels, { sender, onAccept });
       
       res.status(result.success ? 200 : 207).json(result);
 
     } catch (error) {
+      if (error.quota) {
+        return this._sendQuotaExceeded(res, error.quota);
+      }
+
       console.error('Notification request failed:', error);
       res.status(500).json({
         error: 'Internal server error',
@@ -235,6 +709,128 @@ class NotificationServer {
     }
   }
 
+  /**
+   * Run a notification through the routing pipeline without sending it
+   * An escalation policy is previewed with its first tier's channels; later tiers
+   * are listed with their delays.
+   * @private
+   * @param {NotificationRequest} notification - Notification to preview
+   * @param {string[]} [channels] - Requested channels
+   * @param {string} [escalation] - Escalation policy name
+   * @param {Date|null} [sendTime] - Time a scheduled notification would be sent
+   * @returns {Promise<Object>} Dry-run result
+   */
+  async _dryRun(notification, channels, escalation, sendTime) {
+    const policy = escalation ? this.escalationManager.getPolicy(escalation) : null;
+    const result = await this.channelRouter.route(
+      notification,
+      policy ? policy.tiers[0].channels : channels,
+      { dryRun: true }
+    );
+
+    if (policy) {
+      result.escalation = { policy: escalation, tiers: policy.tiers };
+    }
+
+    if (sendTime) {
+      result.sendAt = sendTime.toISOString();
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a notification against the caller's channel quotas without counting it
+   * Sets X-Quota-Remaining for channels with a quota. Responds with 429 and
+   * Retry-After when a quota is exhausted.
+   * @private
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string[]} channels - Channels the notification would reach
+   * @returns {boolean} True if the request may proceed
+   */
+  _checkQuota(req, res, channels) {
+    const quota = this.quotaTracker.check(this.authMiddleware.getIdentity(req), channels);
+    this._setQuotaRemaining(res, quota);
+
+    if (!quota.allowed) {
+      this._sendQuotaExceeded(res, quota);
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Count a notification against the caller's channel quotas
+   * Called once a delivery is accepted or scheduled, so dry runs and suppressed
+   * duplicates are never counted.
+   * @private
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string[]} channels - Channels the notification reaches
+   * @throws {Error} With the quota result in `quota` if a quota was used up since the check
+   */
+  _spendQuota(req, res, channels) {
+    const quota = this.quotaTracker.consume(this.authMiddleware.getIdentity(req), channels);
+    this._setQuotaRemaining(res, quota);
+
+    if (!quota.allowed) {
+      const error = new Error(`Quota for ${quota.channel} is used up`);
+      error.quota = quota;
+      throw error;
+    }
+  }
+
+  /**
+   * Report remaining quota on the channels that have one
+   * @private
+   * @param {Object} res - Express response
+   * @param {Object} quota - QuotaTracker result
+   */
+  _setQuotaRemaining(res, quota) {
+    const remaining = QuotaTracker.formatRemaining(quota.remaining);
+    if (remaining) {
+      res.set('X-Quota-Remaining', remaining);
+    }
+  }
+
+  /**
+   * Send a 429 response for an exhausted quota
+   * @private
+   * @param {Object} res - Express response
+   * @param {Object} quota - QuotaTracker result
+   */
+  _sendQuotaExceeded(res, quota) {
+    res.set('Retry-After', String(quota.retryAfter));
+    res.status(429).json({
+      error: 'Quota exceeded',
+      message: `Quota for ${quota.channel} is used up, try again in ${quota.retryAfter} seconds`,
+      channel: quota.channel,
+      retryAfter: quota.retryAfter
+    });
+  }
+
+  /**
+   * Send a 202 response for an asynchronously accepted delivery
+   * @private
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} accepted - Accepted delivery
+   */
+  _sendAccepted(req, res, accepted) {
+    const statusUrl = `/api/deliveries/${accepted.deliveryId}`;
+
+    if (this._prefersAsync(req)) {
+      res.set('Preference-Applied', 'respond-async');
+    }
+
+    res.status(202).location(statusUrl).json({
+      ...accepted,
+      statusUrl
+    });
+  }
+
   /**
    * Handle broadcast requests
    * @private
@@ -250,11 +846,51 @@ class NotificationServer {
         });
       }
 
-      const result = await this.channelRouter.routeToAll(notification);
+      const options = { dryRun: req.body.dryRun === true, sender: this.authMiddleware.getIdentity(req) };
+      const denied = this.apiKeyStore.authorize(req.apiKey, notification.level, []);
+      if (denied) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: denied
+        });
+      }
+
+      let result;
+      if (req.apiKey && req.apiKey.channels) {
+        // Scoped keys broadcast only to the channels they may use
+        const available = await this.channelRouter.getAvailableChannels();
+        const allowed = available.filter(channel => req.apiKey.channels.includes(channel));
+
+        if (allowed.length === 0) {
+          return res.status(403).json({
+            error: 'Forbidden',
+            message: `API key ${req.apiKey.name} has no available channels`
+          });
+        }
+
+        if (!this._checkQuota(req, res, allowed)) {
+          return;
+        }
+
+        options.onAccept = () => this._spendQuota(req, res, allowed);
+        result = await this.channelRouter.route(notification, allowed, options);
+      } else {
+        const available = await this.channelRouter.getAvailableChannels();
+        if (!this._checkQuota(req, res, available)) {
+          return;
+        }
+
+        options.onAccept = () => this._spendQuota(req, res, available);
+        result = await this.channelRouter.route(notification, available, options);
+      }
       
       res.status(result.success ? 200 : 207).json(result);
 
     } catch (error) {
+      if (error.quota) {
+        return this._sendQuotaExceeded(res, error.quota);
+      }
+
       console.error('Broadcast request failed:', error);
       res.status(500).json({
         error: 'Internal server error',
@@ -264,39 +900,30 @@ class NotificationServer {
   }
 
   /**
-   * Handle get channels request
+   * Handle delivery history request
    * @private
    */
-  async _handleGetChannels(req, res) {
+  async _handleGetDeliveries(req, res) {
     try {
-      const channels = await this.channelRouter.getAvailableChannels();
-      
-      res.json({
-        channels,
-        count: channels.length
-      });
-
+      HistoryStore.normalizeQuery(req.query);
     } catch (error) {
-      console.error('Get channels request failed:', error);
-      res.status(500).json({
-        error: 'Internal server error',
+      return res.status(400).json({
+        error: 'Invalid query',
         message: error.message
       });
     }
-  }
 
-  /**
-   * Handle channel health request
-   * @private
-   */
-  async _handleChannelHealth(req, res) {
     try {
-      const healthStatus = await this.channelRouter.getChannelHealthStatus();
-      
-      res.json(healthStatus);
+      const page = await this.channelRouter.getDeliveryHistory({ ...req.query, scope: this._getKeyScope(req) });
+
+      res.json({
+        deliveries: page.deliveries,
+        count: page.deliveries.length,
+        nextCursor: page.nextCursor
+      });
 
     } catch (error) {
-      console.error('Channel health request failed:', error);
+      console.error('Get deliveries request failed:', error);
       res.status(500).json({
         error: 'Internal server error',
         message: error.message
@@ -305,17 +932,31 @@ class NotificationServer {
   }
 
   /**
-   * Handle get statistics request
+   * Handle get delivery status request
    * @private
    */
-  async _handleGetStats(req, res) {
+  async _handleGetDelivery(req, res) {
     try {
-      const stats = this.channelRouter.getDeliveryStats();
-      
-      res.json(stats);
+      const { id } = req.params;
+      const delivery = await this.channelRouter.getDelivery(id);
+
+      if (!delivery) {
+        return res.status(404).json({
+          error: 'Delivery not found',
+          message: `Delivery '${id}' is unknown or has expired from history`
+        });
+      }
+
+      if (!this._checkScope(req, res, this._getDeliveryLevel(delivery), delivery.channels, `delivery '${id}'`)) {
+        return;
+      }
+
+      const escalation = this.escalationManager.getEscalation(id);
+
+      res.json(escalation ? { ...delivery, escalation } : delivery);
 
     } catch (error) {
-      console.error('Get stats request failed:', error);
+      console.error('Get delivery request failed:', error);
       res.status(500).json({
         error: 'Internal server error',
         message: error.message
@@ -324,13 +965,540 @@ class NotificationServer {
   }
 
   /**
-   * Handle get plugins request
+   * Handle escalation acknowledgement request
    * @private
    */
-  async _handleGetPlugins(req, res) {
+  async _handleAcknowledge(req, res) {
     try {
-      const plugins = [];
-      const allPlugins = await this.pluginManager.getAllPlugins();
+      const { id } = req.params;
+      const { by, note } = req.body || {};
+      const current = this.escalationManager.getEscalation(id);
+
+      if (current) {
+        const policyChannels = this.escalationManager.getPolicy(current.policy).tiers.flatMap(tier => tier.channels);
+        if (!this._checkScope(req, res, current.level, policyChannels, `delivery '${id}'`)) {
+          return;
+        }
+      }
+
+      const escalation = this.escalationManager.acknowledge(id, {
+        by: by || req.ip,
+        note
+      });
+
+      if (!escalation) {
+        const delivery = await this.channelRouter.getDelivery(id);
+
+        if (delivery && !this._checkScope(req, res, this._getDeliveryLevel(delivery), delivery.channels, `delivery '${id}'`)) {
+          return;
+        }
+
+        return res.status(delivery ? 409 : 404).json({
+          error: delivery ? 'Not escalating' : 'Delivery not found',
+          message: delivery
+            ? `Delivery '${id}' was not sent with an escalation policy`
+            : `Delivery '${id}' is unknown or has expired from history`
+        });
+      }
+
+      res.json(escalation);
+
+    } catch (error) {
+      console.error('Acknowledge request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle scheduled notification list request
+   * @private
+   */
+  async _handleGetScheduled(req, res) {
+    try {
+      const scheduled = this.scheduler.list().filter(entry => this._isInScope(
+        req,
+        entry.notification.level,
+        this._getScheduledChannels(entry)
+      ));
+
+      res.json({
+        scheduled,
+        count: scheduled.length
+      });
+
+    } catch (error) {
+      console.error('Get scheduled request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle get scheduled notification request
+   * @private
+   */
+  async _handleGetScheduledById(req, res) {
+    try {
+      const { id } = req.params;
+      const scheduled = this.scheduler.get(id);
+
+      if (!scheduled) {
+        return res.status(404).json({
+          error: 'Scheduled notification not found',
+          message: `Scheduled notification '${id}' is unknown or has already been sent`
+        });
+      }
+
+      const channels = this._getScheduledChannels(scheduled);
+      if (!this._checkScope(req, res, scheduled.notification.level, channels, `scheduled notification '${id}'`)) {
+        return;
+      }
+
+      res.json(scheduled);
+
+    } catch (error) {
+      console.error('Get scheduled request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle scheduled notification cancel request
+   * @private
+   */
+  async _handleCancelScheduled(req, res) {
+    try {
+      const { id } = req.params;
+      const scheduled = this.scheduler.get(id);
+
+      if (scheduled) {
+        const channels = this._getScheduledChannels(scheduled);
+        if (!this._checkScope(req, res, scheduled.notification.level, channels, `scheduled notification '${id}'`)) {
+          return;
+        }
+      }
+
+      const cancelled = await this.scheduler.cancel(id);
+
+      if (!cancelled) {
+        return res.status(404).json({
+          error: 'Scheduled notification not found',
+          message: `Scheduled notification '${id}' is unknown or has already been sent`
+        });
+      }
+
+      res.json({ ...cancelled, status: 'cancelled' });
+
+    } catch (error) {
+      console.error('Cancel scheduled request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle template list request
+   * @private
+   */
+  async _handleGetTemplates(req, res) {
+    try {
+      const templates = this.templateEngine.getNames();
+
+      res.json({
+        templates,
+        count: templates.length
+      });
+
+    } catch (error) {
+      console.error('Get templates request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle template preview request
+   * @private
+   */
+  async _handlePreviewTemplate(req, res) {
+    try {
+      const { name } = req.params;
+      const { notification = {}, channels } = req.body || {};
+
+      if (!this.templateEngine.has(name)) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: `Template '${name}' is not configured`
+        });
+      }
+
+      if (channels !== undefined && !Array.isArray(channels)) {
+        return res.status(400).json({
+          error: 'Invalid channels',
+          message: 'Channels must be an array'
+        });
+      }
+
+      const previews = await this.channelRouter.previewNotification(
+        { level: 'info', ...notification, template: name },
+        channels || []
+      );
+
+      res.json({
+        template: name,
+        previews
+      });
+
+    } catch (error) {
+      console.error('Template preview request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle API key list request
+   * @private
+   */
+  async _handleGetApiKeys(req, res) {
+    try {
+      const keys = this.apiKeyStore.list();
+
+      res.json({
+        keys,
+        count: keys.length
+      });
+
+    } catch (error) {
+      console.error('Get API keys request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle API key creation request
+   * @private
+   */
+  async _handleCreateApiKey(req, res) {
+    try {
+      const { name, channels, levels, rateLimit } = req.body || {};
+
+      try {
+        ApiKeyStore.normalizeScopes({ channels, levels, rateLimit });
+      } catch (error) {
+        return res.status(400).json({
+          error: 'Invalid API key',
+          message: error.message
+        });
+      }
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({
+          error: 'Invalid API key',
+          message: 'API key name is required'
+        });
+      }
+
+      const created = await this.apiKeyStore.create({ name, channels, levels, rateLimit });
+
+      res.status(201).json(created);
+
+    } catch (error) {
+      console.error('Create API key request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle API key revocation request
+   * @private
+   */
+  async _handleRevokeApiKey(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!await this.apiKeyStore.revoke(id)) {
+        return res.status(404).json({
+          error: 'API key not found',
+          message: `API key '${id}' is unknown or already revoked`
+        });
+      }
+
+      res.json({ id, status: 'revoked' });
+
+    } catch (error) {
+      console.error('Revoke API key request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the channels and levels a scoped API key is limited to
+   * @private
+   * @param {Object} req - Express request
+   * @returns {{channels: string[]|null, levels: string[]|null}|null} Key scope, or null if unrestricted
+   */
+  _getKeyScope(req) {
+    const { apiKey } = req;
+    if (!apiKey || (!apiKey.channels && !apiKey.levels)) {
+      return null;
+    }
+
+    return { channels: apiKey.channels || null, levels: apiKey.levels || null };
+  }
+
+  /**
+   * Check whether the caller's API key could have sent a notification itself
+   * @private
+   * @param {Object} req - Express request
+   * @param {string} level - Notification level
+   * @param {string[]} [channels] - Channels the notification was or will be sent to
+   * @returns {boolean} True if the caller may see and act on the notification
+   */
+  _isInScope(req, level, channels) {
+    if (!req.apiKey) {
+      return true;
+    }
+
+    // Without known channels a scoped key cannot be shown to be allowed
+    if (!Array.isArray(channels)) {
+      return !req.apiKey.channels && !this.apiKeyStore.authorize(req.apiKey, level, []);
+    }
+
+    return !this.apiKeyStore.authorize(req.apiKey, level, channels);
+  }
+
+  /**
+   * Reject access to a notification outside the caller's API key scope
+   * Responds with 403 when access is denied.
+   * @private
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {string} level - Notification level
+   * @param {string[]} [channels] - Channels the notification was or will be sent to
+   * @param {string} description - What is being accessed, for the error message
+   * @returns {boolean} True if the request may proceed
+   */
+  _checkScope(req, res, level, channels, description) {
+    if (this._isInScope(req, level, channels)) {
+      return true;
+    }
+
+    res.status(403).json({
+      error: 'Forbidden',
+      message: `API key ${req.apiKey.name} may not access ${description}`
+    });
+    return false;
+  }
+
+  /**
+   * Get the level of a delivery from its history record or in-flight status
+   * @private
+   * @param {Object} delivery - Delivery status
+   * @returns {string} Notification level
+   */
+  _getDeliveryLevel(delivery) {
+    return delivery.level || (delivery.notification && delivery.notification.level) || 'info';
+  }
+
+  /**
+   * Get every channel a scheduled notification may reach when it is sent
+   * Entries without channels are resolved by routing rules as they would be when due.
+   * @private
+   * @param {ScheduledNotification} entry - Scheduled entry
+   * @returns {string[]|null} Channel names, or null if the template no longer renders
+   */
+  _getScheduledChannels(entry) {
+    let { channels, escalation } = entry;
+
+    if (!escalation && channels.length === 0) {
+      const { notification } = entry;
+      let resolution;
+      try {
+        resolution = this.routingEngine.resolve(
+          notification.template ? this.templateEngine.render(notification) : notification
+        );
+      } catch (error) {
+        return null;
+      }
+      channels = resolution.channels;
+      escalation = resolution.escalation;
+    }
+
+    if (escalation && this.escalationManager.hasPolicy(escalation)) {
+      return this.escalationManager.getPolicy(escalation).tiers.flatMap(tier => tier.channels);
+    }
+
+    return channels;
+  }
+
+  /**
+   * Send a scheduled notification that has fallen due
+   * @private
+   * @param {ScheduledNotification} entry - Scheduled entry
+   * @returns {Promise<Object>} Accepted delivery
+   */
+  async _dispatchScheduled(entry) {
+    const { notification, channels, escalation, sender } = entry;
+    const accepted = escalation
+      ? await this.escalationManager.start(notification, escalation, { async: true, sender })
+      : await this.channelRouter.routeAsync(notification, channels, { sender });
+
+    console.log(`Scheduled notification ${entry.id} sent as delivery ${accepted.deliveryId}`);
+    return accepted;
+  }
+
+  /**
+   * Move notifications deferred by quiet hours into the scheduler
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _rescheduleDeferred() {
+    for (const { channel, notification, deliveryId, sender, releaseAt } of this.channelRouter.drainDeferredNotifications()) {
+      try {
+        await this.scheduler.schedule({ ...notification, sendAt: releaseAt }, { channels: [channel], sender });
+        await this.channelRouter.releaseHeld(deliveryId, channel);
+      } catch (error) {
+        console.error(`Failed to keep deferred notification for ${channel}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Handle routing event stream request (Server-Sent Events)
+   * @private
+   */
+  _handleEvents(req, res) {
+    const parseList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+    const filters = {
+      channels: parseList(req.query.channel),
+      levels: parseList(req.query.level),
+      scope: this._getKeyScope(req)
+    };
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = this.eventStream.subscribe(filters, (event) => {
+      res.write(`id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify(event)}\n\n`);
+    });
+
+    // Comment lines keep proxies and SSH tunnels from closing idle connections
+    const heartbeat = setInterval(() => {
+      res.write(': heartbeat\n\n');
+    }, this.options.eventHeartbeatInterval || 15000);
+
+    this.eventConnections.add(res);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      this.eventConnections.delete(res);
+    });
+  }
+
+  /**
+   * Handle get channels request
+   * @private
+   */
+  async _handleGetChannels(req, res) {
+    try {
+      const channels = await this.channelRouter.getAvailableChannels();
+      
+      res.json({
+        channels,
+        count: channels.length
+      });
+
+    } catch (error) {
+      console.error('Get channels request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle channel health request
+   * @private
+   */
+  async _handleChannelHealth(req, res) {
+    try {
+      const healthStatus = await this.channelRouter.getChannelHealthStatus();
+      
+      res.json(healthStatus);
+
+    } catch (error) {
+      console.error('Channel health request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle get statistics request
+   * @private
+   */
+  async _handleGetStats(req, res) {
+    try {
+      const stats = this.channelRouter.getDeliveryStats();
+      
+      res.json({
+        ...stats,
+        pendingDigests: this.channelRouter.getPendingDigests(),
+        deferredNotifications: this.channelRouter.getDeferredNotifications(),
+        quotas: this.quotaTracker.getUsage(this.authMiddleware.getIdentity(req))
+      });
+
+    } catch (error) {
+      console.error('Get stats request failed:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Handle get plugins request
+   * @private
+   */
+  async _handleGetPlugins(req, res) {
+    try {
+      const plugins = [];
+      const allPlugins = await this.pluginManager.getAllPlugins();
       
       for (const [name, plugin] of allPlugins) {
         const metadata = plugin.constructor.metadata;
@@ -393,6 +1561,21 @@ class NotificationServer {
     }
   }
 
+  /**
+   * Check whether the client asked for asynchronous processing
+   * @private
+   * @param {Object} req - Express request object
+   * @returns {boolean} True if the Prefer header contains respond-async
+   */
+  _prefersAsync(req) {
+    const prefer = req.get('Prefer');
+    if (!prefer) {
+      return false;
+    }
+
+    return prefer.split(',').some(pref => pref.trim().toLowerCase() === 'respond-async');
+  }
+
   /**
    * Setup error handling middleware
    * @private
@@ -441,11 +1624,109 @@ class NotificationServer {
       console.error(`Routing failed: ${result.deliveryId} - ${result.message}`);
     });
 
+    this.channelRouter.on('routingSuppressed', (data) => {
+      console.log(`Duplicate suppressed: ${data.deliveryId} (${data.suppressedCount} since ${data.since})`);
+    });
+
+    this.channelRouter.on('channelsResolved', (data) => {
+      const rules = data.matchedRules.length > 0 ? data.matchedRules.join(', ') : 'default channels';
+      console.log(`Resolved channels ${data.channels.join(', ')} from ${rules}`);
+    });
+
+    this.channelRouter.on('deliveryReplayed', (data) => {
+      console.log(`Replaying delivery: ${data.deliveryId} accepted at ${data.acceptedAt}`);
+    });
+
+    this.channelRouter.on('digestDelivered', (data) => {
+      const status = data.result.success ? 'delivered' : `failed - ${data.result.message}`;
+      console.log(`Digest ${data.deliveryId} of ${data.count} notifications to ${data.channel} ${status}`);
+    });
+
+    this.channelRouter.on('channelDeliveryQuieted', (data) => {
+      console.log(`Quiet hours: ${data.deliveryId} to ${data.result.channel} ${data.result.quietHours}`);
+    });
+
+    this.channelRouter.on('deferredDelivered', (data) => {
+      const status = data.result.success ? 'delivered' : `failed - ${data.result.message}`;
+      console.log(`Deferred notification ${data.originalDeliveryId} to ${data.channel} ${status} as ${data.deliveryId}`);
+    });
+
     this.channelRouter.on('channelDeliveryFailed', (data) => {
       console.warn(`Channel delivery failed: ${data.deliveryId} to ${data.result.channel} - ${data.result.message}`);
     });
   }
 
+  /**
+   * Setup escalation manager event listeners
+   * @private
+   */
+  _setupEscalationEvents() {
+    this.escalationManager.on('escalationStarted', (escalation) => {
+      console.log(`Escalation started: ${escalation.id} with policy ${escalation.policy}`);
+    });
+
+    this.escalationManager.on('escalationAdvanced', (escalation) => {
+      console.warn(`Escalation ${escalation.id} not acknowledged, escalated to tier ${escalation.tier}/${escalation.tiers}`);
+    });
+
+    this.escalationManager.on('escalationAcknowledged', (escalation) => {
+      console.log(`Escalation acknowledged: ${escalation.id} by ${escalation.acknowledgedBy || 'unknown'}`);
+    });
+
+    this.escalationManager.on('escalationExhausted', (escalation) => {
+      console.warn(`Escalation exhausted: ${escalation.id} reached the last tier without acknowledgement`);
+    });
+
+    this.escalationManager.on('escalationFailed', (escalation) => {
+      console.error(`Escalation failed: ${escalation.id} could not deliver tier ${escalation.tier + 1}: ${escalation.lastError}`);
+    });
+  }
+
+  /**
+   * Create the configured delivery history store
+   * @private
+   * @param {HistoryConfig} historyConfig - History configuration
+   * @returns {HistoryStore} History store instance
+   */
+  _createHistoryStore(historyConfig) {
+    const { store = 'memory', ...options } = historyConfig;
+
+    switch (store) {
+      case 'memory':
+        return new MemoryHistoryStore(options);
+      case 'file':
+        return new FileHistoryStore(options);
+      default: {
+        // Custom stores are loaded from a module path exporting a HistoryStore subclass
+        const StoreClass = require(path.resolve(store));
+        if (!(StoreClass.prototype instanceof HistoryStore)) {
+          throw new Error(`History store ${store} must extend HistoryStore`);
+        }
+        return new StoreClass(options);
+      }
+    }
+  }
+
+  /**
+   * Replay pending deliveries from the persistent queue in the background
+   * @private
+   */
+  _replayPendingDeliveries() {
+    if (!this.deliveryQueue || this.deliveryQueue.size() === 0) {
+      return;
+    }
+
+    console.log(`Replaying ${this.deliveryQueue.size()} pending deliveries`);
+
+    this.channelRouter.replayPending()
+      .then(results => {
+        console.log(`Replayed ${results.length} pending deliveries`);
+      })
+      .catch(error => {
+        console.error('Failed to replay pending deliveries:', error.message);
+      });
+  }
+
   /**
    * Setup graceful shutdown handling
    * @private
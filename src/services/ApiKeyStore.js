@@ -0,0 +1,225 @@
+/**
+ * @fileoverview Server-managed API keys scoped to channels, levels and a rate limit
+ * Lets several teams share one server without reaching each other's channels
+ */
+
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'nk_';
+const LEVELS = ['info', 'warning', 'error'];
+
+/**
+ * Registry of API keys persisted in the server configuration
+ *
+ * Only a SHA-256 hash of each key's secret is stored; the full key is returned
+ * once, when it is created. A key is `nk_<id>_<secret>`, so it can be looked up
+ * by ID and compared in constant time. Keys without `channels` or `levels` may
+ * use every channel or level. A key's `rateLimit` replaces the server's default
+ * request limit for that key.
+ */
+class ApiKeyStore {
+  /**
+   * Create an API key store
+   * @param {ApiKeyConfig[]} [keys] - Stored keys from configuration
+   * @param {Function} [saveHandler] - Called with the stored keys after every change
+   * @throws {Error} If a stored key is invalid
+   */
+  constructor(keys = [], saveHandler = null) {
+    this.saveHandler = saveHandler;
+
+    /** @type {Map<string, ApiKeyConfig>} Stored keys by ID */
+    this.keys = new Map();
+
+    for (const key of keys) {
+      if (!key || typeof key.id !== 'string' || typeof key.hash !== 'string') {
+        throw new Error('Stored API keys must have an id and hash');
+      }
+      this.keys.set(key.id, { ...key, ...ApiKeyStore.normalizeScopes(key) });
+    }
+  }
+
+  /**
+   * Check whether a token looks like a managed API key
+   * @param {string} token - Bearer token
+   * @returns {boolean} True if the token has the API key prefix
+   */
+  static isApiKey(token) {
+    return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Validate and normalize a key's scopes
+   * @param {Object} options - Key options
+   * @param {string[]} [options.channels] - Allowed channels, default all
+   * @param {string[]} [options.levels] - Allowed levels, default all
+   * @param {{max: number, windowMs: number}} [options.rateLimit] - Request limit, default none
+   * @returns {{channels: string[]|null, levels: string[]|null, rateLimit: Object|null}} Normalized scopes
+   * @throws {Error} If a scope is invalid
+   */
+  static normalizeScopes(options = {}) {
+    const { channels, levels, rateLimit } = options;
+
+    if (channels !== undefined && channels !== null &&
+        (!Array.isArray(channels) || channels.length === 0 || !channels.every(c => typeof c === 'string' && c))) {
+      throw new Error('API key channels must be a non-empty array of channel names');
+    }
+
+    if (levels !== undefined && levels !== null &&
+        (!Array.isArray(levels) || levels.length === 0 || !levels.every(level => LEVELS.includes(level)))) {
+      throw new Error(`API key levels must be a non-empty array of: ${LEVELS.join(', ')}`);
+    }
+
+    if (rateLimit !== undefined && rateLimit !== null) {
+      const max = Number(rateLimit.max);
+      const windowMs = Number(rateLimit.windowMs || 60000);
+      if (!Number.isInteger(max) || max <= 0 || !Number.isFinite(windowMs) || windowMs <= 0) {
+        throw new Error('API key rateLimit must set a positive max and windowMs');
+      }
+      return { channels: channels || null, levels: levels || null, rateLimit: { max, windowMs } };
+    }
+
+    return { channels: channels || null, levels: levels || null, rateLimit: null };
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - Key options
+   * @param {string} options.name - Name of the team or service using the key
+   * @param {string[]} [options.channels] - Allowed channels, default all
+   * @param {string[]} [options.levels] - Allowed levels, default all
+   * @param {{max: number, windowMs: number}} [options.rateLimit] - Request limit, default none
+   * @returns {Promise<Object>} Key details, including the full `key` which is not stored
+   * @throws {Error} If the options are invalid
+   */
+  async create(options = {}) {
+    if (!options.name || typeof options.name !== 'string') {
+      throw new Error('API key name is required');
+    }
+
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    const key = `${KEY_PREFIX}${id}_${secret}`;
+
+    const record = {
+      id,
+      name: options.name,
+      ...ApiKeyStore.normalizeScopes(options),
+      hash: ApiKeyStore._hash(secret),
+      createdAt: new Date().toISOString()
+    };
+
+    this.keys.set(id, record);
+    await this._save();
+
+    return { ...this._toPublic(record), key };
+  }
+
+  /**
+   * List keys without their hashes
+   * @returns {Object[]} Key details
+   */
+  list() {
+    return Array.from(this.keys.values()).map(record => this._toPublic(record));
+  }
+
+  /**
+   * Get a key by ID
+   * @param {string} id - Key ID
+   * @returns {Object|null} Key details, or null if unknown
+   */
+  get(id) {
+    const record = this.keys.get(id);
+    return record ? this._toPublic(record) : null;
+  }
+
+  /**
+   * Revoke a key
+   * @param {string} id - Key ID
+   * @returns {Promise<boolean>} True if the key existed
+   */
+  async revoke(id) {
+    if (!this.keys.delete(id)) {
+      return false;
+    }
+
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Look up the key a token belongs to
+   * @param {string} token - Full API key
+   * @returns {Object|null} Key details, or null if the key is unknown or revoked
+   */
+  authenticate(token) {
+    const match = ApiKeyStore.isApiKey(token) && /^nk_([0-9a-f]+)_(.+)$/.exec(token);
+    const record = match && this.keys.get(match[1]);
+
+    if (!record) {
+      return null;
+    }
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(ApiKeyStore._hash(match[2]), 'hex');
+
+    return crypto.timingSafeEqual(expected, actual) ? this._toPublic(record) : null;
+  }
+
+  /**
+   * Check a notification against a key's scopes
+   * @param {Object|null} apiKey - Key details, or null for the shared token
+   * @param {string} [level] - Notification level
+   * @param {string[]} channels - Channels the notification would reach
+   * @returns {string|null} Reason the key may not send it, or null if allowed
+   */
+  authorize(apiKey, level, channels) {
+    if (!apiKey) {
+      return null;
+    }
+
+    if (apiKey.levels && !apiKey.levels.includes(level || 'info')) {
+      return `API key ${apiKey.name} may not send ${level || 'info'} notifications`;
+    }
+
+    const denied = apiKey.channels ? channels.filter(channel => !apiKey.channels.includes(channel)) : [];
+    if (denied.length > 0) {
+      return `API key ${apiKey.name} may not send to: ${denied.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Persist keys through the save handler
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _save() {
+    if (this.saveHandler) {
+      await this.saveHandler(Array.from(this.keys.values()));
+    }
+  }
+
+  /**
+   * Strip the hash from a stored key
+   * @private
+   * @param {ApiKeyConfig} record - Stored key
+   * @returns {Object} Key details
+   */
+  _toPublic(record) {
+    const { hash, ...details } = record;
+    return details;
+  }
+
+  /**
+   * Hash a key secret
+   * @private
+   * @param {string} secret - Key secret
+   * @returns {string} Hex SHA-256 digest
+   */
+  static _hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
+
+module.exports = ApiKeyStore;
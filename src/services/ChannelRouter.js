@@ -4,6 +4,8 @@
  */
 
 const EventEmitter = require('events');
+const DigestBuffer = require('./DigestBuffer');
+const QuietHours = require('./QuietHours');
 
 /**
  * Channel router for dispatching notifications to multiple channels
@@ -26,74 +28,250 @@ class ChannelRouter extends EventEmitter {
     this.activeDeliveries = new Map();
     this.deliveryHistory = [];
     this.maxHistorySize = options.maxHistorySize || 100;
+    
+    // Optional persistent queue for crash-safe replay
+    this.queue = options.queue || null;
+    
+    // Optional store for queryable delivery history
+    this.historyStore = options.historyStore || null;
+    
+    // Optional rule engine for notifications sent without channels
+    this.routingEngine = options.routingEngine || null;
+    
+    // Optional duplicate suppression in front of acceptance
+    this.deduplicator = options.deduplicator || null;
+    
+    // Optional named templates for notifications sent with a template
+    this.templateEngine = options.templateEngine || null;
+    
+    // Per-channel digests for plugins configured with digest mode
+    this.digestBuffer = new DigestBuffer((channel, plugin, digest, items) =>
+      this._deliverDigest(channel, plugin, digest, items)
+    );
+    
+    // Notifications held for plugins configured with quiet hours
+    this.quietHours = new QuietHours((channel, plugin, notification, deliveryId, sender) =>
+      this._deliverDeferred(channel, plugin, notification, deliveryId, sender)
+    );
   }
 
   /**
    * Route notification to specified channels
    * @param {NotificationRequest} notification - Notification to send
-   * @param {string[]} channels - Channel names to route to
-   * @returns {Promise<RoutingResult>} Routing results with per-channel status
+   * @param {string[]} [channels] - Channel names to route to (resolved from routing rules if empty)
+   * @param {Object} [options] - Routing options
+   * @param {boolean} [options.dedup=true] - Apply duplicate suppression
+   * @param {string} [options.sender] - API key ID or identity of the caller, scoping duplicate suppression
+   * @param {string} [options.escalation] - Escalation policy the delivery starts, scoping duplicate suppression
+   * @param {Function} [options.onAccept] - Called with the delivery ID once the notification passes duplicate
+   *   suppression, before it is recorded; throwing rejects the delivery
+   * @param {boolean} [options.dryRun=false] - Prepare each channel's payload without sending or recording anything
+   * @returns {Promise<RoutingResult>} Routing results with per-channel status,
+   *   a suppression result if the notification duplicates a recent one,
+   *   or a dry-run result with the payload each channel would send
    */
-  async route(notification, channels = []) {
-    if (!notification) {
-      throw new Error('Notification is required');
+  async route(notification, channels = [], options = {}) {
+    if (options.dryRun) {
+      return await this._dryRun(notification, channels);
     }
 
-    if (!Array.isArray(channels) || channels.length === 0) {
-      throw new Error('At least one channel must be specified');
+    notification = this._applyTemplate(notification);
+    const resolvedChannels = this._resolveChannels(notification, channels);
+    const accepted = await this._acceptDelivery(notification, resolvedChannels, options);
+
+    if (accepted.duplicate) {
+      return this._createSuppressedResult(accepted, resolvedChannels);
     }
 
-    const deliveryId = this._generateDeliveryId();
-    const startTime = Date.now();
-    
-    this.emit('routingStarted', { deliveryId, notification, channels });
+    return await this._dispatch(accepted.deliveryId, accepted.notification, resolvedChannels, options.sender);
+  }
 
-    try {
-      // Validate channels and get available plugins
-      const availablePlugins = await this._getAvailablePlugins(channels);
-      
-      if (availablePlugins.length === 0) {
-        throw new Error('No available plugins for specified channels');
+  /**
+   * Accept a notification and route it in the background
+   * @param {NotificationRequest} notification - Notification to send
+   * @param {string[]} [requestedChannels] - Channel names to route to (resolved from routing rules if empty)
+   * @param {Object} [options] - Routing options
+   * @param {boolean} [options.dedup=true] - Apply duplicate suppression
+   * @param {string} [options.sender] - API key ID or identity of the caller, scoping duplicate suppression
+   * @param {string} [options.escalation] - Escalation policy the delivery starts, scoping duplicate suppression
+   * @param {Function} [options.onAccept] - Called with the delivery ID once the notification passes duplicate
+   *   suppression, before it is recorded; throwing rejects the delivery
+   * @returns {Promise<{deliveryId: string, status: string, channels: string[]}>} Accepted delivery,
+   *   or a suppression result if the notification duplicates a recent one
+   */
+  async routeAsync(notification, requestedChannels = [], options = {}) {
+    notification = this._applyTemplate(notification);
+    const channels = this._resolveChannels(notification, requestedChannels);
+    const accepted = await this._acceptDelivery(notification, channels, options);
+
+    if (accepted.duplicate) {
+      return {
+        ...this._createSuppressedResult(accepted, channels),
+        status: 'suppressed'
+      };
+    }
+
+    const { deliveryId } = accepted;
+
+    this._trackDelivery(deliveryId, {
+      notification: accepted.notification,
+      channels,
+      sender: options.sender,
+      startTime: Date.now(),
+      status: 'accepted'
+    });
+
+    // Failures are recorded in delivery history by _dispatch
+    this._dispatch(deliveryId, accepted.notification, channels, options.sender).catch(() => {});
+
+    return {
+      deliveryId,
+      status: 'accepted',
+      channels
+    };
+  }
+
+  /**
+   * Get status of a single delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<Object|null>} Delivery status, or null if unknown
+   */
+  async getDelivery(deliveryId) {
+    const active = this.activeDeliveries.get(deliveryId);
+    if (active) {
+      return {
+        deliveryId,
+        status: active.status,
+        level: active.notification.level || 'info',
+        channels: active.channels,
+        startedAt: new Date(active.startTime).toISOString()
+      };
+    }
+
+    // The stored record carries the notification and channels, the in-memory result does not
+    const record = this.historyStore ? await this.historyStore.get(deliveryId) : null;
+    if (record) {
+      return record;
+    }
+
+    const result = this.deliveryHistory.find(d => d.deliveryId === deliveryId);
+    if (result) {
+      return {
+        ...result,
+        status: this._getDeliveryStatus(result)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Query delivery history
+   * @param {HistoryQuery} [filters] - Query filters
+   * @returns {Promise<{deliveries: DeliveryRecord[], nextCursor: string|null}>} Matching page of records
+   */
+  async getDeliveryHistory(filters = {}) {
+    if (!this.historyStore) {
+      throw new Error('Delivery history store is not configured');
+    }
+
+    return await this.historyStore.query(filters);
+  }
+
+  /**
+   * Replay deliveries left pending in the queue by a previous run
+   * @returns {Promise<RoutingResult[]>} Results of replayed deliveries
+   */
+  async replayPending() {
+    if (!this.queue) {
+      return [];
+    }
+
+    const results = [];
+
+    for (const entry of this.queue.getPending()) {
+      if (!await this.queue.recordReplay(entry.id)) {
+        continue;
       }
 
-      // Track delivery
-      this._trackDelivery(deliveryId, {
-        notification,
-        channels,
-        availablePlugins: availablePlugins.map(p => p.name),
-        startTime,
-        status: 'in_progress'
+      this.emit('deliveryReplayed', {
+        deliveryId: entry.id,
+        notification: entry.notification,
+        channels: entry.channels,
+        acceptedAt: entry.acceptedAt
       });
 
-      // Route to available plugins in parallel
-      const results = await this._routeToPlugins(notification, availablePlugins, deliveryId);
-      
-      // Calculate overall results
-      const routingResult = this._calculateRoutingResult(deliveryId, results, startTime);
-      
-      // Update tracking
-      this._updateDeliveryTracking(deliveryId, routingResult);
-      
-      this.emit('routingCompleted', routingResult);
-      
-      return routingResult;
-      
+      try {
+        results.push(await this._dispatch(entry.id, entry.notification, entry.channels, entry.sender));
+      } catch (error) {
+        results.push(this._createErrorResult(entry.id, error, Date.now()));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Send all pending digests now, e.g. before shutdown
+   * @returns {Promise<RoutingResult[]>} Digest routing results
+   */
+  async flushDigests() {
+    return await this.digestBuffer.flushAll();
+  }
+
+  /**
+   * Get digests waiting to be sent
+   * @returns {Object[]} Channel, item count and scheduled send time per pending digest
+   */
+  getPendingDigests() {
+    return this.digestBuffer.getPending();
+  }
+
+  /**
+   * Get notifications held until a channel's quiet hours end
+   * @returns {Object[]} Channel, count and release time per channel
+   */
+  getDeferredNotifications() {
+    return this.quietHours.getDeferred();
+  }
+
+  /**
+   * Remove all notifications held for quiet hours without sending them,
+   * so they can be rescheduled elsewhere before shutdown
+   * Each stays in the delivery queue until releaseHeld() is called for it.
+   * @returns {Object[]} Channel, notification, delivery ID, sender and release time per held notification
+   */
+  drainDeferredNotifications() {
+    return this.quietHours.drain();
+  }
+
+  /**
+   * Mark a notification held for a channel as handled, so it is not replayed
+   * @param {string} deliveryId - Delivery ID the notification was held under
+   * @param {string} channel - Channel that held it
+   * @returns {Promise<void>}
+   */
+  async releaseHeld(deliveryId, channel) {
+    if (!this.queue) {
+      return;
+    }
+
+    try {
+      await this.queue.release(deliveryId, channel);
     } catch (error) {
-      const errorResult = this._createErrorResult(deliveryId, error, startTime);
-      this._updateDeliveryTracking(deliveryId, errorResult);
-      this.emit('routingFailed', errorResult);
-      throw error;
+      console.warn(`Failed to release delivery ${deliveryId} for ${channel} from queue: ${error.message}`);
     }
   }
 
   /**
    * Route to all available channels
    * @param {NotificationRequest} notification - Notification to send
+   * @param {Object} [options] - Routing options, see route()
    * @returns {Promise<RoutingResult>} Routing results
    */
-  async routeToAll(notification) {
+  async routeToAll(notification, options = {}) {
     const availableChannels = await this.getAvailableChannels();
-    return await this.route(notification, availableChannels);
+    return await this.route(notification, availableChannels, options);
   }
 
   /**
@@ -142,6 +320,40 @@ class ChannelRouter extends EventEmitter {
     return healthStatus;
   }
 
+  /**
+   * Render a notification for each channel and build the payloads plugins would send,
+   * without sending anything
+   * @param {NotificationRequest} notification - Notification to preview
+   * @param {string[]} [channels] - Channels to preview (default: all loaded plugins)
+   * @returns {Promise<Object[]>} Per channel: rendered title and message and the plugin payload, or an error
+   */
+  async previewNotification(notification, channels = []) {
+    const rendered = this._applyTemplate(notification);
+    const plugins = channels.length > 0
+      ? await Promise.all(channels.map(async name => [name, await this.pluginManager.getPlugin(name)]))
+      : Array.from((await this.pluginManager.getAllPlugins()).entries());
+
+    return await Promise.all(plugins.map(async ([channel, plugin]) => {
+      if (!plugin) {
+        return { channel, success: false, error: `Plugin ${channel} is not loaded` };
+      }
+
+      try {
+        const channelNotification = this._renderForChannel(rendered, channel);
+
+        return {
+          channel,
+          success: true,
+          title: channelNotification.title,
+          message: channelNotification.message,
+          payload: await plugin.preview(channelNotification)
+        };
+      } catch (error) {
+        return { channel, success: false, error: error.message };
+      }
+    }));
+  }
+
   /**
    * Get delivery statistics
    * @returns {Object} Delivery statistics
@@ -204,6 +416,295 @@ class ChannelRouter extends EventEmitter {
     };
   }
 
+  /**
+   * Resolve channels from routing rules when none were requested
+   * @private
+   * @param {NotificationRequest} notification - Notification to send
+   * @param {string[]} channels - Requested channel names
+   * @returns {string[]} Channel names to route to
+   */
+  _resolveChannels(notification, channels) {
+    if (Array.isArray(channels) && channels.length > 0) {
+      return channels;
+    }
+
+    if (!notification || !this.routingEngine) {
+      return channels;
+    }
+
+    const resolution = this.routingEngine.resolve(notification);
+
+    if (resolution.channels.length === 0) {
+      throw new Error('No channels specified and no routing rule matched');
+    }
+
+    this.emit('channelsResolved', {
+      notification,
+      channels: resolution.channels,
+      matchedRules: resolution.matchedRules
+    });
+
+    return resolution.channels;
+  }
+
+  /**
+   * Validate a routing request and persist it as an accepted delivery
+   * @private
+   * @param {NotificationRequest} notification - Notification to send
+   * @param {string[]} channels - Channel names to route to
+   * @param {Object} [options] - Routing options
+   * @param {boolean} [options.dedup=true] - Apply duplicate suppression
+   * @param {string} [options.sender] - API key ID or identity of the caller, scoping duplicate suppression
+   * @param {string} [options.escalation] - Escalation policy the delivery starts, scoping duplicate suppression
+   * @param {Function} [options.onAccept] - Called with the delivery ID once the notification passes duplicate
+   *   suppression, before it is recorded; throwing rejects the delivery
+   * @returns {Promise<{deliveryId: string, notification: NotificationRequest, duplicate: Object|null}>}
+   *   Accepted delivery, or the original delivery ID and suppression details for duplicates
+   */
+  async _acceptDelivery(notification, channels, options = {}) {
+    if (!notification) {
+      throw new Error('Notification is required');
+    }
+
+    if (!Array.isArray(channels) || channels.length === 0) {
+      throw new Error('At least one channel must be specified');
+    }
+
+    const deliveryId = this._generateDeliveryId();
+    let deliveryNotification = notification;
+
+    // Check and open the window before any await so concurrent duplicates are caught
+    let check = null;
+    if (this.deduplicator && options.dedup !== false) {
+      check = this.deduplicator.check(notification, {
+        channels,
+        escalation: options.escalation,
+        sender: options.sender
+      });
+
+      if (check.duplicate) {
+        return { deliveryId: check.deliveryId, notification, duplicate: check };
+      }
+    }
+
+    // Runs before the window opens, so a rejected delivery does not suppress later ones
+    if (options.onAccept) {
+      options.onAccept(deliveryId);
+    }
+
+    if (check) {
+      this.deduplicator.record(check.key, deliveryId);
+      deliveryNotification = this._withSuppressionCount(notification, check);
+    }
+
+    // Persist before dispatch so the delivery survives a restart
+    if (this.queue) {
+      await this.queue.enqueue(deliveryId, { notification: deliveryNotification, channels, sender: options.sender });
+    }
+
+    return { deliveryId, notification: deliveryNotification, duplicate: null };
+  }
+
+  /**
+   * Add the suppression count of the previous window to a notification
+   * @private
+   * @param {NotificationRequest} notification - Notification to deliver
+   * @param {Object} check - Deduplicator check result
+   * @returns {NotificationRequest} Notification, annotated if duplicates were suppressed
+   */
+  _withSuppressionCount(notification, check) {
+    if (check.suppressedCount === 0) {
+      return notification;
+    }
+
+    const since = new Date(check.since).toLocaleString();
+    const plural = check.suppressedCount === 1 ? '' : 's';
+
+    return {
+      ...notification,
+      message: `${notification.message}\n\n(${check.suppressedCount} duplicate notification${plural} suppressed since ${since})`,
+      metadata: {
+        ...notification.metadata,
+        suppressedCount: check.suppressedCount,
+        suppressedSince: check.since
+      }
+    };
+  }
+
+  /**
+   * Create the result returned for a suppressed duplicate
+   * @private
+   * @param {Object} accepted - Result of _acceptDelivery for a duplicate
+   * @param {string[]} channels - Requested channels
+   * @returns {Object} Suppression result
+   */
+  _createSuppressedResult(accepted, channels) {
+    const { deliveryId, notification, duplicate } = accepted;
+
+    this.emit('routingSuppressed', {
+      deliveryId,
+      notification,
+      channels,
+      suppressedCount: duplicate.suppressedCount,
+      since: duplicate.since
+    });
+
+    return {
+      deliveryId,
+      success: true,
+      suppressed: true,
+      suppressedCount: duplicate.suppressedCount,
+      since: duplicate.since,
+      channels,
+      message: `Duplicate of delivery ${deliveryId} suppressed (${duplicate.suppressedCount} since ${duplicate.since})`
+    };
+  }
+
+  /**
+   * Dispatch an accepted delivery to its channels
+   * @private
+   * @param {string} deliveryId - Delivery tracking ID
+   * @param {NotificationRequest} notification - Notification to send
+   * @param {string[]} channels - Channel names to route to
+   * @param {string} [sender] - API key ID or identity of the caller
+   * @returns {Promise<RoutingResult>} Routing results with per-channel status
+   */
+  async _dispatch(deliveryId, notification, channels, sender) {
+    const startTime = Date.now();
+    
+    this.emit('routingStarted', { deliveryId, notification, channels });
+
+    // Set once plugins may have sent the notification
+    let dispatched = false;
+
+    try {
+      // Validate channels and get available plugins
+      const availablePlugins = await this._getAvailablePlugins(channels);
+      
+      if (availablePlugins.length === 0) {
+        throw new Error('No available plugins for specified channels');
+      }
+
+      // Track delivery
+      this._trackDelivery(deliveryId, {
+        notification,
+        channels,
+        availablePlugins: availablePlugins.map(p => p.name),
+        sender,
+        startTime,
+        status: 'in_progress'
+      });
+
+      // Route to available plugins in parallel
+      dispatched = true;
+      const results = await this._routeToPlugins(notification, availablePlugins, deliveryId);
+      
+      // Calculate overall results
+      const routingResult = this._calculateRoutingResult(deliveryId, results, startTime);
+      
+      // Update tracking
+      this._updateDeliveryTracking(deliveryId, routingResult);
+      await this._recordHistory(notification, channels, routingResult, startTime, sender);
+
+      // Digests and quiet hours still hold the notification in memory only
+      const held = results
+        .filter(result => result.buffered || result.quietHours === 'deferred')
+        .map(result => result.channel);
+      await this._releaseDelivery(deliveryId, held);
+      
+      this.emit('routingCompleted', routingResult);
+      
+      return routingResult;
+      
+    } catch (error) {
+      const errorResult = this._createErrorResult(deliveryId, error, startTime);
+      this._updateDeliveryTracking(deliveryId, errorResult);
+      await this._recordHistory(notification, channels, errorResult, startTime, sender);
+
+      // Nothing was sent, so the queue keeps the delivery for replay on the next
+      // start, up to its replay budget
+      if (dispatched) {
+        await this._releaseDelivery(deliveryId);
+      }
+      this.emit('routingFailed', errorResult);
+      error.deliveryId = deliveryId;
+      throw error;
+    }
+  }
+
+  /**
+   * Record a finished delivery in the history store
+   * @private
+   * @param {NotificationRequest} notification - Delivered notification
+   * @param {string[]} channels - Requested channels
+   * @param {RoutingResult} result - Routing result
+   * @param {number} startTime - Start timestamp
+   * @param {string} [sender] - API key ID or identity of the caller
+   */
+  async _recordHistory(notification, channels, result, startTime, sender) {
+    if (!this.historyStore) {
+      return;
+    }
+
+    const record = {
+      deliveryId: result.deliveryId,
+      createdAt: new Date(startTime).toISOString(),
+      completedAt: new Date().toISOString(),
+      status: this._getDeliveryStatus(result),
+      notification: {
+        title: notification.title,
+        message: notification.message,
+        level: notification.level || 'info',
+        ...(notification.metadata && { metadata: notification.metadata })
+      },
+      channels,
+      ...(sender && { sender }),
+      ...result
+    };
+
+    try {
+      await this.historyStore.add(record);
+    } catch (error) {
+      console.warn(`Failed to record delivery ${result.deliveryId} in history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Derive delivery status from a routing result
+   * @private
+   * @param {RoutingResult} result - Routing result
+   * @returns {'completed'|'partial'|'failed'} Delivery status
+   */
+  _getDeliveryStatus(result) {
+    if (!result.success) {
+      return 'failed';
+    }
+    return result.failedChannels > 0 ? 'partial' : 'completed';
+  }
+
+  /**
+   * Remove a finished delivery from the persistent queue, or keep it for the
+   * channels still holding it
+   * @private
+   * @param {string} deliveryId - Delivery ID
+   * @param {string[]} [heldChannels] - Channels holding the notification for a digest or quiet hours
+   */
+  async _releaseDelivery(deliveryId, heldChannels = []) {
+    if (!this.queue) {
+      return;
+    }
+
+    try {
+      if (heldChannels.length > 0) {
+        await this.queue.hold(deliveryId, heldChannels);
+      } else {
+        await this.queue.complete(deliveryId);
+      }
+    } catch (error) {
+      console.warn(`Failed to release delivery ${deliveryId} from queue: ${error.message}`);
+    }
+  }
+
   /**
    * Get available plugins for specified channels
    * @private
@@ -249,9 +750,33 @@ class ChannelRouter extends EventEmitter {
     for (let i = 0; i < plugins.length; i += concurrencyLimit) {
       const batch = plugins.slice(i, i + concurrencyLimit);
       
-      const batchPromises = batch.map(({ name, plugin }) => 
-        this._sendToPlugin(notification, name, plugin, deliveryId)
-      );
+      const batchPromises = batch.map(({ name, plugin }) => {
+        let channelNotification;
+        try {
+          channelNotification = this._renderForChannel(notification, name);
+        } catch (error) {
+          const result = {
+            channel: name,
+            success: false,
+            message: `Template rendering failed: ${error.message}`,
+            error: error.message,
+            deliveryTime: 0,
+            attempts: 0
+          };
+          this.emit('channelDeliveryFailed', { deliveryId, result });
+          return Promise.resolve(result);
+        }
+
+        const config = plugin.config || {};
+        const quietSettings = QuietHours.getSettings(config.quietHours);
+        const decision = QuietHours.getDecision(quietSettings, channelNotification);
+
+        if (decision !== 'send') {
+          return Promise.resolve(this._holdForQuietHours(channelNotification, name, plugin, deliveryId, quietSettings, decision));
+        }
+
+        return this._sendOrBuffer(channelNotification, name, plugin, deliveryId);
+      });
       
       const batchResults = await Promise.allSettled(batchPromises);
       results.push(...batchResults.map(result => result.value || result.reason));
@@ -260,6 +785,311 @@ class ChannelRouter extends EventEmitter {
     return results;
   }
 
+  /**
+   * Run the routing pipeline up to the network call
+   * Channels are resolved, checked for availability and rendered, quiet hours and
+   * digest settings are applied, and each plugin prepares its payload. Nothing is
+   * sent, journaled, deduplicated, recorded in history or emitted.
+   * @private
+   * @param {NotificationRequest} notification - Notification to preview
+   * @param {string[]} requestedChannels - Requested channel names
+   * @returns {Promise<Object>} Dry-run result with per-channel decisions and payloads
+   */
+  async _dryRun(notification, requestedChannels) {
+    const rendered = this._applyTemplate(notification);
+    let channels = requestedChannels || [];
+    let matchedRules = [];
+
+    if (channels.length === 0) {
+      if (!this.routingEngine) {
+        throw new Error('At least one channel must be specified');
+      }
+
+      ({ channels, matchedRules } = this.routingEngine.resolve(rendered));
+
+      if (channels.length === 0) {
+        throw new Error('No channels specified and no routing rule matched');
+      }
+    }
+
+    const channelResults = await Promise.all(channels.map(name => this._dryRunChannel(rendered, name)));
+    const successfulChannels = channelResults.filter(result => result.success).length;
+
+    return {
+      dryRun: true,
+      success: successfulChannels > 0,
+      notification: rendered,
+      channels,
+      matchedRules,
+      totalChannels: channelResults.length,
+      successfulChannels,
+      failedChannels: channelResults.length - successfulChannels,
+      channelResults,
+      message: `Would deliver to ${successfulChannels}/${channelResults.length} channels`
+    };
+  }
+
+  /**
+   * Dry-run a single channel
+   * @private
+   * @param {NotificationRequest} notification - Notification with the default template rendering
+   * @param {string} channelName - Channel name
+   * @returns {Promise<Object>} Channel dry-run result
+   */
+  async _dryRunChannel(notification, channelName) {
+    try {
+      const plugin = await this.pluginManager.getPlugin(channelName);
+
+      if (!plugin) {
+        return { channel: channelName, success: false, message: `Plugin ${channelName} is not loaded` };
+      }
+
+      if (!await plugin.isAvailable()) {
+        return { channel: channelName, success: false, message: `Plugin ${channelName} is not available` };
+      }
+
+      const channelNotification = this._renderForChannel(notification, channelName);
+      const payload = await plugin.preview(channelNotification);
+      const config = plugin.config || {};
+
+      const quietSettings = QuietHours.getSettings(config.quietHours);
+      const decision = QuietHours.getDecision(quietSettings, channelNotification);
+
+      if (decision === 'drop') {
+        return {
+          channel: channelName,
+          success: true,
+          action: 'drop',
+          message: `Would be dropped during quiet hours ${quietSettings.window}`,
+          payload
+        };
+      }
+
+      if (decision === 'defer') {
+        const releaseAt = quietSettings.window.getEnd(new Date()).toISOString();
+        return {
+          channel: channelName,
+          success: true,
+          action: 'defer',
+          message: `Would be deferred by quiet hours ${quietSettings.window} until ${releaseAt}`,
+          metadata: { releaseAt },
+          payload
+        };
+      }
+
+      const digestSettings = DigestBuffer.getSettings(config.digest);
+      if (DigestBuffer.shouldBuffer(digestSettings, channelNotification)) {
+        return {
+          channel: channelName,
+          success: true,
+          action: 'digest',
+          message: 'Would be buffered for the next digest',
+          payload
+        };
+      }
+
+      return {
+        channel: channelName,
+        success: true,
+        action: 'send',
+        message: 'Would be sent',
+        payload
+      };
+    } catch (error) {
+      return {
+        channel: channelName,
+        success: false,
+        message: `Would fail: ${error.message}`,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Render a notification's template without channel overrides, so routing rules,
+   * deduplication and history see the rendered title and message
+   * @private
+   * @param {NotificationRequest} notification - Notification
+   * @returns {NotificationRequest} Rendered notification, or the notification itself without a template
+   * @throws {Error} If templates are not configured or the template is unknown
+   */
+  _applyTemplate(notification) {
+    if (!notification.template) {
+      return notification;
+    }
+
+    if (!this.templateEngine) {
+      throw new Error('Notification templates are not configured');
+    }
+
+    return this.templateEngine.render(notification);
+  }
+
+  /**
+   * Render a notification's template with the channel's overrides
+   * @private
+   * @param {NotificationRequest} notification - Notification
+   * @param {string} channelName - Channel name
+   * @returns {NotificationRequest} Notification to send to the channel
+   */
+  _renderForChannel(notification, channelName) {
+    if (!notification.template || !this.templateEngine) {
+      return notification;
+    }
+
+    return this.templateEngine.render(notification, channelName);
+  }
+
+  /**
+   * Send a notification to a plugin, or buffer it if the channel is in digest mode
+   * @private
+   * @param {NotificationRequest} notification - Notification to send
+   * @param {string} channelName - Channel name
+   * @param {BasePlugin} plugin - Plugin instance
+   * @param {string} deliveryId - Delivery tracking ID
+   * @param {string} [heldId] - Delivery ID the queue holds the notification under (default: deliveryId)
+   * @returns {Promise<Object>} Channel delivery result
+   */
+  async _sendOrBuffer(notification, channelName, plugin, deliveryId, heldId = deliveryId) {
+    const digestSettings = DigestBuffer.getSettings(plugin.config && plugin.config.digest);
+
+    if (DigestBuffer.shouldBuffer(digestSettings, notification)) {
+      return this._bufferForDigest(notification, channelName, plugin, heldId, digestSettings);
+    }
+
+    return await this._sendToPlugin(notification, channelName, plugin, deliveryId);
+  }
+
+  /**
+   * Drop or defer a notification during a channel's quiet hours
+   * @private
+   * @param {NotificationRequest} notification - Notification
+   * @param {string} channelName - Channel name
+   * @param {BasePlugin} plugin - Plugin instance
+   * @param {string} deliveryId - Delivery tracking ID
+   * @param {Object} settings - Normalized quiet hours settings
+   * @param {'drop'|'defer'} decision - Quiet hours decision
+   * @returns {Object} Channel delivery result
+   */
+  _holdForQuietHours(notification, channelName, plugin, deliveryId, settings, decision) {
+    const result = {
+      channel: channelName,
+      success: true,
+      quietHours: decision === 'defer' ? 'deferred' : 'dropped',
+      deliveryTime: 0,
+      attempts: 0
+    };
+
+    if (decision === 'defer') {
+      // Keep the sender so the notification is attributed to it when it is finally sent
+      const active = this.activeDeliveries.get(deliveryId);
+      const sender = active ? active.sender : undefined;
+      const { releaseAt, size } = this.quietHours.defer(channelName, plugin, notification, deliveryId, settings, sender);
+      result.message = `Deferred by quiet hours ${settings.window} (${size} held, sending at ${releaseAt})`;
+      result.metadata = { releaseAt };
+    } else {
+      result.message = `Dropped during quiet hours ${settings.window}`;
+    }
+
+    this.emit('channelDeliveryQuieted', { deliveryId, result });
+    return result;
+  }
+
+  /**
+   * Deliver a notification held by quiet hours once the window has ended
+   * @private
+   * @param {string} channelName - Channel name
+   * @param {BasePlugin} plugin - Plugin instance
+   * @param {NotificationRequest} notification - Deferred notification
+   * @param {string} originalDeliveryId - Delivery ID the notification was deferred under
+   * @param {string} [sender] - API key ID or identity of the original caller
+   * @returns {Promise<RoutingResult>} Routing result of the released delivery
+   */
+  async _deliverDeferred(channelName, plugin, notification, originalDeliveryId, sender) {
+    const deliveryId = this._generateDeliveryId();
+    const startTime = Date.now();
+
+    // A notification moving on to a digest stays held under its original ID
+    const channelResult = await this._sendOrBuffer(notification, channelName, plugin, deliveryId, originalDeliveryId);
+    const result = this._calculateRoutingResult(deliveryId, [channelResult], startTime);
+
+    this._updateDeliveryTracking(deliveryId, result);
+    await this._recordHistory(notification, [channelName], result, startTime, sender);
+    if (!channelResult.buffered) {
+      await this.releaseHeld(originalDeliveryId, channelName);
+    }
+
+    this.emit('deferredDelivered', {
+      deliveryId,
+      originalDeliveryId,
+      channel: channelName,
+      notification,
+      result: channelResult
+    });
+
+    return result;
+  }
+
+  /**
+   * Buffer a notification for a channel's next digest
+   * @private
+   * @param {NotificationRequest} notification - Notification to buffer
+   * @param {string} channelName - Channel name
+   * @param {BasePlugin} plugin - Plugin instance
+   * @param {string} deliveryId - Delivery tracking ID
+   * @param {DigestConfig} settings - Normalized digest settings
+   * @returns {Object} Channel delivery result
+   */
+  _bufferForDigest(notification, channelName, plugin, deliveryId, settings) {
+    const { flushAt, size } = this.digestBuffer.add(channelName, plugin, notification, deliveryId, settings);
+
+    const result = {
+      channel: channelName,
+      success: true,
+      buffered: true,
+      message: `Buffered for digest (${size} pending, sending at ${flushAt})`,
+      metadata: { flushAt },
+      deliveryTime: 0,
+      attempts: 0
+    };
+
+    this.emit('channelDeliveryBuffered', { deliveryId, result });
+    return result;
+  }
+
+  /**
+   * Deliver a flushed digest to its channel
+   * @private
+   * @param {string} channelName - Channel name
+   * @param {BasePlugin} plugin - Plugin instance
+   * @param {NotificationRequest} digest - Digest notification
+   * @param {Object[]} items - Buffered items included in the digest
+   * @returns {Promise<RoutingResult>} Digest routing result
+   */
+  async _deliverDigest(channelName, plugin, digest, items) {
+    const digestId = this._generateDeliveryId();
+    const startTime = Date.now();
+
+    const channelResult = await this._sendToPlugin(digest, channelName, plugin, digestId);
+    const result = this._calculateRoutingResult(digestId, [channelResult], startTime);
+
+    this._updateDeliveryTracking(digestId, result);
+    await this._recordHistory(digest, [channelName], result, startTime);
+    for (const item of items) {
+      await this.releaseHeld(item.deliveryId, channelName);
+    }
+
+    this.emit('digestDelivered', {
+      deliveryId: digestId,
+      channel: channelName,
+      count: items.length,
+      deliveryIds: items.map(item => item.deliveryId),
+      result: channelResult
+    });
+
+    return result;
+  }
+
   /**
    * Send notification to a single plugin
    * @private
@@ -282,15 +1112,16 @@ class ChannelRouter extends EventEmitter {
         });
         
         // Create timeout promise
+        let timeoutHandle;
         const timeoutPromise = new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Delivery timeout')), this.options.timeout);
+          timeoutHandle = setTimeout(() => reject(new Error('Delivery timeout')), this.options.timeout);
         });
         
         // Race between plugin send and timeout
         const response = await Promise.race([
           plugin.send(notification),
           timeoutPromise
-        ]);
+        ]).finally(() => clearTimeout(timeoutHandle));
         
         const deliveryTime = Date.now() - startTime;
         
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Deduplicator for suppressing repeated notifications within a time window
+ * Keeps notification floods from failing cron loops down to one delivery per window
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Fixed-window duplicate suppression keyed on a caller-supplied dedupKey
+ * or a hash of title, message and level, scoped to the sender and target
+ *
+ * The same notification from another API key or identity, or sent to other
+ * channels or another escalation policy, opens its own window.
+ *
+ * The first notification for a key is delivered and opens a window. Duplicates
+ * inside the window are suppressed and counted; the first notification delivered
+ * after the window closes carries the count of what was suppressed.
+ */
+class Deduplicator {
+  /**
+   * Create a deduplicator
+   * @param {DedupConfig} [config] - Deduplication configuration
+   */
+  constructor(config = {}) {
+    this.windowMs = (config.windowSeconds !== undefined ? config.windowSeconds : 300) * 1000;
+    this.maxEntries = config.maxEntries || 10000;
+
+    /** @type {Map<string, Object>} Window state by dedup key */
+    this.entries = new Map();
+  }
+
+  /**
+   * Get the dedup key for a notification
+   * @param {NotificationRequest} notification - Notification
+   * @param {Object} [scope] - Where the notification comes from and goes to
+   * @param {string[]} [scope.channels] - Resolved channels
+   * @param {string} [scope.escalation] - Escalation policy (instead of channels)
+   * @param {string} [scope.sender] - API key ID or identity of the caller
+   * @returns {string} Dedup key
+   */
+  static getKey(notification, scope = {}) {
+    const target = scope.escalation
+      ? `escalation:${scope.escalation}`
+      : `channels:${(scope.channels || []).slice().sort().join(',')}`;
+
+    if (notification.dedupKey) {
+      return JSON.stringify([scope.sender || null, target, `key:${notification.dedupKey}`]);
+    }
+
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify([notification.title, notification.message, notification.level || 'info']))
+      .digest('hex');
+
+    return JSON.stringify([scope.sender || null, target, `hash:${hash}`]);
+  }
+
+  /**
+   * Check a notification against open windows
+   * @param {NotificationRequest} notification - Notification to check
+   * @param {Object} [scope] - Sender and target, see getKey()
+   * @param {Date} [now] - Current time
+   * @returns {{duplicate: boolean, key: string, deliveryId?: string, suppressedCount: number, since?: string}}
+   *   For duplicates, the original delivery ID and suppressions so far in the window.
+   *   Otherwise, suppressions from the previous window that the delivery should report.
+   */
+  check(notification, scope = {}, now = new Date()) {
+    const key = Deduplicator.getKey(notification, scope);
+    const entry = this.entries.get(key);
+    const time = now.getTime();
+
+    if (entry && time < entry.expiresAt) {
+      entry.suppressedCount++;
+
+      return {
+        duplicate: true,
+        key,
+        deliveryId: entry.deliveryId,
+        suppressedCount: entry.suppressedCount,
+        since: new Date(entry.openedAt).toISOString()
+      };
+    }
+
+    return {
+      duplicate: false,
+      key,
+      suppressedCount: entry ? entry.suppressedCount : 0,
+      ...(entry && entry.suppressedCount > 0 && { since: new Date(entry.openedAt).toISOString() })
+    };
+  }
+
+  /**
+   * Open a new window for a delivered notification
+   * @param {string} key - Dedup key from check()
+   * @param {string} deliveryId - Delivery ID of the delivered notification
+   * @param {Date} [now] - Current time
+   */
+  record(key, deliveryId, now = new Date()) {
+    const time = now.getTime();
+
+    this.entries.delete(key);
+    this.entries.set(key, {
+      deliveryId,
+      openedAt: time,
+      expiresAt: time + this.windowMs,
+      suppressedCount: 0
+    });
+
+    if (this.entries.size > this.maxEntries) {
+      this._prune(time);
+    }
+  }
+
+  /**
+   * Get open windows that have suppressed notifications
+   * @returns {Object[]} Window summaries
+   */
+  getSuppressions() {
+    const now = Date.now();
+
+    return Array.from(this.entries.entries())
+      .filter(([, entry]) => entry.suppressedCount > 0)
+      .map(([key, entry]) => ({
+        key,
+        deliveryId: entry.deliveryId,
+        suppressedCount: entry.suppressedCount,
+        since: new Date(entry.openedAt).toISOString(),
+        open: now < entry.expiresAt
+      }));
+  }
+
+  /**
+   * Drop expired windows, then the oldest ones if still over the limit
+   * @private
+   * @param {number} time - Current timestamp
+   */
+  _prune(time) {
+    for (const [key, entry] of this.entries) {
+      // Keep closed windows with suppressions until the next delivery reports them
+      if (entry.expiresAt <= time && (entry.suppressedCount === 0 || entry.expiresAt + this.windowMs <= time)) {
+        this.entries.delete(key);
+      }
+    }
+
+    // Map iteration order is insertion order, oldest window first
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) {
+        break;
+      }
+      this.entries.delete(key);
+    }
+  }
+}
+
+module.exports = Deduplicator;
@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Durable delivery queue backed by an append-only journal
+ * Persists accepted notifications before dispatch so they can be replayed after a restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/**
+ * Append-only journal of accepted deliveries
+ * Every accepted notification is written as an `enqueue` record and closed by a
+ * `complete` record once routing finishes. Records without a matching `complete`
+ * are considered pending and are replayed on the next start. Channels that hold
+ * a notification for a digest or quiet hours narrow the entry with a `hold`
+ * record and close it channel by channel with `release` records.
+ */
+class DeliveryQueue {
+  constructor(options = {}) {
+    this.options = {
+      journalPath: path.join(os.homedir(), '.notifytool', 'queue', 'journal.log'),
+      fsync: true,
+      maxReplayAttempts: 3,
+      compactThreshold: 1000,
+      ...options
+    };
+
+    /** @type {Map<string, Object>} Pending deliveries keyed by delivery ID */
+    this.pending = new Map();
+
+    /** @type {number|null} Journal file descriptor */
+    this.fd = null;
+
+    /** @type {number} Records appended since the last compaction */
+    this.recordsSinceCompaction = 0;
+  }
+
+  /**
+   * Open the journal, rebuild pending deliveries and compact the file
+   * @returns {Promise<number>} Number of pending deliveries recovered
+   */
+  async open() {
+    if (this.fd !== null) {
+      return this.pending.size;
+    }
+
+    const journalDir = path.dirname(this.options.journalPath);
+    if (!fs.existsSync(journalDir)) {
+      fs.mkdirSync(journalDir, { recursive: true });
+    }
+
+    if (fs.existsSync(this.options.journalPath)) {
+      this._loadJournal();
+    }
+
+    this._compact();
+
+    return this.pending.size;
+  }
+
+  /**
+   * Persist an accepted delivery before it is dispatched
+   * @param {string} deliveryId - Delivery ID
+   * @param {Object} delivery - Delivery data
+   * @param {NotificationRequest} delivery.notification - Notification to deliver
+   * @param {string[]} delivery.channels - Requested channels
+   * @param {string} [delivery.sender] - API key ID or identity of the caller
+   * @returns {Promise<void>}
+   */
+  async enqueue(deliveryId, { notification, channels, sender }) {
+    this._ensureOpen();
+
+    const entry = {
+      op: 'enqueue',
+      id: deliveryId,
+      notification,
+      channels,
+      ...(sender && { sender }),
+      acceptedAt: new Date().toISOString()
+    };
+
+    this._append(entry);
+    this.pending.set(deliveryId, {
+      id: deliveryId,
+      notification,
+      channels,
+      ...(sender && { sender }),
+      acceptedAt: entry.acceptedAt,
+      replayAttempts: 0
+    });
+  }
+
+  /**
+   * Mark a delivery as finished so it is not replayed
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<void>}
+   */
+  async complete(deliveryId) {
+    this._ensureOpen();
+
+    if (!this.pending.has(deliveryId)) {
+      return;
+    }
+
+    this._append({ op: 'complete', id: deliveryId });
+    this.pending.delete(deliveryId);
+
+    if (this.recordsSinceCompaction >= this.options.compactThreshold) {
+      this._compact();
+    }
+  }
+
+  /**
+   * Keep a routed delivery pending for the channels still holding it
+   * Other channels are done, so a replay only goes to these. The replay budget
+   * starts over because routing got this far.
+   * @param {string} deliveryId - Delivery ID
+   * @param {string[]} channels - Channels holding the notification for a digest or quiet hours
+   * @returns {Promise<void>}
+   */
+  async hold(deliveryId, channels) {
+    this._ensureOpen();
+
+    const entry = this.pending.get(deliveryId);
+    if (!entry) {
+      return;
+    }
+
+    if (channels.length === 0) {
+      await this.complete(deliveryId);
+      return;
+    }
+
+    this._append({ op: 'hold', id: deliveryId, channels });
+    entry.channels = channels;
+    entry.replayAttempts = 0;
+  }
+
+  /**
+   * Mark a held channel as sent, completing the delivery after the last one
+   * @param {string} deliveryId - Delivery ID
+   * @param {string} channel - Channel that sent the held notification
+   * @returns {Promise<void>}
+   */
+  async release(deliveryId, channel) {
+    this._ensureOpen();
+
+    const entry = this.pending.get(deliveryId);
+    if (!entry || !entry.channels.includes(channel)) {
+      return;
+    }
+
+    const remaining = entry.channels.filter(name => name !== channel);
+    if (remaining.length === 0) {
+      await this.complete(deliveryId);
+      return;
+    }
+
+    this._append({ op: 'release', id: deliveryId, channel });
+    entry.channels = remaining;
+  }
+
+  /**
+   * Record a replay attempt for a pending delivery
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<boolean>} False if the delivery exceeded its replay budget and was dropped
+   */
+  async recordReplay(deliveryId) {
+    this._ensureOpen();
+
+    const entry = this.pending.get(deliveryId);
+    if (!entry) {
+      return false;
+    }
+
+    if (entry.replayAttempts >= this.options.maxReplayAttempts) {
+      console.warn(`Dropping delivery ${deliveryId} after ${entry.replayAttempts} replay attempts`);
+      await this.complete(deliveryId);
+      return false;
+    }
+
+    entry.replayAttempts++;
+    this._append({ op: 'replay', id: deliveryId });
+    return true;
+  }
+
+  /**
+   * Get pending deliveries in acceptance order
+   * @returns {Object[]} Pending deliveries
+   */
+  getPending() {
+    return Array.from(this.pending.values())
+      .sort((a, b) => a.acceptedAt.localeCompare(b.acceptedAt));
+  }
+
+  /**
+   * Get number of pending deliveries
+   * @returns {number} Pending delivery count
+   */
+  size() {
+    return this.pending.size;
+  }
+
+  /**
+   * Close the journal file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  /**
+   * Rebuild pending deliveries from the journal file
+   * @private
+   */
+  _loadJournal() {
+    const lines = fs.readFileSync(this.options.journalPath, 'utf8').split('\n');
+
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (error) {
+        // A torn write from a crash can only affect the last record
+        console.warn(`Skipping unreadable journal record in ${this.options.journalPath}`);
+        continue;
+      }
+
+      switch (record.op) {
+        case 'enqueue':
+          this.pending.set(record.id, {
+            id: record.id,
+            notification: record.notification,
+            channels: record.channels,
+            ...(record.sender && { sender: record.sender }),
+            acceptedAt: record.acceptedAt,
+            replayAttempts: record.replayAttempts || 0
+          });
+          break;
+        case 'replay':
+          if (this.pending.has(record.id)) {
+            this.pending.get(record.id).replayAttempts++;
+          }
+          break;
+        case 'hold':
+          if (this.pending.has(record.id)) {
+            Object.assign(this.pending.get(record.id), { channels: record.channels, replayAttempts: 0 });
+          }
+          break;
+        case 'release':
+          if (this.pending.has(record.id)) {
+            const entry = this.pending.get(record.id);
+            entry.channels = entry.channels.filter(name => name !== record.channel);
+          }
+          break;
+        case 'complete':
+          this.pending.delete(record.id);
+          break;
+        default:
+          break;
+      }
+    }
+  }
+
+  /**
+   * Rewrite the journal with only pending deliveries
+   * @private
+   */
+  _compact() {
+    const tempPath = `${this.options.journalPath}.tmp`;
+    const records = this.getPending().map(entry => JSON.stringify({
+      op: 'enqueue',
+      id: entry.id,
+      notification: entry.notification,
+      channels: entry.channels,
+      ...(entry.sender && { sender: entry.sender }),
+      acceptedAt: entry.acceptedAt,
+      replayAttempts: entry.replayAttempts
+    }) + '\n');
+
+    const tempFd = fs.openSync(tempPath, 'w', 0o600);
+    try {
+      fs.writeSync(tempFd, records.join(''));
+      if (this.options.fsync) {
+        fs.fsyncSync(tempFd);
+      }
+    } finally {
+      fs.closeSync(tempFd);
+    }
+
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+    }
+
+    fs.renameSync(tempPath, this.options.journalPath);
+    this.fd = fs.openSync(this.options.journalPath, 'a', 0o600);
+    this.recordsSinceCompaction = 0;
+  }
+
+  /**
+   * Append a record to the journal
+   * @private
+   * @param {Object} record - Journal record
+   */
+  _append(record) {
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    if (this.options.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+    this.recordsSinceCompaction++;
+  }
+
+  /**
+   * Ensure the journal has been opened
+   * @private
+   */
+  _ensureOpen() {
+    if (this.fd === null) {
+      throw new Error('Delivery queue not opened. Call open() first.');
+    }
+  }
+}
+
+module.exports = DeliveryQueue;
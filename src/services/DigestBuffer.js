@@ -0,0 +1,183 @@
+/**
+ * @fileoverview Digest buffer for rolling up low-level notifications per channel
+ * Collects notifications for channels with digest mode enabled and flushes them as one summary
+ */
+
+const LEVELS = ['info', 'warning', 'error'];
+
+/**
+ * Per-channel buffer of notifications waiting to be sent as a digest
+ *
+ * A channel's first buffered notification starts its interval timer. When the
+ * timer fires, or the buffer reaches `maxItems`, the buffered notifications are
+ * handed to the flush handler as a single digest notification.
+ */
+class DigestBuffer {
+  /**
+   * Create a digest buffer
+   * @param {Function} flushHandler - Called with (channel, plugin, digestNotification, items) to deliver a digest
+   */
+  constructor(flushHandler) {
+    this.flushHandler = flushHandler;
+
+    /** @type {Map<string, Object>} Pending digests by channel name */
+    this.buffers = new Map();
+  }
+
+  /**
+   * Normalize digest settings from plugin configuration
+   * @param {Object} [settings] - Digest settings (plugin.config.digest)
+   * @returns {DigestConfig|null} Normalized settings, or null if digest mode is off
+   */
+  static getSettings(settings) {
+    if (!settings || !settings.enabled) {
+      return null;
+    }
+
+    return {
+      belowLevel: LEVELS.includes(settings.belowLevel) ? settings.belowLevel : 'error',
+      intervalMinutes: settings.intervalMinutes > 0 ? settings.intervalMinutes : 60,
+      maxItems: settings.maxItems > 0 ? settings.maxItems : 100
+    };
+  }
+
+  /**
+   * Check whether a notification should be buffered
+   * @param {DigestConfig|null} settings - Normalized digest settings
+   * @param {NotificationRequest} notification - Notification
+   * @returns {boolean} True if the notification's level is below the digest threshold
+   */
+  static shouldBuffer(settings, notification) {
+    if (!settings) {
+      return false;
+    }
+
+    return LEVELS.indexOf(notification.level || 'info') < LEVELS.indexOf(settings.belowLevel);
+  }
+
+  /**
+   * Build the summary notification for a list of buffered items
+   * @param {string} channel - Channel name
+   * @param {Object[]} items - Buffered items
+   * @returns {NotificationRequest} Digest notification with the items attached as `digest`
+   */
+  static createDigestNotification(channel, items) {
+    const level = items.reduce((highest, item) => (
+      LEVELS.indexOf(item.level) > LEVELS.indexOf(highest) ? item.level : highest
+    ), 'info');
+
+    const since = items[0].receivedAt;
+    const until = items[items.length - 1].receivedAt;
+    const plural = items.length === 1 ? '' : 's';
+
+    return {
+      title: `Digest: ${items.length} notification${plural}`,
+      message: items.map(item => `- [${item.level}] ${item.title}: ${item.message}`).join('\n'),
+      level,
+      metadata: {
+        digest: { channel, count: items.length, since, until }
+      },
+      digest: items
+    };
+  }
+
+  /**
+   * Buffer a notification for a channel
+   * @param {string} channel - Channel name
+   * @param {BasePlugin} plugin - Plugin to deliver the digest through
+   * @param {NotificationRequest} notification - Notification to buffer
+   * @param {string} deliveryId - Delivery ID of the buffered notification
+   * @param {DigestConfig} settings - Normalized digest settings
+   * @returns {{flushAt: string, size: number}} When the digest will be sent and how many items it holds
+   */
+  add(channel, plugin, notification, deliveryId, settings) {
+    let buffer = this.buffers.get(channel);
+
+    if (!buffer) {
+      const delay = settings.intervalMinutes * 60000;
+      buffer = {
+        plugin,
+        items: [],
+        flushAt: new Date(Date.now() + delay).toISOString(),
+        timer: setTimeout(() => {
+          this.flush(channel).catch(error => {
+            console.error(`Digest flush for ${channel} failed: ${error.message}`);
+          });
+        }, delay)
+      };
+      this.buffers.set(channel, buffer);
+    }
+
+    buffer.plugin = plugin;
+    buffer.items.push({
+      deliveryId,
+      title: notification.title,
+      message: notification.message,
+      level: notification.level || 'info',
+      ...(notification.metadata && { metadata: notification.metadata }),
+      receivedAt: new Date().toISOString()
+    });
+
+    const result = { flushAt: buffer.flushAt, size: buffer.items.length };
+
+    if (buffer.items.length >= settings.maxItems) {
+      this.flush(channel).catch(error => {
+        console.error(`Digest flush for ${channel} failed: ${error.message}`);
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Send a channel's pending digest now
+   * @param {string} channel - Channel name
+   * @returns {Promise<Object|null>} Flush handler result, or null if nothing was pending
+   */
+  async flush(channel) {
+    const buffer = this.buffers.get(channel);
+    if (!buffer) {
+      return null;
+    }
+
+    clearTimeout(buffer.timer);
+    this.buffers.delete(channel);
+
+    const digest = DigestBuffer.createDigestNotification(channel, buffer.items);
+    return await this.flushHandler(channel, buffer.plugin, digest, buffer.items);
+  }
+
+  /**
+   * Send all pending digests now
+   * @returns {Promise<Object[]>} Flush handler results
+   */
+  async flushAll() {
+    const channels = Array.from(this.buffers.keys());
+    const results = await Promise.allSettled(channels.map(channel => this.flush(channel)));
+    return results.map(result => result.value || result.reason);
+  }
+
+  /**
+   * Get pending digests
+   * @returns {Object[]} Channel, item count and scheduled flush time per pending digest
+   */
+  getPending() {
+    return Array.from(this.buffers.entries()).map(([channel, buffer]) => ({
+      channel,
+      size: buffer.items.length,
+      flushAt: buffer.flushAt
+    }));
+  }
+
+  /**
+   * Stop all flush timers without sending
+   */
+  close() {
+    for (const buffer of this.buffers.values()) {
+      clearTimeout(buffer.timer);
+    }
+    this.buffers.clear();
+  }
+}
+
+module.exports = DigestBuffer;
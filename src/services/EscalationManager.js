@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Escalation manager for tiered delivery with acknowledgement tracking
+ * Routes a notification to successive channel tiers until someone acknowledges it
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Drives escalation chains on top of the channel router
+ *
+ * The first tier is delivered immediately. Each later tier waits `afterMinutes`
+ * after the previous tier and is only delivered if none of the deliveries in the
+ * chain has been acknowledged by then. When `path` is configured, escalations are
+ * rewritten to a JSON file on every change so pending chains survive a restart.
+ */
+class EscalationManager extends EventEmitter {
+  /**
+   * Create an escalation manager
+   * @param {ChannelRouter} channelRouter - Router used to deliver each tier
+   * @param {EscalationConfig} [config] - Escalation configuration
+   * @throws {Error} If a policy is invalid
+   */
+  constructor(channelRouter, config = {}) {
+    super();
+
+    this.channelRouter = channelRouter;
+
+    /** @type {Map<string, EscalationPolicy>} Policies by name */
+    this.policies = new Map();
+
+    /** @type {Map<string, Object>} Escalations by ID (delivery ID of the first tier) */
+    this.escalations = new Map();
+
+    /** @type {Map<string, string>} Escalation IDs by delivery ID of any tier */
+    this.deliveryIndex = new Map();
+
+    /** @type {number} Finished escalations kept for status lookups */
+    this.maxFinished = config.maxFinished || 100;
+
+    /** @type {string|null} State file path (null to keep escalations in memory only) */
+    this.path = config.path || null;
+
+    /** @type {number} Delay before retrying a tier that could not be delivered, in milliseconds */
+    this.retryDelay = config.retryDelay || 60000;
+
+    /** @type {number} Retries of a tier before the escalation fails */
+    this.maxRetries = config.maxRetries === undefined ? 3 : config.maxRetries;
+
+    Object.entries(config.policies || {}).forEach(([name, policy]) => {
+      this.policies.set(name, this._validatePolicy(name, policy));
+    });
+  }
+
+  /**
+   * Check whether a policy exists
+   * @param {string} name - Policy name
+   * @returns {boolean} True if the policy is configured
+   */
+  hasPolicy(name) {
+    return this.policies.has(name);
+  }
+
+  /**
+   * Get a configured policy
+   * @param {string} name - Policy name
+   * @returns {EscalationPolicy|null} Policy, or null if not configured
+   */
+  getPolicy(name) {
+    return this.policies.get(name) || null;
+  }
+
+  /**
+   * Get configured policy names
+   * @returns {string[]} Policy names
+   */
+  getPolicyNames() {
+    return Array.from(this.policies.keys());
+  }
+
+  /**
+   * Load saved escalations and re-arm pending ones
+   * Tiers that fell due while the server was down are delivered right away.
+   * @returns {Promise<number>} Number of pending escalations loaded
+   */
+  async open() {
+    if (!this.path) {
+      return 0;
+    }
+
+    const stateDir = path.dirname(this.path);
+    if (!fs.existsSync(stateDir)) {
+      fs.mkdirSync(stateDir, { recursive: true });
+    }
+
+    if (fs.existsSync(this.path)) {
+      try {
+        const escalations = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+        escalations.forEach(escalation => {
+          if (!this.policies.has(escalation.policy)) {
+            console.warn(`Dropping escalation ${escalation.id}: policy ${escalation.policy} is no longer configured`);
+            return;
+          }
+          this.escalations.set(escalation.id, { ...escalation, timer: null });
+          escalation.deliveries.forEach(d => this.deliveryIndex.set(d.deliveryId, escalation.id));
+        });
+      } catch (error) {
+        console.warn(`Ignoring unreadable escalation file ${this.path}: ${error.message}`);
+      }
+    }
+
+    const pending = Array.from(this.escalations.values()).filter(escalation => escalation.status === 'pending');
+    pending.forEach(escalation => {
+      if (escalation.nextEscalationAt) {
+        this._arm(escalation);
+      } else {
+        this._scheduleNext(escalation);
+      }
+    });
+    this._save();
+
+    return pending.length;
+  }
+
+  /**
+   * Start an escalation by delivering the first tier
+   * @param {NotificationRequest} notification - Notification to deliver
+   * @param {string} policyName - Escalation policy name
+   * @param {Object} [options] - Delivery options
+   * @param {boolean} [options.async] - Accept the first tier and deliver it in the background
+   * @param {string} [options.sender] - API key ID or identity of the caller, scoping duplicate suppression
+   * @param {Function} [options.onAccept] - Called when the first tier is accepted, see ChannelRouter.route()
+   * @returns {Promise<Object>} First tier routing result (or accepted delivery) with escalation state
+   */
+  async start(notification, policyName, options = {}) {
+    const policy = this.policies.get(policyName);
+    if (!policy) {
+      throw new Error(`Unknown escalation policy: ${policyName}`);
+    }
+
+    const firstTier = policy.tiers[0];
+    const tierNotification = this._tierNotification(notification, policyName, 0, policy);
+    const routeOptions = { escalation: policyName, sender: options.sender, onAccept: options.onAccept };
+    let result;
+
+    if (options.async) {
+      result = await this.channelRouter.routeAsync(tierNotification, firstTier.channels, routeOptions);
+    } else {
+      try {
+        result = await this.channelRouter.route(tierNotification, firstTier.channels, routeOptions);
+      } catch (error) {
+        // Dispatch failures still start the chain; validation errors do not
+        if (!error.deliveryId) {
+          throw error;
+        }
+        result = {
+          deliveryId: error.deliveryId,
+          success: false,
+          totalChannels: 0,
+          successfulChannels: 0,
+          failedChannels: 0,
+          channelResults: [],
+          message: `Routing failed: ${error.message}`,
+          error: error.message
+        };
+      }
+    }
+
+    // A suppressed duplicate belongs to whatever chain the original delivery started
+    if (result.suppressed) {
+      return {
+        ...result,
+        escalation: this.getEscalation(result.deliveryId)
+      };
+    }
+
+    const escalation = {
+      id: result.deliveryId,
+      policy: policyName,
+      notification,
+      status: 'pending',
+      tier: 0,
+      deliveries: [{ tier: 0, deliveryId: result.deliveryId, channels: firstTier.channels, deliveredAt: new Date().toISOString() }],
+      nextEscalationAt: null,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      note: null,
+      failedAttempts: 0,
+      lastError: null,
+      timer: null
+    };
+
+    this.escalations.set(escalation.id, escalation);
+    this.deliveryIndex.set(result.deliveryId, escalation.id);
+
+    this.emit('escalationStarted', this._toStatus(escalation));
+
+    // Nobody can acknowledge a tier that reached no one, so move on right away
+    this._scheduleNext(escalation, result.successfulChannels === 0);
+    this._save();
+
+    return {
+      ...result,
+      escalation: this._toStatus(escalation)
+    };
+  }
+
+  /**
+   * Acknowledge an escalation, stopping further tiers
+   * @param {string} deliveryId - Delivery ID of any tier in the chain
+   * @param {Object} [details] - Acknowledgement details
+   * @param {string} [details.by] - Who acknowledged
+   * @param {string} [details.note] - Free-form note
+   * @returns {Object|null} Escalation status, or null if the delivery has no escalation
+   */
+  acknowledge(deliveryId, details = {}) {
+    const escalation = this._find(deliveryId);
+    if (!escalation) {
+      return null;
+    }
+
+    if (escalation.status === 'acknowledged') {
+      return this._toStatus(escalation);
+    }
+
+    clearTimeout(escalation.timer);
+    escalation.timer = null;
+    escalation.status = 'acknowledged';
+    escalation.nextEscalationAt = null;
+    escalation.acknowledgedAt = new Date().toISOString();
+    escalation.acknowledgedBy = details.by || null;
+    escalation.note = details.note || null;
+
+    this._finish(escalation);
+    this._save();
+    this.emit('escalationAcknowledged', this._toStatus(escalation));
+
+    return this._toStatus(escalation);
+  }
+
+  /**
+   * Get escalation status for a delivery
+   * @param {string} deliveryId - Delivery ID of any tier in the chain
+   * @returns {Object|null} Escalation status, or null if the delivery has no escalation
+   */
+  getEscalation(deliveryId) {
+    const escalation = this._find(deliveryId);
+    return escalation ? this._toStatus(escalation) : null;
+  }
+
+  /**
+   * Get all escalations waiting for acknowledgement
+   * @returns {Object[]} Pending escalation statuses
+   */
+  getPendingEscalations() {
+    return Array.from(this.escalations.values())
+      .filter(escalation => escalation.status === 'pending')
+      .map(escalation => this._toStatus(escalation));
+  }
+
+  /**
+   * Stop all escalation timers; saved escalations stay on disk
+   */
+  close() {
+    for (const escalation of this.escalations.values()) {
+      clearTimeout(escalation.timer);
+      escalation.timer = null;
+    }
+  }
+
+  /**
+   * Schedule delivery of the next tier, or mark the chain exhausted
+   * @private
+   * @param {Object} escalation - Escalation state
+   * @param {boolean} [immediate] - Escalate without waiting for acknowledgement
+   */
+  _scheduleNext(escalation, immediate = false) {
+    const policy = this.policies.get(escalation.policy);
+    const nextTier = policy.tiers[escalation.tier + 1];
+
+    if (!nextTier) {
+      escalation.status = 'exhausted';
+      escalation.nextEscalationAt = null;
+      this._finish(escalation);
+      this.emit('escalationExhausted', this._toStatus(escalation));
+      return;
+    }
+
+    const delay = immediate ? 0 : nextTier.afterMinutes * 60000;
+    escalation.nextEscalationAt = new Date(Date.now() + delay).toISOString();
+    this._arm(escalation);
+  }
+
+  /**
+   * Start the timer for the next tier at `nextEscalationAt`
+   * @private
+   * @param {Object} escalation - Escalation state
+   */
+  _arm(escalation) {
+    const delay = Math.max(0, new Date(escalation.nextEscalationAt).getTime() - Date.now());
+
+    escalation.timer = setTimeout(() => {
+      escalation.timer = null;
+      this._escalate(escalation).catch(error => this._onEscalateError(escalation, error));
+    }, delay);
+  }
+
+  /**
+   * Retry a tier that could not be delivered, or fail the escalation once
+   * its retries are used up
+   * @private
+   * @param {Object} escalation - Escalation state
+   * @param {Error} error - Delivery error
+   */
+  _onEscalateError(escalation, error) {
+    escalation.failedAttempts = (escalation.failedAttempts || 0) + 1;
+    escalation.lastError = error.message;
+
+    if (escalation.failedAttempts > this.maxRetries) {
+      console.error(`Escalation ${escalation.id} failed: ${error.message}`);
+      escalation.status = 'failed';
+      escalation.nextEscalationAt = null;
+      this._finish(escalation);
+      this.emit('escalationFailed', this._toStatus(escalation));
+    } else {
+      console.warn(`Escalation ${escalation.id} could not deliver tier ${escalation.tier + 2}, retrying: ${error.message}`);
+      escalation.nextEscalationAt = new Date(Date.now() + this.retryDelay).toISOString();
+      this._arm(escalation);
+    }
+
+    this._save();
+  }
+
+  /**
+   * Deliver the next tier of an unacknowledged escalation
+   * @private
+   * @param {Object} escalation - Escalation state
+   */
+  async _escalate(escalation) {
+    if (escalation.status !== 'pending') {
+      return;
+    }
+
+    const policy = this.policies.get(escalation.policy);
+    const tierIndex = escalation.tier + 1;
+    const tier = policy.tiers[tierIndex];
+
+    const accepted = await this.channelRouter.routeAsync(
+      this._tierNotification(escalation.notification, escalation.policy, tierIndex, policy, escalation.id),
+      tier.channels,
+      { dedup: false }
+    );
+
+    escalation.tier = tierIndex;
+    escalation.failedAttempts = 0;
+    escalation.lastError = null;
+    escalation.deliveries.push({
+      tier: tierIndex,
+      deliveryId: accepted.deliveryId,
+      channels: tier.channels,
+      deliveredAt: new Date().toISOString()
+    });
+    this.deliveryIndex.set(accepted.deliveryId, escalation.id);
+
+    this.emit('escalationAdvanced', this._toStatus(escalation));
+    this._scheduleNext(escalation);
+    this._save();
+  }
+
+  /**
+   * Build the notification delivered for a tier
+   * @private
+   * @param {NotificationRequest} notification - Original notification
+   * @param {string} policyName - Policy name
+   * @param {number} tierIndex - Tier index
+   * @param {EscalationPolicy} policy - Policy
+   * @param {string} [escalationId] - Escalation ID for later tiers
+   * @returns {NotificationRequest} Tier notification
+   */
+  _tierNotification(notification, policyName, tierIndex, policy, escalationId) {
+    return {
+      ...notification,
+      title: tierIndex > 0 ? `[Escalated] ${notification.title}` : notification.title,
+      metadata: {
+        ...notification.metadata,
+        escalation: {
+          policy: policyName,
+          tier: tierIndex + 1,
+          tiers: policy.tiers.length,
+          ...(escalationId && { escalationId })
+        }
+      }
+    };
+  }
+
+  /**
+   * Find an escalation by delivery ID of any tier
+   * @private
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Object|undefined} Escalation state
+   */
+  _find(deliveryId) {
+    const escalationId = this.deliveryIndex.get(deliveryId);
+    return escalationId ? this.escalations.get(escalationId) : undefined;
+  }
+
+  /**
+   * Drop the oldest finished escalations beyond the retention limit
+   * @private
+   * @param {Object} escalation - Escalation that just finished
+   */
+  _finish(escalation) {
+    const finished = Array.from(this.escalations.values()).filter(e => e.status !== 'pending');
+
+    while (finished.length > this.maxFinished) {
+      const oldest = finished.shift();
+      this.escalations.delete(oldest.id);
+      oldest.deliveries.forEach(d => this.deliveryIndex.delete(d.deliveryId));
+    }
+  }
+
+  /**
+   * Rewrite the escalation file
+   * @private
+   */
+  _save() {
+    if (!this.path) {
+      return;
+    }
+
+    const tempPath = `${this.path}.tmp`;
+    const escalations = Array.from(this.escalations.values()).map(({ timer, ...escalation }) => escalation);
+
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(escalations, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.path);
+    } catch (error) {
+      console.error(`Failed to save escalation file ${this.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert escalation state into a serializable status
+   * @private
+   * @param {Object} escalation - Escalation state
+   * @returns {Object} Escalation status
+   */
+  _toStatus(escalation) {
+    return {
+      id: escalation.id,
+      policy: escalation.policy,
+      level: escalation.notification.level || 'info',
+      status: escalation.status,
+      tier: escalation.tier + 1,
+      tiers: this.policies.get(escalation.policy).tiers.length,
+      deliveries: escalation.deliveries.slice(),
+      nextEscalationAt: escalation.nextEscalationAt,
+      acknowledgedAt: escalation.acknowledgedAt,
+      acknowledgedBy: escalation.acknowledgedBy,
+      note: escalation.note,
+      lastError: escalation.lastError || null
+    };
+  }
+
+  /**
+   * Validate a policy from configuration
+   * @private
+   * @param {string} name - Policy name
+   * @param {EscalationPolicy} policy - Policy configuration
+   * @returns {EscalationPolicy} Normalized policy
+   */
+  _validatePolicy(name, policy) {
+    if (!policy || !Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+      throw new Error(`Escalation policy "${name}" must have at least one tier`);
+    }
+
+    const tiers = policy.tiers.map((tier, index) => {
+      if (!tier || !Array.isArray(tier.channels) || tier.channels.length === 0) {
+        throw new Error(`Escalation policy "${name}" tier ${index + 1} must list channels`);
+      }
+
+      const afterMinutes = index === 0 ? 0 : Number(tier.afterMinutes);
+      if (index > 0 && (!Number.isFinite(afterMinutes) || afterMinutes <= 0)) {
+        throw new Error(`Escalation policy "${name}" tier ${index + 1} must set a positive afterMinutes`);
+      }
+
+      return { channels: tier.channels, afterMinutes };
+    });
+
+    return { tiers };
+  }
+}
+
+module.exports = EscalationManager;
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Event stream for publishing channel router events to external subscribers
+ * Normalizes routing events and fans them out to filtered subscribers such as SSE connections
+ */
+
+/**
+ * Router events forwarded to subscribers
+ * @type {string[]}
+ */
+const ROUTER_EVENTS = [
+  'routingStarted',
+  'channelDeliveryStarted',
+  'channelDeliveryRetry',
+  'channelDeliveryCompleted',
+  'channelDeliveryFailed',
+  'channelDeliveryBuffered',
+  'digestDelivered',
+  'channelDeliveryQuieted',
+  'deferredDelivered',
+  'routingCompleted',
+  'routingFailed',
+  'routingSuppressed',
+  'deliveryReplayed'
+];
+
+/**
+ * Fan-out of channel router events with per-subscriber channel and level filters
+ */
+class EventStream {
+  /**
+   * Create an event stream attached to a channel router
+   * @param {ChannelRouter} channelRouter - Router to listen to
+   */
+  constructor(channelRouter) {
+    this.channelRouter = channelRouter;
+
+    /** @type {Set<Object>} Active subscribers */
+    this.subscribers = new Set();
+
+    /** @type {Map<string, {level: string, channels: string[]}>} Context of in-flight deliveries */
+    this.deliveries = new Map();
+
+    /** @type {Map<string, Function>} Router listeners by event name */
+    this.listeners = new Map();
+
+    /** @type {number} Sequence number of the last published event */
+    this.sequence = 0;
+
+    this._attach();
+  }
+
+  /**
+   * Names of events published by the stream
+   * @returns {string[]} Event names
+   */
+  static get events() {
+    return ROUTER_EVENTS.slice();
+  }
+
+  /**
+   * Subscribe to routing events
+   * @param {Object} filters - Subscriber filters
+   * @param {string[]} [filters.channels] - Only events touching these channels
+   * @param {string[]} [filters.levels] - Only events for notifications with these levels
+   * @param {{channels: string[]|null, levels: string[]|null}} [filters.scope] - Only deliveries within an
+   *   API key's scope: every channel and the level must be allowed
+   * @param {Function} listener - Called with each matching event
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(filters, listener) {
+    const subscriber = {
+      channels: filters.channels && filters.channels.length > 0 ? filters.channels : null,
+      levels: filters.levels && filters.levels.length > 0 ? filters.levels : null,
+      scope: filters.scope || null,
+      listener
+    };
+
+    this.subscribers.add(subscriber);
+
+    return () => {
+      this.subscribers.delete(subscriber);
+    };
+  }
+
+  /**
+   * Get number of active subscribers
+   * @returns {number} Subscriber count
+   */
+  getSubscriberCount() {
+    return this.subscribers.size;
+  }
+
+  /**
+   * Detach from the router and drop all subscribers
+   */
+  close() {
+    for (const [event, listener] of this.listeners) {
+      this.channelRouter.removeListener(event, listener);
+    }
+
+    this.listeners.clear();
+    this.subscribers.clear();
+    this.deliveries.clear();
+  }
+
+  /**
+   * Attach listeners to router events
+   * @private
+   */
+  _attach() {
+    for (const event of ROUTER_EVENTS) {
+      const listener = (data) => this._publish(event, data);
+      this.listeners.set(event, listener);
+      this.channelRouter.on(event, listener);
+    }
+  }
+
+  /**
+   * Normalize a router event and deliver it to matching subscribers
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  _publish(event, data) {
+    const deliveryId = data.deliveryId;
+
+    if (event === 'routingStarted' || event === 'deliveryReplayed') {
+      this.deliveries.set(deliveryId, {
+        level: (data.notification && data.notification.level) || 'info',
+        channels: data.channels || []
+      });
+    }
+
+    const context = this.deliveries.get(deliveryId) || {
+      level: data.notification ? data.notification.level || 'info' : null,
+      channels: data.channels || []
+    };
+    const channel = data.channel || (data.result && data.result.channel) || null;
+
+    const payload = {
+      id: ++this.sequence,
+      event,
+      deliveryId,
+      channel,
+      level: context.level,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    for (const subscriber of this.subscribers) {
+      if (!this._matches(subscriber, payload, context)) {
+        continue;
+      }
+
+      try {
+        subscriber.listener(payload);
+      } catch (error) {
+        console.warn(`Event subscriber failed: ${error.message}`);
+      }
+    }
+
+    if (event === 'routingCompleted' || event === 'routingFailed') {
+      this.deliveries.delete(deliveryId);
+    }
+  }
+
+  /**
+   * Check whether an event matches a subscriber's filters
+   * @private
+   * @param {Object} subscriber - Subscriber
+   * @param {Object} payload - Normalized event
+   * @param {Object} context - Delivery context
+   * @returns {boolean} True if the subscriber should receive the event
+   */
+  _matches(subscriber, payload, context) {
+    if (subscriber.scope && !this._inScope(subscriber.scope, payload, context)) {
+      return false;
+    }
+
+    if (subscriber.levels && !subscriber.levels.includes(payload.level)) {
+      return false;
+    }
+
+    if (subscriber.channels) {
+      // Delivery-wide events match if any of the delivery's channels is wanted
+      const channels = payload.channel ? [payload.channel] : context.channels;
+      if (!channels.some(channel => subscriber.channels.includes(channel))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Check whether an event belongs to a delivery within an API key's scope
+   * @private
+   * @param {Object} scope - Allowed channels and levels (null for all)
+   * @param {Object} payload - Normalized event
+   * @param {Object} context - Delivery context
+   * @returns {boolean} True if the level and every channel of the delivery are allowed
+   */
+  _inScope(scope, payload, context) {
+    if (scope.levels && !scope.levels.includes(payload.level)) {
+      return false;
+    }
+
+    if (!scope.channels) {
+      return true;
+    }
+
+    // Events of unknown deliveries, such as digests, are judged by their own channel
+    const channels = context.channels.length > 0 ? context.channels : [payload.channel].filter(Boolean);
+    return channels.length > 0 && channels.every(channel => scope.channels.includes(channel));
+  }
+}
+
+module.exports = EventStream;
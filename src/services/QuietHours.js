@@ -0,0 +1,171 @@
+/**
+ * @fileoverview Quiet hours for channels that should not disturb people at night
+ * Decides whether a notification may be sent now and holds deferred ones until the window ends
+ */
+
+const TimeWindow = require('../utils/time-window');
+
+const ACTIONS = ['drop', 'defer', 'errorsOnly'];
+
+/**
+ * Per-channel quiet hours
+ *
+ * Inside a channel's quiet window, notifications are dropped, deferred until
+ * the window ends, or dropped unless their level is `error`, depending on the
+ * configured action. Deferred notifications are kept in memory and handed to
+ * the release handler one by one when the window ends.
+ */
+class QuietHours {
+  /**
+   * Create a quiet hours tracker
+   * @param {Function} releaseHandler - Called with (channel, plugin, notification, deliveryId, sender) for each deferred notification
+   */
+  constructor(releaseHandler) {
+    this.releaseHandler = releaseHandler;
+
+    /** @type {Map<string, Object>} Deferred notifications by channel name */
+    this.deferred = new Map();
+  }
+
+  /**
+   * Normalize quiet hours settings from plugin configuration
+   * @param {QuietHoursConfig} [settings] - Quiet hours settings (plugin.config.quietHours)
+   * @returns {{window: TimeWindow, action: string}|null} Normalized settings, or null if quiet hours are off
+   * @throws {Error} If the window or action is invalid
+   */
+  static getSettings(settings) {
+    if (!settings || !settings.enabled) {
+      return null;
+    }
+
+    const action = settings.action || 'defer';
+    if (!ACTIONS.includes(action)) {
+      throw new Error(`Quiet hours action must be one of: ${ACTIONS.join(', ')}`);
+    }
+
+    return {
+      window: new TimeWindow(settings),
+      action
+    };
+  }
+
+  /**
+   * Decide what to do with a notification for a channel
+   * @param {Object|null} settings - Normalized quiet hours settings
+   * @param {NotificationRequest} notification - Notification
+   * @param {Date} [now] - Current time
+   * @returns {'send'|'drop'|'defer'} Decision
+   */
+  static getDecision(settings, notification, now = new Date()) {
+    if (!settings || !settings.window.contains(now)) {
+      return 'send';
+    }
+
+    if (settings.action === 'errorsOnly') {
+      return notification.level === 'error' ? 'send' : 'drop';
+    }
+
+    return settings.action;
+  }
+
+  /**
+   * Hold a notification until the channel's quiet window ends
+   * @param {string} channel - Channel name
+   * @param {BasePlugin} plugin - Plugin to deliver through
+   * @param {NotificationRequest} notification - Notification to defer
+   * @param {string} deliveryId - Delivery ID of the deferred notification
+   * @param {Object} settings - Normalized quiet hours settings
+   * @param {string} [sender] - API key ID or identity of the caller
+   * @returns {{releaseAt: string, size: number}} When deferred notifications will be sent and how many are held
+   */
+  defer(channel, plugin, notification, deliveryId, settings, sender) {
+    let held = this.deferred.get(channel);
+
+    if (!held) {
+      const releaseAt = settings.window.getEnd(new Date());
+      held = {
+        plugin,
+        items: [],
+        releaseAt: releaseAt.toISOString(),
+        timer: setTimeout(() => {
+          this.release(channel).catch(error => {
+            console.error(`Releasing deferred notifications for ${channel} failed: ${error.message}`);
+          });
+        }, Math.max(0, releaseAt.getTime() - Date.now()))
+      };
+      this.deferred.set(channel, held);
+    }
+
+    held.plugin = plugin;
+    held.items.push({ notification, deliveryId, sender });
+
+    return { releaseAt: held.releaseAt, size: held.items.length };
+  }
+
+  /**
+   * Send a channel's deferred notifications now
+   * @param {string} channel - Channel name
+   * @returns {Promise<Object[]>} Release handler results
+   */
+  async release(channel) {
+    const held = this.deferred.get(channel);
+    if (!held) {
+      return [];
+    }
+
+    clearTimeout(held.timer);
+    this.deferred.delete(channel);
+
+    const results = [];
+    for (const { notification, deliveryId, sender } of held.items) {
+      try {
+        results.push(await this.releaseHandler(channel, held.plugin, notification, deliveryId, sender));
+      } catch (error) {
+        results.push(error);
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Get channels with deferred notifications
+   * @returns {Object[]} Channel, count and release time per channel
+   */
+  getDeferred() {
+    return Array.from(this.deferred.entries()).map(([channel, held]) => ({
+      channel,
+      size: held.items.length,
+      releaseAt: held.releaseAt
+    }));
+  }
+
+  /**
+   * Remove all deferred notifications without sending them
+   * @returns {Object[]} Channel, notification, delivery ID, sender and release time per deferred notification
+   */
+  drain() {
+    const drained = [];
+
+    for (const [channel, held] of this.deferred) {
+      held.items.forEach(({ notification, deliveryId, sender }) => {
+        drained.push({ channel, notification, deliveryId, sender, releaseAt: held.releaseAt });
+      });
+    }
+
+    this.close();
+    return drained;
+  }
+
+  /**
+   * Stop all release timers; deferred notifications are discarded
+   */
+  close() {
+    for (const held of this.deferred.values()) {
+      clearTimeout(held.timer);
+    }
+    this.deferred.clear();
+  }
+}
+
+module.exports = QuietHours;
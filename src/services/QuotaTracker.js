@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Persistent per-channel delivery quotas for each client identity
+ * Caps expensive channels such as SMS per API key or token, across restarts
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/** Quota period lengths in milliseconds */
+const PERIODS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Counts notifications per identity and channel in fixed UTC periods
+ *
+ * A quota such as `{ sms: { max: 20, period: 'day' } }` applies to each
+ * identity separately. Counts are rewritten to a JSON file on every change,
+ * so a restart does not hand out a fresh allowance.
+ */
+class QuotaTracker {
+  /**
+   * Create a quota tracker
+   * @param {QuotaConfig} [options] - Quota configuration
+   * @throws {Error} If a channel quota is invalid
+   */
+  constructor(options = {}) {
+    this.options = {
+      path: path.join(os.homedir(), '.notifytool', 'quotas.json'),
+      channels: {},
+      ...options
+    };
+
+    /** @type {Map<string, {max: number, period: string}>} Quotas by channel */
+    this.limits = new Map();
+
+    for (const [channel, limit] of Object.entries(this.options.channels || {})) {
+      this.limits.set(channel, QuotaTracker.normalizeLimit(channel, limit));
+    }
+
+    /** @type {Object<string, Object<string, {periodStart: number, count: number}>>} Counts by identity and channel */
+    this.usage = {};
+  }
+
+  /**
+   * Validate a channel quota
+   * @param {string} channel - Channel name
+   * @param {{max: number, period?: string}} limit - Quota settings
+   * @returns {{max: number, period: string}} Normalized quota
+   * @throws {Error} If the quota is invalid
+   */
+  static normalizeLimit(channel, limit) {
+    const max = Number(limit && limit.max);
+    const period = (limit && limit.period) || 'day';
+
+    if (!Number.isInteger(max) || max <= 0) {
+      throw new Error(`Quota for ${channel} must set a positive max`);
+    }
+
+    if (!PERIODS[period]) {
+      throw new Error(`Quota period for ${channel} must be one of: ${Object.keys(PERIODS).join(', ')}`);
+    }
+
+    return { max, period };
+  }
+
+  /**
+   * Format remaining quota for a response header
+   * @param {Object<string, number>} remaining - Remaining notifications by channel
+   * @returns {string} Header value like "sms=19, email=99", empty if no channel has a quota
+   */
+  static formatRemaining(remaining) {
+    return Object.entries(remaining).map(([channel, count]) => `${channel}=${count}`).join(', ');
+  }
+
+  /**
+   * Load saved counts
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (fs.existsSync(this.options.path)) {
+      try {
+        this.usage = JSON.parse(fs.readFileSync(this.options.path, 'utf8'));
+      } catch (error) {
+        console.warn(`Ignoring unreadable quota file ${this.options.path}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Check whether an identity may send to channels, without counting it
+   * @param {string} identity - Client identity
+   * @param {string[]} channels - Channels the notification would reach
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{allowed: boolean, channel?: string, retryAfter: number, remaining: Object<string, number>}}
+   *   Result with the first exhausted channel and seconds until its period ends
+   */
+  check(identity, channels, now = Date.now()) {
+    const remaining = {};
+    let exhausted = null;
+
+    for (const channel of new Set(channels)) {
+      const limit = this.limits.get(channel);
+      if (!limit) {
+        continue;
+      }
+
+      const periodStart = this._getPeriodStart(limit.period, now);
+      const entry = this.usage[identity] && this.usage[identity][channel];
+      const used = entry && entry.periodStart === periodStart ? entry.count : 0;
+
+      remaining[channel] = Math.max(0, limit.max - used);
+
+      if (used >= limit.max && !exhausted) {
+        exhausted = {
+          channel,
+          retryAfter: Math.ceil((periodStart + PERIODS[limit.period] - now) / 1000)
+        };
+      }
+    }
+
+    return exhausted
+      ? { allowed: false, ...exhausted, remaining }
+      : { allowed: true, retryAfter: 0, remaining };
+  }
+
+  /**
+   * Count a notification against an identity's quotas if all of them allow it
+   * Runs synchronously, so a caller can count a delivery at the moment it is accepted.
+   * @param {string} identity - Client identity
+   * @param {string[]} channels - Channels the notification would reach
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object} Result as for check(), with `remaining` after this notification
+   */
+  consume(identity, channels, now = Date.now()) {
+    const result = this.check(identity, channels, now);
+    if (!result.allowed || Object.keys(result.remaining).length === 0) {
+      return result;
+    }
+
+    const counts = this.usage[identity] || (this.usage[identity] = {});
+
+    for (const channel of Object.keys(result.remaining)) {
+      const periodStart = this._getPeriodStart(this.limits.get(channel).period, now);
+      const entry = counts[channel];
+
+      counts[channel] = entry && entry.periodStart === periodStart
+        ? { periodStart, count: entry.count + 1 }
+        : { periodStart, count: 1 };
+      result.remaining[channel]--;
+    }
+
+    this._save(now);
+    return result;
+  }
+
+  /**
+   * Get an identity's quota usage
+   * @param {string} identity - Client identity
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Object<string, {used: number, max: number, period: string, resetAt: string}>} Usage by channel
+   */
+  getUsage(identity, now = Date.now()) {
+    const usage = {};
+
+    for (const [channel, limit] of this.limits) {
+      const periodStart = this._getPeriodStart(limit.period, now);
+      const entry = this.usage[identity] && this.usage[identity][channel];
+
+      usage[channel] = {
+        used: entry && entry.periodStart === periodStart ? entry.count : 0,
+        max: limit.max,
+        period: limit.period,
+        resetAt: new Date(periodStart + PERIODS[limit.period]).toISOString()
+      };
+    }
+
+    return usage;
+  }
+
+  /**
+   * Get the start of the current period
+   * @private
+   * @param {string} period - Period name
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} Period start in milliseconds, aligned to UTC
+   */
+  _getPeriodStart(period, now) {
+    return now - (now % PERIODS[period]);
+  }
+
+  /**
+   * Drop expired counts and rewrite the quota file
+   * @private
+   * @param {number} now - Current time in milliseconds
+   */
+  _save(now) {
+    for (const [identity, counts] of Object.entries(this.usage)) {
+      for (const [channel, entry] of Object.entries(counts)) {
+        const limit = this.limits.get(channel);
+        if (!limit || entry.periodStart !== this._getPeriodStart(limit.period, now)) {
+          delete counts[channel];
+        }
+      }
+
+      if (Object.keys(counts).length === 0) {
+        delete this.usage[identity];
+      }
+    }
+
+    const quotaDir = path.dirname(this.options.path);
+    const tempPath = `${this.options.path}.tmp`;
+
+    try {
+      if (!fs.existsSync(quotaDir)) {
+        fs.mkdirSync(quotaDir, { recursive: true });
+      }
+      fs.writeFileSync(tempPath, JSON.stringify(this.usage, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.options.path);
+    } catch (error) {
+      console.error(`Failed to save quota file ${this.options.path}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = QuotaTracker;
@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Rule-based routing engine for resolving notification channels from configuration
+ * Lets clients omit channels and have the server pick them from declarative routing rules
+ */
+
+const TimeWindow = require('../utils/time-window');
+
+const VALID_LEVELS = ['info', 'warning', 'error'];
+const MATCH_KEYS = ['level', 'title', 'message', 'metadata', 'host', 'time'];
+
+/**
+ * Resolves channel lists for notifications from ordered routing rules
+ *
+ * Rules are evaluated in order and the first match wins, unless the rule sets
+ * `continue: true`, in which case its channels are added and evaluation goes on.
+ * If no rule matches, `defaultChannels` are used. A matching rule with
+ * `escalation` hands the notification to that escalation policy instead.
+ */
+class RoutingEngine {
+  /**
+   * Create a routing engine
+   * @param {RoutingConfig} [config] - Routing configuration
+   * @throws {Error} If a rule is invalid
+   */
+  constructor(config = {}) {
+    this.defaultChannels = config.defaultChannels || [];
+
+    if (!Array.isArray(this.defaultChannels)) {
+      throw new Error('Routing defaultChannels must be an array');
+    }
+
+    this.rules = (config.rules || []).map((rule, index) => this._compileRule(rule, index));
+  }
+
+  /**
+   * Resolve channels for a notification
+   * @param {NotificationRequest} notification - Notification to route
+   * @param {Date} [now] - Moment used for time-of-day matching
+   * @returns {{channels: string[], matchedRules: string[], escalation: string|null}} Resolved channels,
+   *   names of matching rules and escalation policy to hand the notification to
+   */
+  resolve(notification, now = new Date()) {
+    const channels = new Set();
+    const matchedRules = [];
+
+    for (const rule of this.rules) {
+      if (!this._matches(rule, notification, now)) {
+        continue;
+      }
+
+      matchedRules.push(rule.name);
+
+      if (rule.escalation) {
+        return { channels: [], matchedRules, escalation: rule.escalation };
+      }
+
+      rule.channels.forEach(channel => channels.add(channel));
+
+      if (!rule.continue) {
+        break;
+      }
+    }
+
+    if (matchedRules.length === 0) {
+      this.defaultChannels.forEach(channel => channels.add(channel));
+    }
+
+    return {
+      channels: Array.from(channels),
+      matchedRules,
+      escalation: null
+    };
+  }
+
+  /**
+   * Get names of escalation policies referenced by rules
+   * @returns {string[]} Policy names
+   */
+  getEscalationPolicies() {
+    return Array.from(new Set(this.rules.filter(rule => rule.escalation).map(rule => rule.escalation)));
+  }
+
+  /**
+   * Get a summary of configured rules
+   * @returns {Object[]} Rule names, channels and match keys
+   */
+  getRules() {
+    return this.rules.map(rule => ({
+      name: rule.name,
+      channels: rule.channels,
+      escalation: rule.escalation,
+      match: Object.keys(rule.source.match || {}),
+      continue: rule.continue
+    }));
+  }
+
+  /**
+   * Check whether a compiled rule matches a notification
+   * @private
+   * @param {Object} rule - Compiled rule
+   * @param {NotificationRequest} notification - Notification
+   * @param {Date} now - Current time
+   * @returns {boolean} True if every condition matches
+   */
+  _matches(rule, notification, now) {
+    const { match } = rule;
+    const level = notification.level || 'info';
+
+    if (match.levels && !match.levels.includes(level)) {
+      return false;
+    }
+
+    if (match.title && !match.title.test(String(notification.title || ''))) {
+      return false;
+    }
+
+    if (match.message && !match.message.test(String(notification.message || ''))) {
+      return false;
+    }
+
+    if (match.host && !match.host.test(String(notification.host || ''))) {
+      return false;
+    }
+
+    if (match.metadata && !this._matchesMetadata(match.metadata, notification.metadata || {})) {
+      return false;
+    }
+
+    if (match.time && !match.time.contains(now)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Check metadata conditions
+   * @private
+   * @param {Object} conditions - Metadata conditions by key
+   * @param {Object} metadata - Notification metadata
+   * @returns {boolean} True if all conditions match
+   */
+  _matchesMetadata(conditions, metadata) {
+    return Object.entries(conditions).every(([key, expected]) => {
+      const hasKey = Object.prototype.hasOwnProperty.call(metadata, key);
+
+      if (expected === true) {
+        return hasKey;
+      }
+
+      if (expected === false) {
+        return !hasKey;
+      }
+
+      if (!hasKey) {
+        return false;
+      }
+
+      if (Array.isArray(expected)) {
+        return expected.includes(metadata[key]);
+      }
+
+      return metadata[key] === expected;
+    });
+  }
+
+  /**
+   * Validate and compile a rule from configuration
+   * @private
+   * @param {RoutingRule} rule - Rule from configuration
+   * @param {number} index - Rule position
+   * @returns {Object} Compiled rule
+   */
+  _compileRule(rule, index) {
+    const name = (rule && rule.name) || `rule-${index + 1}`;
+    const fail = (message) => {
+      throw new Error(`Invalid routing rule "${name}": ${message}`);
+    };
+
+    if (!rule || typeof rule !== 'object') {
+      fail('rule must be an object');
+    }
+
+    if (rule.escalation !== undefined) {
+      if (typeof rule.escalation !== 'string' || rule.escalation.length === 0) {
+        fail('escalation must be a policy name');
+      }
+      if (rule.channels !== undefined) {
+        fail('channels and escalation cannot be combined');
+      }
+    } else if (!Array.isArray(rule.channels) || rule.channels.length === 0) {
+      fail('channels must be a non-empty array');
+    }
+
+    const source = rule.match || {};
+    if (typeof source !== 'object' || Array.isArray(source)) {
+      fail('match must be an object');
+    }
+
+    const unknownKeys = Object.keys(source).filter(key => !MATCH_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      fail(`unknown match keys: ${unknownKeys.join(', ')}`);
+    }
+
+    const match = {};
+
+    try {
+      if (source.level !== undefined) {
+        match.levels = Array.isArray(source.level) ? source.level : [source.level];
+        const invalid = match.levels.filter(level => !VALID_LEVELS.includes(level));
+        if (invalid.length > 0) {
+          throw new Error(`level must be one of: ${VALID_LEVELS.join(', ')}`);
+        }
+      }
+
+      ['title', 'message', 'host'].forEach(key => {
+        if (source[key] !== undefined) {
+          match[key] = RoutingEngine._compilePattern(source[key], key);
+        }
+      });
+
+      if (source.metadata !== undefined) {
+        if (!source.metadata || typeof source.metadata !== 'object' || Array.isArray(source.metadata)) {
+          throw new Error('metadata must be an object');
+        }
+        match.metadata = source.metadata;
+      }
+
+      if (source.time !== undefined) {
+        match.time = new TimeWindow(source.time);
+      }
+    } catch (error) {
+      fail(error.message);
+    }
+
+    return {
+      name,
+      match,
+      channels: rule.channels || [],
+      escalation: rule.escalation || null,
+      continue: rule.continue === true,
+      source: rule
+    };
+  }
+
+  /**
+   * Compile a pattern string ("text" or "/regex/flags") into a RegExp
+   * @private
+   * @param {string} pattern - Pattern from configuration
+   * @param {string} key - Match key, for error messages
+   * @returns {RegExp} Compiled pattern
+   */
+  static _compilePattern(pattern, key) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+      throw new Error(`${key} must be a non-empty pattern string`);
+    }
+
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+
+    try {
+      return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+    } catch (error) {
+      throw new Error(`${key} is not a valid regular expression: ${error.message}`);
+    }
+  }
+}
+
+module.exports = RoutingEngine;
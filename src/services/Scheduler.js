@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Scheduler for notifications held until a future time
+ * Persists scheduled notifications so reminders survive a server restart
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+/** Longest delay setTimeout accepts (about 24.8 days) */
+const MAX_TIMER_DELAY = 2147483647;
+
+/**
+ * Holds notifications with a `sendAt` or `delay` until they are due
+ *
+ * Scheduled notifications are kept in memory and rewritten to a JSON file on
+ * every change. When one is due it is removed and handed to the dispatch handler.
+ */
+class Scheduler {
+  /**
+   * Create a scheduler
+   * @param {Function} dispatchHandler - Called with the scheduled entry when it is due
+   * @param {SchedulerConfig} [options] - Scheduler configuration
+   */
+  constructor(dispatchHandler, options = {}) {
+    this.dispatchHandler = dispatchHandler;
+    this.options = {
+      path: path.join(os.homedir(), '.notifytool', 'scheduled.json'),
+      maxEntries: 1000,
+      ...options
+    };
+
+    /** @type {Map<string, Object>} Scheduled entries by schedule ID */
+    this.entries = new Map();
+
+    /** @type {Map<string, NodeJS.Timeout>} Pending timers by schedule ID */
+    this.timers = new Map();
+  }
+
+  /**
+   * Get the time a notification should be sent
+   * @param {NotificationRequest} notification - Notification with `sendAt` or `delay`
+   * @param {Date} [now] - Current time
+   * @returns {Date|null} Send time, or null if the notification is not scheduled
+   * @throws {Error} If the schedule is invalid or in the past
+   */
+  static getSendTime(notification, now = new Date()) {
+    const { sendAt, delay } = notification;
+
+    if (sendAt === undefined && delay === undefined) {
+      return null;
+    }
+
+    if (sendAt !== undefined && delay !== undefined) {
+      throw new Error('Specify either sendAt or delay, not both');
+    }
+
+    if (delay !== undefined) {
+      if (typeof delay !== 'number' || !Number.isFinite(delay) || delay <= 0) {
+        throw new Error('delay must be a positive number of seconds');
+      }
+      return new Date(now.getTime() + delay * 1000);
+    }
+
+    const sendTime = new Date(sendAt);
+    if ((typeof sendAt !== 'string' && typeof sendAt !== 'number') || isNaN(sendTime.getTime())) {
+      throw new Error(`Invalid sendAt: ${sendAt}`);
+    }
+
+    if (sendTime.getTime() <= now.getTime()) {
+      throw new Error(`sendAt is in the past: ${sendTime.toISOString()}`);
+    }
+
+    return sendTime;
+  }
+
+  /**
+   * Load scheduled notifications and arm their timers
+   * Notifications that fell due while the server was down are sent right away.
+   * @returns {Promise<number>} Number of scheduled notifications loaded
+   */
+  async open() {
+    const scheduleDir = path.dirname(this.options.path);
+    if (!fs.existsSync(scheduleDir)) {
+      fs.mkdirSync(scheduleDir, { recursive: true });
+    }
+
+    if (fs.existsSync(this.options.path)) {
+      try {
+        const entries = JSON.parse(fs.readFileSync(this.options.path, 'utf8'));
+        entries.forEach(entry => this.entries.set(entry.id, entry));
+      } catch (error) {
+        console.warn(`Ignoring unreadable schedule file ${this.options.path}: ${error.message}`);
+      }
+    }
+
+    for (const entry of this.entries.values()) {
+      this._arm(entry);
+    }
+
+    return this.entries.size;
+  }
+
+  /**
+   * Schedule a notification
+   * @param {NotificationRequest} notification - Notification with `sendAt` or `delay`
+   * @param {Object} [options] - Delivery options
+   * @param {string[]} [options.channels] - Channels to send to (default: resolved by routing rules when due)
+   * @param {string} [options.escalation] - Escalation policy to start when due
+   * @param {string} [options.sender] - API key ID or identity of the caller
+   * @returns {Promise<ScheduledNotification>} Scheduled entry
+   * @throws {Error} If the schedule is invalid or the scheduler is full
+   */
+  async schedule(notification, options = {}) {
+    const sendTime = Scheduler.getSendTime(notification);
+    if (!sendTime) {
+      throw new Error('Notification has no sendAt or delay');
+    }
+
+    if (this.entries.size >= this.options.maxEntries) {
+      throw new Error(`Too many scheduled notifications (limit ${this.options.maxEntries})`);
+    }
+
+    const { sendAt, delay, ...rest } = notification;
+    const entry = {
+      id: this._generateScheduleId(),
+      notification: rest,
+      channels: options.channels || [],
+      ...(options.escalation && { escalation: options.escalation }),
+      ...(options.sender && { sender: options.sender }),
+      sendAt: sendTime.toISOString(),
+      createdAt: new Date().toISOString()
+    };
+
+    this.entries.set(entry.id, entry);
+    this._save();
+    this._arm(entry);
+
+    return entry;
+  }
+
+  /**
+   * Cancel a scheduled notification
+   * @param {string} id - Schedule ID
+   * @returns {Promise<ScheduledNotification|null>} Cancelled entry, or null if unknown
+   */
+  async cancel(id) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    this._disarm(id);
+    this.entries.delete(id);
+    this._save();
+
+    return entry;
+  }
+
+  /**
+   * Get a scheduled notification
+   * @param {string} id - Schedule ID
+   * @returns {ScheduledNotification|null} Scheduled entry
+   */
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  /**
+   * List scheduled notifications, soonest first
+   * @returns {ScheduledNotification[]} Scheduled entries
+   */
+  list() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  }
+
+  /**
+   * Stop all timers; scheduled notifications stay on disk
+   */
+  close() {
+    for (const id of this.timers.keys()) {
+      this._disarm(id);
+    }
+  }
+
+  /**
+   * Start the timer for an entry
+   * @private
+   * @param {ScheduledNotification} entry - Scheduled entry
+   */
+  _arm(entry) {
+    const remaining = new Date(entry.sendAt).getTime() - Date.now();
+
+    // Delays past the setTimeout limit are re-armed in steps
+    const timer = setTimeout(() => {
+      if (remaining > MAX_TIMER_DELAY) {
+        this._arm(entry);
+      } else {
+        this._fire(entry.id);
+      }
+    }, Math.max(0, Math.min(remaining, MAX_TIMER_DELAY)));
+
+    if (timer.unref) {
+      timer.unref();
+    }
+
+    this.timers.set(entry.id, timer);
+  }
+
+  /**
+   * Clear the timer for an entry
+   * @private
+   * @param {string} id - Schedule ID
+   */
+  _disarm(id) {
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+  }
+
+  /**
+   * Remove a due entry and dispatch it
+   * @private
+   * @param {string} id - Schedule ID
+   * @returns {Promise<void>}
+   */
+  async _fire(id) {
+    const entry = this.entries.get(id);
+    this.timers.delete(id);
+    if (!entry) {
+      return;
+    }
+
+    this.entries.delete(id);
+
+    try {
+      await this.dispatchHandler(entry);
+    } catch (error) {
+      console.error(`Scheduled notification ${id} failed to dispatch: ${error.message}`);
+    } finally {
+      // Saved after dispatch so a crash in between repeats the notification rather than losing it
+      this._save();
+    }
+  }
+
+  /**
+   * Rewrite the schedule file
+   * @private
+   */
+  _save() {
+    const tempPath = `${this.options.path}.tmp`;
+
+    try {
+      fs.writeFileSync(tempPath, JSON.stringify(this.list(), null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, this.options.path);
+    } catch (error) {
+      console.error(`Failed to save schedule file ${this.options.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generate unique schedule ID
+   * @private
+   * @returns {string} Schedule ID
+   */
+  _generateScheduleId() {
+    return `sched_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+  }
+}
+
+module.exports = Scheduler;
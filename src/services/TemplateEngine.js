@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Named notification templates with per-channel overrides
+ * Renders a notification's title and message from its metadata for each channel
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Template = require('../utils/template');
+
+/** Template parts rendered into the notification */
+const PARTS = ['title', 'message'];
+
+/**
+ * Registry of named templates loaded from configuration and a template directory
+ *
+ * A template definition has `title` and `message` sources and optional
+ * `channels` overrides keyed by channel name. The default parts fill in a
+ * notification's missing title and message once, when it is accepted; a
+ * channel override then re-renders only the parts it defines for that channel.
+ * Templates are rendered with the notification's metadata as variables,
+ * alongside title, message, level, host, channel and timestamp.
+ */
+class TemplateEngine {
+  /**
+   * Create a template engine
+   * @param {TemplateConfig} [config] - Template configuration
+   * @throws {Error} If a configured template fails to compile
+   */
+  constructor(config = {}) {
+    this.options = {
+      directory: path.join(os.homedir(), '.notifytool', 'templates'),
+      ...config
+    };
+
+    /** @type {Map<string, Object>} Compiled templates by name */
+    this.templates = new Map();
+
+    for (const [name, definition] of Object.entries(this.options.definitions || {})) {
+      this.add(name, definition);
+    }
+  }
+
+  /**
+   * Load `<name>.json` templates from the template directory
+   * Templates defined in configuration take precedence over files with the same name.
+   * @returns {number} Number of templates available
+   * @throws {Error} If a template file is unreadable or fails to compile
+   */
+  load() {
+    const directory = this.options.directory;
+
+    if (directory && fs.existsSync(directory)) {
+      for (const file of fs.readdirSync(directory).filter(f => f.endsWith('.json')).sort()) {
+        const name = path.basename(file, '.json');
+        if (this.templates.has(name)) {
+          continue;
+        }
+
+        let definition;
+        try {
+          definition = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        } catch (error) {
+          throw new Error(`Invalid template file ${file}: ${error.message}`);
+        }
+
+        this.add(name, definition);
+      }
+    }
+
+    return this.templates.size;
+  }
+
+  /**
+   * Register a template
+   * @param {string} name - Template name
+   * @param {TemplateDefinition} definition - Template definition
+   * @throws {Error} If the definition is invalid or fails to compile
+   */
+  add(name, definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error(`Template ${name} must be an object`);
+    }
+
+    try {
+      const compiled = {
+        default: this._compileParts(definition),
+        channels: {}
+      };
+
+      for (const [channel, override] of Object.entries(definition.channels || {})) {
+        compiled.channels[channel] = this._compileParts(override);
+      }
+
+      this.templates.set(name, compiled);
+    } catch (error) {
+      throw new Error(`Template ${name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether a template exists
+   * @param {string} name - Template name
+   * @returns {boolean} True if the template is registered
+   */
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  /**
+   * Get registered template names
+   * @returns {string[]} Template names
+   */
+  getNames() {
+    return Array.from(this.templates.keys()).sort();
+  }
+
+  /**
+   * Render a notification's template
+   * @param {NotificationRequest} notification - Notification with `template` set
+   * @param {string} [channel] - Channel to apply overrides for. Without a channel,
+   *   the default parts fill in a missing title and message.
+   * @returns {NotificationRequest} Rendered notification
+   * @throws {Error} If the template is unknown
+   */
+  render(notification, channel) {
+    const compiled = this.templates.get(notification.template);
+    if (!compiled) {
+      throw new Error(`Unknown template: ${notification.template}`);
+    }
+
+    const parts = channel ? compiled.channels[channel] || {} : compiled.default;
+    const data = {
+      ...(notification.metadata || {}),
+      title: notification.title,
+      message: notification.message,
+      level: notification.level || 'info',
+      host: notification.host,
+      channel: channel || null,
+      timestamp: new Date().toISOString(),
+      metadata: notification.metadata || {}
+    };
+
+    const rendered = { ...notification };
+    for (const part of PARTS) {
+      if (parts[part] && (channel || !notification[part])) {
+        rendered[part] = parts[part].render(data);
+      }
+    }
+
+    return rendered;
+  }
+
+  /**
+   * Compile the parts of a definition or channel override
+   * @private
+   * @param {Object} definition - Object with title and/or message sources
+   * @returns {Object} Compiled templates by part
+   */
+  _compileParts(definition) {
+    const compiled = {};
+
+    for (const part of PARTS) {
+      if (definition[part] !== undefined) {
+        compiled[part] = new Template(definition[part]);
+      }
+    }
+
+    return compiled;
+  }
+}
+
+module.exports = TemplateEngine;
@@ -0,0 +1,552 @@
+/**
+ * @fileoverview Supervisor for persistent SSH tunnels
+ * Spawns tunnels defined once, restarts them with backoff when they die and
+ * records their state so other processes can report on them
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const SSHTunnelHelper = require('../utils/ssh-helper');
+
+/** Settings kept in a tunnel definition */
+const DEFINITION_FIELDS = [
+  'remoteHost', 'remoteUser', 'remotePort', 'localPort', 'remoteSocket',
+  'localSocket', 'reverse', 'sshPort', 'keyFile', 'jumpHosts', 'controlMaster',
+  'controlPath', 'controlPersist', 'identityAgent'
+];
+
+/** Definition fields holding port numbers */
+const PORT_FIELDS = ['remotePort', 'localPort', 'sshPort'];
+
+/**
+ * Keeps named SSH tunnels running
+ *
+ * Definitions are saved to a JSON file. A supervising process runs each
+ * tunnel's ssh in the foreground, restarts it with exponential backoff when
+ * it exits, and kills it when its local end stops accepting connections.
+ * The supervisor writes each tunnel's state to its own file, so `status`
+ * works from any process and notices supervisors that died.
+ */
+class TunnelManager extends EventEmitter {
+  /**
+   * Create a tunnel manager
+   * @param {Object} [options] - Manager options
+   * @param {string} [options.path] - Definitions file (default: ~/.notifytool/tunnels.json)
+   * @param {string} [options.stateDir] - Directory for state files (default: ~/.notifytool/tunnels)
+   * @param {number} [options.initialDelay=1000] - First restart delay in milliseconds
+   * @param {number} [options.maxDelay=60000] - Longest restart delay in milliseconds
+   * @param {number} [options.multiplier=2] - Delay multiplier after each failed restart
+   * @param {number} [options.stableAfter=60000] - Uptime after which the backoff starts over
+   * @param {number} [options.checkInterval=30000] - Interval between local end checks
+   * @param {number} [options.maxFailedChecks=2] - Failed checks in a row before restarting
+   * @param {SSHTunnelHelper} [options.helper] - SSH helper
+   * @param {Function} [options.spawn] - child_process.spawn replacement
+   */
+  constructor(options = {}) {
+    super();
+
+    this.options = {
+      path: path.join(os.homedir(), '.notifytool', 'tunnels.json'),
+      stateDir: path.join(os.homedir(), '.notifytool', 'tunnels'),
+      initialDelay: 1000,
+      maxDelay: 60000,
+      multiplier: 2,
+      stableAfter: 60000,
+      checkInterval: 30000,
+      maxFailedChecks: 2,
+      ...options
+    };
+
+    this.helper = this.options.helper || new SSHTunnelHelper();
+    this.spawn = this.options.spawn || spawn;
+
+    /** @type {Object<string, Object>} Tunnel definitions by name */
+    this.tunnels = {};
+
+    /** @type {Map<string, Object>} Tunnels supervised by this process */
+    this.supervised = new Map();
+  }
+
+  /**
+   * Load saved tunnel definitions
+   * @returns {Promise<void>}
+   */
+  async open() {
+    if (fs.existsSync(this.options.path)) {
+      try {
+        this.tunnels = JSON.parse(fs.readFileSync(this.options.path, 'utf8'));
+      } catch (error) {
+        console.warn(`Ignoring unreadable tunnel file ${this.options.path}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * List tunnel definitions with their state
+   * @returns {Object[]} Definitions with name and state
+   */
+  list() {
+    return Object.entries(this.tunnels).map(([name, definition]) => ({
+      name,
+      ...definition,
+      state: this.getState(name)
+    }));
+  }
+
+  /**
+   * Get a tunnel definition
+   * @param {string} name - Tunnel name
+   * @returns {Object|null} Definition, or null if unknown
+   */
+  get(name) {
+    return this.tunnels[name] || null;
+  }
+
+  /**
+   * Define a tunnel
+   * @param {string} name - Tunnel name
+   * @param {Object} definition - SSH configuration, as for SSHTunnelHelper.generateTunnelCommand
+   * @returns {Promise<Object>} Saved definition
+   * @throws {Error} If the name is taken or the definition is invalid
+   */
+  async add(name, definition) {
+    if (!/^[\w.-]+$/.test(name || '')) {
+      throw new Error('Tunnel name may only contain letters, digits and . _ - characters');
+    }
+
+    if (this.tunnels[name]) {
+      throw new Error(`Tunnel ${name} already exists`);
+    }
+
+    const normalized = {};
+    for (const field of DEFINITION_FIELDS) {
+      if (definition[field] !== undefined && definition[field] !== null && definition[field] !== '') {
+        normalized[field] = PORT_FIELDS.includes(field) ? parseInt(definition[field], 10) : definition[field];
+      }
+    }
+    normalized.reverse = normalized.reverse === true;
+    if (typeof normalized.jumpHosts === 'string') {
+      normalized.jumpHosts = normalized.jumpHosts.split(',').map(jumpHost => jumpHost.trim()).filter(Boolean);
+    }
+
+    // Throws for invalid hosts, ports and sockets
+    this.helper.generateTunnelArgs(normalized);
+
+    this.tunnels[name] = normalized;
+    this._save();
+    return normalized;
+  }
+
+  /**
+   * Delete a tunnel definition
+   * @param {string} name - Tunnel name
+   * @returns {Promise<boolean>} True if the tunnel was defined
+   * @throws {Error} If the tunnel is still running
+   */
+  async remove(name) {
+    if (!this.tunnels[name]) {
+      return false;
+    }
+
+    const state = this.getState(name);
+    if (state.running) {
+      throw new Error(`Tunnel ${name} is running; stop it first`);
+    }
+
+    delete this.tunnels[name];
+    this._save();
+    fs.rmSync(this._getStatePath(name), { force: true });
+    return true;
+  }
+
+  /**
+   * Get a tunnel's last recorded state
+   * @param {string} name - Tunnel name
+   * @returns {{status: string, running: boolean, restarts: number, pid?: number, sshPid?: number,
+   *   startedAt?: string, lastError?: string, retryAt?: string, updatedAt?: string}}
+   *   State; status is "dead" when the supervisor exited without stopping the tunnel
+   */
+  getState(name) {
+    let state = { status: 'stopped', restarts: 0 };
+
+    try {
+      state = { ...state, ...JSON.parse(fs.readFileSync(this._getStatePath(name), 'utf8')) };
+    } catch (error) {
+      // No state file: never started
+    }
+
+    // Stopped and failed tunnels have no ssh process left to supervise
+    const finished = state.status === 'stopped' || state.status === 'failed';
+    const running = !finished && this._isAlive(state.pid);
+    if (!finished && !running) {
+      state.status = 'dead';
+    }
+
+    return { ...state, running };
+  }
+
+  /**
+   * Get a tunnel's state and whether its local end accepts connections
+   * Reverse tunnels listen on the remote host and are not checked.
+   * @param {string} name - Tunnel name
+   * @returns {Promise<Object>} State with definition and `reachable` (true, false or null)
+   * @throws {Error} If the tunnel is not defined
+   */
+  async getStatus(name) {
+    const definition = this._require(name);
+    const endpoint = this._getLocalEndpoint(definition);
+
+    return {
+      name,
+      definition,
+      ...this.getState(name),
+      reachable: endpoint ? await this.helper.testTunnel(endpoint, 2000) : null
+    };
+  }
+
+  /**
+   * Find running ssh tunnels that no supervisor started
+   * @returns {Promise<Object[]>} Tunnel processes as reported by SSHTunnelHelper.findTunnelProcesses
+   */
+  async findUnmanaged() {
+    const managed = new Set(Object.keys(this.tunnels)
+      .map(name => this.getState(name))
+      .filter(state => state.running && state.sshPid)
+      .map(state => String(state.sshPid)));
+
+    const processes = await this.helper.findTunnelProcesses();
+    return processes.filter(tunnel => !managed.has(String(tunnel.pid)));
+  }
+
+  /**
+   * Start a detached supervisor process for a tunnel
+   * @param {string} name - Tunnel name
+   * @param {string[]} command - Command that supervises the tunnel in the foreground
+   * @returns {number} Supervisor process ID
+   * @throws {Error} If the tunnel is not defined or already running
+   */
+  startSupervisor(name, command) {
+    this._require(name);
+
+    const state = this.getState(name);
+    if (state.running) {
+      throw new Error(`Tunnel ${name} is already running (pid ${state.pid})`);
+    }
+
+    const child = this.spawn(command[0], command.slice(1), { detached: true, stdio: 'ignore' });
+    child.unref();
+    return child.pid;
+  }
+
+  /**
+   * Stop a tunnel's supervisor process, which stops the tunnel
+   * @param {string} name - Tunnel name
+   * @returns {boolean} True if a running supervisor was signalled
+   */
+  stopSupervisor(name) {
+    const state = this.getState(name);
+    if (!state.running) {
+      return false;
+    }
+
+    process.kill(state.pid, 'SIGTERM');
+    return true;
+  }
+
+  /**
+   * Run and supervise a tunnel in this process
+   * @param {string} name - Tunnel name
+   * @throws {Error} If the tunnel is not defined
+   */
+  supervise(name) {
+    const definition = this._require(name);
+    if (this.supervised.has(name)) {
+      return;
+    }
+
+    const tunnel = {
+      name,
+      definition,
+      child: null,
+      failures: 0,
+      restarts: 0,
+      failedChecks: 0,
+      startedAt: null,
+      lastError: null,
+      timer: null,
+      checkTimer: null,
+      stopped: false
+    };
+
+    this.supervised.set(name, tunnel);
+    this._start(tunnel);
+  }
+
+  /**
+   * Stop supervised tunnels
+   * @param {string} [name] - Tunnel to stop (default: all supervised by this process)
+   */
+  stop(name) {
+    const names = name ? [name] : [...this.supervised.keys()];
+
+    for (const tunnelName of names) {
+      const tunnel = this.supervised.get(tunnelName);
+      if (!tunnel) {
+        continue;
+      }
+
+      tunnel.stopped = true;
+      clearTimeout(tunnel.timer);
+      clearInterval(tunnel.checkTimer);
+      this.supervised.delete(tunnelName);
+
+      // The exit handler records the stopped state
+      if (tunnel.child) {
+        tunnel.child.kill('SIGTERM');
+      } else {
+        this._writeState(tunnel, 'stopped');
+      }
+    }
+  }
+
+  /**
+   * Spawn a tunnel's ssh process
+   * Runs from restart timers, so errors are recorded instead of thrown. A
+   * tunnel whose ssh command cannot be built or spawned is not retried.
+   * @private
+   * @param {Object} tunnel - Supervised tunnel
+   */
+  _start(tunnel) {
+    let child;
+
+    try {
+      const args = this.helper.generateTunnelArgs(tunnel.definition, { background: false, batchMode: true });
+      child = this.spawn('ssh', args, { stdio: ['ignore', 'ignore', 'pipe'] });
+    } catch (error) {
+      this._fail(tunnel, error.message);
+      return;
+    }
+
+    let stderr = '';
+    let exited = false;
+
+    const onExit = (code) => {
+      if (!exited) {
+        exited = true;
+        this._onExit(tunnel, code, stderr.trim().split('\n').pop());
+      }
+    };
+
+    if (child.stderr) {
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-1000);
+      });
+    }
+    // Spawn errors, such as a missing ssh binary, would fail again on every restart
+    child.on('error', (error) => {
+      if (!exited) {
+        exited = true;
+        this._fail(tunnel, error.message);
+      }
+    });
+    child.on('exit', code => onExit(code));
+
+    tunnel.child = child;
+    tunnel.startedAt = Date.now();
+    tunnel.failedChecks = 0;
+    tunnel.checkTimer = setInterval(() => this._check(tunnel), this.options.checkInterval);
+
+    this._writeState(tunnel, 'up');
+    this.emit('up', { name: tunnel.name, pid: child.pid });
+  }
+
+  /**
+   * Schedule a restart after a tunnel's ssh process exits
+   * @private
+   * @param {Object} tunnel - Supervised tunnel
+   * @param {number|null} code - Exit code
+   * @param {string} [error] - Last error output
+   */
+  _onExit(tunnel, code, error) {
+    clearInterval(tunnel.checkTimer);
+    tunnel.child = null;
+
+    if (tunnel.stopped) {
+      this._writeState(tunnel, 'stopped');
+      this.emit('stopped', { name: tunnel.name });
+      return;
+    }
+
+    // A tunnel that stayed up for a while starts its backoff over
+    if (Date.now() - tunnel.startedAt >= this.options.stableAfter) {
+      tunnel.failures = 0;
+    }
+
+    const { initialDelay, multiplier, maxDelay } = this.options;
+    const delay = Math.min(initialDelay * Math.pow(multiplier, tunnel.failures), maxDelay);
+
+    tunnel.failures++;
+    tunnel.restarts++;
+    tunnel.lastError = error || `ssh exited with code ${code}`;
+
+    this._writeState(tunnel, 'restarting', { retryAt: new Date(Date.now() + delay).toISOString() });
+    this.emit('exit', { name: tunnel.name, code, error: tunnel.lastError, retryIn: delay });
+
+    tunnel.timer = setTimeout(() => {
+      tunnel.timer = null;
+      this._start(tunnel);
+    }, delay);
+  }
+
+  /**
+   * Give up on a tunnel that cannot be started
+   * @private
+   * @param {Object} tunnel - Supervised tunnel
+   * @param {string} error - Reason the tunnel cannot start
+   */
+  _fail(tunnel, error) {
+    clearInterval(tunnel.checkTimer);
+    tunnel.child = null;
+    tunnel.lastError = error;
+    this.supervised.delete(tunnel.name);
+
+    this._writeState(tunnel, 'failed');
+    this.emit('failed', { name: tunnel.name, error });
+  }
+
+  /**
+   * Restart a tunnel whose local end keeps refusing connections
+   * ssh may stay connected after its forward stopped working.
+   * @private
+   * @param {Object} tunnel - Supervised tunnel
+   * @returns {Promise<void>}
+   */
+  async _check(tunnel) {
+    const endpoint = this._getLocalEndpoint(tunnel.definition);
+    if (!endpoint || !tunnel.child) {
+      return;
+    }
+
+    if (await this.helper.testTunnel(endpoint, 5000)) {
+      tunnel.failedChecks = 0;
+      return;
+    }
+
+    tunnel.failedChecks++;
+    if (tunnel.failedChecks >= this.options.maxFailedChecks && tunnel.child) {
+      this.emit('unhealthy', { name: tunnel.name });
+      tunnel.child.kill('SIGTERM');
+    }
+  }
+
+  /**
+   * Get the port or socket a tunnel listens on locally
+   * @private
+   * @param {Object} definition - Tunnel definition
+   * @returns {number|string|null} Local port or socket path, or null for reverse tunnels
+   */
+  _getLocalEndpoint(definition) {
+    if (definition.reverse) {
+      return null;
+    }
+
+    return definition.localSocket || definition.localPort || this.helper.options.defaultLocalPort;
+  }
+
+  /**
+   * Get a tunnel definition or throw
+   * @private
+   * @param {string} name - Tunnel name
+   * @returns {Object} Definition
+   * @throws {Error} If the tunnel is not defined
+   */
+  _require(name) {
+    const definition = this.get(name);
+    if (!definition) {
+      throw new Error(`Unknown tunnel: ${name}`);
+    }
+    return definition;
+  }
+
+  /**
+   * Check whether a process is running
+   * @private
+   * @param {number} [pid] - Process ID
+   * @returns {boolean} True if the process exists
+   */
+  _isAlive(pid) {
+    if (!pid) {
+      return false;
+    }
+
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Get the state file path for a tunnel
+   * @private
+   * @param {string} name - Tunnel name
+   * @returns {string} Path
+   */
+  _getStatePath(name) {
+    return path.join(this.options.stateDir, `${name}.json`);
+  }
+
+  /**
+   * Record a supervised tunnel's state
+   * @private
+   * @param {Object} tunnel - Supervised tunnel
+   * @param {string} status - "up", "restarting", "stopped" or "failed"
+   * @param {Object} [extra] - Additional fields
+   */
+  _writeState(tunnel, status, extra = {}) {
+    const state = {
+      status,
+      pid: process.pid,
+      sshPid: tunnel.child ? tunnel.child.pid : null,
+      restarts: tunnel.restarts,
+      startedAt: tunnel.startedAt ? new Date(tunnel.startedAt).toISOString() : null,
+      lastError: tunnel.lastError,
+      updatedAt: new Date().toISOString(),
+      ...extra
+    };
+
+    this._writeFile(this._getStatePath(tunnel.name), state);
+  }
+
+  /**
+   * Rewrite the definitions file
+   * @private
+   */
+  _save() {
+    this._writeFile(this.options.path, this.tunnels);
+  }
+
+  /**
+   * Write JSON through a temporary file
+   * @private
+   * @param {string} filePath - Destination
+   * @param {Object} data - Data to write
+   */
+  _writeFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      console.error(`Failed to save tunnel file ${filePath}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = TunnelManager;
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview File-backed delivery history store
+ * Persists delivery records as JSON lines under ~/.notifytool/history
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const MemoryHistoryStore = require('./MemoryHistoryStore');
+
+/**
+ * Delivery history store that appends records to a JSON lines file
+ * Records are indexed in memory and the file is rewritten when it grows past the size limit
+ */
+class FileHistoryStore extends MemoryHistoryStore {
+  constructor(options = {}) {
+    super({
+      path: path.join(os.homedir(), '.notifytool', 'history', 'deliveries.jsonl'),
+      ...options
+    });
+
+    /** @type {number} Records in the file, including ones trimmed from memory */
+    this.fileRecords = 0;
+  }
+
+  /**
+   * Load existing records from the history file
+   * @returns {Promise<void>}
+   */
+  async open() {
+    const historyDir = path.dirname(this.options.path);
+    if (!fs.existsSync(historyDir)) {
+      fs.mkdirSync(historyDir, { recursive: true });
+    }
+
+    if (!fs.existsSync(this.options.path)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.options.path, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      try {
+        this._insert(JSON.parse(line));
+        this.fileRecords++;
+      } catch (error) {
+        console.warn(`Skipping unreadable history record in ${this.options.path}`);
+      }
+    }
+  }
+
+  /**
+   * Add a finished delivery record
+   * @param {DeliveryRecord} record - Delivery record
+   * @returns {Promise<void>}
+   */
+  async add(record) {
+    this._insert(record);
+
+    fs.appendFileSync(this.options.path, JSON.stringify(record) + '\n', { mode: 0o600 });
+    this.fileRecords++;
+
+    // Rewrite once the file holds noticeably more than we keep in memory
+    if (this.fileRecords > this.options.maxEntries * 1.5) {
+      this._rewrite();
+    }
+  }
+
+  /**
+   * Rewrite the history file with the retained records
+   * @private
+   */
+  _rewrite() {
+    const tempPath = `${this.options.path}.tmp`;
+    const lines = this.records
+      .slice()
+      .reverse()
+      .map(record => JSON.stringify(record) + '\n');
+
+    fs.writeFileSync(tempPath, lines.join(''), { mode: 0o600 });
+    fs.renameSync(tempPath, this.options.path);
+    this.fileRecords = this.records.length;
+  }
+}
+
+module.exports = FileHistoryStore;
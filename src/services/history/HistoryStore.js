@@ -0,0 +1,271 @@
+/**
+ * @fileoverview Base class for delivery history stores
+ * Defines the storage interface and shared filtering and pagination used by all store implementations
+ */
+
+const LEVELS = ['info', 'warning', 'error'];
+const STATUSES = ['completed', 'partial', 'failed'];
+
+/**
+ * Abstract base class for delivery history stores
+ * Stores keep one record per finished delivery and answer filtered, paginated queries
+ */
+class HistoryStore {
+  /**
+   * Create a new history store
+   * @param {Object} options - Store options
+   * @param {number} [options.maxEntries=10000] - Maximum records to retain
+   */
+  constructor(options = {}) {
+    if (this.constructor === HistoryStore) {
+      throw new Error('HistoryStore is an abstract class and cannot be instantiated directly');
+    }
+
+    this.options = {
+      maxEntries: 10000,
+      ...options
+    };
+  }
+
+  /**
+   * Prepare the store for use
+   * @optional
+   * @returns {Promise<void>}
+   */
+  async open() {}
+
+  /**
+   * Release store resources
+   * @optional
+   * @returns {Promise<void>}
+   */
+  async close() {}
+
+  /**
+   * Add a finished delivery record
+   * @abstract
+   * @param {DeliveryRecord} record - Delivery record
+   * @returns {Promise<void>}
+   */
+  async add(record) {
+    throw new Error(`add() method must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Get a delivery record by ID
+   * @abstract
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<DeliveryRecord|null>} Delivery record or null if not found
+   */
+  async get(deliveryId) {
+    throw new Error(`get() method must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Query delivery records, newest first
+   * @abstract
+   * @param {HistoryQuery} [filters] - Query filters
+   * @returns {Promise<{deliveries: DeliveryRecord[], nextCursor: string|null}>} Matching page of records
+   */
+  async query(filters = {}) {
+    throw new Error(`query() method must be implemented by ${this.constructor.name}`);
+  }
+
+  /**
+   * Validate and normalize query filters
+   * @param {Object} filters - Raw filters (e.g. from a query string)
+   * @returns {HistoryQuery} Normalized filters
+   * @throws {Error} If a filter is invalid
+   */
+  static normalizeQuery(filters = {}) {
+    const query = {
+      limit: 50
+    };
+
+    if (filters.channel) {
+      query.channel = String(filters.channel);
+    }
+
+    if (filters.level) {
+      if (!LEVELS.includes(filters.level)) {
+        throw new Error(`Level must be one of: ${LEVELS.join(', ')}`);
+      }
+      query.level = filters.level;
+    }
+
+    if (filters.status) {
+      if (!STATUSES.includes(filters.status)) {
+        throw new Error(`Status must be one of: ${STATUSES.join(', ')}`);
+      }
+      query.status = filters.status;
+    }
+
+    for (const field of ['since', 'until']) {
+      if (filters[field]) {
+        const date = new Date(isNaN(filters[field]) ? filters[field] : Number(filters[field]));
+        if (isNaN(date.getTime())) {
+          throw new Error(`${field} must be an ISO date or epoch milliseconds`);
+        }
+        query[field] = date.toISOString();
+      }
+    }
+
+    if (filters.limit !== undefined) {
+      const limit = parseInt(filters.limit, 10);
+      if (isNaN(limit) || limit < 1 || limit > 500) {
+        throw new Error('Limit must be between 1 and 500');
+      }
+      query.limit = limit;
+    }
+
+    if (filters.cursor) {
+      query.cursor = HistoryStore.decodeCursor(filters.cursor);
+    }
+
+    // Set by the server for scoped API keys, never taken from a query string
+    if (filters.scope) {
+      query.scope = {
+        channels: filters.scope.channels || null,
+        levels: filters.scope.levels || null
+      };
+    }
+
+    return query;
+  }
+
+  /**
+   * Check whether a record lies within an API key's scope
+   * A scoped key sees only deliveries it could have sent itself.
+   * @param {DeliveryRecord} record - Delivery record
+   * @param {{channels: string[]|null, levels: string[]|null}} scope - Allowed channels and levels (null for all)
+   * @returns {boolean} True if the level and every channel are allowed
+   */
+  static inScope(record, scope) {
+    if (scope.levels && !scope.levels.includes(record.notification.level)) {
+      return false;
+    }
+
+    return !scope.channels || record.channels.every(channel => scope.channels.includes(channel));
+  }
+
+  /**
+   * Encode a pagination cursor for a record
+   * @param {DeliveryRecord} record - Last record of a page
+   * @returns {string} Opaque cursor
+   */
+  static encodeCursor(record) {
+    return Buffer.from(JSON.stringify([record.createdAt, record.deliveryId])).toString('base64url');
+  }
+
+  /**
+   * Decode a pagination cursor
+   * @param {string} cursor - Opaque cursor
+   * @returns {{createdAt: string, deliveryId: string}} Cursor position
+   * @throws {Error} If the cursor is malformed
+   */
+  static decodeCursor(cursor) {
+    try {
+      const [createdAt, deliveryId] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (typeof createdAt !== 'string' || typeof deliveryId !== 'string') {
+        throw new Error('Invalid cursor');
+      }
+      return { createdAt, deliveryId };
+    } catch (error) {
+      throw new Error('Invalid cursor');
+    }
+  }
+
+  /**
+   * Check whether a record matches query filters
+   * @protected
+   * @param {DeliveryRecord} record - Delivery record
+   * @param {HistoryQuery} query - Normalized filters
+   * @returns {boolean} True if the record matches
+   */
+  _matches(record, query) {
+    if (query.scope && !HistoryStore.inScope(record, query.scope)) {
+      return false;
+    }
+
+    if (query.level && record.notification.level !== query.level) {
+      return false;
+    }
+
+    if (query.since && record.createdAt < query.since) {
+      return false;
+    }
+
+    if (query.until && record.createdAt > query.until) {
+      return false;
+    }
+
+    if (query.channel) {
+      if (!record.channels.includes(query.channel)) {
+        return false;
+      }
+
+      // With a channel filter, status refers to that channel's own outcome
+      if (query.status) {
+        const channelResult = record.channelResults.find(r => r.channel === query.channel);
+        const channelStatus = channelResult && channelResult.success ? 'completed' : 'failed';
+        return query.status === 'partial' ? record.status === 'partial' : channelStatus === query.status;
+      }
+    }
+
+    if (query.status && record.status !== query.status) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Filter and paginate records sorted newest first
+   * @protected
+   * @param {DeliveryRecord[]} records - Records sorted newest first
+   * @param {HistoryQuery} query - Normalized filters
+   * @returns {{deliveries: DeliveryRecord[], nextCursor: string|null}} Page of records
+   */
+  _paginate(records, query) {
+    const deliveries = [];
+    let hasMore = false;
+
+    for (const record of records) {
+      if (query.cursor && !this._isAfterCursor(record, query.cursor)) {
+        continue;
+      }
+
+      if (!this._matches(record, query)) {
+        continue;
+      }
+
+      if (deliveries.length === query.limit) {
+        hasMore = true;
+        break;
+      }
+
+      deliveries.push(record);
+    }
+
+    return {
+      deliveries,
+      nextCursor: hasMore ? HistoryStore.encodeCursor(deliveries[deliveries.length - 1]) : null
+    };
+  }
+
+  /**
+   * Check whether a record comes after a cursor position in newest-first order
+   * @private
+   * @param {DeliveryRecord} record - Delivery record
+   * @param {{createdAt: string, deliveryId: string}} cursor - Cursor position
+   * @returns {boolean} True if the record belongs to a later page
+   */
+  _isAfterCursor(record, cursor) {
+    if (record.createdAt !== cursor.createdAt) {
+      return record.createdAt < cursor.createdAt;
+    }
+    return record.deliveryId < cursor.deliveryId;
+  }
+}
+
+module.exports = HistoryStore;
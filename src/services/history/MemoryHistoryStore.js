@@ -0,0 +1,79 @@
+/**
+ * @fileoverview In-memory delivery history store
+ * Keeps the most recent delivery records in process memory
+ */
+
+const HistoryStore = require('./HistoryStore');
+
+/**
+ * Delivery history store backed by an in-memory array
+ * Records are lost on restart; use FileHistoryStore for durable history
+ */
+class MemoryHistoryStore extends HistoryStore {
+  constructor(options = {}) {
+    super(options);
+
+    /** @type {DeliveryRecord[]} Records sorted newest first */
+    this.records = [];
+  }
+
+  /**
+   * Add a finished delivery record
+   * @param {DeliveryRecord} record - Delivery record
+   * @returns {Promise<void>}
+   */
+  async add(record) {
+    this._insert(record);
+  }
+
+  /**
+   * Get a delivery record by ID
+   * @param {string} deliveryId - Delivery ID
+   * @returns {Promise<DeliveryRecord|null>} Delivery record or null if not found
+   */
+  async get(deliveryId) {
+    return this.records.find(r => r.deliveryId === deliveryId) || null;
+  }
+
+  /**
+   * Query delivery records, newest first
+   * @param {HistoryQuery} [filters] - Query filters
+   * @returns {Promise<{deliveries: DeliveryRecord[], nextCursor: string|null}>} Matching page of records
+   */
+  async query(filters = {}) {
+    return this._paginate(this.records, HistoryStore.normalizeQuery(filters));
+  }
+
+  /**
+   * Insert a record keeping newest-first order and the size limit
+   * @protected
+   * @param {DeliveryRecord} record - Delivery record
+   */
+  _insert(record) {
+    let index = 0;
+    while (index < this.records.length && this._isNewer(this.records[index], record)) {
+      index++;
+    }
+    this.records.splice(index, 0, record);
+
+    if (this.records.length > this.options.maxEntries) {
+      this.records.length = this.options.maxEntries;
+    }
+  }
+
+  /**
+   * Compare two records in newest-first order
+   * @private
+   * @param {DeliveryRecord} a - First record
+   * @param {DeliveryRecord} b - Second record
+   * @returns {boolean} True if a sorts before b
+   */
+  _isNewer(a, b) {
+    if (a.createdAt !== b.createdAt) {
+      return a.createdAt > b.createdAt;
+    }
+    return a.deliveryId > b.deliveryId;
+  }
+}
+
+module.exports = MemoryHistoryStore;
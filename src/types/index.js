@@ -12,6 +12,11 @@
  * @property {string[]} channels - Array of channel names to use for delivery
  * @property {Object[]} [attachments] - Optional file attachments
  * @property {Object} [metadata] - Additional channel-specific data
+ * @property {string} [host] - Hostname of the machine that sent the notification
+ * @property {string} [dedupKey] - Key for duplicate suppression (default: hash of title, message and level)
+ * @property {string} [template] - Named template that renders the title, message and per-channel text from metadata
+ * @property {string|number} [sendAt] - Hold the notification until this time (ISO 8601 string or epoch milliseconds)
+ * @property {number} [delay] - Hold the notification for this many seconds
  * @property {number} [timestamp] - Timestamp when notification was created
  * @property {string} [id] - Unique notification identifier
  */
@@ -21,6 +26,15 @@
  * @typedef {Object} Configuration
  * @property {ServerConfig} server - Server configuration
  * @property {PluginConfig} plugins - Plugin system configuration
+ * @property {RoutingConfig} [routing] - Channel routing configuration
+ * @property {EscalationConfig} [escalation] - Escalation policy configuration
+ * @property {DedupConfig} [dedup] - Duplicate suppression configuration
+ * @property {TemplateConfig} [templates] - Notification template configuration
+ * @property {SchedulerConfig} [scheduler] - Scheduled notification configuration
+ * @property {ApiKeyConfig[]} [apiKeys] - Server-managed API keys
+ * @property {QuotaConfig} [quotas] - Per-channel delivery quotas
+ * @property {QueueConfig} [queue] - Persistent delivery queue configuration
+ * @property {HistoryConfig} [history] - Delivery history configuration
  * @property {LoggingConfig} logging - Logging configuration
  */
 
@@ -30,10 +44,36 @@
  * @property {number} port - Server listening port (default: 5000)
  * @property {string} host - Bind address (default: '127.0.0.1')
  * @property {string} authToken - Authentication token for API access
+ * @property {string} [signingSecret] - Shared secret for HMAC-signed requests (empty to disable)
+ * @property {string} [signingKeyId] - API key whose scopes and limits signed requests get (unset for full access)
+ * @property {number} [signingWindowMs] - Accepted clock difference for signed requests, in milliseconds (default: 300000)
+ * @property {TlsConfig} [tls] - HTTPS and client certificate settings
+ * @property {SocketConfig} [socket] - Unix socket to listen on in addition to TCP
  * @property {number} [timeout] - Request timeout in milliseconds
  * @property {boolean} [cors] - Enable CORS support
  */
 
+/**
+ * Server HTTPS configuration
+ * @typedef {Object} TlsConfig
+ * @property {string} [cert] - Server certificate file (PEM); serves HTTPS when set
+ * @property {string} [key] - Server private key file (PEM)
+ * @property {string} [ca] - CA file (PEM) that client certificates are verified against
+ * @property {boolean} [requireClientCert] - Reject connections without a valid client certificate
+ * @property {Object<string, string>} [identities] - API key IDs by client certificate common name,
+ *   giving the certificate that key's scopes and limits
+ * @property {boolean} [allowUnmappedCertificates] - Give certificates missing from `identities` full access
+ *   instead of rejecting them
+ */
+
+/**
+ * Server Unix socket configuration
+ * @typedef {Object} SocketConfig
+ * @property {string} [path] - Absolute socket file path; listens on the socket when set
+ * @property {string} [mode] - Octal socket file permissions (default: '0600'); connections
+ *   on the socket need no token
+ */
+
 /**
  * Plugin system configuration
  * @typedef {Object} PluginConfig
@@ -42,6 +82,156 @@
  * @property {Object} config - Plugin-specific configurations
  */
 
+/**
+ * Channel routing configuration
+ * @typedef {Object} RoutingConfig
+ * @property {string[]} [defaultChannels] - Channels used when no rule matches
+ * @property {RoutingRule[]} [rules] - Ordered routing rules, first match wins
+ * @property {number} [maxConcurrency] - Maximum channels delivered in parallel
+ * @property {number} [timeout] - Per-channel delivery timeout in milliseconds
+ * @property {number} [retryAttempts] - Delivery attempts per channel
+ * @property {number} [retryDelay] - Base delay between attempts in milliseconds
+ */
+
+/**
+ * Routing rule resolving notifications to channels
+ * @typedef {Object} RoutingRule
+ * @property {string} [name] - Rule name shown in logs
+ * @property {Object} [match] - Conditions, all of which must hold
+ * @property {string|string[]} [match.level] - Notification level(s)
+ * @property {string} [match.title] - Title pattern ("text" or "/regex/flags")
+ * @property {string} [match.message] - Message pattern
+ * @property {string} [match.host] - Source host pattern
+ * @property {Object} [match.metadata] - Metadata values by key (true = key present, array = any of)
+ * @property {string|Object} [match.time] - Time of day window ("HH:MM-HH:MM" or {start, end, days, timezone})
+ * @property {string[]} [channels] - Channels to route to
+ * @property {string} [escalation] - Escalation policy to hand matching notifications to (instead of channels)
+ * @property {boolean} [continue] - Keep evaluating later rules and merge their channels
+ */
+
+/**
+ * Escalation configuration
+ * @typedef {Object} EscalationConfig
+ * @property {Object<string, EscalationPolicy>} [policies] - Escalation policies by name
+ * @property {string} [path] - State file path (default: ~/.notifytool/escalations.json; unset to keep state in memory)
+ * @property {number} [maxFinished] - Finished escalations kept for status lookups (default: 100)
+ * @property {number} [retryDelay] - Delay before retrying a tier that could not be delivered, in milliseconds (default: 60000)
+ * @property {number} [maxRetries] - Retries of a tier before the escalation fails (default: 3)
+ */
+
+/**
+ * Escalation policy
+ * @typedef {Object} EscalationPolicy
+ * @property {EscalationTier[]} tiers - Tiers in delivery order
+ */
+
+/**
+ * Escalation tier
+ * @typedef {Object} EscalationTier
+ * @property {string[]} channels - Channels for this tier
+ * @property {number} [afterMinutes] - Minutes to wait for acknowledgement of the previous tier (not used for the first tier)
+ */
+
+/**
+ * Duplicate suppression configuration
+ * @typedef {Object} DedupConfig
+ * @property {boolean} enabled - Suppress duplicates of recently delivered notifications (default: false)
+ * @property {number} [windowSeconds] - Window opened by each delivered notification (default: 300)
+ * @property {number} [maxEntries] - Maximum number of tracked dedup keys
+ */
+
+/**
+ * Per-channel digest configuration, set as `digest` in a plugin's config
+ * @typedef {Object} DigestConfig
+ * @property {boolean} enabled - Buffer low-level notifications for this channel
+ * @property {'warning'|'error'} [belowLevel] - Notifications below this level are buffered (default: 'error')
+ * @property {number} [intervalMinutes] - Minutes from the first buffered notification until the digest is sent (default: 60)
+ * @property {number} [maxItems] - Send early once this many notifications are buffered (default: 100)
+ */
+
+/**
+ * Per-channel quiet hours configuration, set as `quietHours` in a plugin's config
+ * @typedef {Object} QuietHoursConfig
+ * @property {boolean} enabled - Hold back notifications for this channel during the window
+ * @property {string} start - Window start "HH:MM" (inclusive)
+ * @property {string} end - Window end "HH:MM" (exclusive), may be earlier than start for overnight windows
+ * @property {string[]} [days] - Days the window starts on ("mon".."sun"), default every day
+ * @property {string} [timezone] - IANA timezone, default server local time
+ * @property {'drop'|'defer'|'errorsOnly'} [action] - Drop notifications, defer them until the window ends,
+ *   or send only `error` notifications and drop the rest (default: 'defer')
+ */
+
+/**
+ * Notification template configuration
+ * @typedef {Object} TemplateConfig
+ * @property {string} [directory] - Directory of `<name>.json` template files (default: ~/.notifytool/templates)
+ * @property {Object<string, TemplateDefinition>} [definitions] - Templates by name, taking precedence over files
+ */
+
+/**
+ * Notification template definition
+ * @typedef {Object} TemplateDefinition
+ * @property {string} [title] - Title template, used when the notification has no title
+ * @property {string} [message] - Message template, used when the notification has no message
+ * @property {Object<string, {title?: string, message?: string}>} [channels] - Per-channel overrides by channel name
+ */
+
+/**
+ * Scheduled notification configuration
+ * @typedef {Object} SchedulerConfig
+ * @property {string} [path] - Schedule file path (default: ~/.notifytool/scheduled.json)
+ * @property {number} [maxEntries] - Maximum number of notifications waiting to be sent (default: 1000)
+ */
+
+/**
+ * Server-managed API key, as stored in configuration
+ * @typedef {Object} ApiKeyConfig
+ * @property {string} id - Key ID, the part of the key after `nk_`
+ * @property {string} name - Team or service using the key
+ * @property {string} hash - Hex SHA-256 hash of the key secret
+ * @property {string[]|null} channels - Allowed channels (null for all)
+ * @property {string[]|null} levels - Allowed notification levels (null for all)
+ * @property {{max: number, windowMs: number}|null} rateLimit - Maximum requests per window (null for none)
+ * @property {string} createdAt - Creation time (ISO 8601)
+ */
+
+/**
+ * Per-channel delivery quota configuration
+ * @typedef {Object} QuotaConfig
+ * @property {string} [path] - Usage file path (default: ~/.notifytool/quotas.json)
+ * @property {Object<string, {max: number, period?: 'hour'|'day'}>} [channels] - Notifications each API key or token
+ *   may send per UTC hour or day, by channel
+ */
+
+/**
+ * Notification held by the scheduler until it is due
+ * @typedef {Object} ScheduledNotification
+ * @property {string} id - Schedule ID
+ * @property {NotificationRequest} notification - Notification to send, without sendAt or delay
+ * @property {string[]} channels - Requested channels (empty to resolve by routing rules when due)
+ * @property {string} [escalation] - Escalation policy to start when due
+ * @property {string} [sender] - API key ID or identity of the caller that scheduled it
+ * @property {string} sendAt - Time the notification is due (ISO 8601)
+ * @property {string} createdAt - Time the notification was scheduled (ISO 8601)
+ */
+
+/**
+ * Persistent delivery queue configuration
+ * @typedef {Object} QueueConfig
+ * @property {boolean} enabled - Persist accepted notifications before dispatch
+ * @property {string} [journalPath] - Journal file path (default: ~/.notifytool/queue/journal.log)
+ * @property {boolean} [fsync] - Flush each journal record to disk before continuing
+ * @property {number} [maxReplayAttempts] - Replays allowed before a pending delivery is dropped
+ */
+
+/**
+ * Delivery history configuration
+ * @typedef {Object} HistoryConfig
+ * @property {'memory'|'file'|string} store - Built-in store name or path to a HistoryStore subclass module
+ * @property {string} [path] - History file path for the file store
+ * @property {number} [maxEntries] - Maximum number of delivery records to retain
+ */
+
 /**
  * Logging configuration
  * @typedef {Object} LoggingConfig
@@ -151,6 +341,52 @@
  * @property {boolean} [linkNames] - Link channel/user names
  */
 
+/**
+ * Microsoft Teams plugin configuration
+ * @typedef {Object} TeamsPluginConfig
+ * @property {boolean} enabled - Enable Teams notifications
+ * @property {string} webhook - Incoming webhook or Workflows URL
+ * @property {Array<string|{id: string, name?: string}>} [mentions] - Users to mention, by user principal name or Entra object ID
+ * @property {'info'|'warning'|'error'} [mentionLevel] - Lowest level that mentions the configured users (default: error)
+ * @property {boolean} [fullWidth] - Use the full width of the channel (default: true)
+ */
+
+/**
+ * Telegram plugin configuration
+ * @typedef {Object} TelegramPluginConfig
+ * @property {boolean} enabled - Enable Telegram notifications
+ * @property {string} botToken - Bot token from @BotFather
+ * @property {Array<string|number>} chatIds - Chat IDs or @channel usernames to send to
+ * @property {'HTML'|'MarkdownV2'} [parseMode] - Message formatting (default: HTML)
+ * @property {number} [messageThreadId] - Forum topic to post in
+ * @property {boolean} [disableNotification] - Send messages silently
+ * @property {number} [buttonsPerRow] - Buttons per inline keyboard row for metadata.actions (default: 2)
+ * @property {string} [apiUrl] - Bot API server (default: https://api.telegram.org)
+ */
+
+/**
+ * Webhook plugin configuration
+ * @typedef {Object} WebhookPluginConfig
+ * @property {boolean} enabled - Enable webhook notifications
+ * @property {Object<string, WebhookEndpoint>} [endpoints] - Endpoints by name
+ * @property {string} [url] - Shorthand for a single endpoint named "default"
+ * @property {number} [retries] - Attempts per endpoint for network errors, 429 and 5xx responses (default: 3)
+ * @property {number} [timeout] - Request timeout in milliseconds (default: 10000)
+ */
+
+/**
+ * Webhook endpoint definition
+ * @typedef {Object} WebhookEndpoint
+ * @property {string} url - URL template; {{variables}} are URL-encoded
+ * @property {'GET'|'POST'|'PUT'|'PATCH'|'DELETE'} [method] - HTTP method (default: POST)
+ * @property {Object<string, string>} [headers] - Header value templates
+ * @property {Object|Array|string} [body] - Body mapping of JSONPath lookups, templates and literals, or a body template
+ * @property {{secret: string, header?: string, algorithm?: 'sha1'|'sha256'|'sha512', encoding?: 'hex'|'base64', prefix?: string, timestampHeader?: string}} [signing] - HMAC signature options
+ * @property {{status?: number|string|Array<number|string>, match?: Object, contains?: string}} [success] - Rules a response must pass (default: any 2xx status)
+ * @property {Array<'info'|'warning'|'error'>} [levels] - Only send notifications of these levels
+ * @property {number} [timeout] - Request timeout in milliseconds
+ */
+
 /**
  * SSH tunnel helper configuration
  * @typedef {Object} SshConfig
@@ -173,6 +409,33 @@
  * @property {number} totalTime - Total processing time in milliseconds
  */
 
+/**
+ * Stored record of a finished delivery
+ * @typedef {Object} DeliveryRecord
+ * @property {string} deliveryId - Delivery ID
+ * @property {string} createdAt - ISO timestamp when routing started
+ * @property {string} completedAt - ISO timestamp when routing finished
+ * @property {'completed'|'partial'|'failed'} status - Overall delivery status
+ * @property {Object} notification - Title, message, level and metadata of the notification
+ * @property {string[]} channels - Requested channel names
+ * @property {string} [sender] - API key ID or identity of the caller
+ * @property {Object[]} channelResults - Per-channel delivery results
+ * @property {number} deliveryTime - Total routing time in milliseconds
+ */
+
+/**
+ * Delivery history query
+ * @typedef {Object} HistoryQuery
+ * @property {string} [channel] - Only deliveries routed to this channel
+ * @property {'info'|'warning'|'error'} [level] - Only notifications with this level
+ * @property {'completed'|'partial'|'failed'} [status] - Delivery status (per channel when channel is set)
+ * @property {string} [since] - ISO timestamp lower bound
+ * @property {string} [until] - ISO timestamp upper bound
+ * @property {number} [limit] - Page size (1-500, default 50)
+ * @property {string} [cursor] - Cursor from a previous page
+ * @property {{channels: string[]|null, levels: string[]|null}} [scope] - Only deliveries within an API key's scope
+ */
+
 /**
  * Plugin validation result
  * @typedef {Object} PluginValidationResult
@@ -187,11 +450,27 @@
  * @typedef {Object} ClientConfig
  * @property {string} serverUrl - Notification server URL
  * @property {string} authToken - Authentication token
+ * @property {string} [signingSecret] - Shared secret to HMAC-sign every request with
+ * @property {{cert?: string, key?: string, ca?: string}} [tls] - Client certificate, key and server CA files (PEM)
+ * @property {string} [socketPath] - Unix socket to connect to instead of the server URL's host and port
  * @property {number} [timeout] - Request timeout in milliseconds
  * @property {number} [retryAttempts] - Number of retry attempts
  * @property {number} [retryDelay] - Delay between retries in milliseconds
  */
 
+/**
+ * Result of a client connection diagnosis
+ * @typedef {Object} ConnectionDiagnosis
+ * @property {boolean} ok - Whether the client can use the server
+ * @property {string|null} problem - no-tunnel, tunnel-not-listening, tunnel-refused, not-notify-server,
+ *   version-mismatch, auth-rejected, request-failed or unreachable; null when ok
+ * @property {string} message - What was found
+ * @property {string|null} fix - Command or action that fixes the problem
+ * @property {Object|null} guideStep - Matching SSHTunnelHelper.generateSetupGuide step
+ * @property {Object|null} server - Server health response, if it answered
+ * @property {{name: string, ok: boolean, detail: string}[]} checks - Checks that ran, in order
+ */
+
 // Export types for use in other modules
 module.exports = {
   // Type definitions are available via JSDoc comments
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Explains why a client cannot reach the notification server
+ * Distinguishes missing tunnels, dead remote servers, rejected credentials and
+ * incompatible servers, and suggests the command that fixes each
+ */
+
+const { URL } = require('url');
+const SSHTunnelHelper = require('./ssh-helper');
+const TunnelManager = require('../services/TunnelManager');
+const { version: clientVersion } = require('../../package.json');
+
+/** Hosts that mean the server is reached through a local tunnel */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1', '[::1]'];
+
+/** Placeholder for the server host when no tunnel definition matches */
+const PLACEHOLDER_HOST = 'your-server';
+
+/**
+ * Runs connection checks for a NotificationClient
+ *
+ * Checks run in order and stop at the first failure: the health endpoint,
+ * the server identity and version, then authentication. When the health
+ * endpoint cannot be reached on a local port or socket, running ssh tunnels
+ * and the local end of the tunnel are inspected to tell a missing tunnel from
+ * a tunnel whose remote server is down.
+ */
+class ConnectionDiagnostics {
+  /**
+   * Create diagnostics for a client
+   * @param {NotificationClient} client - Client to diagnose
+   * @param {Object} [options] - Diagnostic options
+   * @param {SSHTunnelHelper} [options.helper] - SSH helper
+   * @param {TunnelManager} [options.tunnelManager] - Manager with the user's tunnel definitions
+   * @param {number} [options.timeout=5000] - Timeout for each check in milliseconds
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.helper = options.helper || new SSHTunnelHelper();
+    this.tunnelManager = options.tunnelManager || new TunnelManager();
+    this.timeout = options.timeout || 5000;
+  }
+
+  /**
+   * Run the checks
+   * @returns {Promise<ConnectionDiagnosis>} Diagnosis
+   */
+  async run() {
+    const checks = [];
+    const endpoint = this._getEndpoint();
+    let health;
+
+    try {
+      health = await this._request('/api/health');
+    } catch (error) {
+      checks.push({ name: 'health', ok: false, detail: this._describeError(error) });
+      return this._diagnoseUnreachable(endpoint, error, checks);
+    }
+    checks.push({ name: 'health', ok: true, detail: `${endpoint.label} answered` });
+
+    if (!health || typeof health !== 'object' || !health.status || !health.version) {
+      checks.push({ name: 'server', ok: false, detail: 'Response is not from a notification server' });
+      return this._result(false, 'not-notify-server', checks, {
+        message: `Something other than notify-server is answering on ${endpoint.label}`,
+        fix: endpoint.local
+          ? 'Point the client at the tunnel port with --server or NOTIFY_SERVER_URL, or move the tunnel to a free port'
+          : 'Check the server URL (--server or NOTIFY_SERVER_URL)'
+      });
+    }
+
+    if (health.version.split('.')[0] !== clientVersion.split('.')[0]) {
+      checks.push({ name: 'server', ok: false, detail: `Server ${health.version}, client ${clientVersion}` });
+      return this._result(false, 'version-mismatch', checks, {
+        message: `Server version ${health.version} is not compatible with client version ${clientVersion}`,
+        fix: `Install ssh-notify-tool ${health.version.split('.')[0]}.x on this machine, or upgrade the server`,
+        server: health
+      });
+    }
+    checks.push({ name: 'server', ok: true, detail: `notify-server ${health.version}` });
+
+    try {
+      await this._request('/api/channels');
+    } catch (error) {
+      if (error.response && (error.response.status === 401 || error.response.status === 403)) {
+        const reason = (error.response.data && error.response.data.message) || `HTTP ${error.response.status}`;
+        checks.push({ name: 'auth', ok: false, detail: reason });
+        return this._result(false, 'auth-rejected', checks, {
+          message: `The server rejected this client's credentials: ${reason}`,
+          fix: 'export NOTIFY_AUTH_TOKEN=<server.authToken from ~/.notifytool/config.json on the server>',
+          server: health
+        });
+      }
+
+      checks.push({ name: 'auth', ok: false, detail: this._describeError(error) });
+      return this._result(false, 'request-failed', checks, {
+        message: `Authenticated requests fail: ${this._describeError(error)}`,
+        server: health
+      });
+    }
+    checks.push({ name: 'auth', ok: true, detail: 'Credentials accepted' });
+
+    return this._result(true, null, checks, {
+      message: `Connected to notify-server ${health.version} on ${endpoint.label}`,
+      server: health
+    });
+  }
+
+  /**
+   * Work out why the health endpoint could not be reached
+   * @private
+   * @param {Object} endpoint - Endpoint the client connects to
+   * @param {Error} error - Request error
+   * @param {Object[]} checks - Checks so far
+   * @returns {Promise<ConnectionDiagnosis>} Diagnosis
+   */
+  async _diagnoseUnreachable(endpoint, error, checks) {
+    if (!endpoint.local) {
+      return this._result(false, 'unreachable', checks, {
+        message: `Cannot reach ${endpoint.label}: ${this._describeError(error)}`,
+        fix: 'Check the server URL, or reach the server through an SSH tunnel: notify tunnel add <name> <[user@]host>'
+      });
+    }
+
+    const tunnels = (await this.helper.findTunnelProcesses()).filter(tunnel => !tunnel.reverse && (
+      endpoint.socket ? tunnel.localSocket === endpoint.socket : tunnel.localPort === endpoint.port
+    ));
+    const listening = endpoint.socket
+      ? await this.helper.testTunnel(endpoint.socket, this.timeout)
+      : !(await this.helper.isPortAvailable(endpoint.port));
+
+    checks.push({
+      name: 'tunnel',
+      ok: tunnels.length > 0,
+      detail: tunnels.length > 0 ? `ssh pid ${tunnels.map(tunnel => tunnel.pid).join(', ')}` : 'No ssh tunnel process'
+    });
+    checks.push({ name: 'listening', ok: listening, detail: `${endpoint.label} ${listening ? 'accepts' : 'refuses'} connections` });
+
+    const { name, config } = await this._getTunnelConfig(endpoint);
+    const guide = this.helper.generateSetupGuide(config);
+    const placeholder = name ? '' : ` (replace ${PLACEHOLDER_HOST} with the host running notify-server)`;
+
+    if (tunnels.length === 0 && !listening) {
+      return this._result(false, 'no-tunnel', checks, {
+        message: `No SSH tunnel is running for ${endpoint.label}. If the server machine opens a reverse tunnel to this host, check it there with: notify tunnel status`,
+        fix: name ? `notify tunnel up ${name}` : `${guide.steps[0].command}${placeholder}`,
+        guideStep: guide.steps[0]
+      });
+    }
+
+    if (tunnels.length > 0 && !listening) {
+      return this._result(false, 'tunnel-not-listening', checks, {
+        message: `An ssh tunnel is running but nothing listens on ${endpoint.label}; its forward failed`,
+        fix: name ? `notify tunnel down ${name} && notify tunnel up ${name}` : `${guide.steps[3].command} && ${guide.steps[0].command}${placeholder}`,
+        guideStep: guide.steps[3]
+      });
+    }
+
+    if (tunnels.length > 0) {
+      return this._result(false, 'tunnel-refused', checks, {
+        message: `The tunnel is up but the remote end refused the connection; notify-server is probably not running on ${name ? config.remoteHost : 'the remote host'}`,
+        fix: `Start notify-server on the remote host, then check with: ${guide.steps[1].command}`,
+        guideStep: guide.steps[1]
+      });
+    }
+
+    return this._result(false, 'not-notify-server', checks, {
+      message: `Another program is listening on ${endpoint.label} and does not answer like notify-server`,
+      fix: 'Move the tunnel to a free port (--local-port) and update NOTIFY_SERVER_URL'
+    });
+  }
+
+  /**
+   * Find the tunnel definition for an endpoint, or build a placeholder one
+   * @private
+   * @param {Object} endpoint - Endpoint the client connects to
+   * @returns {Promise<{name: string|null, config: Object}>} Tunnel name and SSH configuration
+   */
+  async _getTunnelConfig(endpoint) {
+    await this.tunnelManager.open();
+
+    const match = this.tunnelManager.list().find(tunnel => !tunnel.reverse && (
+      endpoint.socket ? tunnel.localSocket === endpoint.socket : tunnel.localPort === endpoint.port
+    ));
+
+    if (match) {
+      const { name, state, ...config } = match;
+      return { name, config };
+    }
+
+    return {
+      name: null,
+      config: endpoint.socket
+        ? { remoteHost: PLACEHOLDER_HOST, localSocket: endpoint.socket }
+        : { remoteHost: PLACEHOLDER_HOST, localPort: endpoint.port }
+    };
+  }
+
+  /**
+   * Describe where the client connects
+   * @private
+   * @returns {{label: string, local: boolean, port?: number, socket?: string}} Endpoint
+   */
+  _getEndpoint() {
+    const { baseURL, socketPath } = this.client.options;
+
+    if (socketPath) {
+      return { label: `unix:${socketPath}`, local: true, socket: socketPath };
+    }
+
+    const url = new URL(baseURL);
+    const port = parseInt(url.port, 10) || (url.protocol === 'https:' ? 443 : 80);
+
+    return { label: `${url.hostname}:${port}`, local: LOCAL_HOSTS.includes(url.hostname), port };
+  }
+
+  /**
+   * Send one request without retries
+   * @private
+   * @param {string} path - Request path
+   * @returns {Promise<Object>} Response data
+   */
+  async _request(path) {
+    const response = await this.client.httpClient.get(path, { timeout: this.timeout });
+    return response.data;
+  }
+
+  /**
+   * Summarize a request error
+   * @private
+   * @param {Error} error - Axios error
+   * @returns {string} Description
+   */
+  _describeError(error) {
+    if (error.response) {
+      return `HTTP ${error.response.status}`;
+    }
+    return error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  /**
+   * Build a diagnosis
+   * @private
+   * @param {boolean} ok - Whether the client can use the server
+   * @param {string|null} problem - Problem code
+   * @param {Object[]} checks - Checks that ran
+   * @param {Object} details - Message, fix, guide step and server health
+   * @returns {ConnectionDiagnosis} Diagnosis
+   */
+  _result(ok, problem, checks, details) {
+    return {
+      ok,
+      problem,
+      message: details.message,
+      fix: details.fix || null,
+      guideStep: details.guideStep || null,
+      server: details.server || null,
+      checks
+    };
+  }
+}
+
+module.exports = ConnectionDiagnostics;
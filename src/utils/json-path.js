@@ -0,0 +1,118 @@
+/**
+ * @fileoverview Small JSONPath subset for reading values out of notifications
+ * Supports $, .name, ['name'], [index], [*] and .* segments
+ */
+
+/**
+ * Compiled JSONPath expression
+ *
+ * Paths without wildcards select at most one value, which get() returns as
+ * is. Paths with wildcards select every match, which get() returns as an
+ * array. Negative indexes count from the end of an array.
+ */
+class JsonPath {
+  /**
+   * Compile an expression
+   * @param {string} expression - Path like "$.metadata.tags[0]"
+   * @throws {Error} If the expression is not a supported JSONPath
+   */
+  constructor(expression) {
+    this.expression = expression;
+    this.segments = JsonPath._parse(expression);
+    this.wildcard = this.segments.includes('*');
+  }
+
+  /**
+   * Check whether a string is meant as a JSONPath expression
+   * @param {*} value - Value to check
+   * @returns {boolean} True for strings starting with "$." or "$[", or "$" alone
+   */
+  static isPath(value) {
+    return typeof value === 'string' && /^\$(?:[.[]|$)/.test(value);
+  }
+
+  /**
+   * Compile and evaluate an expression in one step
+   * @param {*} data - Data to read from
+   * @param {string} expression - JSONPath expression
+   * @returns {*} Selected value, or an array of matches for wildcard paths
+   */
+  static get(data, expression) {
+    return new JsonPath(expression).get(data);
+  }
+
+  /**
+   * Select values
+   * @param {*} data - Data to read from
+   * @returns {*} Selected value (undefined if missing), or an array of matches for wildcard paths
+   */
+  get(data) {
+    const matches = this.query(data);
+    return this.wildcard ? matches : matches[0];
+  }
+
+  /**
+   * Select every matching value
+   * @param {*} data - Data to read from
+   * @returns {Array} Matches in document order
+   */
+  query(data) {
+    return this.segments.reduce((values, segment) => values.flatMap((value) => {
+      if (value === null || typeof value !== 'object') {
+        return [];
+      }
+
+      if (segment === '*') {
+        return Array.isArray(value) ? value : Object.values(value);
+      }
+
+      const key = typeof segment === 'number' && segment < 0 && Array.isArray(value)
+        ? value.length + segment
+        : segment;
+
+      return Object.prototype.hasOwnProperty.call(value, key) ? [value[key]] : [];
+    }), [data]);
+  }
+
+  /**
+   * Split an expression into property names, indexes and wildcards
+   * @private
+   * @param {string} expression - JSONPath expression
+   * @returns {Array<string|number>} Segments; "*" for wildcards
+   * @throws {Error} If the expression is malformed
+   */
+  static _parse(expression) {
+    if (!JsonPath.isPath(expression)) {
+      throw new Error(`JSONPath must start with $: ${expression}`);
+    }
+
+    const pattern = /\.([A-Za-z_$@][\w$@-]*|\*)|\[(-?\d+|\*|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\]/y;
+    const segments = [];
+    let position = 1;
+
+    while (position < expression.length) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(expression);
+      if (!match) {
+        throw new Error(`Invalid JSONPath ${expression} at position ${position}`);
+      }
+
+      const [, name, bracket] = match;
+      if (name !== undefined) {
+        segments.push(name);
+      } else if (bracket === '*') {
+        segments.push('*');
+      } else if (/^-?\d+$/.test(bracket)) {
+        segments.push(parseInt(bracket, 10));
+      } else {
+        segments.push(bracket.slice(1, -1).replace(/\\(.)/g, '$1'));
+      }
+
+      position = pattern.lastIndex;
+    }
+
+    return segments;
+  }
+}
+
+module.exports = JsonPath;
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview HMAC-SHA256 request signing with replay protection
+ * Lets clients authenticate with a shared secret that never travels with the request
+ */
+
+const crypto = require('crypto');
+
+/** Signature header names, lower-cased as Node exposes them */
+const HEADERS = {
+  timestamp: 'x-notify-timestamp',
+  nonce: 'x-notify-nonce',
+  signature: 'x-notify-signature'
+};
+
+/**
+ * Signs and verifies requests with a shared secret
+ *
+ * The signature is an HMAC-SHA256 over the method, path with query string,
+ * timestamp, nonce and a SHA-256 hash of the body, separated by newlines.
+ * Verification rejects timestamps outside the replay window and nonces
+ * already seen within it.
+ */
+class RequestSigner {
+  /**
+   * Create a request signer
+   * @param {string} secret - Shared secret
+   * @param {Object} [options] - Signer options
+   * @param {number} [options.windowMs=300000] - Accepted clock difference in either direction
+   * @throws {Error} If the secret is missing or too short
+   */
+  constructor(secret, options = {}) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+      throw new Error('Signing secret must be at least 16 characters');
+    }
+
+    this.secret = secret;
+    this.windowMs = options.windowMs || 5 * 60 * 1000;
+
+    /** @type {Map<string, number>} Seen nonces and when they leave the replay window */
+    this.nonces = new Map();
+  }
+
+  /**
+   * Check whether a request carries a signature
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if the signature header is present
+   */
+  static isSigned(headers) {
+    return Boolean(headers && headers[HEADERS.signature]);
+  }
+
+  /**
+   * Sign a request
+   * @param {Object} request - Request to sign
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path including any query string
+   * @param {string} [request.body] - Serialized body
+   * @param {number} [request.timestamp] - Time in milliseconds (default: now)
+   * @param {string} [request.nonce] - Unique nonce (default: random)
+   * @returns {Object<string, string>} Headers to add to the request
+   */
+  sign({ method, path, body = '', timestamp = Date.now(), nonce = crypto.randomBytes(16).toString('hex') }) {
+    return {
+      [HEADERS.timestamp]: String(timestamp),
+      [HEADERS.nonce]: nonce,
+      [HEADERS.signature]: this._digest(method, path, String(timestamp), nonce, body)
+    };
+  }
+
+  /**
+   * Verify a signed request and remember its nonce
+   * @param {Object} request - Received request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path including any query string
+   * @param {string|Buffer} [request.body] - Raw body
+   * @param {Object} request.headers - Request headers, lower-cased
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {{valid: boolean, reason?: string}} Result with the reason for rejection
+   */
+  verify({ method, path, body = '', headers }, now = Date.now()) {
+    const timestamp = headers[HEADERS.timestamp];
+    const nonce = headers[HEADERS.nonce];
+    const signature = headers[HEADERS.signature];
+
+    if (!timestamp || !nonce || !signature) {
+      return { valid: false, reason: 'Signed requests need timestamp, nonce and signature headers' };
+    }
+
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - Number(timestamp)) > this.windowMs) {
+      return { valid: false, reason: 'Request timestamp is outside the allowed window' };
+    }
+
+    const expected = Buffer.from(this._digest(method, path, timestamp, nonce, body), 'hex');
+    const actual = Buffer.from(String(signature), 'hex');
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+      return { valid: false, reason: 'Invalid request signature' };
+    }
+
+    this._pruneNonces(now);
+    if (this.nonces.has(nonce)) {
+      return { valid: false, reason: 'Request nonce has already been used' };
+    }
+
+    // Any replay of this nonce would also need a timestamp inside the window
+    this.nonces.set(nonce, Number(timestamp) + this.windowMs);
+    return { valid: true };
+  }
+
+  /**
+   * Compute the signature for request parts
+   * @private
+   * @param {string} method - HTTP method
+   * @param {string} path - Path including any query string
+   * @param {string} timestamp - Timestamp header value
+   * @param {string} nonce - Nonce header value
+   * @param {string|Buffer} body - Body
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  _digest(method, path, timestamp, nonce, body) {
+    const bodyHash = crypto.createHash('sha256').update(body || '').digest('hex');
+    const canonical = [method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+
+    return crypto.createHmac('sha256', this.secret).update(canonical).digest('hex');
+  }
+
+  /**
+   * Forget nonces that have left the replay window
+   * @private
+   * @param {number} now - Current time in milliseconds
+   */
+  _pruneNonces(now) {
+    for (const [nonce, expiresAt] of this.nonces) {
+      if (expiresAt < now) {
+        this.nonces.delete(nonce);
+      }
+    }
+  }
+}
+
+module.exports = RequestSigner;
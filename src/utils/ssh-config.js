@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Reader for OpenSSH client configuration files
+ * Resolves the options ssh applies to a host, so tunnels can account for
+ * jump hosts and connection multiplexing set up in ~/.ssh/config
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/** Keywords that may be given more than once, where every value applies */
+const MULTI_VALUE_KEYWORDS = [
+  'identityfile', 'certificatefile', 'localforward', 'remoteforward',
+  'dynamicforward', 'sendenv', 'setenv'
+];
+
+/** Deepest Include nesting followed, as in ssh */
+const MAX_INCLUDE_DEPTH = 16;
+
+/**
+ * Parsed ssh_config(5) file
+ *
+ * Follows ssh's rules for the common cases: keywords are case-insensitive,
+ * the first value obtained for a keyword wins, Host patterns support `*`, `?`
+ * and `!` negation, and Include directives are read in place. Match blocks
+ * depend on conditions ssh evaluates at connect time; their options are
+ * skipped.
+ */
+class SSHConfig {
+  /**
+   * Create a configuration from parsed blocks
+   * @param {Array<{patterns: string[], options: Array<[string, string[]]>}>} [blocks] - Host blocks in file order
+   */
+  constructor(blocks = []) {
+    this.blocks = blocks;
+  }
+
+  /**
+   * Parse configuration text
+   * @param {string} text - Configuration file contents
+   * @param {Object} [options] - Parse options
+   * @param {string} [options.baseDir] - Directory relative Include paths resolve against (default: ~/.ssh)
+   * @returns {SSHConfig} Parsed configuration
+   */
+  static parse(text, options = {}) {
+    const baseDir = options.baseDir || path.join(os.homedir(), '.ssh');
+    const blocks = [{ patterns: ['*'], options: [] }];
+
+    SSHConfig._parseInto(blocks, text, baseDir, 0);
+    return new SSHConfig(blocks);
+  }
+
+  /**
+   * Read a configuration file
+   * A missing file yields an empty configuration.
+   * @param {string} [file] - Configuration file (default: ~/.ssh/config)
+   * @returns {SSHConfig} Parsed configuration
+   * @throws {Error} If the file exists but cannot be read
+   */
+  static load(file = path.join(os.homedir(), '.ssh', 'config')) {
+    if (!fs.existsSync(file)) {
+      return new SSHConfig();
+    }
+
+    return SSHConfig.parse(fs.readFileSync(file, 'utf8'), { baseDir: path.dirname(file) });
+  }
+
+  /**
+   * Resolve the options ssh applies when connecting to a host
+   * @param {string} host - Host name or alias as given to ssh
+   * @returns {Object<string, string|string[]>} Options by lowercase keyword; multi-value keywords hold arrays
+   */
+  getHost(host) {
+    const resolved = {};
+
+    for (const block of this.blocks) {
+      if (!this._matches(block.patterns, host)) {
+        continue;
+      }
+
+      for (const [keyword, args] of block.options) {
+        if (MULTI_VALUE_KEYWORDS.includes(keyword)) {
+          resolved[keyword] = [...(resolved[keyword] || []), args.join(' ')];
+        } else if (resolved[keyword] === undefined) {
+          resolved[keyword] = args.join(' ');
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Parse lines into host blocks, following Include directives
+   * @private
+   * @param {Object[]} blocks - Blocks to append to; the last one receives options
+   * @param {string} text - Configuration text
+   * @param {string} baseDir - Directory for relative Include paths
+   * @param {number} depth - Include nesting depth
+   */
+  static _parseInto(blocks, text, baseDir, depth) {
+    for (const line of text.split(/\r?\n/)) {
+      const parsed = SSHConfig._parseLine(line);
+      if (!parsed) {
+        continue;
+      }
+
+      const [keyword, args] = parsed;
+
+      if (keyword === 'host') {
+        blocks.push({ patterns: args.map(pattern => pattern.toLowerCase()), options: [] });
+      } else if (keyword === 'match') {
+        // Conditions are evaluated by ssh at connect time; never applied here
+        blocks.push({ patterns: [], options: [] });
+      } else if (keyword === 'include') {
+        if (depth >= MAX_INCLUDE_DEPTH) {
+          throw new Error('ssh config Include nested too deeply');
+        }
+
+        for (const file of args.flatMap(pattern => SSHConfig._expandInclude(pattern, baseDir))) {
+          SSHConfig._parseInto(blocks, fs.readFileSync(file, 'utf8'), baseDir, depth + 1);
+        }
+      } else {
+        blocks[blocks.length - 1].options.push([keyword, args]);
+      }
+    }
+  }
+
+  /**
+   * Split a line into its keyword and arguments
+   * Keywords and arguments are separated by whitespace or one "=", and
+   * arguments may be double-quoted.
+   * @private
+   * @param {string} line - Configuration line
+   * @returns {[string, string[]]|null} Lowercase keyword and arguments, or null for blank and comment lines
+   */
+  static _parseLine(line) {
+    const match = line.trim().match(/^([^\s=#]+)\s*(?:=\s*|\s)(.*)$/);
+    if (!match) {
+      return null;
+    }
+
+    const args = [];
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let arg;
+
+    while ((arg = pattern.exec(match[2])) !== null) {
+      if (arg[2] && arg[2].startsWith('#')) {
+        break;
+      }
+      args.push(arg[1] !== undefined ? arg[1] : arg[2]);
+    }
+
+    return args.length > 0 ? [match[1].toLowerCase(), args] : null;
+  }
+
+  /**
+   * List the files an Include pattern names
+   * Wildcards are supported in the file name, as in "config.d/*".
+   * @private
+   * @param {string} pattern - Include argument
+   * @param {string} baseDir - Directory for relative paths
+   * @returns {string[]} Existing files in lexical order
+   */
+  static _expandInclude(pattern, baseDir) {
+    const expanded = pattern.startsWith('~/') ? path.join(os.homedir(), pattern.slice(2)) : pattern;
+    const file = path.resolve(baseDir, expanded);
+    const name = path.basename(file);
+
+    if (!/[*?]/.test(name)) {
+      return fs.existsSync(file) ? [file] : [];
+    }
+
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    const nameRegex = SSHConfig._toRegex(name);
+    return fs.readdirSync(dir)
+      .filter(entry => nameRegex.test(entry))
+      .sort()
+      .map(entry => path.join(dir, entry))
+      .filter(entryPath => fs.statSync(entryPath).isFile());
+  }
+
+  /**
+   * Convert a wildcard pattern to a regular expression
+   * @private
+   * @param {string} pattern - Pattern with * and ? wildcards
+   * @returns {RegExp} Anchored expression
+   */
+  static _toRegex(pattern) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\?/g, '.');
+
+    return new RegExp(`^${source}$`);
+  }
+
+  /**
+   * Check a host against a Host line's patterns
+   * A negated pattern that matches excludes the host even if another pattern matches.
+   * @private
+   * @param {string[]} patterns - Lowercase patterns
+   * @param {string} host - Host name or alias
+   * @returns {boolean} True if the block applies
+   */
+  _matches(patterns, host) {
+    const name = host.toLowerCase();
+    let matched = false;
+
+    for (const pattern of patterns) {
+      if (pattern.startsWith('!')) {
+        if (SSHConfig._toRegex(pattern.slice(1)).test(name)) {
+          return false;
+        }
+      } else if (SSHConfig._toRegex(pattern).test(name)) {
+        matched = true;
+      }
+    }
+
+    return matched;
+  }
+}
+
+module.exports = SSHConfig;
@@ -3,16 +3,30 @@
  * Provides guidance and testing functions for SSH tunnels without storing credentials
  */
 
-const { spawn, exec } = require('child_process');
+const { spawn, exec, execFile } = require('child_process');
 const net = require('net');
 const { promisify } = require('util');
+const SSHConfig = require('./ssh-config');
 
 const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+/** ControlMaster settings that let ssh become a master connection */
+const MASTER_SETTINGS = ['yes', 'auto', 'ask', 'autoask'];
 
 /**
  * SSH tunnel helper utilities for remote notification server access
  */
 class SSHTunnelHelper {
+  /**
+   * Create a helper
+   * @param {Object} [options] - Helper options
+   * @param {number} [options.defaultLocalPort=3001] - Local tunnel port when none is configured
+   * @param {number} [options.defaultRemotePort=3000] - Server port when none is configured
+   * @param {number} [options.connectionTimeout=10000] - Tunnel test timeout in milliseconds
+   * @param {string} [options.sshConfigFile] - ssh client configuration (default: ~/.ssh/config)
+   * @param {SSHConfig} [options.sshConfig] - Parsed ssh client configuration, instead of reading sshConfigFile
+   */
   constructor(options = {}) {
     this.options = {
       defaultLocalPort: 3001,
@@ -20,56 +34,163 @@ class SSHTunnelHelper {
       connectionTimeout: 10000,
       ...options
     };
+
+    this.sshConfig = this.options.sshConfig || null;
   }
 
   /**
    * Generate SSH tunnel command for port forwarding
+   *
+   * By default the server runs on the remote host and a local forward (`ssh -L`)
+   * makes it reachable here. With `reverse`, the server runs on this machine and a
+   * remote forward (`ssh -R`) makes it reachable from the remote host; localPort is
+   * then the server port (default: 3000) and remotePort the port opened on the
+   * remote host (default: 3001).
    * @param {Object} config - SSH configuration
    * @param {string} config.remoteHost - Remote server hostname/IP
    * @param {string} [config.remoteUser] - Remote SSH username
    * @param {number} [config.remotePort] - Remote notification server port (default: 3000)
    * @param {number} [config.localPort] - Local port for tunnel (default: 3001)
+   * @param {string} [config.remoteSocket] - Remote server Unix socket to forward to instead of remotePort
+   * @param {string} [config.localSocket] - Local Unix socket to listen on instead of localPort
+   * @param {boolean} [config.reverse] - Forward from the remote host to a server on this machine
    * @param {number} [config.sshPort] - SSH port (default: 22)
    * @param {string} [config.keyFile] - SSH private key file path
+   * @param {string|string[]} [config.jumpHosts] - Jump hosts to connect through, as "[user@]host[:port]" in order
+   * @param {string|boolean} [config.controlMaster] - ControlMaster setting; true means "auto"
+   * @param {string} [config.controlPath] - Control socket path for multiplexing, may use ssh's % tokens
+   * @param {string|number} [config.controlPersist] - How long a master stays open after its last session
+   * @param {string} [config.identityAgent] - Agent socket path, "SSH_AUTH_SOCK" or "none"
    * @returns {string} SSH command for port forwarding
    */
   generateTunnelCommand(config) {
+    const args = this.generateTunnelArgs(config);
+
+    return ['ssh', ...args.map((arg, i) => (args[i - 1] === '-i' ? `"${arg}"` : arg))].join(' ');
+  }
+
+  /**
+   * Generate ssh arguments for a tunnel, for spawning ssh without a shell
+   *
+   * A tunnel run in the foreground is supervised through its ssh process, so
+   * it must not hand its forward to an existing master connection and exit.
+   * When the host multiplexes, explicitly or through ~/.ssh/config, the tunnel
+   * becomes the master if none is running and otherwise opens a connection of
+   * its own.
+   * @param {Object} config - SSH configuration, as for generateTunnelCommand
+   * @param {Object} [options] - Argument options
+   * @param {boolean} [options.background=true] - Fork ssh to the background after authentication
+   * @param {boolean} [options.batchMode=false] - Fail instead of prompting for passwords or passphrases
+   * @returns {string[]} Arguments following "ssh"
+   */
+  generateTunnelArgs(config, { background = true, batchMode = false } = {}) {
     this._validateTunnelConfig(config);
     
-    const {
-      remoteHost,
-      remoteUser,
-      remotePort = this.options.defaultRemotePort,
-      localPort = this.options.defaultLocalPort,
-      sshPort = 22,
-      keyFile
-    } = config;
-
-    let command = 'ssh -L ';
-    command += `${localPort}:localhost:${remotePort}`;
+    const { localSocket, reverse } = config;
+    const { flag, listen, target } = this._getForward(config);
+
+    // Sockets avoid port collisions between users sharing a host
+    const args = [flag, `${listen}:${target}`, ...this._getHopArgs(config)];
     
-    if (sshPort !== 22) {
-      command += ` -p ${sshPort}`;
+    // Add common SSH options for tunneling
+    args.push('-N'); // Don't execute remote command
+    if (background) {
+      args.push('-f'); // Go to background after authentication
     }
-    
-    if (keyFile) {
-      command += ` -i "${keyFile}"`;
+    args.push('-o', 'ServerAliveInterval=30'); // Keep connection alive
+    args.push('-o', 'ServerAliveCountMax=3'); // Max missed keepalives
+    args.push('-o', 'ExitOnForwardFailure=yes'); // Exit if port forwarding fails
+
+    if (localSocket && !reverse) {
+      args.push('-o', 'StreamLocalBindUnlink=yes'); // Replace a socket left by a previous tunnel
+    }
+
+    if (batchMode) {
+      args.push('-o', 'BatchMode=yes');
+    }
+
+    for (const option of background ? this._getControlOptions(config) : this._getOwnConnectionOptions(config)) {
+      args.push('-o', option);
     }
     
-    // Add common SSH options for tunneling
-    command += ' -N'; // Don't execute remote command
-    command += ' -f'; // Go to background after authentication
-    command += ' -o ServerAliveInterval=30'; // Keep connection alive
-    command += ' -o ServerAliveCountMax=3'; // Max missed keepalives
-    command += ' -o ExitOnForwardFailure=yes'; // Exit if port forwarding fails
-    
-    if (remoteUser) {
-      command += ` ${remoteUser}@${remoteHost}`;
-    } else {
-      command += ` ${remoteHost}`;
+    args.push(this._getDestination(config));
+
+    return args;
+  }
+
+  /**
+   * Generate a ~/.ssh/config host entry that sets up the tunnel on connect
+   * With the entry in place, `ssh -N -f <alias>` starts the tunnel.
+   * @param {Object} config - SSH configuration, as for generateTunnelCommand
+   * @param {string} [config.alias] - Host alias (default: notify-<remoteHost>)
+   * @returns {string} Host entry with a LocalForward, or RemoteForward in reverse mode
+   */
+  generateSSHConfig(config) {
+    this._validateTunnelConfig(config);
+
+    const { listen, target } = this._getForward(config);
+    const lines = [
+      `Host ${config.alias || `notify-${config.remoteHost}`}`,
+      `  HostName ${config.remoteHost}`
+    ];
+
+    if (config.remoteUser) {
+      lines.push(`  User ${config.remoteUser}`);
+    }
+
+    if (config.sshPort && config.sshPort !== 22) {
+      lines.push(`  Port ${config.sshPort}`);
+    }
+
+    if (config.keyFile) {
+      lines.push(`  IdentityFile ${config.keyFile}`);
+    }
+
+    if (config.identityAgent) {
+      lines.push(`  IdentityAgent ${config.identityAgent}`);
+    }
+
+    const jumpHosts = this._getJumpHosts(config.jumpHosts);
+    if (jumpHosts.length > 0) {
+      lines.push(`  ProxyJump ${jumpHosts.join(',')}`);
+    }
+
+    for (const option of this._getControlOptions(config)) {
+      lines.push(`  ${option.replace('=', ' ')}`);
     }
 
-    return command;
+    lines.push(`  ${config.reverse ? 'RemoteForward' : 'LocalForward'} ${listen} ${target}`);
+    lines.push('  ServerAliveInterval 30');
+    lines.push('  ServerAliveCountMax 3');
+    lines.push('  ExitOnForwardFailure yes');
+
+    if (config.localSocket && !config.reverse) {
+      lines.push('  StreamLocalBindUnlink yes');
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Resolve how ssh connects to a tunnel's host
+   * Settings in the tunnel configuration take precedence over ~/.ssh/config.
+   * @param {Object} config - SSH configuration
+   * @returns {{hostName: string, user: (string|null), port: number, jumpHosts: string[],
+   *   controlMaster: (string|null), controlPath: (string|null), identityAgent: (string|null)}} Connection settings
+   */
+  resolveHost(config) {
+    const host = this._getSSHConfig().getHost(config.remoteHost);
+    const pick = (value, fallback) => (value !== undefined && value !== null && value !== '' ? value : fallback);
+
+    return {
+      hostName: host.hostname ? host.hostname.replace(/%h/g, config.remoteHost) : config.remoteHost,
+      user: config.remoteUser || host.user || null,
+      port: parseInt(pick(config.sshPort, host.port), 10) || 22,
+      jumpHosts: this._getJumpHosts(pick(config.jumpHosts, host.proxyjump)),
+      controlMaster: this._getControlMaster(pick(config.controlMaster, host.controlmaster)),
+      controlPath: pick(config.controlPath, host.controlpath) || null,
+      identityAgent: pick(config.identityAgent, host.identityagent) || null
+    };
   }
 
   /**
@@ -78,14 +199,50 @@ class SSHTunnelHelper {
    * @returns {Object} Setup guide with commands and instructions
    */
   generateSetupGuide(config) {
-    const tunnelCommand = this.generateTunnelCommand(config);
-    const killCommand = this.generateKillCommand(config);
-    const testCommand = this.generateTestCommand(config);
-    
-    const localPort = config.localPort || this.options.defaultLocalPort;
+    const commands = {
+      tunnelCommand: this.generateTunnelCommand(config),
+      killCommand: this.generateKillCommand(config),
+      testCommand: this.generateTestCommand(config)
+    };
+
+    const guide = config.reverse
+      ? this._generateReverseSetupGuide(config, commands)
+      : this._generateLocalSetupGuide(config, commands);
+
+    // Jump hosts may come from ~/.ssh/config rather than the tunnel configuration
+    const { jumpHosts } = this.resolveHost(config);
+    if (jumpHosts.length > 0) {
+      const destination = this._getDestination(config);
+
+      guide.summary += ` via ${jumpHosts.join(', ')}`;
+      guide.troubleshooting.push({
+        issue: 'Jump host connection failed',
+        solutions: [
+          `Check the first hop on its own: ssh ${jumpHosts[0]} true`,
+          `Check the whole route: ssh -J ${jumpHosts.join(',')} ${destination} true`,
+          'Keys for every hop must be in the agent or named with IdentityFile in ~/.ssh/config',
+          'Each jump host must allow TCP forwarding (AllowTcpForwarding in its sshd_config)'
+        ]
+      });
+    }
+
+    return guide;
+  }
+
+  /**
+   * Generate the setup guide for a tunnel to a server on the remote host
+   * @private
+   * @param {Object} config - SSH configuration
+   * @param {Object} commands - Tunnel, kill and test commands
+   * @returns {Object} Setup guide with commands and instructions
+   */
+  _generateLocalSetupGuide(config, { tunnelCommand, killCommand, testCommand }) {
+    const local = config.localSocket || `localhost:${config.localPort || this.options.defaultLocalPort}`;
+    const remote = config.remoteSocket || config.remotePort || this.options.defaultRemotePort;
     
     return {
-      summary: `SSH tunnel from localhost:${localPort} to ${config.remoteHost}:${config.remotePort || this.options.defaultRemotePort}`,
+      summary: `SSH tunnel from ${local} to ${config.remoteHost}:${remote}`,
+      sshConfig: this.generateSSHConfig(config),
       
       steps: [
         {
@@ -113,7 +270,9 @@ class SSHTunnelHelper {
           step: 3,
           title: 'Configure Client',
           description: 'Update notification client configuration',
-          command: `export NOTIFY_SERVER_URL=http://localhost:${localPort}`,
+          command: config.localSocket
+            ? `export NOTIFY_SOCKET=${config.localSocket}`
+            : `export NOTIFY_SERVER_URL=http://${local}`,
           notes: [
             'Set environment variable to use tunneled connection',
             'Or update your application configuration accordingly'
@@ -177,12 +336,108 @@ class SSHTunnelHelper {
     };
   }
 
+  /**
+   * Generate the setup guide for a reverse tunnel to a server on this machine
+   * @private
+   * @param {Object} config - SSH configuration
+   * @param {Object} commands - Tunnel, kill and test commands
+   * @returns {Object} Setup guide with commands and instructions
+   */
+  _generateReverseSetupGuide(config, { tunnelCommand, killCommand, testCommand }) {
+    const { listen, target } = this._getForward(config);
+    
+    return {
+      summary: `Reverse SSH tunnel from ${config.remoteHost}:${listen} to ${target}`,
+      sshConfig: this.generateSSHConfig(config),
+
+      steps: [
+        {
+          step: 1,
+          title: 'Setup Reverse SSH Tunnel',
+          description: 'Forward a port on the remote host to the local notification server',
+          command: tunnelCommand,
+          notes: [
+            'Run this on the machine running notify-server',
+            'The forwarded port is only reachable from the remote host itself',
+            'Or add the sshConfig entry to ~/.ssh/config and run: ssh -N -f <alias>'
+          ]
+        },
+        {
+          step: 2,
+          title: 'Test Connection',
+          description: 'Verify the server is reachable from the remote host',
+          command: testCommand,
+          notes: [
+            'This logs into the remote host and checks the forwarded port from there',
+            'Should return server health information if tunnel is working'
+          ]
+        },
+        {
+          step: 3,
+          title: 'Configure Remote Client',
+          description: 'Point notification clients on the remote host at the tunnel',
+          command: config.remoteSocket
+            ? `export NOTIFY_SOCKET=${config.remoteSocket}`
+            : `export NOTIFY_SERVER_URL=http://localhost:${listen}`,
+          notes: [
+            'Run this on the remote host, or add it to the shell profile there',
+            'Use the server token (NOTIFY_AUTH_TOKEN) from this machine'
+          ]
+        },
+        {
+          step: 4,
+          title: 'Cleanup (when done)',
+          description: 'Stop the SSH tunnel',
+          command: killCommand,
+          notes: [
+            'Run this on the machine running notify-server',
+            'Or use Ctrl+C if running in foreground mode'
+          ]
+        }
+      ],
+
+      troubleshooting: [
+        {
+          issue: 'remote port forwarding failed',
+          solutions: [
+            'Another user or tunnel holds the remote port: choose another remotePort',
+            'Use a remoteSocket in your home directory to avoid port collisions',
+            'Check that sshd allows forwarding (AllowTcpForwarding, AllowStreamLocalForwarding)',
+            'A stale remote socket needs StreamLocalBindUnlink yes in the remote sshd_config'
+          ]
+        },
+        {
+          issue: 'Connection refused from the remote host',
+          solutions: [
+            'Verify notification server is running on this machine',
+            `Check the server answers locally: curl -f http://${target}/api/health`,
+            'Check the tunnel process is still running'
+          ]
+        }
+      ],
+
+      commands: {
+        tunnel: tunnelCommand,
+        test: testCommand,
+        kill: killCommand
+      }
+    };
+  }
+
   /**
    * Generate command to kill SSH tunnel
    * @param {Object} config - SSH configuration
    * @returns {string} Command to kill tunnel process
    */
   generateKillCommand(config) {
+    if (config.reverse) {
+      return `pkill -f "ssh.*-R.*${this._getForward(config).listen}:"`;
+    }
+
+    if (config.localSocket) {
+      return `pkill -f "ssh.*-L.*${config.localSocket}:"`;
+    }
+
     const localPort = config.localPort || this.options.defaultLocalPort;
     return `pkill -f "ssh.*-L.*${localPort}:localhost"`;
   }
@@ -193,6 +448,16 @@ class SSHTunnelHelper {
    * @returns {string} Command to test tunnel
    */
   generateTestCommand(config) {
+    this._validateTunnelConfig(config);
+
+    if (config.reverse) {
+      return `${this._generateRemoteHealthCheck(config)} || echo "Connection failed"`;
+    }
+
+    if (config.localSocket) {
+      return `curl -f --unix-socket ${config.localSocket} http://localhost/api/health || echo "Connection failed"`;
+    }
+
     const localPort = config.localPort || this.options.defaultLocalPort;
     return `curl -f http://localhost:${localPort}/api/health || echo "Connection failed"`;
   }
@@ -229,7 +494,7 @@ class SSHTunnelHelper {
 
   /**
    * Test if remote port is accessible via SSH tunnel
-   * @param {number} localPort - Local tunnel port
+   * @param {number|string} localPort - Local tunnel port, or local tunnel socket path
    * @param {number} [timeout] - Connection timeout in ms
    * @returns {Promise<boolean>} True if tunnel is working
    */
@@ -242,11 +507,17 @@ class SSHTunnelHelper {
         resolve(false);
       }, timeout);
       
-      socket.connect(localPort, 'localhost', () => {
+      const onConnect = () => {
         clearTimeout(timer);
         socket.destroy();
         resolve(true);
-      });
+      };
+
+      if (typeof localPort === 'string') {
+        socket.connect(localPort, onConnect);
+      } else {
+        socket.connect(localPort, 'localhost', onConnect);
+      }
       
       socket.on('error', () => {
         clearTimeout(timer);
@@ -255,13 +526,42 @@ class SSHTunnelHelper {
     });
   }
 
+  /**
+   * Test a reverse tunnel from the remote host's side
+   * Logs into the remote host without prompting and requests the server's
+   * health endpoint through the forwarded port or socket.
+   * @param {Object} config - SSH configuration of the reverse tunnel
+   * @param {number} [timeout] - Timeout in ms
+   * @returns {Promise<boolean>} True if the server is reachable from the remote host
+   */
+  async testRemoteTunnel(config, timeout = this.options.connectionTimeout) {
+    this._validateTunnelConfig(config);
+
+    // Run without a local shell; only the curl request is interpreted on the remote host
+    const args = [
+      ...this._getHopArgs(config),
+      ...this._getControlOptions(config).flatMap(option => ['-o', option]),
+      '-o', 'BatchMode=yes',
+      '-o', `ConnectTimeout=${Math.max(1, Math.ceil(timeout / 1000))}`,
+      this._getDestination(config),
+      this._getRemoteHealthRequest(config)
+    ];
+
+    try {
+      await execFileAsync('ssh', args, { timeout });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
   /**
    * Find running SSH tunnel processes
    * @returns {Promise<Array>} List of running tunnel processes
    */
   async findTunnelProcesses() {
     try {
-      const { stdout } = await execAsync('ps aux | grep "ssh.*-L.*localhost" | grep -v grep');
+      const { stdout } = await execAsync('ps aux | grep -E "ssh.*-[LR] " | grep -v grep');
       const processes = stdout.trim().split('\n').filter(line => line.length > 0);
       
       return processes.map(process => {
@@ -269,16 +569,18 @@ class SSHTunnelHelper {
         const pid = parts[1];
         const command = parts.slice(10).join(' ');
         
-        // Extract port information from command
-        const portMatch = command.match(/-L\s+(\d+):localhost:(\d+)/);
-        const localPort = portMatch ? parseInt(portMatch[1]) : null;
-        const remotePort = portMatch ? parseInt(portMatch[2]) : null;
+        // Extract port or socket information from command
+        const forwardMatch = command.match(/-([LR])\s+(\S+)/);
+        const reverse = Boolean(forwardMatch) && forwardMatch[1] === 'R';
+        const forward = forwardMatch ? this._parseForward(forwardMatch[2], reverse) : {};
         
         return {
           pid,
           command,
-          localPort,
-          remotePort
+          reverse,
+          localPort: null,
+          remotePort: null,
+          ...forward
         };
       });
     } catch (error) {
@@ -286,6 +588,239 @@ class SSHTunnelHelper {
     }
   }
 
+  /**
+   * Parse the listen and target sides of a -L or -R forward specification
+   * @private
+   * @param {string} spec - Forward like "3001:localhost:3000" or "/tmp/a.sock:/tmp/b.sock"
+   * @param {boolean} [reverse=false] - Whether the spec is from -R, which listens on the remote side
+   * @returns {Object} localPort or localSocket, and remotePort or remoteSocket
+   */
+  _parseForward(spec, reverse = false) {
+    const [listenSide, targetSide] = reverse ? ['remote', 'local'] : ['local', 'remote'];
+    const forward = {};
+    let target = spec;
+
+    if (spec.startsWith('/')) {
+      const separator = spec.indexOf(':');
+      forward[`${listenSide}Socket`] = spec.substring(0, separator);
+      target = spec.substring(separator + 1);
+    } else {
+      const [port, ...rest] = spec.split(':');
+      forward[`${listenSide}Port`] = parseInt(port);
+      target = rest.join(':');
+    }
+
+    if (target.startsWith('/')) {
+      forward[`${targetSide}Socket`] = target;
+    } else {
+      forward[`${targetSide}Port`] = parseInt(target.split(':').pop());
+    }
+
+    return forward;
+  }
+
+  /**
+   * Resolve the listening and target sides of a tunnel
+   * @private
+   * @param {Object} config - SSH configuration
+   * @returns {{flag: string, listen: string, target: string}} ssh flag and both sides of the forward
+   */
+  _getForward(config) {
+    if (config.reverse) {
+      return {
+        flag: '-R',
+        listen: String(config.remoteSocket || config.remotePort || this.options.defaultLocalPort),
+        target: config.localSocket || `localhost:${config.localPort || this.options.defaultRemotePort}`
+      };
+    }
+
+    return {
+      flag: '-L',
+      listen: String(config.localSocket || config.localPort || this.options.defaultLocalPort),
+      target: config.remoteSocket || `localhost:${config.remotePort || this.options.defaultRemotePort}`
+    };
+  }
+
+  /**
+   * Build the SSH port, identity, jump host and multiplexing options for a shell command
+   * @private
+   * @param {Object} config - SSH configuration
+   * @returns {string} Options with a leading space, or an empty string
+   */
+  _getConnectionOptions(config) {
+    const args = [...this._getHopArgs(config), ...this._getControlOptions(config).flatMap(option => ['-o', option])];
+
+    return args.map((arg, i) => ` ${args[i - 1] === '-i' ? `"${arg}"` : arg}`).join('');
+  }
+
+  /**
+   * Build the arguments that determine how ssh reaches the host
+   * @private
+   * @param {Object} config - SSH configuration
+   * @returns {string[]} Port, identity file, jump host and agent arguments
+   */
+  _getHopArgs(config) {
+    const args = [];
+
+    if (config.sshPort && config.sshPort !== 22) {
+      args.push('-p', String(config.sshPort));
+    }
+
+    if (config.keyFile) {
+      args.push('-i', config.keyFile);
+    }
+
+    const jumpHosts = this._getJumpHosts(config.jumpHosts);
+    if (jumpHosts.length > 0) {
+      args.push('-J', jumpHosts.join(','));
+    } else if (config.jumpHosts && String(config.jumpHosts).trim().toLowerCase() === 'none') {
+      args.push('-o', 'ProxyJump=none'); // Override a ProxyJump from ~/.ssh/config
+    }
+
+    if (config.identityAgent) {
+      args.push('-o', `IdentityAgent=${config.identityAgent}`);
+    }
+
+    return args;
+  }
+
+  /**
+   * Build the multiplexing options set in the tunnel configuration
+   * @private
+   * @param {Object} config - SSH configuration
+   * @returns {string[]} Options like "ControlMaster=auto"
+   */
+  _getControlOptions(config) {
+    const options = [];
+    const controlMaster = this._getControlMaster(config.controlMaster);
+
+    if (controlMaster) {
+      options.push(`ControlMaster=${controlMaster}`);
+    }
+
+    if (config.controlPath) {
+      options.push(`ControlPath=${config.controlPath}`);
+    }
+
+    if (config.controlPersist !== undefined && config.controlPersist !== null && config.controlPersist !== '') {
+      options.push(`ControlPersist=${config.controlPersist}`);
+    }
+
+    return options;
+  }
+
+  /**
+   * Build multiplexing options that keep a supervised tunnel on its own connection
+   * A mux client would hand the forward to the master and exit, and a
+   * persisting master forks to the background; either way the supervisor
+   * loses track of the tunnel.
+   * @private
+   * @param {Object} config - SSH configuration
+   * @returns {string[]} Options like "ControlPath=none"
+   */
+  _getOwnConnectionOptions(config) {
+    const { controlMaster, controlPath } = this.resolveHost(config);
+
+    if (!controlPath || controlPath === 'none') {
+      return [];
+    }
+
+    // With the control socket taken, ssh warns and connects on its own
+    if (MASTER_SETTINGS.includes(controlMaster)) {
+      return ['ControlMaster=yes', `ControlPath=${controlPath}`, 'ControlPersist=no'];
+    }
+
+    return ['ControlPath=none'];
+  }
+
+  /**
+   * Normalize a ControlMaster setting
+   * @private
+   * @param {string|boolean} [value] - Setting; true means "auto" and false "no"
+   * @returns {string|null} Lowercase setting, or null if unset
+   */
+  _getControlMaster(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 'auto' : 'no';
+    }
+
+    return String(value).toLowerCase();
+  }
+
+  /**
+   * Split a jump host chain
+   * @private
+   * @param {string|string[]} [value] - Comma-separated chain or list; "none" disables jumping
+   * @returns {string[]} Jump hosts in connection order
+   */
+  _getJumpHosts(value) {
+    if (!value) {
+      return [];
+    }
+
+    const jumpHosts = (Array.isArray(value) ? value : String(value).split(','))
+      .map(jumpHost => String(jumpHost).trim())
+      .filter(jumpHost => jumpHost.length > 0);
+
+    return jumpHosts.length === 1 && jumpHosts[0].toLowerCase() === 'none' ? [] : jumpHosts;
+  }
+
+  /**
+   * Get the user's ssh client configuration, reading it on first use
+   * @private
+   * @returns {SSHConfig} Parsed configuration
+   */
+  _getSSHConfig() {
+    if (!this.sshConfig) {
+      try {
+        this.sshConfig = SSHConfig.load(this.options.sshConfigFile);
+      } catch (error) {
+        console.warn(`Ignoring unreadable ssh config: ${error.message}`);
+        this.sshConfig = new SSHConfig();
+      }
+    }
+
+    return this.sshConfig;
+  }
+
+  /**
+   * Build the SSH destination
+   * @private
+   * @param {Object} config - SSH configuration
+   * @returns {string} "user@host" or "host"
+   */
+  _getDestination(config) {
+    return config.remoteUser ? `${config.remoteUser}@${config.remoteHost}` : config.remoteHost;
+  }
+
+  /**
+   * Build the command that requests the server health endpoint on the remote host
+   * @private
+   * @param {Object} config - SSH configuration of a reverse tunnel
+   * @returns {string} Remote command
+   */
+  _getRemoteHealthRequest(config) {
+    const { listen } = this._getForward({ ...config, reverse: true });
+
+    return config.remoteSocket
+      ? `curl -sf --unix-socket ${config.remoteSocket} http://localhost/api/health`
+      : `curl -sf http://localhost:${listen}/api/health`;
+  }
+
+  /**
+   * Build an ssh command that requests the server health endpoint on the remote host
+   * @private
+   * @param {Object} config - SSH configuration of a reverse tunnel
+   * @returns {string} Command
+   */
+  _generateRemoteHealthCheck(config) {
+    return `ssh${this._getConnectionOptions(config)} ${this._getDestination(config)} '${this._getRemoteHealthRequest(config)}'`;
+  }
+
   /**
    * Kill SSH tunnel by local port
    * @param {number} localPort - Local port of tunnel to kill
@@ -313,6 +848,11 @@ class SSHTunnelHelper {
       .replace('ssh ', 'autossh ')
       .replace(' -f', ''); // Remove -f flag as autossh handles backgrounding
     
+    // A monitor port would bring back the collisions sockets avoid; rely on ServerAlive instead
+    if (config.localSocket) {
+      return `AUTOSSH_POLL=30 ${autosshCommand} -M 0`;
+    }
+
     // Add autossh monitoring options
     const localPort = config.localPort || this.options.defaultLocalPort;
     const monitorPort = localPort + 1000; // Use different port for monitoring
@@ -334,6 +874,11 @@ class SSHTunnelHelper {
       throw new Error('Remote host is required');
     }
 
+    // Generated commands are run through a shell, and a leading - would be read as an ssh option
+    if (!/^(?!-)[\w.:[\]%-]+$/.test(config.remoteHost) || (config.remoteUser && !/^(?!-)[\w.-]+$/.test(config.remoteUser))) {
+      throw new Error('Remote host and user may only contain letters, digits and . _ - characters and may not start with -');
+    }
+
     if (config.localPort && (config.localPort < 1 || config.localPort > 65535)) {
       throw new Error('Local port must be between 1 and 65535');
     }
@@ -345,6 +890,43 @@ class SSHTunnelHelper {
     if (config.sshPort && (config.sshPort < 1 || config.sshPort > 65535)) {
       throw new Error('SSH port must be between 1 and 65535');
     }
+
+    // Socket paths end up in shell commands, locally and on the remote host
+    for (const name of ['localSocket', 'remoteSocket']) {
+      if (config[name] && (typeof config[name] !== 'string' || !/^\/[\w.~/@+-]*$/.test(config[name]))) {
+        throw new Error(`${name} must be an absolute path without spaces, colons or shell characters`);
+      }
+    }
+
+    // ssh expands ~ and % tokens in the identity file path itself
+    if (config.keyFile && (typeof config.keyFile !== 'string' || !/^[\w.~/%][\w.%~/@+-]*$/.test(config.keyFile))) {
+      throw new Error('keyFile may only contain letters, digits and . _ - ~ / % @ + characters');
+    }
+
+    for (const jumpHost of this._getJumpHosts(config.jumpHosts)) {
+      if (!/^(?!-)(?:[\w.-]+@)?(?:[\w.-]+|\[[\da-fA-F:.]+\])(?::\d{1,5})?$/.test(jumpHost)) {
+        throw new Error(`Jump host ${jumpHost} must be [user@]host[:port] with letters, digits and . _ - characters`);
+      }
+    }
+
+    const controlMaster = this._getControlMaster(config.controlMaster);
+    if (controlMaster && ![...MASTER_SETTINGS, 'no'].includes(controlMaster)) {
+      throw new Error('controlMaster must be yes, no, auto, ask or autoask');
+    }
+
+    // ssh expands ~ and % tokens in these paths itself
+    if (config.controlPath && !/^(?:none|[~/][\w.%~/@:+-]*)$/.test(config.controlPath)) {
+      throw new Error('controlPath must be none or an absolute or ~/ path');
+    }
+
+    if (config.identityAgent && !/^(?:none|SSH_AUTH_SOCK|[~/][\w.%~/@:+-]*)$/.test(config.identityAgent)) {
+      throw new Error('identityAgent must be none, SSH_AUTH_SOCK or an absolute or ~/ path');
+    }
+
+    if (config.controlPersist !== undefined && config.controlPersist !== null && config.controlPersist !== ''
+      && !/^(?:yes|no|(?:\d+[smhdw]?)+)$/i.test(String(config.controlPersist))) {
+      throw new Error('controlPersist must be yes, no or a duration like 10m');
+    }
   }
 
   /**
@@ -368,6 +950,23 @@ class SSHTunnelHelper {
         });
       },
 
+      /**
+       * Generate reverse SSH tunnel setup for a notification server on this machine
+       * @param {string} remoteHost - Remote server hostname
+       * @param {string} [remoteUser] - SSH username
+       * @returns {Object} Setup guide
+       */
+      setupReverseNotificationTunnel: (remoteHost, remoteUser) => {
+        const helper = new SSHTunnelHelper();
+        return helper.generateSetupGuide({
+          remoteHost,
+          remoteUser,
+          localPort: 3000,
+          remotePort: 3001,
+          reverse: true
+        });
+      },
+
       /**
        * Quick tunnel test
        * @param {number} [localPort=3001] - Local port to test
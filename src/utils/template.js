@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Minimal logic-light template language for notification text
+ * Supports {{variables}}, {{#if}}/{{else}}, {{#each}} and {{{unescaped}}} output
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+/**
+ * Compiled template
+ *
+ * Variables are dotted paths looked up in the current context, then in each
+ * enclosing {{#each}} context. Inside {{#each}}, `this` is the current item
+ * and `@index`, `@first` and `@last` describe its position. Empty arrays,
+ * empty strings, zero, null and undefined are falsy in {{#if}}.
+ */
+class Template {
+  /**
+   * Compile a template
+   * @param {string} source - Template source
+   * @throws {Error} If a block is unclosed, mismatched or unknown
+   */
+  constructor(source) {
+    this.source = String(source);
+    this.nodes = Template._parse(this.source);
+  }
+
+  /**
+   * Render the template
+   * @param {Object} data - Template variables
+   * @param {Object} [options] - Render options
+   * @param {Function} [options.escape] - Applied to {{variable}} output, not to {{{variable}}}
+   * @returns {string} Rendered text
+   */
+  render(data, options = {}) {
+    const escape = options.escape || (value => value);
+    return Template._renderNodes(this.nodes, [data || {}], escape);
+  }
+
+  /**
+   * Compile and render a template in one step
+   * @param {string} source - Template source
+   * @param {Object} data - Template variables
+   * @param {Object} [options] - Render options, see render()
+   * @returns {string} Rendered text
+   */
+  static render(source, data, options) {
+    return new Template(source).render(data, options);
+  }
+
+  /**
+   * Parse template source into a node tree
+   * @private
+   * @param {string} source - Template source
+   * @returns {Object[]} Nodes
+   */
+  static _parse(source) {
+    const root = { nodes: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const current = stack[stack.length - 1];
+      const target = current.inElse ? current.elseNodes : current.nodes;
+
+      if (match.index > lastIndex) {
+        target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      const [, raw, sigil, body] = match;
+
+      if (raw !== undefined) {
+        target.push({ type: 'variable', path: raw, escape: false });
+      } else if (sigil === '#') {
+        const [keyword, ...rest] = body.split(/\s+/);
+        if (keyword !== 'if' && keyword !== 'each') {
+          throw new Error(`Unknown template block: {{#${keyword}}}`);
+        }
+        if (rest.length !== 1) {
+          throw new Error(`Template block {{#${keyword}}} needs exactly one variable`);
+        }
+
+        const block = { type: keyword, path: rest[0], nodes: [], elseNodes: [], inElse: false };
+        target.push(block);
+        stack.push(block);
+      } else if (sigil === '/') {
+        if (stack.length === 1) {
+          throw new Error(`Unexpected {{/${body}}} without an open block`);
+        }
+        if (current.type !== body) {
+          throw new Error(`Expected {{/${current.type}}} but found {{/${body}}}`);
+        }
+        stack.pop();
+      } else if (body === 'else') {
+        if (stack.length === 1 || current.inElse) {
+          throw new Error('Unexpected {{else}}');
+        }
+        current.inElse = true;
+      } else if (body) {
+        target.push({ type: 'variable', path: body, escape: true });
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`Unclosed template block {{#${stack[stack.length - 1].type}}}`);
+    }
+
+    if (lastIndex < source.length) {
+      root.nodes.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.nodes;
+  }
+
+  /**
+   * Render a list of nodes
+   * @private
+   * @param {Object[]} nodes - Nodes
+   * @param {Object[]} contexts - Context stack, innermost last
+   * @param {Function} escape - Escape function for variables
+   * @returns {string} Rendered text
+   */
+  static _renderNodes(nodes, contexts, escape) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+
+        case 'variable': {
+          const text = Template._stringify(Template._lookup(node.path, contexts));
+          return node.escape ? escape(text) : text;
+        }
+
+        case 'if':
+          return Template._isTruthy(Template._lookup(node.path, contexts))
+            ? Template._renderNodes(node.nodes, contexts, escape)
+            : Template._renderNodes(node.elseNodes, contexts, escape);
+
+        case 'each': {
+          const value = Template._lookup(node.path, contexts);
+          const items = Array.isArray(value)
+            ? value
+            : (value && typeof value === 'object' ? Object.values(value) : []);
+
+          if (items.length === 0) {
+            return Template._renderNodes(node.elseNodes, contexts, escape);
+          }
+
+          return items.map((item, index) => Template._renderNodes(node.nodes, [...contexts, {
+            this: item,
+            '@index': index,
+            '@first': index === 0,
+            '@last': index === items.length - 1,
+            ...(item && typeof item === 'object' && !Array.isArray(item) ? item : {})
+          }], escape)).join('');
+        }
+
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Resolve a dotted path against the context stack
+   * @private
+   * @param {string} path - Variable path, e.g. "metadata.host" or "this.name"
+   * @param {Object[]} contexts - Context stack, innermost last
+   * @returns {*} Value, or undefined if not found
+   */
+  static _lookup(path, contexts) {
+    const [head, ...rest] = path === '.' ? ['this'] : path.split('.');
+
+    for (let i = contexts.length - 1; i >= 0; i--) {
+      const context = contexts[i];
+      if (context !== null && typeof context === 'object' && head in context) {
+        return rest.reduce((value, key) => (
+          value !== null && value !== undefined ? value[key] : undefined
+        ), context[head]);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Check template truthiness
+   * @private
+   * @param {*} value - Value
+   * @returns {boolean} True if the value counts as set
+   */
+  static _isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  }
+
+  /**
+   * Convert a value to output text
+   * @private
+   * @param {*} value - Value
+   * @returns {string} Text
+   */
+  static _stringify(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
+}
+
+module.exports = Template;
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Time-of-day window parsing and matching
+ * Used by routing rules and channel policies that only apply at certain hours
+ */
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Daily time window such as "22:00-07:00", optionally limited to weekdays and a timezone
+ */
+class TimeWindow {
+  /**
+   * Create a time window
+   * @param {string|Object} spec - "HH:MM-HH:MM" or window object
+   * @param {string} spec.start - Start time "HH:MM" (inclusive)
+   * @param {string} spec.end - End time "HH:MM" (exclusive)
+   * @param {string[]} [spec.days] - Days the window starts on ("mon".."sun"), default every day
+   * @param {string} [spec.timezone] - IANA timezone, default server local time
+   * @throws {Error} If the specification is invalid
+   */
+  constructor(spec) {
+    const window = typeof spec === 'string' ? TimeWindow._parseRange(spec) : { ...spec };
+
+    if (!window || typeof window !== 'object') {
+      throw new Error('Time window must be a "HH:MM-HH:MM" string or an object');
+    }
+
+    this.start = TimeWindow._parseTime(window.start);
+    this.end = TimeWindow._parseTime(window.end);
+
+    if (this.start === this.end) {
+      throw new Error('Time window start and end must differ');
+    }
+
+    this.days = null;
+    if (window.days) {
+      if (!Array.isArray(window.days) || window.days.length === 0) {
+        throw new Error('Time window days must be a non-empty array');
+      }
+
+      this.days = window.days.map(day => {
+        const index = DAY_NAMES.indexOf(String(day).toLowerCase().slice(0, 3));
+        if (index === -1) {
+          throw new Error(`Invalid day in time window: ${day}`);
+        }
+        return index;
+      });
+    }
+
+    this.timezone = window.timezone || null;
+    if (this.timezone) {
+      // Throws RangeError for unknown zones
+      new Intl.DateTimeFormat('en-US', { timeZone: this.timezone });
+    }
+  }
+
+  /**
+   * Check whether a moment falls inside the window
+   * @param {Date} [date] - Moment to check (default: now)
+   * @returns {boolean} True if inside the window
+   */
+  contains(date = new Date()) {
+    const { day, minutes } = this._getLocalParts(date);
+    const overnight = this.start > this.end;
+
+    if (!overnight) {
+      return minutes >= this.start && minutes < this.end && this._isActiveDay(day);
+    }
+
+    // Overnight windows belong to the day they start on
+    if (minutes >= this.start) {
+      return this._isActiveDay(day);
+    }
+
+    if (minutes < this.end) {
+      return this._isActiveDay((day + 6) % 7);
+    }
+
+    return false;
+  }
+
+  /**
+   * Get the next moment at which the window ends
+   * @param {Date} [date] - Moment inside the window (default: now)
+   * @returns {Date} End of the current window occurrence
+   */
+  getEnd(date = new Date()) {
+    const { minutes } = this._getLocalParts(date);
+    let remaining = this.end - minutes;
+
+    if (remaining <= 0) {
+      remaining += 24 * 60;
+    }
+
+    const end = new Date(date.getTime() + remaining * 60000);
+    end.setSeconds(0, 0);
+    return end;
+  }
+
+  /**
+   * Format the window for display
+   * @returns {string} Window description
+   */
+  toString() {
+    const format = (value) => `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+    let description = `${format(this.start)}-${format(this.end)}`;
+
+    if (this.days) {
+      description += ` ${this.days.map(day => DAY_NAMES[day]).join(',')}`;
+    }
+
+    if (this.timezone) {
+      description += ` ${this.timezone}`;
+    }
+
+    return description;
+  }
+
+  /**
+   * Check whether the window is active on a weekday
+   * @private
+   * @param {number} day - Day index (0 = Sunday)
+   * @returns {boolean} True if active
+   */
+  _isActiveDay(day) {
+    return !this.days || this.days.includes(day);
+  }
+
+  /**
+   * Get weekday and minutes since midnight in the window's timezone
+   * @private
+   * @param {Date} date - Moment
+   * @returns {{day: number, minutes: number}} Local parts
+   */
+  _getLocalParts(date) {
+    if (!this.timezone) {
+      return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+    }
+
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const get = (type) => parts.find(part => part.type === type).value;
+
+    return {
+      day: DAY_NAMES.indexOf(get('weekday').toLowerCase()),
+      minutes: parseInt(get('hour')) * 60 + parseInt(get('minute'))
+    };
+  }
+
+  /**
+   * Parse a "HH:MM-HH:MM" range
+   * @private
+   * @param {string} range - Range string
+   * @returns {{start: string, end: string}} Range parts
+   */
+  static _parseRange(range) {
+    const match = /^\s*(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*$/.exec(range);
+    if (!match) {
+      throw new Error(`Invalid time window: ${range} (expected HH:MM-HH:MM)`);
+    }
+
+    return { start: match[1], end: match[2] };
+  }
+
+  /**
+   * Parse "HH:MM" into minutes since midnight
+   * @private
+   * @param {string} value - Time string
+   * @returns {number} Minutes since midnight
+   */
+  static _parseTime(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+    if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) {
+      throw new Error(`Invalid time: ${value} (expected HH:MM)`);
+    }
+
+    // 24:00 is accepted as end of day
+    return Math.min(parseInt(match[1]) * 60 + parseInt(match[2]), 24 * 60);
+  }
+}
+
+module.exports = TimeWindow;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Unit tests for NotificationClient
+ * Tests streaming routing events
+ */
+
+const { PassThrough } = require('stream');
+const NotificationClient = require('../../src/client/NotificationClient');
+
+describe('NotificationClient', () => {
+  let client;
+  let stream;
+
+  beforeEach(() => {
+    client = new NotificationClient({ baseURL: 'http://localhost:3000', token: 'a'.repeat(32) });
+    stream = new PassThrough();
+    jest.spyOn(client.httpClient, 'request').mockResolvedValue({ data: stream });
+  });
+
+  describe('watchEvents', () => {
+    test('should parse events and pass filters to the server', async () => {
+      const events = [];
+      const subscription = await client.watchEvents(event => events.push(event), { channels: ['slack', 'email'], levels: ['error'] });
+
+      expect(client.httpClient.request).toHaveBeenCalledWith(expect.objectContaining({
+        url: '/api/events?channel=slack%2Cemail&level=error',
+        responseType: 'stream'
+      }));
+
+      stream.write('event: routingStarted\ndata: {"deliveryId":"delivery_1"}\n\n');
+      stream.end();
+      await subscription.closed;
+
+      expect(events).toEqual([expect.objectContaining({ deliveryId: 'delivery_1' })]);
+    });
+
+    test('should close the stream and reject closed when the callback throws', async () => {
+      const onEvent = jest.fn(() => {
+        throw new Error('Cannot render event');
+      });
+      const subscription = await client.watchEvents(onEvent);
+
+      stream.write('event: routingStarted\ndata: {"deliveryId":"delivery_1"}\n\nevent: routingCompleted\ndata: {"deliveryId":"delivery_1"}\n\n');
+
+      await expect(subscription.closed).rejects.toThrow('Cannot render event');
+      expect(onEvent).toHaveBeenCalledTimes(1);
+      expect(stream.destroyed).toBe(true);
+    });
+  });
+});
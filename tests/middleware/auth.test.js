@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Unit tests for AuthMiddleware
+ * Tests shared token, API key, client certificate, Unix socket and signed-request authentication, optional authentication and identity-keyed rate limiting
+ */
+
+const { AuthMiddleware } = require('../../src/middleware/auth');
+const ApiKeyStore = require('../../src/services/ApiKeyStore');
+const NotificationClient = require('../../src/client/NotificationClient');
+
+describe('AuthMiddleware', () => {
+  const sharedToken = 'a'.repeat(32);
+
+  const createRequest = (token, ip = '127.0.0.1') => ({
+    headers: token ? { authorization: `Bearer ${token}` } : {},
+    query: {},
+    ip
+  });
+
+  const createResponse = () => {
+    const res = { headers: {} };
+    res.set = jest.fn((name, value) => { res.headers[name] = value; return res; });
+    res.status = jest.fn(code => { res.statusCode = code; return res; });
+    res.json = jest.fn(body => { res.body = body; return res; });
+    return res;
+  };
+
+  const run = (middleware, req) => {
+    const res = createResponse();
+    const next = jest.fn();
+    middleware(req, res, next);
+    return { res, next };
+  };
+
+  let apiKeyStore;
+  let auth;
+
+  beforeEach(() => {
+    apiKeyStore = new ApiKeyStore();
+    auth = new AuthMiddleware({ sharedToken, apiKeyStore });
+  });
+
+  test('should accept the shared token and valid API keys only', async () => {
+    const { key } = await apiKeyStore.create({ name: 'payments' });
+
+    expect(run(auth.authenticate, createRequest(sharedToken)).next).toHaveBeenCalled();
+    expect(run(auth.authenticate, createRequest('b'.repeat(32))).res.statusCode).toBe(401);
+
+    const req = createRequest(key);
+    expect(run(auth.authenticate, req).next).toHaveBeenCalled();
+    expect(req.apiKey).toMatchObject({ name: 'payments' });
+    expect(run(auth.requireAdmin, req).res.statusCode).toBe(403);
+  });
+
+  test('should accept requests signed by the client with the shared secret', () => {
+    const signingSecret = 'build-host-shared-secret';
+    const signedAuth = new AuthMiddleware({ sharedToken, signingSecret });
+    const client = new NotificationClient({ baseURL: 'http://localhost:3000', signingSecret });
+
+    const config = { method: 'post', baseURL: 'http://localhost:3000', url: '/api/notify?async=1', headers: {}, data: { notification: { title: 'a' } } };
+    client._signRequest(config);
+
+    const req = { headers: config.headers, originalUrl: '/api/notify?async=1', method: 'POST', rawBody: Buffer.from(config.data), query: {} };
+    expect(run(signedAuth.authenticate, req).next).toHaveBeenCalled();
+    expect(signedAuth.getIdentity(req)).toBe('signed');
+
+    // Replaying the same request is rejected
+    const replay = run(signedAuth.authenticate, { ...req, signed: false });
+    expect(replay.res.statusCode).toBe(401);
+    expect(replay.res.body.message).toBe('Request nonce has already been used');
+  });
+
+  test('should cover the raw body and honour the configured window in signed requests', () => {
+    const signingSecret = 'build-host-shared-secret';
+    const signedAuth = new AuthMiddleware({ sharedToken, signingSecret, signatureWindowMs: 1000 });
+    const client = new NotificationClient({ baseURL: 'http://localhost:3000', signingSecret });
+
+    const signedRequest = (data, extra = {}) => {
+      const config = { method: 'post', baseURL: 'http://localhost:3000', url: '/api/notify', headers: {}, data };
+      client._signRequest(config);
+      return { headers: { ...config.headers, 'content-length': String(config.data.length) }, originalUrl: '/api/notify', method: 'POST', query: {}, ...extra };
+    };
+
+    // Form bodies are verified byte for byte like JSON
+    const form = 'notification%5Btitle%5D=a';
+    expect(run(signedAuth.authenticate, signedRequest(form, { rawBody: Buffer.from(form) })).next).toHaveBeenCalled();
+
+    const tampered = run(signedAuth.authenticate, signedRequest(form, { rawBody: Buffer.from('notification%5Btitle%5D=b') }));
+    expect(tampered.res.body.message).toBe('Invalid request signature');
+
+    const unparsed = run(signedAuth.authenticate, signedRequest('plain text'));
+    expect(unparsed.res.statusCode).toBe(401);
+    expect(unparsed.res.body.message).toBe('Signed request bodies must be JSON or form-encoded');
+
+    const stale = signedRequest('{}', { rawBody: Buffer.from('{}') });
+    stale.headers['x-notify-timestamp'] = String(Date.now() - 2000);
+    expect(run(signedAuth.authenticate, stale).res.body.message).toBe('Request timestamp is outside the allowed window');
+  });
+
+  test('should give signed requests the scopes of the API key the secret is bound to', async () => {
+    const signingSecret = 'build-host-shared-secret';
+    const { id } = await apiKeyStore.create({ name: 'build', channels: ['slack'] });
+    const client = new NotificationClient({ baseURL: 'http://localhost:3000', signingSecret });
+
+    const signedRequest = () => {
+      const config = { method: 'get', baseURL: 'http://localhost:3000', url: '/api/deliveries', headers: {} };
+      client._signRequest(config);
+      return { headers: config.headers, originalUrl: '/api/deliveries', method: 'GET', query: {} };
+    };
+
+    const bound = new AuthMiddleware({ sharedToken, apiKeyStore, signingSecret, signingKeyId: id });
+    const req = signedRequest();
+    expect(run(bound.authenticate, req).next).toHaveBeenCalled();
+    expect(req.apiKey).toMatchObject({ name: 'build', channels: ['slack'] });
+    expect(bound.getIdentity(req)).toBe(`key:${id}`);
+    expect(run(bound.requireAdmin, req).res.statusCode).toBe(403);
+
+    await apiKeyStore.revoke(id);
+    const revoked = run(bound.authenticate, signedRequest());
+    expect(revoked.res.statusCode).toBe(401);
+    expect(revoked.res.body.message).toBe('Signing secret is bound to an unknown API key');
+  });
+
+  test('should authenticate verified client certificates by common name', async () => {
+    const { id } = await apiKeyStore.create({ name: 'build', channels: ['slack'] });
+    const certAuth = new AuthMiddleware({ sharedToken, apiKeyStore, clientCertificates: { identities: { 'build-01': id, 'build-02': 'gone' } } });
+
+    const withCertificate = (CN, authorized = true) => ({
+      ...createRequest(),
+      socket: { authorized, getPeerCertificate: () => ({ subject: { CN } }) }
+    });
+
+    const mapped = withCertificate('build-01');
+    expect(run(certAuth.authenticate, mapped).next).toHaveBeenCalled();
+    expect(mapped.apiKey).toMatchObject({ name: 'build', channels: ['slack'] });
+
+    expect(run(certAuth.authenticate, withCertificate('build-02')).res.statusCode).toBe(401);
+    expect(run(certAuth.authenticate, withCertificate('ops-laptop', false)).res.statusCode).toBe(401);
+  });
+
+  test('should reject unmapped client certificates unless they are allowed', () => {
+    const withCertificate = (CN) => ({
+      ...createRequest(),
+      socket: { authorized: true, getPeerCertificate: () => ({ subject: { CN } }) }
+    });
+
+    const strict = new AuthMiddleware({ sharedToken, apiKeyStore, clientCertificates: { identities: {} } });
+    const rejected = withCertificate('ops-laptop');
+    const { res, next } = run(strict.authenticate, rejected);
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+    expect(res.body.message).toBe('Client certificate ops-laptop is not mapped to an API key');
+    expect(rejected.authenticated).toBeUndefined();
+
+    const permissive = new AuthMiddleware({ sharedToken, apiKeyStore, clientCertificates: { identities: {}, allowUnmapped: true } });
+    const unmapped = withCertificate('ops-laptop');
+    expect(run(permissive.authenticate, unmapped).next).toHaveBeenCalled();
+    expect(unmapped.apiKey).toBeUndefined();
+    expect(permissive.getIdentity(unmapped)).toBe('cert:ops-laptop');
+  });
+
+  test('should trust connections on the Unix socket without a token', () => {
+    const req = { ...createRequest(), socket: { unixSocket: true } };
+
+    expect(run(auth.authenticate, req).next).toHaveBeenCalled();
+    expect(auth.getIdentity(req)).toBe('socket');
+    expect(run(auth.authenticate, { ...createRequest(), socket: {} }).res.statusCode).toBe(401);
+  });
+
+  test('should continue unauthenticated requests when authentication is optional', () => {
+    const valid = createRequest(sharedToken);
+    const invalid = createRequest('b'.repeat(32));
+    const anonymous = createRequest();
+
+    for (const req of [valid, invalid, anonymous]) {
+      const { res, next } = run(auth.authenticateOptional, req);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.status).not.toHaveBeenCalled();
+    }
+    expect(valid.authenticated).toBe(true);
+    expect(invalid.authenticated).toBeUndefined();
+    expect(anonymous.authenticated).toBeUndefined();
+  });
+
+  test('should count requests per identity rather than per address', async () => {
+    const { key } = await apiKeyStore.create({ name: 'ci' });
+    const limiter = auth.rateLimit({ max: 2, windowMs: 60000 });
+
+    const authenticated = (token) => {
+      const req = createRequest(token);
+      run(auth.authenticate, req);
+      return req;
+    };
+
+    expect(run(limiter, authenticated(sharedToken)).res.headers['X-RateLimit-Remaining']).toBe('1');
+    expect(run(limiter, authenticated(sharedToken)).next).toHaveBeenCalled();
+
+    const limited = run(limiter, authenticated(sharedToken));
+    expect(limited.res.statusCode).toBe(429);
+    expect(limited.res.headers['Retry-After']).toBe('60');
+
+    // Same address, different identity
+    expect(run(limiter, authenticated(key)).next).toHaveBeenCalled();
+  });
+
+  test('should apply an API key rate limit instead of the default', async () => {
+    const { key } = await apiKeyStore.create({ name: 'noisy', rateLimit: { max: 1, windowMs: 1000 } });
+    const limiter = auth.rateLimit({ max: 100, windowMs: 60000 });
+    const req = createRequest(key);
+    run(auth.authenticate, req);
+
+    expect(run(limiter, req).res.headers['X-RateLimit-Limit']).toBe('1');
+    expect(run(limiter, req).res.statusCode).toBe(429);
+  });
+});
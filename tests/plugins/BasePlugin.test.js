@@ -385,4 +385,18 @@ describe('BasePlugin', () => {
       expect(available).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should return the title, message and level by default', async () => {
+      class PreviewPlugin extends MockPlugin {
+        async validate() {
+          return true;
+        }
+      }
+      const plugin = new PreviewPlugin({ enabled: true });
+
+      expect(await plugin.preview({ title: 'Build done', message: 'ok' })).toEqual({ title: 'Build done', message: 'ok', level: 'info' });
+      await expect(plugin.preview({ title: 'Build done' })).rejects.toThrow('Notification message is required');
+    });
+  });
+});
@@ -413,4 +413,17 @@ describe('DesktopPlugin', () => {
       expect(plugin._isWindowsNotificationAvailable()).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should build the notifier options without showing a notification', async () => {
+      const options = await plugin.preview({ ...mockNotification, level: 'error' });
+
+      expect(options).toMatchObject({ title: 'Test Notification', message: 'This is a test message', timeout: 5 });
+      expect(notifier.notify).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid notifications', async () => {
+      await expect(plugin.preview({ ...mockNotification, title: 42 })).rejects.toThrow('Notification title is required');
+    });
+  });
+});
@@ -608,4 +608,25 @@ describe('EmailPlugin', () => {
       expect(result3.success).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should build the mail options without sending mail', async () => {
+      plugin.config.to = ['ops@example.com'];
+
+      const mail = await plugin.preview({ ...mockNotification, level: 'warning' });
+
+      expect(mail).toMatchObject({
+        from: 'notifications@example.com',
+        to: 'ops@example.com',
+        subject: 'SSH Notify Tool - warning - Test Notification'
+      });
+      expect(mail.text).toContain('Message: This is a test message');
+      expect(mail.html).toContain('<title>Test Notification</title>');
+      expect(mockTransporter.sendMail).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid notifications', async () => {
+      await expect(plugin.preview(null)).rejects.toThrow('Notification is required');
+    });
+  });
+});
@@ -648,4 +648,23 @@ describe('SmsPlugin', () => {
       expect(result.metadata.results[1].success).toBe(false);
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should build the message without sending an SMS', async () => {
+      plugin.config.to = ['+15551234567'];
+
+      const sms = await plugin.preview({ ...mockNotification, level: 'warning' });
+
+      expect(sms).toEqual({
+        provider: 'twilio',
+        to: ['+15551234567'],
+        content: '⚠️ Test Notification\nThis is a test message'
+      });
+      expect(mockTwilioClient.messages.create).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid notifications', async () => {
+      await expect(plugin.preview({ ...mockNotification, message: undefined })).rejects.toThrow('Notification message is required');
+    });
+  });
+});
@@ -638,4 +638,23 @@ describe('DingTalkPlugin', () => {
       expect(result3.success).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should build the markdown payload without posting it', async () => {
+      jest.spyOn(plugin.httpClient, 'post');
+
+      const payload = await plugin.preview({ ...mockNotification, level: 'warning' });
+
+      expect(payload.msgtype).toBe('markdown');
+      expect(payload.markdown.title).toBe('SSH Notify Tool - Test Notification');
+      expect(payload.markdown.text).toContain('## ⚠️ Test Notification');
+      expect(payload.markdown.text).toContain('This is a test message');
+      expect(payload.at).toMatchObject({ isAtAll: false });
+      expect(plugin.httpClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid notifications', async () => {
+      await expect(plugin.preview({ ...mockNotification, level: 'critical' })).rejects.toThrow('Notification level must be info, warning, or error');
+    });
+  });
+});
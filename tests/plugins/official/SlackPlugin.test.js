@@ -780,4 +780,20 @@ describe('SlackPlugin', () => {
       expect(health.metadata.workspaceId).toBe('T1234567890');
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should build the webhook payload without posting it', async () => {
+      jest.spyOn(plugin.httpClient, 'post');
+
+      const payload = await plugin.preview({ ...mockNotification, level: 'warning' });
+
+      expect(payload).toMatchObject({ channel: '#notifications', username: 'NotifyBot', text: 'SSH Notify Tool - Test Notification' });
+      expect(payload.attachments[0]).toMatchObject({ color: '#ff9500', title: ':warning: Test Notification', text: 'This is a test message' });
+      expect(plugin.httpClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid notifications', async () => {
+      await expect(plugin.preview({ ...mockNotification, title: '' })).rejects.toThrow('Notification title is required');
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Unit tests for TeamsPlugin
+ * Tests Adaptive Card payloads, mentions, webhook validation and Teams error responses
+ */
+
+const TeamsPlugin = require('../../../src/plugins/official/TeamsPlugin');
+
+const WEBHOOK = 'https://contoso.webhook.office.com/webhookb2/1a2b3c4d-0000-0000-0000-000000000000@tenant/IncomingWebhook/abc123/def456';
+const WORKFLOW = 'https://prod-12.westeurope.logic.azure.com:443/workflows/0123abcd/triggers/manual/paths/invoke?api-version=2016-06-01&sig=s3cr3t';
+
+describe('TeamsPlugin', () => {
+  let plugin;
+  let post;
+  let mockNotification;
+
+  beforeEach(() => {
+    plugin = new TeamsPlugin({
+      enabled: true,
+      webhook: WEBHOOK,
+      mentions: [{ id: 'oncall@contoso.com', name: 'On-call' }],
+      retries: 1
+    });
+    post = jest.spyOn(plugin.httpClient, 'post').mockResolvedValue({ status: 200, data: 1 });
+    mockNotification = global.testUtils.createMockNotification({
+      host: 'build-01',
+      timestamp: Date.UTC(2026, 0, 2, 3, 4, 5, 678)
+    });
+  });
+
+  /**
+   * Card from the most recent webhook request
+   * @returns {Object} Adaptive Card
+   */
+  const sentCard = () => post.mock.calls[post.mock.calls.length - 1][1].attachments[0].content;
+
+  describe('Metadata', () => {
+    test('should have correct plugin metadata', () => {
+      const metadata = TeamsPlugin.metadata;
+
+      expect(metadata.name).toBe('teams');
+      expect(metadata.displayName).toBe('Microsoft Teams');
+      expect(metadata.capabilities).toEqual(expect.arrayContaining(['buttons', 'mentions']));
+      expect(metadata.configSchema.required).toEqual(['enabled', 'webhook']);
+    });
+  });
+
+  describe('Send Method', () => {
+    test('should post an Adaptive Card with a level-colored header and facts', async () => {
+      const result = await plugin.send(mockNotification);
+
+      expect(result.success).toBe(true);
+      expect(result.metadata).toMatchObject({ status: 200, mentions: 0, webhook: 'https://contoso.webhook.office.com/****' });
+
+      const [url, payload] = post.mock.calls[0];
+      expect(url).toBe(WEBHOOK);
+      expect(payload.type).toBe('message');
+      expect(payload.attachments[0].contentType).toBe('application/vnd.microsoft.card.adaptive');
+      expect(payload.attachments[0].content).toEqual({
+        type: 'AdaptiveCard',
+        $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+        version: '1.4',
+        body: [
+          {
+            type: 'Container',
+            style: 'accent',
+            bleed: true,
+            items: [{ type: 'TextBlock', text: 'ℹ️ Test Notification', size: 'Medium', weight: 'Bolder', wrap: true }]
+          },
+          { type: 'TextBlock', text: 'This is a test message', wrap: true },
+          { type: 'FactSet', facts: [{ title: 'test', value: 'true' }, { title: 'Host', value: 'build-01' }] },
+          {
+            type: 'TextBlock',
+            text: 'Sent by SSH Notify Tool on {{DATE(2026-01-02T03:04:05Z, SHORT)}} at {{TIME(2026-01-02T03:04:05Z)}}',
+            size: 'Small',
+            isSubtle: true,
+            wrap: true
+          }
+        ],
+        msteams: { entities: [], width: 'Full' }
+      });
+
+      await plugin.send({ ...mockNotification, level: 'warning' });
+      expect(sentCard().body[0].style).toBe('warning');
+    });
+
+    test('should add action buttons and render metadata values as facts', async () => {
+      await plugin.send({
+        ...mockNotification,
+        metadata: {
+          build: { number: 42 },
+          owner: null,
+          actions: [{ text: 'Logs', url: 'https://ci.example.com/42' }, { label: 'Dashboard', url: 'https://grafana.example.com' }]
+        }
+      });
+
+      const card = sentCard();
+      expect(card.body[2].facts).toEqual([
+        { title: 'build', value: '{"number":42}' },
+        { title: 'owner', value: 'null' },
+        { title: 'Host', value: 'build-01' }
+      ]);
+      expect(card.actions).toEqual([
+        { type: 'Action.OpenUrl', title: 'Logs', url: 'https://ci.example.com/42' },
+        { type: 'Action.OpenUrl', title: 'Dashboard', url: 'https://grafana.example.com' }
+      ]);
+    });
+
+    test('should mention on-call users at the mention level and metadata mentions always', async () => {
+      await plugin.send({ ...mockNotification, metadata: { mentions: ['ana@contoso.com'] } });
+      expect(sentCard().msteams.entities).toEqual([
+        { type: 'mention', text: '<at>ana@contoso.com</at>', mentioned: { id: 'ana@contoso.com', name: 'ana@contoso.com' } }
+      ]);
+
+      await plugin.send({
+        ...mockNotification,
+        level: 'error',
+        metadata: { mentions: [{ id: 'oncall@contoso.com', name: 'Duplicate' }, { id: '29:1abc', name: 'Ops <Team>' }] }
+      });
+
+      const card = sentCard();
+      expect(card.msteams.entities.map(entity => entity.mentioned)).toEqual([
+        { id: 'oncall@contoso.com', name: 'On-call' },
+        { id: '29:1abc', name: 'Ops Team' }
+      ]);
+      expect(card.body[0].style).toBe('attention');
+      expect(card.body).toContainEqual({ type: 'TextBlock', text: '<at>On-call</at> <at>Ops Team</at>', wrap: true });
+      expect(card.body[2].facts).toEqual([{ title: 'Host', value: 'build-01' }]);
+    });
+
+    test('should truncate long messages on a character boundary', async () => {
+      await plugin.send({ ...mockNotification, message: 'é'.repeat(15000) });
+
+      const text = sentCard().body[1].text;
+      expect(Buffer.byteLength(text)).toBeLessThan(20100);
+      expect(text).toMatch(/^é+…\n\n_\(truncated\)_$/);
+    });
+
+    test('should reject invalid actions and mentions before sending', async () => {
+      const invalid = [
+        [{ actions: [{ text: 'Run', url: 'javascript:alert(1)' }] }, 'Teams action 1 url must be http(s)'],
+        [{ actions: new Array(7).fill({ text: 'A', url: 'https://a.example.com' }) }, 'Teams cards show at most 6 actions'],
+        [{ mentions: [{ name: 'Nobody' }] }, 'Mention 1 needs an id']
+      ];
+
+      for (const [metadata, message] of invalid) {
+        const result = await plugin.send({ ...mockNotification, metadata });
+        expect(result.success).toBe(false);
+        expect(result.message).toContain(message);
+      }
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    test('should fail when Teams reports an error in a 200 response', async () => {
+      post.mockResolvedValue({
+        status: 200,
+        data: 'Webhook message delivery failed with error: Microsoft Teams endpoint returned HTTP error 413'
+      });
+
+      const result = await plugin.send(mockNotification);
+
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Teams notification failed: Teams webhook error: Webhook message delivery failed with error: Microsoft Teams endpoint returned HTTP error 413');
+    });
+  });
+
+  describe('Validate Method', () => {
+    test('should accept incoming webhook and Workflows URLs', async () => {
+      expect(await plugin.validate({ enabled: true, webhook: WEBHOOK })).toBe(true);
+      expect(await plugin.validate({ enabled: true, webhook: WORKFLOW, mentions: ['ana@contoso.com'], mentionLevel: 'warning' })).toBe(true);
+      expect(await plugin.validate({
+        enabled: true,
+        webhook: 'https://default0123.ab.environment.api.powerplatform.com:443/powerautomate/automations/direct/workflows/0123/triggers/manual/paths/invoke'
+      })).toBe(true);
+    });
+
+    test('should reject invalid configurations', async () => {
+      expect(await plugin.validate({ enabled: true })).toBe(false);
+      expect(await plugin.validate({ enabled: true, webhook: 'https://hooks.slack.com/services/T0/B0/X' })).toBe(false);
+      expect(await plugin.validate({ enabled: true, webhook: 'http://contoso.webhook.office.com/webhookb2/x' })).toBe(false);
+      expect(await plugin.validate({ enabled: true, webhook: 'https://webhook.office.com.evil.example/x' })).toBe(false);
+      expect(await plugin.validate({ enabled: true, webhook: WEBHOOK, mentions: [''] })).toBe(false);
+      expect(await plugin.validate({ enabled: true, webhook: WEBHOOK, mentionLevel: 'critical' })).toBe(false);
+    });
+  });
+
+  describe('Preview and Health', () => {
+    test('should preview the payload without sending it', async () => {
+      const payload = await plugin.preview({ ...mockNotification, level: 'error' });
+
+      expect(payload.attachments[0].content.msteams.entities).toHaveLength(1);
+      expect(post).not.toHaveBeenCalled();
+    });
+
+    test('should report a masked webhook', async () => {
+      plugin.config.webhook = WORKFLOW;
+      plugin.isInitialized = true;
+
+      const health = await plugin.healthCheck();
+
+      expect(health.healthy).toBe(true);
+      expect(health.metadata.teams).toEqual({
+        webhook: 'https://prod-12.westeurope.logic.azure.com/****',
+        mentions: 1,
+        mentionLevel: 'error'
+      });
+      expect(JSON.stringify(health)).not.toContain('s3cr3t');
+    });
+  });
+});
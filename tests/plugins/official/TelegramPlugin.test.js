@@ -0,0 +1,330 @@
+/**
+ * @fileoverview Unit tests for TelegramPlugin
+ * Tests Telegram Bot API notifications against a local HTTP stub of the API
+ */
+
+const http = require('http');
+const TelegramPlugin = require('../../../src/plugins/official/TelegramPlugin');
+
+const BOT_TOKEN = '123456789:AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw';
+
+describe('TelegramPlugin', () => {
+  let server;
+  let apiUrl;
+  let requests;
+  let responses;
+  let plugin;
+  let mockNotification;
+
+  /**
+   * Start a Bot API stub that records requests and answers from `responses`
+   */
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        const [, token, method] = req.url.match(/^\/bot([^/]+)\/(\w+)$/) || [];
+        const isJson = (req.headers['content-type'] || '').startsWith('application/json');
+        const request = { token, method, headers: req.headers, raw, body: isJson ? JSON.parse(raw.toString()) : null };
+        requests.push(request);
+
+        const handler = responses[method] || (() => [404, { ok: false, error_code: 404, description: 'Not Found' }]);
+        const [status, body] = handler(request);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    apiUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    let messageId = 100;
+    responses = {
+      sendMessage: () => [200, { ok: true, result: { message_id: ++messageId } }],
+      sendDocument: () => [200, { ok: true, result: { message_id: ++messageId } }],
+      getMe: () => [200, { ok: true, result: { id: 123456789, is_bot: true, username: 'notify_bot' } }]
+    };
+
+    plugin = new TelegramPlugin({
+      enabled: true,
+      botToken: BOT_TOKEN,
+      chatIds: ['-1001234567890', '@ops_alerts'],
+      apiUrl,
+      retries: 1
+    });
+    mockNotification = global.testUtils.createMockNotification();
+  });
+
+  describe('Metadata', () => {
+    test('should have correct plugin metadata', () => {
+      const metadata = TelegramPlugin.metadata;
+
+      expect(metadata.name).toBe('telegram');
+      expect(metadata.displayName).toBe('Telegram');
+      expect(metadata.capabilities).toEqual(expect.arrayContaining(['markdown', 'html', 'buttons', 'attachments']));
+    });
+
+    test('should have valid configuration schema', () => {
+      const schema = TelegramPlugin.metadata.configSchema;
+
+      expect(schema.type).toBe('object');
+      expect(schema.required).toEqual(['enabled', 'botToken', 'chatIds']);
+      expect(schema.properties.parseMode.enum).toEqual(['HTML', 'MarkdownV2']);
+    });
+  });
+
+  describe('Constructor', () => {
+    test('should initialize with default config', () => {
+      const defaults = new TelegramPlugin();
+
+      expect(defaults.config).toMatchObject({
+        enabled: false,
+        chatIds: [],
+        parseMode: 'HTML',
+        buttonsPerRow: 2,
+        apiUrl: 'https://api.telegram.org'
+      });
+    });
+  });
+
+  describe('Send Method', () => {
+    test('should send the message to every chat', async () => {
+      const result = await plugin.send(mockNotification);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Telegram notification sent to 2/2 chats');
+      expect(result.metadata.results).toEqual([
+        { chatId: '-1001234567890', success: true, messageId: 101 },
+        { chatId: '@ops_alerts', success: true, messageId: 102 }
+      ]);
+
+      expect(requests.map(request => [request.token, request.method, request.body.chat_id])).toEqual([
+        [BOT_TOKEN, 'sendMessage', '-1001234567890'],
+        [BOT_TOKEN, 'sendMessage', '@ops_alerts']
+      ]);
+      expect(requests[0].body).toMatchObject({
+        text: 'ℹ️ <b>Test Notification</b>\n\nThis is a test message\n\n<b>test</b>: true',
+        parse_mode: 'HTML',
+        disable_notification: false,
+        link_preview_options: { is_disabled: true }
+      });
+    });
+
+    test('should escape HTML in the title, message and metadata', async () => {
+      await plugin.send({
+        title: 'Build <main> failed',
+        message: 'exit code 1 & "tests" <failed>',
+        level: 'error',
+        metadata: { 'a<b': { nested: '<x>' } },
+        host: 'ci-01'
+      });
+
+      expect(requests[0].body.text).toBe(
+        '🚨 <b>Build &lt;main&gt; failed</b>\n\nexit code 1 &amp; "tests" &lt;failed&gt;\n\n' +
+        '<b>a&lt;b</b>: {"nested":"&lt;x&gt;"}\n<b>Host</b>: ci-01'
+      );
+    });
+
+    test('should escape every MarkdownV2 special character', async () => {
+      plugin.config.parseMode = 'MarkdownV2';
+
+      await plugin.send({ title: 'v1.2.3 deployed!', message: '_*[]()~`>#+-=|{}.!\\', level: 'warning' });
+
+      expect(requests[0].body.parse_mode).toBe('MarkdownV2');
+      expect(requests[0].body.text).toBe(
+        '⚠️ *v1\\.2\\.3 deployed\\!*\n\n\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\'
+      );
+    });
+
+    test('should truncate long messages to the Telegram limit', async () => {
+      await plugin.send({ ...mockNotification, message: '<'.repeat(5000) });
+
+      const { text } = requests[0].body;
+      expect(text.length).toBeLessThanOrEqual(4096);
+      expect(text).toMatch(/(&lt;)+…\n<i>\(truncated\)<\/i>\n\n<b>test<\/b>: true$/);
+    });
+
+    test('should shorten long titles and details to stay within the Telegram limit', async () => {
+      await plugin.send({
+        ...mockNotification,
+        title: '&'.repeat(5000),
+        metadata: { first: 'kept', second: '<'.repeat(5000) },
+        host: 'build-01'
+      });
+
+      const { text } = requests[0].body;
+      expect(text.length).toBeLessThanOrEqual(4096);
+      expect(text).toMatch(/^ℹ️ <b>(&amp;)+…<\/b>\n\n/);
+      expect(text).toContain('<b>first</b>: kept');
+      expect(text).not.toContain('<b>second</b>');
+      expect(text).not.toContain('<b>Host</b>');
+      expect(text).toContain('This is a test');
+    });
+
+    test('should build inline keyboard buttons from metadata.actions', async () => {
+      await plugin.send({
+        ...mockNotification,
+        metadata: {
+          actions: [
+            { text: 'Logs', url: 'https://ci.example.com/logs/42' },
+            { label: 'Dashboard', url: 'https://grafana.example.com' },
+            { text: 'Ack', callbackData: 'ack:42' }
+          ]
+        }
+      });
+
+      const body = requests[0].body;
+      expect(body.text).not.toContain('actions');
+      expect(body.reply_markup.inline_keyboard).toEqual([
+        [{ text: 'Logs', url: 'https://ci.example.com/logs/42' }, { text: 'Dashboard', url: 'https://grafana.example.com' }],
+        [{ text: 'Ack', callback_data: 'ack:42' }]
+      ]);
+
+      // Nested arrays keep their rows
+      await plugin.send({ ...mockNotification, metadata: { actions: [[{ text: 'A', url: 'https://a.example.com' }], [{ text: 'B', url: 'https://b.example.com' }]] } });
+      expect(requests[2].body.reply_markup.inline_keyboard).toHaveLength(2);
+    });
+
+    test('should reject invalid actions', async () => {
+      const result = await plugin.send({ ...mockNotification, metadata: { actions: [{ text: 'Run', url: 'javascript:alert(1)' }] } });
+
+      expect(result.success).toBe(false);
+      expect(result.message).toContain('Telegram action 1 url must be http(s) or tg://');
+      expect(requests).toHaveLength(0);
+    });
+
+    test('should upload attachments as documents replying to the message', async () => {
+      await plugin.send({
+        ...mockNotification,
+        attachments: [
+          { filename: 'report.csv', content: 'host,status\nweb-01,ok\n', contentType: 'text/csv' },
+          { filename: 'trace.bin', content: Buffer.from([0, 255, 1]).toString('base64'), encoding: 'base64' },
+          { filename: 'graph.png', url: 'https://grafana.example.com/render/1.png' }
+        ]
+      });
+
+      const documents = requests.filter(request => request.method === 'sendDocument');
+      expect(documents).toHaveLength(6);
+
+      const [csv, binary, linked] = documents;
+      expect(csv.headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+      expect(csv.raw.toString()).toContain('name="document"; filename="report.csv"\r\nContent-Type: text/csv\r\n\r\nhost,status\nweb-01,ok\n\r\n');
+      expect(csv.raw.toString()).toContain('name="reply_parameters"\r\n\r\n{"message_id":101,"allow_sending_without_reply":true}');
+      expect(binary.raw.includes(Buffer.from([13, 10, 13, 10, 0, 255, 1, 13, 10]))).toBe(true);
+      expect(linked.body).toMatchObject({ chat_id: '-1001234567890', document: 'https://grafana.example.com/render/1.png' });
+    });
+
+    test('should report chats that failed', async () => {
+      responses.sendMessage = ({ body }) => (body.chat_id === '@ops_alerts'
+        ? [400, { ok: false, error_code: 400, description: 'Bad Request: chat not found' }]
+        : [200, { ok: true, result: { message_id: 7 } }]);
+
+      const partial = await plugin.send(mockNotification);
+      expect(partial.success).toBe(true);
+      expect(partial.message).toBe('Telegram notification sent to 1/2 chats');
+      expect(partial.metadata.results[1]).toEqual({
+        chatId: '@ops_alerts',
+        success: false,
+        error: 'Telegram API error: Bad Request: chat not found'
+      });
+
+      plugin.config.chatIds = ['@ops_alerts'];
+      const failed = await plugin.send(mockNotification);
+      expect(failed.success).toBe(false);
+      expect(failed.message).toContain('@ops_alerts: Telegram API error: Bad Request: chat not found');
+    });
+
+    test('should not leak the bot token in network errors', async () => {
+      plugin.config.apiUrl = 'http://127.0.0.1:1';
+      plugin.config.chatIds = ['42'];
+
+      const result = await plugin.send(mockNotification);
+      expect(result.success).toBe(false);
+      expect(JSON.stringify(result)).not.toContain('AAHdqTcvCH1vGWJxfSeofSAs0K5PALDsaw');
+    });
+
+    test('should fail when plugin is disabled', async () => {
+      plugin.config.enabled = false;
+
+      const result = await plugin.send(mockNotification);
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Telegram notifications are not available');
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('Preview', () => {
+    test('should return the payload and documents without calling the API', async () => {
+      const preview = await plugin.preview({
+        ...mockNotification,
+        attachments: [{ filename: 'log.txt', content: 'hello' }]
+      });
+
+      expect(preview.chatIds).toEqual(['-1001234567890', '@ops_alerts']);
+      expect(preview.payload.text).toContain('<b>Test Notification</b>');
+      expect(preview.documents).toEqual([{ filename: 'log.txt', size: 5 }]);
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('Validation', () => {
+    const config = { enabled: true, botToken: BOT_TOKEN, chatIds: [-1001234567890, '@ops_alerts'] };
+
+    test('should validate correct configuration', async () => {
+      expect(await plugin.validate(config)).toBe(true);
+    });
+
+    test('should reject invalid tokens, chat IDs and parse modes', async () => {
+      expect(await plugin.validate({ ...config, botToken: 'not-a-token' })).toBe(false);
+      expect(await plugin.validate({ ...config, chatIds: [] })).toBe(false);
+      expect(await plugin.validate({ ...config, chatIds: ['ops alerts'] })).toBe(false);
+      expect(await plugin.validate({ ...config, parseMode: 'Markdown' })).toBe(false);
+      expect(await plugin.validate({ enabled: true, botToken: BOT_TOKEN })).toBe(false);
+    });
+  });
+
+  describe('Availability', () => {
+    test('should be available when enabled and configured', async () => {
+      expect(await plugin.isAvailable()).toBe(true);
+    });
+
+    test('should not be available without chats or when disabled', async () => {
+      expect(await new TelegramPlugin({ ...plugin.config, chatIds: [] }).isAvailable()).toBe(false);
+      expect(await new TelegramPlugin({ ...plugin.config, enabled: false }).isAvailable()).toBe(false);
+      expect(requests).toHaveLength(0);
+    });
+  });
+
+  describe('Health Check', () => {
+    test('should verify the bot token with getMe', async () => {
+      plugin.isInitialized = true;
+
+      const health = await plugin.healthCheck();
+      expect(health.healthy).toBe(true);
+      expect(health.metadata.telegram).toEqual({
+        bot: '@notify_bot',
+        chats: 2,
+        parseMode: 'HTML',
+        token: '123456789:AAHd****Dsaw'
+      });
+      expect(requests[0].method).toBe('getMe');
+    });
+
+    test('should report rejected tokens', async () => {
+      plugin.isInitialized = true;
+      responses.getMe = () => [401, { ok: false, error_code: 401, description: 'Unauthorized' }];
+
+      const health = await plugin.healthCheck();
+      expect(health).toEqual({ healthy: false, message: 'Health check failed: Telegram API error: Unauthorized' });
+    });
+  });
+});
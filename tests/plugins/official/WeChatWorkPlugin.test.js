@@ -665,4 +665,21 @@ describe('WeChatWorkPlugin', () => {
       expect(postedData.news.articles).toHaveLength(8); // WeChat Work limit
     });
   });
-});
\ No newline at end of file
+
+  describe('Preview Method', () => {
+    test('should build the markdown payload without posting it', async () => {
+      jest.spyOn(plugin.httpClient, 'post');
+
+      const payload = await plugin.preview({ ...mockNotification, level: 'error' });
+
+      expect(payload.msgtype).toBe('markdown');
+      expect(payload.markdown.content).toMatch(/^## .+ Test Notification\n/);
+      expect(payload.markdown.content).toContain('This is a test message');
+      expect(plugin.httpClient.post).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid notifications', async () => {
+      await expect(plugin.preview({ ...mockNotification, message: '' })).rejects.toThrow('Notification message is required');
+    });
+  });
+});
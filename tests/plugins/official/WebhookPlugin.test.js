@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Unit tests for WebhookPlugin
+ * Tests endpoint requests, body mapping, signing and success rules against a local HTTP stub
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const WebhookPlugin = require('../../../src/plugins/official/WebhookPlugin');
+
+const SECRET = 'webhook-test-secret-0123456789';
+
+describe('WebhookPlugin', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let respond;
+  let mockNotification;
+
+  /**
+   * Start a webhook receiver that records requests and answers with `respond`
+   */
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        const raw = Buffer.concat(chunks).toString();
+        const request = { method: req.method, url: req.url, headers: req.headers, raw };
+        requests.push(request);
+
+        const [status, body] = respond(request);
+        res.writeHead(status, { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json' });
+        res.end(typeof body === 'string' ? body : JSON.stringify(body));
+      });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    respond = () => [200, { ok: true }];
+    mockNotification = global.testUtils.createMockNotification({
+      id: 'n-1',
+      host: 'build-01',
+      timestamp: Date.UTC(2026, 0, 2, 3, 4, 5),
+      metadata: { tags: ['prod', 'eu'], build: { number: 42 } }
+    });
+  });
+
+  /**
+   * Create an enabled plugin with the given endpoints
+   * @param {Object} endpoints - Endpoint definitions
+   * @param {Object} [config] - Other configuration
+   * @returns {WebhookPlugin} Plugin
+   */
+  const createPlugin = (endpoints, config = {}) => new WebhookPlugin({ enabled: true, endpoints, retries: 1, ...config });
+
+  describe('Metadata', () => {
+    test('should have correct plugin metadata', () => {
+      const metadata = WebhookPlugin.metadata;
+
+      expect(metadata.name).toBe('webhook');
+      expect(metadata.displayName).toBe('Webhook');
+      expect(metadata.configSchema.required).toEqual(['enabled']);
+      expect(metadata.configSchema.properties.endpoints.additionalProperties.properties.method.enum)
+        .toEqual(['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+    });
+  });
+
+  describe('Send Method', () => {
+    test('should post the notification fields by default', async () => {
+      const result = await createPlugin({}, { url: `${baseUrl}/hook` }).send(mockNotification);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Webhook notification sent to 1/1 endpoints');
+      expect(result.metadata.results).toEqual([{ endpoint: 'default', success: true, status: 200 }]);
+
+      expect(requests[0].method).toBe('POST');
+      expect(requests[0].headers['content-type']).toBe('application/json');
+      expect(JSON.parse(requests[0].raw)).toEqual({
+        id: 'n-1',
+        title: 'Test Notification',
+        message: 'This is a test message',
+        level: 'info',
+        host: 'build-01',
+        timestamp: '2026-01-02T03:04:05.000Z',
+        metadata: { tags: ['prod', 'eu'], build: { number: 42 } }
+      });
+    });
+
+    test('should map the body with JSONPath, templates and literals', async () => {
+      process.env.WEBHOOK_TEST_TOKEN = 'tok en';
+
+      try {
+        await createPlugin({
+          tracker: {
+            url: `${baseUrl}/issues/{{metadata.build.number}}?token={{env.WEBHOOK_TEST_TOKEN}}`,
+            method: 'put',
+            headers: { Authorization: 'Bearer {{{env.WEBHOOK_TEST_TOKEN}}}', 'X-Title': '{{title}}' },
+            body: {
+              summary: '[{{level}}] {{title}} on {{host}}',
+              labels: '$.metadata.tags[*]',
+              build: '$.metadata.build.number',
+              missing: '$.metadata.owner',
+              env: '{{env.WEBHOOK_TEST_TOKEN}}',
+              source: 'ssh-notify-tool',
+              fields: [{ name: 'host', value: '$.host' }]
+            }
+          }
+        }).send({ ...mockNotification, title: 'Line one\r\nLine two' });
+      } finally {
+        delete process.env.WEBHOOK_TEST_TOKEN;
+      }
+
+      expect(requests[0].method).toBe('PUT');
+      expect(requests[0].url).toBe('/issues/42?token=tok%20en');
+      expect(requests[0].headers.authorization).toBe('Bearer tok en');
+      expect(requests[0].headers['x-title']).toBe('Line one Line two');
+      expect(JSON.parse(requests[0].raw)).toEqual({
+        summary: '[info] Line one\r\nLine two on build-01',
+        labels: ['prod', 'eu'],
+        build: 42,
+        env: '',
+        source: 'ssh-notify-tool',
+        fields: [{ name: 'host', value: 'build-01' }]
+      });
+    });
+
+    test('should escape string body templates for JSON and send GET mappings as query parameters', async () => {
+      const plugin = createPlugin({
+        chat: { url: `${baseUrl}/chat`, body: '{"text":"{{title}}: {{message}}"}' },
+        ping: { url: `${baseUrl}/ping`, method: 'GET', body: { q: '$.title', level: '$.level' } }
+      });
+
+      await plugin.send({ ...mockNotification, message: 'said "hi"\n' });
+
+      expect(JSON.parse(requests[0].raw)).toEqual({ text: 'Test Notification: said "hi"\n' });
+      expect(requests[1].method).toBe('GET');
+      expect(requests[1].url).toBe('/ping?q=Test+Notification&level=info');
+      expect(requests[1].raw).toBe('');
+    });
+
+    test('should sign the exact body with an optional timestamp', async () => {
+      await createPlugin({
+        plain: { url: `${baseUrl}/a`, signing: { secret: SECRET } },
+        stamped: {
+          url: `${baseUrl}/b`,
+          signing: { secret: SECRET, header: 'X-Signature', algorithm: 'sha512', encoding: 'base64', prefix: '', timestampHeader: 'X-Timestamp' }
+        }
+      }).send(mockNotification);
+
+      const [plain, stamped] = requests;
+      const expected = crypto.createHmac('sha256', SECRET).update(plain.raw).digest('hex');
+      expect(plain.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+      const timestamp = stamped.headers['x-timestamp'];
+      expect(Math.abs(Number(timestamp) - Date.now() / 1000)).toBeLessThan(5);
+      expect(stamped.headers['x-signature'])
+        .toBe(crypto.createHmac('sha512', SECRET).update(`${timestamp}.${stamped.raw}`).digest('base64'));
+    });
+
+    test('should apply response success rules', async () => {
+      respond = request => ({
+        '/ok': [202, { status: 'queued', ok: true }],
+        '/not-ok': [200, { ok: false, error: 'channel_not_found' }],
+        '/text': [200, 'rejected'],
+        '/redirect': [304, '']
+      })[request.url];
+
+      const result = await createPlugin({
+        ok: { url: `${baseUrl}/ok`, success: { status: [200, 202], match: { '$.ok': true } } },
+        notOk: { url: `${baseUrl}/not-ok`, success: { match: { '$.ok': true } } },
+        text: { url: `${baseUrl}/text`, success: { contains: 'accepted' } },
+        redirect: { url: `${baseUrl}/redirect`, success: { status: ['2xx', '3xx'] } }
+      }).send(mockNotification);
+
+      expect(result.success).toBe(true);
+      expect(result.message).toBe('Webhook notification sent to 2/4 endpoints');
+      expect(result.metadata.results).toEqual([
+        { endpoint: 'ok', success: true, status: 202 },
+        { endpoint: 'notOk', success: false, status: 200, error: 'Response $.ok is false, expected true' },
+        { endpoint: 'text', success: false, status: 200, error: 'Response does not contain "accepted"' },
+        { endpoint: 'redirect', success: true, status: 304 }
+      ]);
+    });
+
+    test('should retry server errors but not client errors', async () => {
+      let calls = 0;
+      respond = request => (request.url === '/flaky' && ++calls === 1 ? [503, 'busy'] : [request.url === '/bad' ? 400 : 200, {}]);
+
+      const plugin = createPlugin({
+        flaky: { url: `${baseUrl}/flaky` },
+        bad: { url: `${baseUrl}/bad` }
+      }, { retries: 2 });
+
+      const result = await plugin.send(mockNotification);
+
+      expect(result.metadata.results).toEqual([
+        { endpoint: 'flaky', success: true, status: 200 },
+        { endpoint: 'bad', success: false, status: 400, error: 'HTTP 400' }
+      ]);
+      expect(requests.map(request => request.url)).toEqual(['/flaky', '/flaky', '/bad']);
+    });
+
+    test('should fail when every endpoint fails and skip endpoints for other levels', async () => {
+      respond = () => [500, 'down'];
+
+      const plugin = createPlugin({
+        alerts: { url: `${baseUrl}/alerts`, levels: ['error'] },
+        audit: { url: `${baseUrl}/audit` }
+      });
+
+      const result = await plugin.send(mockNotification);
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Webhook notification failed: audit: HTTP 500');
+      expect(requests.map(request => request.url)).toEqual(['/audit']);
+
+      plugin.config.endpoints = { alerts: plugin.config.endpoints.alerts };
+      const skipped = await plugin.send(mockNotification);
+      expect(skipped.success).toBe(true);
+      expect(skipped.message).toBe('No webhook endpoints accept info notifications');
+    });
+  });
+
+  describe('Preview Method', () => {
+    test('should show requests with environment values and signatures masked', async () => {
+      process.env.WEBHOOK_TEST_TOKEN = 'secret-token';
+
+      try {
+        const preview = await createPlugin({
+          tracker: {
+            url: `${baseUrl}/hook?token={{env.WEBHOOK_TEST_TOKEN}}`,
+            headers: { Authorization: 'Bearer {{env.WEBHOOK_TEST_TOKEN}}' },
+            body: { text: '{{title}}' },
+            signing: { secret: SECRET, timestampHeader: 'X-Timestamp' }
+          }
+        }).preview(mockNotification);
+
+        expect(preview).toEqual([{
+          endpoint: 'tracker',
+          method: 'POST',
+          url: `${baseUrl}/hook?token=***`,
+          headers: { Authorization: 'Bearer ***', 'Content-Type': 'application/json', 'X-Webhook-Signature': '***', 'X-Timestamp': '***' },
+          body: '{"text":"Test Notification"}'
+        }]);
+        expect(requests).toHaveLength(0);
+      } finally {
+        delete process.env.WEBHOOK_TEST_TOKEN;
+      }
+    });
+  });
+
+  describe('Validate Method', () => {
+    test('should accept valid endpoint configurations', async () => {
+      expect(await new WebhookPlugin().validate({ enabled: true, url: 'https://hooks.example.com/notify' })).toBe(true);
+      expect(await new WebhookPlugin().validate({
+        enabled: true,
+        endpoints: {
+          tracker: {
+            url: 'https://tracker.example.com/api/{{metadata.project}}',
+            method: 'patch',
+            headers: { 'X-Api-Key': '{{env.TRACKER_KEY}}' },
+            body: { labels: '$.metadata.tags[*]' },
+            signing: { secret: SECRET, algorithm: 'sha1' },
+            success: { status: ['2xx', 304], match: { '$.ok': true } }
+          }
+        }
+      })).toBe(true);
+    });
+
+    test('should reject invalid endpoint configurations', async () => {
+      const plugin = new WebhookPlugin();
+      const invalid = [
+        {},
+        { url: 'ftp://example.com' },
+        { url: 'https://example.com', method: 'TRACE' },
+        { url: 'https://example.com', headers: { 'Bad Header': 'x' } },
+        { url: 'https://example.com', headers: { 'X-Test': '{{#if level}}' } },
+        { url: 'https://example.com', body: { tags: '$.tags[' } },
+        { url: 'https://example.com', signing: { secret: 'short' } },
+        { url: 'https://example.com', signing: { secret: SECRET, algorithm: 'md5' } },
+        { url: 'https://example.com', success: { status: '99' } }
+      ];
+
+      expect(await plugin.validate({ enabled: true })).toBe(false);
+      for (const endpoint of invalid) {
+        expect(await plugin.validate({ enabled: true, endpoints: { hook: endpoint } })).toBe(false);
+      }
+      expect(await plugin.validate({ enabled: true, endpoints: { 'bad name': { url: 'https://example.com' } } })).toBe(false);
+    });
+  });
+
+  describe('Availability and Health', () => {
+    test('should be available with at least one endpoint', async () => {
+      expect(await new WebhookPlugin().isAvailable()).toBe(false);
+      expect(await createPlugin({}).isAvailable()).toBe(false);
+      expect(await createPlugin({ hook: { url: `${baseUrl}/hook` } }).isAvailable()).toBe(true);
+    });
+
+    test('should report endpoints without calling them', async () => {
+      const plugin = createPlugin({
+        hook: { url: `${baseUrl}/hook`, signing: { secret: SECRET } },
+        ping: { url: `${baseUrl}/ping`, method: 'get' }
+      });
+      plugin.isInitialized = true;
+
+      const health = await plugin.healthCheck();
+
+      expect(health.healthy).toBe(true);
+      expect(health.metadata.webhook.endpoints).toEqual([
+        { name: 'hook', method: 'POST', signed: true },
+        { name: 'ping', method: 'GET', signed: false }
+      ]);
+      expect(requests).toHaveLength(0);
+
+      plugin.config.endpoints.hook.url = 'not-a-url';
+      const unhealthy = await plugin.healthCheck();
+      expect(unhealthy).toEqual({ healthy: false, message: 'Invalid webhook endpoints: hook' });
+    });
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Unit tests for ApiKeyStore
+ * Tests key creation, lookup, revocation and scopes
+ */
+
+const ApiKeyStore = require('../../src/services/ApiKeyStore');
+
+describe('ApiKeyStore', () => {
+  let saved;
+  let store;
+
+  beforeEach(() => {
+    saved = null;
+    store = new ApiKeyStore([], async (keys) => {
+      saved = keys;
+    });
+  });
+
+  test('should create keys that are stored only as hashes', async () => {
+    const created = await store.create({ name: 'payments', channels: ['slack'] });
+
+    expect(created.key).toMatch(/^nk_[0-9a-f]{12}_/);
+    expect(created.hash).toBeUndefined();
+    expect(saved).toHaveLength(1);
+    expect(JSON.stringify(saved)).not.toContain(created.key.slice('nk_'.length + 13));
+    expect(store.list()).toEqual([expect.not.objectContaining({ hash: expect.anything() })]);
+
+    const reloaded = new ApiKeyStore(saved);
+    expect(reloaded.authenticate(created.key)).toMatchObject({ id: created.id, name: 'payments', channels: ['slack'] });
+  });
+
+  test('should reject unknown, tampered and revoked keys', async () => {
+    const { id, key } = await store.create({ name: 'ops' });
+
+    expect(store.authenticate(`${key}x`)).toBeNull();
+    expect(store.authenticate('nk_000000000000_secret')).toBeNull();
+    expect(store.authenticate('not-a-key')).toBeNull();
+
+    expect(await store.revoke(id)).toBe(true);
+    expect(await store.revoke(id)).toBe(false);
+    expect(store.authenticate(key)).toBeNull();
+    expect(saved).toEqual([]);
+  });
+
+  test('should authorize notifications within the key scopes', async () => {
+    const { key } = await store.create({ name: 'payments', channels: ['slack', 'email'], levels: ['warning', 'error'] });
+    const apiKey = store.authenticate(key);
+
+    expect(store.authorize(apiKey, 'error', ['slack'])).toBeNull();
+    expect(store.authorize(apiKey, 'error', ['slack', 'sms'])).toBe('API key payments may not send to: sms');
+    expect(store.authorize(apiKey, undefined, ['slack'])).toBe('API key payments may not send info notifications');
+    expect(store.authorize(null, 'info', ['sms'])).toBeNull();
+  });
+
+  test('should reject invalid scopes', async () => {
+    await expect(store.create({})).rejects.toThrow('API key name is required');
+    await expect(store.create({ name: 'x', channels: [] })).rejects.toThrow('API key channels must be');
+    await expect(store.create({ name: 'x', levels: ['fatal'] })).rejects.toThrow('API key levels must be');
+    await expect(store.create({ name: 'x', rateLimit: { max: 0 } })).rejects.toThrow('API key rateLimit must set');
+  });
+});
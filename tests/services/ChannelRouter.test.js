@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Unit tests for ChannelRouter
+ * Tests routing, asynchronous acceptance, dry runs and delivery status lookup
+ */
+
+const ChannelRouter = require('../../src/services/ChannelRouter');
+
+describe('ChannelRouter', () => {
+  let router;
+  let plugins;
+  let pluginManager;
+  let mockNotification;
+
+  const createPlugin = (response = { success: true, message: 'sent' }) => ({
+    isAvailable: jest.fn().mockResolvedValue(true),
+    send: jest.fn().mockResolvedValue(response)
+  });
+
+  beforeEach(() => {
+    plugins = {
+      desktop: createPlugin(),
+      slack: createPlugin()
+    };
+    pluginManager = {
+      getPlugin: jest.fn(async (name) => plugins[name] || null),
+      getAllPlugins: jest.fn(async () => new Map(Object.entries(plugins)))
+    };
+    router = new ChannelRouter(pluginManager, { retryDelay: 0 });
+    mockNotification = global.testUtils.createMockNotification();
+  });
+
+  describe('Routing', () => {
+    test('should route notification to requested channels', async () => {
+      const result = await router.route(mockNotification, ['desktop', 'slack']);
+
+      expect(result.success).toBe(true);
+      expect(result.totalChannels).toBe(2);
+      expect(plugins.desktop.send).toHaveBeenCalledWith(mockNotification);
+      expect(plugins.slack.send).toHaveBeenCalledWith(mockNotification);
+    });
+
+    test('should reject routing without channels', async () => {
+      await expect(router.route(mockNotification, [])).rejects.toThrow('At least one channel must be specified');
+    });
+  });
+
+  describe('Asynchronous Routing', () => {
+    test('should return delivery ID before channels finish', async () => {
+      let finishSend;
+      plugins.desktop.send.mockReturnValue(new Promise(resolve => {
+        finishSend = () => resolve({ success: true, message: 'sent' });
+      }));
+
+      const accepted = await router.routeAsync(mockNotification, ['desktop']);
+
+      expect(accepted.status).toBe('accepted');
+      expect(accepted.deliveryId).toMatch(/^delivery_/);
+      expect((await router.getDelivery(accepted.deliveryId)).status).not.toBe('completed');
+
+      await global.testUtils.waitFor(() => typeof finishSend === 'function');
+      finishSend();
+
+      await global.testUtils.waitFor(async () => (await router.getDelivery(accepted.deliveryId)).status === 'completed');
+      const delivery = await router.getDelivery(accepted.deliveryId);
+
+      expect(delivery.channelResults).toHaveLength(1);
+      expect(delivery.channelResults[0]).toMatchObject({ channel: 'desktop', success: true });
+    });
+
+    test('should record failed asynchronous deliveries', async () => {
+      const accepted = await router.routeAsync(mockNotification, ['missing']);
+
+      await global.testUtils.waitFor(async () => (await router.getDelivery(accepted.deliveryId)).status === 'failed');
+
+      expect((await router.getDelivery(accepted.deliveryId)).error).toBe('No available plugins for specified channels');
+    });
+
+    test('should return null for unknown deliveries', async () => {
+      expect(await router.getDelivery('delivery_unknown')).toBeNull();
+    });
+  });
+
+  describe('Dry Run', () => {
+    const quietHours = { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC', action: 'defer' };
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date(Date.UTC(2026, 9, 19, 23, 30)) });
+
+      for (const plugin of Object.values(plugins)) {
+        plugin.preview = jest.fn(async notification => ({ text: notification.title }));
+      }
+      plugins.sms = { ...createPlugin(), config: { quietHours }, preview: jest.fn(async () => ({ content: 'sms' })) };
+      plugins.email = { ...createPlugin(), config: { digest: { enabled: true } }, preview: jest.fn(async () => ({})) };
+      plugins.offline = { ...createPlugin(), isAvailable: jest.fn().mockResolvedValue(false) };
+    });
+
+    afterEach(() => {
+      router.digestBuffer.close();
+      router.quietHours.close();
+      jest.useRealTimers();
+    });
+
+    test('should return each channel payload without sending or recording', async () => {
+      const events = [];
+      router.on('routingStarted', event => events.push(event));
+
+      const result = await router.route(mockNotification, ['desktop', 'sms', 'email'], { dryRun: true });
+
+      expect(result).toMatchObject({ dryRun: true, success: true, totalChannels: 3, successfulChannels: 3 });
+      expect(result.channelResults[0]).toMatchObject({
+        channel: 'desktop',
+        action: 'send',
+        payload: { text: mockNotification.title }
+      });
+      expect(result.channelResults[1]).toMatchObject({
+        channel: 'sms',
+        action: 'defer',
+        metadata: { releaseAt: '2026-10-20T07:00:00.000Z' }
+      });
+      expect(result.channelResults[2]).toMatchObject({ channel: 'email', action: 'digest' });
+      expect(plugins.desktop.send).not.toHaveBeenCalled();
+      expect(router.getDeferredNotifications()).toEqual([]);
+      expect(router.getPendingDigests()).toEqual([]);
+      expect(events).toEqual([]);
+    });
+
+    test('should report channels that would fail', async () => {
+      plugins.slack.preview.mockRejectedValue(new Error('Notification message is required and must be a string'));
+
+      const result = await router.route(mockNotification, ['slack', 'offline', 'missing'], { dryRun: true });
+
+      expect(result.success).toBe(false);
+      expect(result.channelResults.map(cr => cr.message)).toEqual([
+        'Would fail: Notification message is required and must be a string',
+        'Plugin offline is not available',
+        'Plugin missing is not loaded'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Unit tests for Deduplicator
+ * Tests dedup keys, suppression windows and router integration
+ */
+
+const ChannelRouter = require('../../src/services/ChannelRouter');
+const Deduplicator = require('../../src/services/Deduplicator');
+
+describe('Deduplicator', () => {
+  const at = (seconds) => new Date(Date.UTC(2026, 9, 19, 3, 0, seconds));
+
+  let deduplicator;
+  let notification;
+
+  beforeEach(() => {
+    deduplicator = new Deduplicator({ windowSeconds: 60 });
+    notification = { title: 'Cron failed', message: 'exit 1', level: 'error' };
+  });
+
+  test('should key on dedupKey or on title, message and level', () => {
+    expect(Deduplicator.getKey({ ...notification, dedupKey: 'backup' })).toBe('[null,"channels:","key:backup"]');
+    expect(Deduplicator.getKey(notification)).toBe(Deduplicator.getKey({ ...notification }));
+    expect(Deduplicator.getKey(notification)).not.toBe(Deduplicator.getKey({ ...notification, level: 'warning' }));
+  });
+
+  test('should scope keys to the sender and the channels or escalation policy', () => {
+    const scope = { channels: ['slack', 'desktop'], sender: 'key:ops' };
+    const key = Deduplicator.getKey(notification, scope);
+
+    expect(Deduplicator.getKey(notification, { channels: ['desktop', 'slack'], sender: 'key:ops' })).toBe(key);
+    expect(Deduplicator.getKey(notification, { ...scope, sender: 'key:ci' })).not.toBe(key);
+    expect(Deduplicator.getKey(notification, { ...scope, channels: ['desktop'] })).not.toBe(key);
+    expect(Deduplicator.getKey(notification, { ...scope, escalation: 'oncall' })).not.toBe(key);
+    expect(Deduplicator.getKey({ ...notification, dedupKey: 'backup' }, { escalation: 'oncall', sender: 'key:ops' }))
+      .toBe('["key:ops","escalation:oncall","key:backup"]');
+  });
+
+  test('should suppress duplicates inside the window', () => {
+    const first = deduplicator.check(notification, {}, at(0));
+    deduplicator.record(first.key, 'delivery_1', at(0));
+
+    const second = deduplicator.check(notification, {}, at(10));
+    const third = deduplicator.check(notification, {}, at(59));
+
+    expect(first.duplicate).toBe(false);
+    expect(second).toMatchObject({ duplicate: true, deliveryId: 'delivery_1', suppressedCount: 1 });
+    expect(third).toMatchObject({ duplicate: true, deliveryId: 'delivery_1', suppressedCount: 2 });
+  });
+
+  test('should report suppressions to the first delivery after the window', () => {
+    const first = deduplicator.check(notification, {}, at(0));
+    deduplicator.record(first.key, 'delivery_1', at(0));
+    deduplicator.check(notification, {}, at(30));
+
+    const next = deduplicator.check(notification, {}, at(60));
+    deduplicator.record(next.key, 'delivery_2', at(60));
+
+    expect(next).toMatchObject({ duplicate: false, suppressedCount: 1, since: at(0).toISOString() });
+    expect(deduplicator.check(notification, {}, at(61))).toMatchObject({ deliveryId: 'delivery_2', suppressedCount: 1 });
+  });
+
+  test('should keep at most maxEntries windows', () => {
+    deduplicator = new Deduplicator({ windowSeconds: 60, maxEntries: 2 });
+
+    ['a', 'b', 'c'].forEach((key, index) => {
+      const check = deduplicator.check({ ...notification, dedupKey: key }, {}, at(index));
+      deduplicator.record(check.key, `delivery_${key}`, at(index));
+    });
+
+    expect(deduplicator.entries.size).toBe(2);
+    expect(deduplicator.check({ ...notification, dedupKey: 'a' }, {}, at(5)).duplicate).toBe(false);
+  });
+
+  describe('ChannelRouter integration', () => {
+    let plugin;
+    let router;
+
+    beforeEach(() => {
+      plugin = {
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      router = new ChannelRouter({ getPlugin: jest.fn().mockResolvedValue(plugin) }, {
+        deduplicator: new Deduplicator({ windowSeconds: 0.2 }),
+        retryDelay: 0
+      });
+    });
+
+    test('should return the original delivery ID for suppressed duplicates', async () => {
+      const suppressed = jest.fn();
+      router.on('routingSuppressed', suppressed);
+
+      const [first, second] = await Promise.all([
+        router.route(notification, ['desktop']),
+        router.route(notification, ['desktop'])
+      ]);
+      const third = await router.routeAsync(notification, ['desktop']);
+
+      expect(plugin.send).toHaveBeenCalledTimes(1);
+      expect(second).toMatchObject({ suppressed: true, deliveryId: first.deliveryId, suppressedCount: 1 });
+      expect(third).toMatchObject({ status: 'suppressed', deliveryId: first.deliveryId, suppressedCount: 2 });
+      expect(suppressed).toHaveBeenCalledTimes(2);
+    });
+
+    test('should include the suppression count in the next delivery', async () => {
+      await router.route(notification, ['desktop']);
+      await router.route(notification, ['desktop']);
+      const window = router.deduplicator.entries.get(Deduplicator.getKey(notification, { channels: ['desktop'] }));
+      await global.testUtils.waitFor(() => Date.now() >= window.expiresAt);
+
+      await router.route(notification, ['desktop']);
+
+      const delivered = plugin.send.mock.calls[1][0];
+      expect(delivered.message).toMatch(/^exit 1\n\n\(1 duplicate notification suppressed since /);
+      expect(delivered.metadata.suppressedCount).toBe(1);
+    });
+
+    test('should not suppress the same notification from another sender or to other channels', async () => {
+      await router.route(notification, ['desktop'], { sender: 'key:ops' });
+      const otherSender = await router.route(notification, ['desktop'], { sender: 'key:ci' });
+      const otherChannels = await router.route(notification, ['desktop', 'slack'], { sender: 'key:ops' });
+      const repeated = await router.route(notification, ['desktop'], { sender: 'key:ops' });
+
+      expect(otherSender.suppressed).toBeUndefined();
+      expect(otherChannels.suppressed).toBeUndefined();
+      expect(repeated.suppressed).toBe(true);
+    });
+
+    test('should only accept deliveries that pass suppression and open no window for rejected ones', async () => {
+      const onAccept = jest.fn()
+        .mockImplementationOnce(() => { throw new Error('Quota for desktop is used up'); })
+        .mockImplementation(() => {});
+
+      await expect(router.route(notification, ['desktop'], { onAccept })).rejects.toThrow('used up');
+      const first = await router.route(notification, ['desktop'], { onAccept });
+      const duplicate = await router.route(notification, ['desktop'], { onAccept });
+
+      expect(first.suppressed).toBeUndefined();
+      expect(duplicate.suppressed).toBe(true);
+      expect(onAccept).toHaveBeenCalledTimes(2);
+      expect(onAccept).toHaveBeenLastCalledWith(first.deliveryId);
+      expect(plugin.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should bypass suppression when dedup is disabled for a route', async () => {
+      await router.route(notification, ['desktop']);
+      const result = await router.route(notification, ['desktop'], { dedup: false });
+
+      expect(result.suppressed).toBeUndefined();
+      expect(plugin.send).toHaveBeenCalledTimes(2);
+    });
+  });
+});
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Unit tests for DeliveryQueue
+ * Tests journal persistence, crash recovery and replay through ChannelRouter
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DeliveryQueue = require('../../src/services/DeliveryQueue');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+
+describe('DeliveryQueue', () => {
+  let tempDir;
+  let journalPath;
+  let queue;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-queue-'));
+    journalPath = path.join(tempDir, 'queue', 'journal.log');
+    queue = new DeliveryQueue({ journalPath, fsync: false });
+  });
+
+  afterEach(async () => {
+    await queue.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('Journal', () => {
+    test('should create journal directory on open', async () => {
+      const pending = await queue.open();
+
+      expect(pending).toBe(0);
+      expect(fs.existsSync(journalPath)).toBe(true);
+    });
+
+    test('should throw when used before open', async () => {
+      await expect(queue.enqueue('delivery_1', { notification: {}, channels: [] }))
+        .rejects.toThrow('Delivery queue not opened');
+    });
+
+    test('should keep enqueued deliveries pending until completed', async () => {
+      await queue.open();
+      await queue.enqueue('delivery_1', {
+        notification: global.testUtils.createMockNotification(),
+        channels: ['desktop']
+      });
+
+      expect(queue.size()).toBe(1);
+
+      await queue.complete('delivery_1');
+
+      expect(queue.size()).toBe(0);
+    });
+  });
+
+  describe('Recovery', () => {
+    test('should recover pending deliveries after restart', async () => {
+      await queue.open();
+      await queue.enqueue('delivery_1', { notification: { title: 'One' }, channels: ['desktop'] });
+      await queue.enqueue('delivery_2', { notification: { title: 'Two' }, channels: ['slack'] });
+      await queue.complete('delivery_1');
+      await queue.close();
+
+      const restarted = new DeliveryQueue({ journalPath, fsync: false });
+      const pending = await restarted.open();
+
+      expect(pending).toBe(1);
+      expect(restarted.getPending()[0]).toMatchObject({
+        id: 'delivery_2',
+        notification: { title: 'Two' },
+        channels: ['slack']
+      });
+
+      await restarted.close();
+    });
+
+    test('should skip torn records at the end of the journal', async () => {
+      await queue.open();
+      await queue.enqueue('delivery_1', { notification: { title: 'One' }, channels: ['desktop'] });
+      await queue.close();
+
+      fs.appendFileSync(journalPath, '{"op":"enqueue","id":"delivery_2","notif');
+
+      const restarted = new DeliveryQueue({ journalPath, fsync: false });
+
+      expect(await restarted.open()).toBe(1);
+
+      await restarted.close();
+    });
+
+    test('should drop deliveries that exceed the replay budget', async () => {
+      queue = new DeliveryQueue({ journalPath, fsync: false, maxReplayAttempts: 1 });
+      await queue.open();
+      await queue.enqueue('delivery_1', { notification: { title: 'One' }, channels: ['desktop'] });
+
+      expect(await queue.recordReplay('delivery_1')).toBe(true);
+      expect(await queue.recordReplay('delivery_1')).toBe(false);
+      expect(queue.size()).toBe(0);
+    });
+  });
+
+  describe('ChannelRouter integration', () => {
+    let plugin;
+    let pluginManager;
+
+    beforeEach(() => {
+      plugin = {
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      pluginManager = {
+        getPlugin: jest.fn().mockResolvedValue(plugin)
+      };
+    });
+
+    test('should release deliveries from the queue after routing', async () => {
+      await queue.open();
+      const router = new ChannelRouter(pluginManager, { queue, retryDelay: 0 });
+
+      const result = await router.route(global.testUtils.createMockNotification(), ['desktop']);
+
+      expect(result.success).toBe(true);
+      expect(queue.size()).toBe(0);
+    });
+
+    test('should replay pending deliveries with their original ID', async () => {
+      await queue.open();
+      await queue.enqueue('delivery_crashed', {
+        notification: global.testUtils.createMockNotification(),
+        channels: ['desktop']
+      });
+
+      const router = new ChannelRouter(pluginManager, { queue, retryDelay: 0 });
+      const replayed = jest.fn();
+      router.on('deliveryReplayed', replayed);
+
+      const results = await router.replayPending();
+
+      expect(results).toHaveLength(1);
+      expect(results[0].deliveryId).toBe('delivery_crashed');
+      expect(replayed).toHaveBeenCalledWith(expect.objectContaining({ deliveryId: 'delivery_crashed' }));
+      expect(plugin.send).toHaveBeenCalledTimes(1);
+      expect(queue.size()).toBe(0);
+    });
+
+    test('should return a failed result when a replay cannot be routed', async () => {
+      await queue.open();
+      await queue.enqueue('delivery_crashed', {
+        notification: global.testUtils.createMockNotification(),
+        channels: ['desktop']
+      });
+      plugin.isAvailable.mockResolvedValue(false);
+
+      const router = new ChannelRouter(pluginManager, { queue, retryDelay: 0 });
+      const results = await router.replayPending();
+
+      expect(results).toEqual([expect.objectContaining({
+        deliveryId: 'delivery_crashed',
+        success: false,
+        error: 'No available plugins for specified channels'
+      })]);
+    });
+
+    test('should keep deliveries pending when plugins are unavailable at startup', async () => {
+      queue = new DeliveryQueue({ journalPath, fsync: false, maxReplayAttempts: 2 });
+      await queue.open();
+      await queue.enqueue('delivery_crashed', {
+        notification: global.testUtils.createMockNotification(),
+        channels: ['desktop'],
+        sender: 'key:ops'
+      });
+      plugin.isAvailable.mockResolvedValue(false);
+
+      await new ChannelRouter(pluginManager, { queue, retryDelay: 0 }).replayPending();
+      expect(plugin.send).not.toHaveBeenCalled();
+      expect(queue.getPending()).toEqual([expect.objectContaining({ id: 'delivery_crashed', replayAttempts: 1 })]);
+
+      // The next start delivers it once the plugin is back
+      await queue.close();
+      queue = new DeliveryQueue({ journalPath, fsync: false, maxReplayAttempts: 2 });
+      await queue.open();
+      plugin.isAvailable.mockResolvedValue(true);
+
+      expect(queue.getPending()[0].sender).toBe('key:ops');
+
+      const results = await new ChannelRouter(pluginManager, { queue, retryDelay: 0 }).replayPending();
+      expect(results).toEqual([expect.objectContaining({ deliveryId: 'delivery_crashed', success: true })]);
+      expect(plugin.send).toHaveBeenCalledTimes(1);
+      expect(queue.size()).toBe(0);
+    });
+
+    test('should drop deliveries that stay unroutable past the replay budget', async () => {
+      queue = new DeliveryQueue({ journalPath, fsync: false, maxReplayAttempts: 1 });
+      await queue.open();
+      await queue.enqueue('delivery_crashed', {
+        notification: global.testUtils.createMockNotification(),
+        channels: ['desktop']
+      });
+      plugin.isAvailable.mockResolvedValue(false);
+      const router = new ChannelRouter(pluginManager, { queue, retryDelay: 0 });
+
+      await router.replayPending();
+      expect(queue.size()).toBe(1);
+
+      expect(await router.replayPending()).toEqual([]);
+      expect(queue.size()).toBe(0);
+    });
+
+    test('should keep channels holding a digest pending until it is sent', async () => {
+      const digestPlugin = {
+        config: { digest: { enabled: true, belowLevel: 'warning', intervalMinutes: 60 } },
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      pluginManager.getPlugin.mockImplementation(name => Promise.resolve(name === 'slack' ? digestPlugin : plugin));
+
+      await queue.open();
+      const router = new ChannelRouter(pluginManager, { queue, retryDelay: 0 });
+      const result = await router.route(global.testUtils.createMockNotification(), ['desktop', 'slack']);
+
+      expect(plugin.send).toHaveBeenCalledTimes(1);
+      expect(queue.getPending()).toEqual([expect.objectContaining({ id: result.deliveryId, channels: ['slack'] })]);
+
+      // A crash now would replay the notification to the digest channel only
+      const recovered = new DeliveryQueue({ journalPath, fsync: false });
+      await recovered.open();
+      expect(recovered.getPending()[0].channels).toEqual(['slack']);
+      await recovered.close();
+
+      await router.flushDigests();
+      expect(digestPlugin.send).toHaveBeenCalledTimes(1);
+      expect(queue.size()).toBe(0);
+    });
+  });
+});
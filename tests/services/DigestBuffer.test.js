@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Unit tests for DigestBuffer
+ * Tests buffering thresholds, flushing, router integration and digest rendering
+ */
+
+const DigestBuffer = require('../../src/services/DigestBuffer');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+const EmailPlugin = require('../../src/plugins/builtin/EmailPlugin');
+const SlackPlugin = require('../../src/plugins/official/SlackPlugin');
+
+describe('DigestBuffer', () => {
+  const settings = DigestBuffer.getSettings({ enabled: true, belowLevel: 'error', intervalMinutes: 30, maxItems: 3 });
+
+  const createItem = (title, level = 'info') => ({
+    deliveryId: `delivery_${title}`,
+    title,
+    message: `${title} message`,
+    level,
+    receivedAt: '2026-10-19T03:00:00.000Z'
+  });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should buffer only notifications below the threshold', () => {
+    expect(DigestBuffer.getSettings({ enabled: false })).toBeNull();
+    expect(DigestBuffer.shouldBuffer(settings, { level: 'info' })).toBe(true);
+    expect(DigestBuffer.shouldBuffer(settings, { level: 'warning' })).toBe(true);
+    expect(DigestBuffer.shouldBuffer(settings, { level: 'error' })).toBe(false);
+    expect(DigestBuffer.shouldBuffer(null, { level: 'info' })).toBe(false);
+  });
+
+  test('should flush after the interval as one digest', async () => {
+    const flushHandler = jest.fn().mockResolvedValue({ success: true });
+    const buffer = new DigestBuffer(flushHandler);
+    const plugin = {};
+
+    buffer.add('email', plugin, { title: 'Backup done', message: 'ok', level: 'info' }, 'd1', settings);
+    buffer.add('email', plugin, { title: 'Disk 80%', message: 'warn', level: 'warning' }, 'd2', settings);
+
+    await jest.advanceTimersByTimeAsync(29 * 60000);
+    expect(flushHandler).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(flushHandler).toHaveBeenCalledTimes(1);
+
+    const [channel, flushedPlugin, digest, items] = flushHandler.mock.calls[0];
+    expect(channel).toBe('email');
+    expect(flushedPlugin).toBe(plugin);
+    expect(items.map(item => item.deliveryId)).toEqual(['d1', 'd2']);
+    expect(digest).toMatchObject({
+      title: 'Digest: 2 notifications',
+      level: 'warning',
+      message: '- [info] Backup done: ok\n- [warning] Disk 80%: warn'
+    });
+    expect(buffer.getPending()).toHaveLength(0);
+  });
+
+  test('should flush early once maxItems is reached', async () => {
+    const flushHandler = jest.fn().mockResolvedValue({ success: true });
+    const buffer = new DigestBuffer(flushHandler);
+
+    ['a', 'b', 'c'].forEach(title => buffer.add('sms', {}, { title, message: 'm' }, title, settings));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(flushHandler).toHaveBeenCalledTimes(1);
+    expect(flushHandler.mock.calls[0][3]).toHaveLength(3);
+  });
+
+  describe('ChannelRouter integration', () => {
+    test('should buffer low-level notifications and send errors immediately', async () => {
+      const email = {
+        config: { digest: { enabled: true, intervalMinutes: 10 } },
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      const router = new ChannelRouter({ getPlugin: jest.fn().mockResolvedValue(email) }, { retryDelay: 0 });
+      const digestDelivered = jest.fn();
+      router.on('digestDelivered', digestDelivered);
+
+      const first = await router.route({ title: 'Job 1 done', message: 'ok', level: 'info' }, ['email']);
+      await router.route({ title: 'Job 2 done', message: 'ok', level: 'info' }, ['email']);
+      await router.route({ title: 'Job 3 failed', message: 'exit 1', level: 'error' }, ['email']);
+
+      expect(first.channelResults[0]).toMatchObject({ channel: 'email', success: true, buffered: true });
+      expect(email.send).toHaveBeenCalledTimes(1);
+      expect(router.getPendingDigests()).toEqual([expect.objectContaining({ channel: 'email', size: 2 })]);
+
+      await jest.advanceTimersByTimeAsync(10 * 60000);
+
+      expect(email.send).toHaveBeenCalledTimes(2);
+      expect(email.send.mock.calls[1][0].digest).toHaveLength(2);
+      expect(digestDelivered).toHaveBeenCalledWith(expect.objectContaining({ channel: 'email', count: 2 }));
+    });
+  });
+
+  describe('Plugin rendering', () => {
+    const digest = DigestBuffer.createDigestNotification('email', [
+      createItem('Backup <done>'),
+      createItem('Disk 80%', 'warning')
+    ]);
+
+    test('should render an HTML table in EmailPlugin', () => {
+      const plugin = new EmailPlugin({ from: 'bot@example.com', to: ['ops@example.com'] });
+      const mail = plugin._prepareMailOptions(digest);
+
+      expect(mail.html).toContain('<table');
+      expect((mail.html.match(/<tr>/g) || [])).toHaveLength(2);
+      expect(mail.html).toContain('Backup &lt;done&gt;');
+      expect(mail.text).toContain('- [warning] Disk 80%: Disk 80% message');
+    });
+
+    test('should render a block list in SlackPlugin', () => {
+      const plugin = new SlackPlugin({ webhook: 'https://hooks.slack.com/services/T/B/X' });
+      const payload = plugin._preparePayload(digest);
+
+      expect(payload.attachments).toBeUndefined();
+      expect(payload.blocks[0]).toEqual({ type: 'header', text: { type: 'plain_text', text: 'Digest: 2 notifications' } });
+      expect(payload.blocks.filter(block => block.type === 'section')).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * @fileoverview Unit tests for EscalationManager
+ * Tests tier escalation, acknowledgement, persistence and policy validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+const EscalationManager = require('../../src/services/EscalationManager');
+
+describe('EscalationManager', () => {
+  let plugins;
+  let router;
+  let manager;
+  let mockNotification;
+
+  const createPlugin = (available = true) => ({
+    isAvailable: jest.fn().mockResolvedValue(available),
+    send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+  });
+
+  const policies = {
+    oncall: {
+      tiers: [
+        { channels: ['desktop', 'slack'] },
+        { channels: ['sms'], afterMinutes: 15 },
+        { channels: ['email'], afterMinutes: 30 }
+      ]
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    plugins = {
+      desktop: createPlugin(),
+      slack: createPlugin(),
+      sms: createPlugin(),
+      email: createPlugin()
+    };
+    router = new ChannelRouter({ getPlugin: jest.fn(async (name) => plugins[name] || null) }, { retryDelay: 0 });
+    manager = new EscalationManager(router, { policies });
+    mockNotification = global.testUtils.createMockNotification({ level: 'error' });
+  });
+
+  afterEach(() => {
+    manager.close();
+    jest.useRealTimers();
+  });
+
+  test('should deliver the first tier and schedule the next one', async () => {
+    const result = await manager.start(mockNotification, 'oncall');
+
+    expect(result.success).toBe(true);
+    expect(plugins.desktop.send).toHaveBeenCalledTimes(1);
+    expect(plugins.sms.send).not.toHaveBeenCalled();
+    expect(result.escalation).toMatchObject({ policy: 'oncall', status: 'pending', tier: 1, tiers: 3 });
+    expect(result.escalation.nextEscalationAt).not.toBeNull();
+  });
+
+  test('should escalate through tiers until exhausted', async () => {
+    const exhausted = jest.fn();
+    manager.on('escalationExhausted', exhausted);
+
+    const result = await manager.start(mockNotification, 'oncall');
+
+    await jest.advanceTimersByTimeAsync(15 * 60000);
+    expect(plugins.sms.send).toHaveBeenCalledWith(expect.objectContaining({
+      title: `[Escalated] ${mockNotification.title}`,
+      metadata: expect.objectContaining({ escalation: expect.objectContaining({ tier: 2, tiers: 3 }) })
+    }));
+
+    await jest.advanceTimersByTimeAsync(30 * 60000);
+    expect(plugins.email.send).toHaveBeenCalledTimes(1);
+
+    const escalation = manager.getEscalation(result.deliveryId);
+    expect(escalation.status).toBe('exhausted');
+    expect(escalation.deliveries.map(d => d.channels)).toEqual([['desktop', 'slack'], ['sms'], ['email']]);
+    expect(exhausted).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop escalating once acknowledged', async () => {
+    const result = await manager.start(mockNotification, 'oncall');
+
+    await jest.advanceTimersByTimeAsync(15 * 60000);
+    const smsDeliveryId = manager.getEscalation(result.deliveryId).deliveries[1].deliveryId;
+
+    // Acknowledging any tier's delivery stops the chain
+    const acknowledged = manager.acknowledge(smsDeliveryId, { by: 'alice@laptop', note: 'on it' });
+
+    await jest.advanceTimersByTimeAsync(60 * 60000);
+
+    expect(acknowledged).toMatchObject({ status: 'acknowledged', tier: 2, acknowledgedBy: 'alice@laptop', note: 'on it' });
+    expect(plugins.email.send).not.toHaveBeenCalled();
+    expect(manager.getPendingEscalations()).toHaveLength(0);
+  });
+
+  test('should escalate immediately when the first tier reaches no one', async () => {
+    plugins.desktop = createPlugin(false);
+    plugins.slack = createPlugin(false);
+
+    const result = await manager.start(mockNotification, 'oncall');
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(result.success).toBe(false);
+    expect(plugins.sms.send).toHaveBeenCalledTimes(1);
+  });
+
+  test('should re-arm pending escalations saved before a restart', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-escalation-'));
+    const statePath = path.join(tempDir, 'escalations.json');
+
+    try {
+      const first = new EscalationManager(router, { policies, path: statePath });
+      await first.open();
+      const result = await first.start(mockNotification, 'oncall');
+      const acknowledged = await first.start({ ...mockNotification, title: 'Handled' }, 'oncall');
+      first.acknowledge(acknowledged.deliveryId, { by: 'bob' });
+      first.close();
+
+      await jest.advanceTimersByTimeAsync(5 * 60000);
+
+      const restarted = new EscalationManager(router, { policies, path: statePath });
+      expect(await restarted.open()).toBe(1);
+      expect(restarted.getEscalation(acknowledged.deliveryId)).toMatchObject({ status: 'acknowledged', acknowledgedBy: 'bob' });
+
+      // The next tier keeps its original due time rather than restarting the wait
+      await jest.advanceTimersByTimeAsync(10 * 60000);
+      expect(plugins.sms.send).toHaveBeenCalledTimes(1);
+      expect(restarted.getEscalation(result.deliveryId)).toMatchObject({ status: 'pending', tier: 2 });
+
+      restarted.close();
+      const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      expect(saved.find(e => e.id === result.deliveryId).deliveries).toHaveLength(2);
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should retry a tier the router cannot accept and fail the escalation after its retries', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-escalation-'));
+    const statePath = path.join(tempDir, 'escalations.json');
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const failing = new EscalationManager(router, { policies, path: statePath, retryDelay: 60000, maxRetries: 1 });
+      const failed = jest.fn();
+      failing.on('escalationFailed', failed);
+      const result = await failing.start(mockNotification, 'oncall');
+      const routeAsync = jest.spyOn(router, 'routeAsync').mockRejectedValue(new Error('Journal is not writable'));
+
+      await jest.advanceTimersByTimeAsync(15 * 60000);
+      expect(routeAsync).toHaveBeenCalledTimes(1);
+      expect(failing.getEscalation(result.deliveryId)).toMatchObject({ status: 'pending', tier: 1, lastError: 'Journal is not writable' });
+
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(routeAsync).toHaveBeenCalledTimes(2);
+      expect(failed).toHaveBeenCalledWith(expect.objectContaining({ id: result.deliveryId, status: 'failed' }));
+
+      const saved = JSON.parse(fs.readFileSync(statePath, 'utf8'));
+      expect(saved[0]).toMatchObject({ status: 'failed', nextEscalationAt: null, lastError: 'Journal is not writable' });
+
+      await jest.advanceTimersByTimeAsync(60 * 60000);
+      expect(routeAsync).toHaveBeenCalledTimes(2);
+      failing.close();
+    } finally {
+      jest.restoreAllMocks();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should return null for deliveries without escalation', () => {
+    expect(manager.acknowledge('delivery_unknown')).toBeNull();
+    expect(manager.getEscalation('delivery_unknown')).toBeNull();
+  });
+
+  test('should reject invalid policies', async () => {
+    expect(() => new EscalationManager(router, { policies: { empty: { tiers: [] } } }))
+      .toThrow('must have at least one tier');
+    expect(() => new EscalationManager(router, {
+      policies: { slow: { tiers: [{ channels: ['desktop'] }, { channels: ['sms'] }] } }
+    })).toThrow('must set a positive afterMinutes');
+    await expect(manager.start(mockNotification, 'missing')).rejects.toThrow('Unknown escalation policy');
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Unit tests for EventStream
+ * Tests event normalization, subscriber filters and detaching from the router
+ */
+
+const EventEmitter = require('events');
+const EventStream = require('../../src/services/EventStream');
+
+describe('EventStream', () => {
+  let router;
+  let stream;
+
+  const startDelivery = (deliveryId, level, channels) => {
+    router.emit('routingStarted', {
+      deliveryId,
+      notification: { title: 'Title', message: 'Body', level },
+      channels
+    });
+  };
+
+  beforeEach(() => {
+    router = new EventEmitter();
+    stream = new EventStream(router);
+  });
+
+  afterEach(() => {
+    stream.close();
+  });
+
+  test('should normalize router events with delivery context', () => {
+    const events = [];
+    stream.subscribe({}, event => events.push(event));
+
+    startDelivery('d1', 'warning', ['email']);
+    router.emit('channelDeliveryCompleted', {
+      deliveryId: 'd1',
+      result: { channel: 'email', success: true, message: 'sent' }
+    });
+
+    expect(events).toHaveLength(2);
+    expect(events[1]).toMatchObject({
+      id: 2,
+      event: 'channelDeliveryCompleted',
+      deliveryId: 'd1',
+      channel: 'email',
+      level: 'warning'
+    });
+  });
+
+  test('should filter by channel and level', () => {
+    const events = [];
+    stream.subscribe({ channels: ['slack'], levels: ['error'] }, event => events.push(event));
+
+    startDelivery('d1', 'info', ['slack']);
+    startDelivery('d2', 'error', ['email', 'slack']);
+    router.emit('channelDeliveryStarted', { deliveryId: 'd2', channel: 'email', attempt: 1 });
+    router.emit('channelDeliveryStarted', { deliveryId: 'd2', channel: 'slack', attempt: 1 });
+    router.emit('routingCompleted', { deliveryId: 'd2', message: 'done' });
+
+    expect(events.map(e => `${e.deliveryId}:${e.event}:${e.channel}`)).toEqual([
+      'd2:routingStarted:null',
+      'd2:channelDeliveryStarted:slack',
+      'd2:routingCompleted:null'
+    ]);
+  });
+
+  test('should only send deliveries within an API key scope', () => {
+    const events = [];
+    const digests = [];
+    stream.subscribe({ scope: { channels: ['slack'], levels: ['error'] } }, event => events.push(event));
+    stream.subscribe({ scope: { channels: ['slack'], levels: null } }, event => {
+      if (event.event === 'digestDelivered') {
+        digests.push(event.deliveryId);
+      }
+    });
+
+    startDelivery('d1', 'error', ['email', 'slack']);
+    router.emit('channelDeliveryStarted', { deliveryId: 'd1', channel: 'slack', attempt: 1 });
+    startDelivery('d2', 'warning', ['slack']);
+    startDelivery('d3', 'error', ['slack']);
+    router.emit('digestDelivered', { deliveryId: 'digest_1', channel: 'email', count: 2 });
+    router.emit('digestDelivered', { deliveryId: 'digest_2', channel: 'slack', count: 2 });
+
+    // Digests mix levels, so only keys without a level scope receive them
+    expect(events.map(e => `${e.deliveryId}:${e.event}:${e.channel}`)).toEqual(['d3:routingStarted:null']);
+    expect(digests).toEqual(['digest_2']);
+  });
+
+  test('should forget delivery context once routing finishes', () => {
+    startDelivery('d1', 'error', ['email']);
+    router.emit('routingFailed', { deliveryId: 'd1', message: 'failed' });
+
+    expect(stream.deliveries.size).toBe(0);
+  });
+
+  test('should stop delivering after unsubscribe and close', () => {
+    const listener = jest.fn();
+    const unsubscribe = stream.subscribe({}, listener);
+
+    unsubscribe();
+    startDelivery('d1', 'info', ['desktop']);
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(stream.getSubscriberCount()).toBe(0);
+
+    stream.close();
+    expect(router.listenerCount('routingStarted')).toBe(0);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Unit tests for delivery history stores
+ * Tests filtering, cursor pagination and file persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const HistoryStore = require('../../src/services/history/HistoryStore');
+const MemoryHistoryStore = require('../../src/services/history/MemoryHistoryStore');
+const FileHistoryStore = require('../../src/services/history/FileHistoryStore');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+
+describe('HistoryStore', () => {
+  const createRecord = (id, createdAt, overrides = {}) => ({
+    deliveryId: id,
+    createdAt,
+    completedAt: createdAt,
+    status: 'completed',
+    notification: { title: `Notification ${id}`, message: 'Body', level: 'info' },
+    channels: ['desktop'],
+    channelResults: [{ channel: 'desktop', success: true }],
+    success: true,
+    deliveryTime: 10,
+    ...overrides
+  });
+
+  describe('Base class', () => {
+    test('should not be instantiated directly', () => {
+      expect(() => new HistoryStore()).toThrow('abstract class');
+    });
+
+    test('should reject invalid filters', () => {
+      expect(() => HistoryStore.normalizeQuery({ level: 'fatal' })).toThrow('Level must be one of');
+      expect(() => HistoryStore.normalizeQuery({ status: 'lost' })).toThrow('Status must be one of');
+      expect(() => HistoryStore.normalizeQuery({ since: 'yesterday-ish' })).toThrow('since must be');
+      expect(() => HistoryStore.normalizeQuery({ limit: '0' })).toThrow('Limit must be');
+      expect(() => HistoryStore.normalizeQuery({ cursor: 'garbage' })).toThrow('Invalid cursor');
+    });
+  });
+
+  describe('MemoryHistoryStore', () => {
+    let store;
+
+    beforeEach(async () => {
+      store = new MemoryHistoryStore();
+      await store.add(createRecord('d1', '2026-10-19T01:00:00.000Z'));
+      await store.add(createRecord('d2', '2026-10-19T03:00:00.000Z', {
+        status: 'partial',
+        notification: { title: 'Backup failed', message: 'Disk full', level: 'error' },
+        channels: ['dingtalk', 'email'],
+        channelResults: [
+          { channel: 'dingtalk', success: false },
+          { channel: 'email', success: true }
+        ]
+      }));
+      await store.add(createRecord('d3', '2026-10-19T02:00:00.000Z', { level: 'warning' }));
+    });
+
+    test('should return records newest first', async () => {
+      const page = await store.query();
+
+      expect(page.deliveries.map(d => d.deliveryId)).toEqual(['d2', 'd3', 'd1']);
+      expect(page.nextCursor).toBeNull();
+    });
+
+    test('should filter by level and time range', async () => {
+      const errors = await store.query({ level: 'error' });
+      const early = await store.query({ until: '2026-10-19T02:30:00.000Z' });
+
+      expect(errors.deliveries.map(d => d.deliveryId)).toEqual(['d2']);
+      expect(early.deliveries.map(d => d.deliveryId)).toEqual(['d3', 'd1']);
+    });
+
+    test('should apply status to the filtered channel', async () => {
+      const failedDingTalk = await store.query({ channel: 'dingtalk', status: 'failed' });
+      const failedEmail = await store.query({ channel: 'email', status: 'failed' });
+
+      expect(failedDingTalk.deliveries.map(d => d.deliveryId)).toEqual(['d2']);
+      expect(failedEmail.deliveries).toHaveLength(0);
+    });
+
+    test('should only return deliveries within an API key scope', async () => {
+      const email = await store.query({ scope: { channels: ['email'], levels: null } });
+      const both = await store.query({ scope: { channels: ['dingtalk', 'email', 'desktop'], levels: ['error'] } });
+
+      // d2 also went to dingtalk, so an email-only key could not have sent it
+      expect(email.deliveries).toHaveLength(0);
+      expect(both.deliveries.map(d => d.deliveryId)).toEqual(['d2']);
+      expect(HistoryStore.normalizeQuery({ scope: { channels: ['email'] } }).scope).toEqual({ channels: ['email'], levels: null });
+    });
+
+    test('should paginate with cursors', async () => {
+      const first = await store.query({ limit: 2 });
+      const second = await store.query({ limit: 2, cursor: first.nextCursor });
+
+      expect(first.deliveries.map(d => d.deliveryId)).toEqual(['d2', 'd3']);
+      expect(first.nextCursor).not.toBeNull();
+      expect(second.deliveries.map(d => d.deliveryId)).toEqual(['d1']);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    test('should keep only the newest records', async () => {
+      store = new MemoryHistoryStore({ maxEntries: 2 });
+      await store.add(createRecord('d1', '2026-10-19T01:00:00.000Z'));
+      await store.add(createRecord('d2', '2026-10-19T02:00:00.000Z'));
+      await store.add(createRecord('d3', '2026-10-19T03:00:00.000Z'));
+
+      expect(await store.get('d1')).toBeNull();
+      expect((await store.get('d3')).deliveryId).toBe('d3');
+    });
+  });
+
+  describe('FileHistoryStore', () => {
+    let tempDir;
+    let historyPath;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-history-'));
+      historyPath = path.join(tempDir, 'history', 'deliveries.jsonl');
+    });
+
+    afterEach(() => {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should persist records across restarts', async () => {
+      const store = new FileHistoryStore({ path: historyPath });
+      await store.open();
+      await store.add(createRecord('d1', '2026-10-19T01:00:00.000Z'));
+      await store.close();
+
+      const reopened = new FileHistoryStore({ path: historyPath });
+      await reopened.open();
+
+      expect((await reopened.get('d1')).notification.title).toBe('Notification d1');
+    });
+
+    test('should compact the file once it outgrows the limit', async () => {
+      const store = new FileHistoryStore({ path: historyPath, maxEntries: 2 });
+      await store.open();
+
+      for (let i = 1; i <= 4; i++) {
+        await store.add(createRecord(`d${i}`, `2026-10-19T0${i}:00:00.000Z`));
+      }
+
+      const lines = fs.readFileSync(historyPath, 'utf8').trim().split('\n');
+      expect(lines.length).toBeLessThanOrEqual(3);
+    });
+  });
+
+  describe('ChannelRouter integration', () => {
+    test('should record finished deliveries in the store', async () => {
+      const store = new MemoryHistoryStore();
+      const plugin = {
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      const router = new ChannelRouter({ getPlugin: jest.fn().mockResolvedValue(plugin) }, {
+        historyStore: store,
+        retryDelay: 0
+      });
+
+      const result = await router.route(global.testUtils.createMockNotification({ level: 'warning' }), ['desktop']);
+      const page = await router.getDeliveryHistory({ channel: 'desktop', level: 'warning' });
+
+      expect(page.deliveries).toHaveLength(1);
+      expect(page.deliveries[0]).toMatchObject({
+        deliveryId: result.deliveryId,
+        status: 'completed',
+        channels: ['desktop']
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Unit tests for QuietHours
+ * Tests quiet hours decisions, deferral and router integration
+ */
+
+const QuietHours = require('../../src/services/QuietHours');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+const MemoryHistoryStore = require('../../src/services/history/MemoryHistoryStore');
+
+describe('QuietHours', () => {
+  const at = (hour, minute = 0) => new Date(Date.UTC(2026, 9, 19, hour, minute));
+  const config = (action) => ({ enabled: true, start: '22:00', end: '07:00', timezone: 'UTC', action });
+
+  const info = { title: 'Backup done', message: 'ok', level: 'info' };
+  const error = { title: 'Disk full', message: '/var at 100%', level: 'error' };
+
+  test('should normalize settings and reject unknown actions', () => {
+    expect(QuietHours.getSettings({ ...config(), enabled: false })).toBeNull();
+    expect(QuietHours.getSettings(config()).action).toBe('defer');
+    expect(() => QuietHours.getSettings(config('mute'))).toThrow('Quiet hours action must be one of');
+    expect(() => QuietHours.getSettings({ enabled: true, start: '22:00' })).toThrow();
+  });
+
+  test('should decide per action inside the window only', () => {
+    const drop = QuietHours.getSettings(config('drop'));
+    const defer = QuietHours.getSettings(config('defer'));
+    const errorsOnly = QuietHours.getSettings(config('errorsOnly'));
+
+    expect(QuietHours.getDecision(drop, info, at(12))).toBe('send');
+    expect(QuietHours.getDecision(drop, error, at(23))).toBe('drop');
+    expect(QuietHours.getDecision(defer, info, at(3))).toBe('defer');
+    expect(QuietHours.getDecision(errorsOnly, info, at(3))).toBe('drop');
+    expect(QuietHours.getDecision(errorsOnly, error, at(3))).toBe('send');
+    expect(QuietHours.getDecision(null, info, at(3))).toBe('send');
+  });
+
+  describe('ChannelRouter integration', () => {
+    let sms;
+    let desktop;
+    let router;
+
+    beforeEach(() => {
+      jest.useFakeTimers({ now: at(23, 30) });
+
+      sms = {
+        config: { quietHours: config('defer') },
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      desktop = {
+        config: { quietHours: config('errorsOnly') },
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'shown' })
+      };
+
+      const plugins = { sms, desktop };
+      router = new ChannelRouter({ getPlugin: jest.fn(name => Promise.resolve(plugins[name])) }, { retryDelay: 0 });
+    });
+
+    afterEach(() => {
+      router.quietHours.close();
+      jest.useRealTimers();
+    });
+
+    test('should defer until the window ends and drop per policy', async () => {
+      const deferredDelivered = jest.fn();
+      router.on('deferredDelivered', deferredDelivered);
+
+      const result = await router.route(info, ['sms', 'desktop']);
+      const sms1 = result.channelResults.find(r => r.channel === 'sms');
+      const desktop1 = result.channelResults.find(r => r.channel === 'desktop');
+
+      expect(sms1).toMatchObject({ success: true, quietHours: 'deferred', metadata: { releaseAt: '2026-10-20T07:00:00.000Z' } });
+      expect(desktop1).toMatchObject({ success: true, quietHours: 'dropped' });
+      expect(sms.send).not.toHaveBeenCalled();
+      expect(desktop.send).not.toHaveBeenCalled();
+
+      await router.route(error, ['desktop']);
+      expect(desktop.send).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(7.5 * 60 * 60 * 1000);
+
+      expect(sms.send).toHaveBeenCalledWith(info);
+      expect(deferredDelivered).toHaveBeenCalledWith(expect.objectContaining({
+        originalDeliveryId: result.deliveryId,
+        channel: 'sms'
+      }));
+      expect(router.getDeferredNotifications()).toEqual([]);
+    });
+
+    test('should drain deferred notifications without sending them', async () => {
+      const { deliveryId } = await router.route(info, ['sms']);
+
+      expect(router.getDeferredNotifications()).toEqual([
+        { channel: 'sms', size: 1, releaseAt: '2026-10-20T07:00:00.000Z' }
+      ]);
+      expect(router.drainDeferredNotifications()).toEqual([
+        { channel: 'sms', notification: info, deliveryId, releaseAt: '2026-10-20T07:00:00.000Z' }
+      ]);
+
+      await jest.advanceTimersByTimeAsync(8 * 60 * 60 * 1000);
+      expect(sms.send).not.toHaveBeenCalled();
+    });
+
+    test('should keep the sender of deferred notifications', async () => {
+      const historyStore = new MemoryHistoryStore();
+      router.historyStore = historyStore;
+
+      const { deliveryId } = await router.route(info, ['sms'], { sender: 'key:ops' });
+      expect((await historyStore.get(deliveryId)).sender).toBe('key:ops');
+
+      const deferredDelivered = jest.fn();
+      router.on('deferredDelivered', deferredDelivered);
+      await jest.advanceTimersByTimeAsync(7.5 * 60 * 60 * 1000);
+
+      const released = deferredDelivered.mock.calls[0][0].deliveryId;
+      expect((await historyStore.get(released)).sender).toBe('key:ops');
+
+      // Back inside the next night's window
+      await jest.advanceTimersByTimeAsync(16.5 * 60 * 60 * 1000);
+      await router.routeAsync(info, ['sms'], { sender: 'key:billing' });
+      await jest.advanceTimersByTimeAsync(0);
+      expect(router.drainDeferredNotifications()).toEqual([
+        expect.objectContaining({ channel: 'sms', sender: 'key:billing' })
+      ]);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Unit tests for QuotaTracker
+ * Tests per-identity channel quotas, period resets and persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const QuotaTracker = require('../../src/services/QuotaTracker');
+
+describe('QuotaTracker', () => {
+  const HOUR = 60 * 60 * 1000;
+  const day = Date.UTC(2026, 9, 19);
+
+  let tempDir;
+  let options;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-quotas-'));
+    options = {
+      path: path.join(tempDir, 'quotas.json'),
+      channels: { sms: { max: 2, period: 'day' }, email: { max: 5, period: 'hour' } }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should count each identity separately and report remaining quota', async () => {
+    const tracker = new QuotaTracker(options);
+
+    expect((await tracker.consume('key:a', ['sms', 'slack'], day)).remaining).toEqual({ sms: 1 });
+    expect((await tracker.consume('key:a', ['sms'], day + HOUR)).remaining).toEqual({ sms: 0 });
+
+    const exhausted = await tracker.consume('key:a', ['email', 'sms'], day + 2 * HOUR);
+    expect(exhausted).toMatchObject({ allowed: false, channel: 'sms', retryAfter: 22 * 60 * 60 });
+    expect(tracker.getUsage('key:a', day).email.used).toBe(0);
+
+    expect((await tracker.consume('key:b', ['sms'], day)).allowed).toBe(true);
+    expect(QuotaTracker.formatRemaining({ sms: 1, email: 4 })).toBe('sms=1, email=4');
+  });
+
+  test('should reset at the start of each period', async () => {
+    const tracker = new QuotaTracker(options);
+
+    await tracker.consume('token:x', ['sms'], day);
+    await tracker.consume('token:x', ['sms'], day);
+
+    expect(tracker.check('token:x', ['sms'], day + 23 * HOUR).allowed).toBe(false);
+    expect(tracker.check('token:x', ['sms'], day + 24 * HOUR)).toEqual({ allowed: true, retryAfter: 0, remaining: { sms: 2 } });
+  });
+
+  test('should keep usage across restarts', async () => {
+    await new QuotaTracker(options).consume('key:a', ['sms'], day);
+
+    const reopened = new QuotaTracker(options);
+    await reopened.open();
+
+    expect(reopened.getUsage('key:a', day).sms).toEqual({
+      used: 1,
+      max: 2,
+      period: 'day',
+      resetAt: '2026-10-20T00:00:00.000Z'
+    });
+  });
+
+  test('should reject invalid quotas', () => {
+    expect(() => new QuotaTracker({ channels: { sms: { max: 0 } } })).toThrow('Quota for sms must set a positive max');
+    expect(() => new QuotaTracker({ channels: { sms: { max: 5, period: 'week' } } })).toThrow('Quota period for sms must be one of');
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Unit tests for RoutingEngine
+ * Tests rule matching, rule chaining, defaults and rule validation
+ */
+
+const RoutingEngine = require('../../src/services/RoutingEngine');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+
+describe('RoutingEngine', () => {
+  const rules = [
+    {
+      name: 'prod-errors',
+      match: { level: 'error', host: '/^prod-/' },
+      channels: ['sms', 'dingtalk']
+    },
+    {
+      name: 'deploys',
+      match: { title: '/deploy/i', metadata: { pipeline: true } },
+      channels: ['slack'],
+      continue: true
+    },
+    {
+      name: 'office-hours',
+      match: { time: { start: '09:00', end: '18:00', days: ['mon', 'tue', 'wed', 'thu', 'fri'] } },
+      channels: ['email']
+    }
+  ];
+
+  // Wednesday 2026-10-21
+  const workday = new Date(2026, 9, 21, 10, 30);
+  const evening = new Date(2026, 9, 21, 21, 0);
+
+  let engine;
+
+  beforeEach(() => {
+    engine = new RoutingEngine({ defaultChannels: ['desktop'], rules });
+  });
+
+  test('should stop at the first matching rule', () => {
+    const resolution = engine.resolve({ title: 'Disk full', level: 'error', host: 'prod-db-1' }, workday);
+
+    expect(resolution).toEqual({ channels: ['sms', 'dingtalk'], matchedRules: ['prod-errors'], escalation: null });
+  });
+
+  test('should merge channels of rules marked continue', () => {
+    const resolution = engine.resolve({
+      title: 'Deploy finished',
+      level: 'info',
+      metadata: { pipeline: 42 }
+    }, workday);
+
+    expect(resolution).toEqual({ channels: ['slack', 'email'], matchedRules: ['deploys', 'office-hours'], escalation: null });
+  });
+
+  test('should fall back to default channels', () => {
+    const errorFromStaging = engine.resolve({ title: 'Disk full', level: 'error', host: 'staging-1' }, evening);
+
+    expect(errorFromStaging).toEqual({ channels: ['desktop'], matchedRules: [], escalation: null });
+  });
+
+  test('should match metadata values and lists', () => {
+    engine = new RoutingEngine({
+      rules: [{ match: { metadata: { env: ['prod', 'dr'], silent: false } }, channels: ['sms'] }]
+    });
+
+    expect(engine.resolve({ title: 't', metadata: { env: 'dr' } }).channels).toEqual(['sms']);
+    expect(engine.resolve({ title: 't', metadata: { env: 'dev' } }).channels).toEqual([]);
+    expect(engine.resolve({ title: 't', metadata: { env: 'prod', silent: true } }).channels).toEqual([]);
+  });
+
+  test('should hand matching notifications to an escalation policy', () => {
+    engine = new RoutingEngine({
+      rules: [{ name: 'overnight', match: { level: 'error', time: '22:00-07:00' }, escalation: 'oncall' }, ...rules]
+    });
+
+    const night = new Date(2026, 9, 21, 23, 0);
+    const resolution = engine.resolve({ title: 'Batch failed', level: 'error', host: 'prod-etl' }, night);
+
+    expect(resolution).toEqual({ channels: [], matchedRules: ['overnight'], escalation: 'oncall' });
+    expect(engine.getEscalationPolicies()).toEqual(['oncall']);
+  });
+
+  test('should reject invalid rules', () => {
+    expect(() => new RoutingEngine({ rules: [{ channels: [] }] })).toThrow('channels must be a non-empty array');
+    expect(() => new RoutingEngine({ rules: [{ name: 'bad', match: { level: 'fatal' }, channels: ['sms'] }] }))
+      .toThrow('Invalid routing rule "bad": level must be one of');
+    expect(() => new RoutingEngine({ rules: [{ match: { title: '/(/' }, channels: ['sms'] }] }))
+      .toThrow('not a valid regular expression');
+    expect(() => new RoutingEngine({ rules: [{ match: { source: 'x' }, channels: ['sms'] }] }))
+      .toThrow('unknown match keys: source');
+    expect(() => new RoutingEngine({ rules: [{ match: { time: '25:00-07:00' }, channels: ['sms'] }] }))
+      .toThrow('Invalid time');
+    expect(() => new RoutingEngine({ rules: [{ escalation: 'oncall', channels: ['sms'] }] }))
+      .toThrow('channels and escalation cannot be combined');
+  });
+
+  describe('ChannelRouter integration', () => {
+    test('should route notifications without channels using the rules', async () => {
+      const plugin = {
+        isAvailable: jest.fn().mockResolvedValue(true),
+        send: jest.fn().mockResolvedValue({ success: true, message: 'sent' })
+      };
+      const router = new ChannelRouter({ getPlugin: jest.fn().mockResolvedValue(plugin) }, {
+        routingEngine: new RoutingEngine({ defaultChannels: ['desktop'], rules }),
+        retryDelay: 0
+      });
+      const resolved = jest.fn();
+      router.on('channelsResolved', resolved);
+
+      const result = await router.route({ title: 'Disk full', message: 'x', level: 'error', host: 'prod-1' });
+
+      expect(result.channelResults.map(r => r.channel)).toEqual(['sms', 'dingtalk']);
+      expect(resolved).toHaveBeenCalledWith(expect.objectContaining({ matchedRules: ['prod-errors'] }));
+    });
+
+    test('should reject notifications no rule matches', async () => {
+      const router = new ChannelRouter({ getPlugin: jest.fn() }, {
+        routingEngine: new RoutingEngine({ rules: [{ match: { level: 'error' }, channels: ['sms'] }] })
+      });
+
+      await expect(router.route({ title: 't', message: 'm', level: 'info' }))
+        .rejects.toThrow('no routing rule matched');
+    });
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Unit tests for Scheduler
+ * Tests send time parsing, dispatch timing, cancellation and persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../../src/services/Scheduler');
+
+describe('Scheduler', () => {
+  const now = new Date(Date.UTC(2026, 9, 19, 8, 0, 0));
+
+  let tempDir;
+  let schedulePath;
+  let dispatchHandler;
+  let scheduler;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ now });
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-scheduler-'));
+    schedulePath = path.join(tempDir, 'scheduled.json');
+    dispatchHandler = jest.fn().mockResolvedValue({ deliveryId: 'delivery_1' });
+    scheduler = new Scheduler(dispatchHandler, { path: schedulePath });
+    await scheduler.open();
+  });
+
+  afterEach(() => {
+    scheduler.close();
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should resolve sendAt and delay to a send time', () => {
+    expect(Scheduler.getSendTime({ title: 'Now' }, now)).toBeNull();
+    expect(Scheduler.getSendTime({ delay: 90 }, now)).toEqual(new Date(now.getTime() + 90000));
+    expect(Scheduler.getSendTime({ sendAt: '2026-10-20T09:00:00Z' }, now))
+      .toEqual(new Date('2026-10-20T09:00:00Z'));
+  });
+
+  test('should reject invalid, past and conflicting schedules', () => {
+    expect(() => Scheduler.getSendTime({ sendAt: 'tomorrow' }, now)).toThrow('Invalid sendAt');
+    expect(() => Scheduler.getSendTime({ sendAt: '2026-10-18T09:00:00Z' }, now)).toThrow('in the past');
+    expect(() => Scheduler.getSendTime({ delay: -5 }, now)).toThrow('positive number');
+    expect(() => Scheduler.getSendTime({ delay: 5, sendAt: '2026-10-20T09:00:00Z' }, now)).toThrow('not both');
+  });
+
+  test('should dispatch when due and forget the entry', async () => {
+    const entry = await scheduler.schedule(
+      { title: 'Maintenance', message: 'Window opens', level: 'info', delay: 600 },
+      { channels: ['email'] }
+    );
+
+    expect(entry).toMatchObject({ channels: ['email'], sendAt: '2026-10-19T08:10:00.000Z' });
+    expect(entry.notification).toEqual({ title: 'Maintenance', message: 'Window opens', level: 'info' });
+
+    await jest.advanceTimersByTimeAsync(599000);
+    expect(dispatchHandler).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(dispatchHandler).toHaveBeenCalledWith(entry);
+    expect(scheduler.list()).toEqual([]);
+    expect(JSON.parse(fs.readFileSync(schedulePath, 'utf8'))).toEqual([]);
+  });
+
+  test('should not dispatch cancelled notifications', async () => {
+    const entry = await scheduler.schedule({ title: 'Reminder', message: 'm', delay: 60 });
+
+    expect(await scheduler.cancel(entry.id)).toEqual(entry);
+    expect(await scheduler.cancel(entry.id)).toBeNull();
+
+    await jest.advanceTimersByTimeAsync(60000);
+    expect(dispatchHandler).not.toHaveBeenCalled();
+  });
+
+  test('should handle delays beyond the setTimeout limit', async () => {
+    await scheduler.schedule({ title: 'Cert expiry', message: 'm', sendAt: '2026-12-19T08:00:00Z' });
+
+    await jest.advanceTimersByTimeAsync(30 * 24 * 60 * 60 * 1000);
+    expect(dispatchHandler).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(31 * 24 * 60 * 60 * 1000);
+    expect(dispatchHandler).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reload scheduled notifications and send overdue ones', async () => {
+    const later = await scheduler.schedule({ title: 'Later', message: 'm', delay: 3600 }, { escalation: 'oncall' });
+    const soon = await scheduler.schedule({ title: 'Soon', message: 'm', delay: 60 });
+    scheduler.close();
+
+    jest.setSystemTime(new Date(now.getTime() + 120000));
+    const restarted = new Scheduler(dispatchHandler, { path: schedulePath });
+
+    expect(await restarted.open()).toBe(2);
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(dispatchHandler).toHaveBeenCalledWith(soon);
+    expect(restarted.list()).toEqual([later]);
+    restarted.close();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Unit tests for TemplateEngine
+ * Tests template loading, per-channel overrides and router integration
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TemplateEngine = require('../../src/services/TemplateEngine');
+const ChannelRouter = require('../../src/services/ChannelRouter');
+
+describe('TemplateEngine', () => {
+  const definitions = {
+    deploy: {
+      title: 'Deployed {{service}} {{version}}',
+      message: '{{#each hosts}}- {{this}}\n{{/each}}',
+      channels: {
+        sms: { message: '{{service}} {{version}} on {{hosts.length}} hosts' }
+      }
+    }
+  };
+
+  const notification = {
+    template: 'deploy',
+    level: 'info',
+    metadata: { service: 'api', version: '1.2.3', hosts: ['web1', 'web2'] }
+  };
+
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should fill in a missing title and message from the default parts', () => {
+    const engine = new TemplateEngine({ definitions, directory: tempDir });
+    const rendered = engine.render(notification);
+
+    expect(rendered).toMatchObject({
+      title: 'Deployed api 1.2.3',
+      message: '- web1\n- web2\n',
+      template: 'deploy'
+    });
+    expect(engine.render({ ...notification, title: 'Custom' }).title).toBe('Custom');
+  });
+
+  test('should apply only the parts a channel overrides', () => {
+    const engine = new TemplateEngine({ definitions, directory: tempDir });
+    const base = engine.render(notification);
+
+    expect(engine.render(base, 'sms')).toMatchObject({ title: 'Deployed api 1.2.3', message: 'api 1.2.3 on 2 hosts' });
+    expect(engine.render(base, 'email')).toEqual(base);
+  });
+
+  test('should load templates from the directory without overriding config', () => {
+    fs.writeFileSync(path.join(tempDir, 'cert.json'), JSON.stringify({ title: 'Cert for {{domain}} expires {{date}}' }));
+    fs.writeFileSync(path.join(tempDir, 'deploy.json'), JSON.stringify({ title: 'from file' }));
+
+    const engine = new TemplateEngine({ definitions, directory: tempDir });
+
+    expect(engine.load()).toBe(2);
+    expect(engine.getNames()).toEqual(['cert', 'deploy']);
+    expect(engine.render(notification).title).toBe('Deployed api 1.2.3');
+  });
+
+  test('should report invalid templates by name', () => {
+    expect(() => new TemplateEngine({ definitions: { broken: { title: '{{#if a}}' } } }))
+      .toThrow('Template broken: Unclosed template block {{#if}}');
+
+    fs.writeFileSync(path.join(tempDir, 'bad.json'), '{');
+    expect(() => new TemplateEngine({ directory: tempDir }).load()).toThrow('Invalid template file bad.json');
+    expect(() => new TemplateEngine({ directory: tempDir }).render({ template: 'nope' })).toThrow('Unknown template: nope');
+  });
+
+  describe('ChannelRouter integration', () => {
+    test('should send each channel its own rendering', async () => {
+      const plugins = {
+        email: { isAvailable: jest.fn().mockResolvedValue(true), send: jest.fn().mockResolvedValue({ success: true }) },
+        sms: { isAvailable: jest.fn().mockResolvedValue(true), send: jest.fn().mockResolvedValue({ success: true }) }
+      };
+      const router = new ChannelRouter({ getPlugin: jest.fn(name => Promise.resolve(plugins[name])) }, {
+        templateEngine: new TemplateEngine({ definitions, directory: tempDir }),
+        retryDelay: 0
+      });
+
+      const result = await router.route(notification, ['email', 'sms']);
+
+      expect(result.success).toBe(true);
+      expect(plugins.email.send.mock.calls[0][0]).toMatchObject({ title: 'Deployed api 1.2.3', message: '- web1\n- web2\n' });
+      expect(plugins.sms.send.mock.calls[0][0]).toMatchObject({ title: 'Deployed api 1.2.3', message: 'api 1.2.3 on 2 hosts' });
+    });
+
+    test('should preview plugin payloads per channel without sending', async () => {
+      const slack = {
+        send: jest.fn(),
+        preview: jest.fn(rendered => Promise.resolve({ text: rendered.title }))
+      };
+      const router = new ChannelRouter({
+        getPlugin: jest.fn(name => Promise.resolve(name === 'slack' ? slack : null))
+      }, {
+        templateEngine: new TemplateEngine({ definitions, directory: tempDir })
+      });
+
+      const previews = await router.previewNotification(notification, ['slack', 'pager']);
+
+      expect(slack.send).not.toHaveBeenCalled();
+      expect(previews[0]).toMatchObject({ channel: 'slack', success: true, title: 'Deployed api 1.2.3' });
+      expect(previews[0].payload).toEqual({ text: 'Deployed api 1.2.3' });
+      expect(previews[1]).toEqual({ channel: 'pager', success: false, error: 'Plugin pager is not loaded' });
+    });
+
+    test('should refuse templated notifications without a template engine', async () => {
+      const router = new ChannelRouter({ getPlugin: jest.fn() });
+
+      await expect(router.route(notification, ['email'])).rejects.toThrow('Notification templates are not configured');
+    });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Unit tests for TunnelManager
+ * Tests tunnel definitions, restarts with backoff, health checks and recorded state
+ */
+
+const childProcess = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TunnelManager = require('../../src/services/TunnelManager');
+const SSHTunnelHelper = require('../../src/utils/ssh-helper');
+
+describe('TunnelManager', () => {
+  let tempDir;
+  let children;
+  let options;
+
+  const fakeSpawn = jest.fn(() => {
+    const child = new EventEmitter();
+    child.pid = 40000 + children.length;
+    child.kill = jest.fn(() => child.emit('exit', null, 'SIGTERM'));
+    children.push(child);
+    return child;
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-tunnels-'));
+    children = [];
+    fakeSpawn.mockClear();
+    options = {
+      path: path.join(tempDir, 'tunnels.json'),
+      stateDir: path.join(tempDir, 'tunnels'),
+      spawn: fakeSpawn,
+      stableAfter: 10000
+    };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should persist tunnel definitions', async () => {
+    const manager = new TunnelManager(options);
+    await manager.add('prod', { remoteHost: 'prod-01', remoteUser: 'deploy', localPort: '13001' });
+
+    await expect(manager.add('prod', { remoteHost: 'prod-02' })).rejects.toThrow('Tunnel prod already exists');
+    await expect(manager.add('../x', { remoteHost: 'prod-02' })).rejects.toThrow('Tunnel name may only contain');
+    await expect(manager.add('bad', { remoteHost: 'prod-02', localPort: 70000 })).rejects.toThrow('Local port must be between');
+
+    const reopened = new TunnelManager(options);
+    await reopened.open();
+    expect(reopened.list()).toEqual([{
+      name: 'prod',
+      remoteHost: 'prod-01',
+      remoteUser: 'deploy',
+      localPort: 13001,
+      reverse: false,
+      state: { status: 'stopped', restarts: 0, running: false }
+    }]);
+
+    expect(await reopened.remove('prod')).toBe(true);
+    expect(await reopened.remove('prod')).toBe(false);
+  });
+
+  test('should restart exited tunnels with exponential backoff', async () => {
+    jest.useFakeTimers();
+    const manager = new TunnelManager(options);
+    await manager.add('prod', { remoteHost: 'prod-01' });
+    const exits = [];
+    manager.on('exit', event => exits.push(event));
+
+    manager.supervise('prod');
+    const [command, args] = fakeSpawn.mock.calls[0];
+    expect(command).toBe('ssh');
+    expect(args).toEqual(expect.arrayContaining(['-N', 'BatchMode=yes', 'prod-01']));
+    expect(args).not.toContain('-f');
+
+    children[0].emit('exit', 255);
+    expect(exits[0]).toMatchObject({ code: 255, retryIn: 1000, error: 'ssh exited with code 255' });
+    expect(manager.getState('prod')).toMatchObject({ status: 'restarting', restarts: 1, running: true });
+
+    jest.advanceTimersByTime(1000);
+    children[1].emit('exit', 255);
+    expect(exits[1].retryIn).toBe(2000);
+
+    // A tunnel that stayed up past stableAfter starts the backoff over
+    jest.advanceTimersByTime(2000);
+    jest.advanceTimersByTime(10000);
+    children[2].emit('exit', 255);
+    expect(exits[2].retryIn).toBe(1000);
+
+    manager.stop();
+    jest.advanceTimersByTime(60000);
+    expect(children).toHaveLength(3);
+    expect(manager.getState('prod').status).toBe('stopped');
+  });
+
+  test('should restart tunnels whose local end stops accepting connections', async () => {
+    jest.useFakeTimers();
+    const helper = new SSHTunnelHelper();
+    helper.testTunnel = jest.fn().mockResolvedValue(false);
+
+    const manager = new TunnelManager({ ...options, helper, checkInterval: 1000 });
+    await manager.add('jump', { remoteHost: 'jump', localSocket: '/tmp/jump.sock' });
+    manager.supervise('jump');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(children[0].kill).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(helper.testTunnel).toHaveBeenCalledWith('/tmp/jump.sock', 5000);
+    expect(children[0].kill).toHaveBeenCalledWith('SIGTERM');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(children).toHaveLength(2);
+    manager.stop();
+  });
+
+  test('should record tunnels that cannot restart as failed instead of retrying', async () => {
+    jest.useFakeTimers();
+    const helper = new SSHTunnelHelper();
+    const manager = new TunnelManager({ ...options, helper });
+    await manager.add('prod', { remoteHost: 'prod-01' });
+    const failures = [];
+    manager.on('failed', event => failures.push(event));
+
+    manager.supervise('prod');
+    jest.spyOn(helper, 'generateTunnelArgs').mockImplementation(() => {
+      throw new Error('keyFile may only contain letters, digits and . _ - ~ / % @ + characters');
+    });
+    children[0].emit('exit', 255);
+
+    expect(() => jest.advanceTimersByTime(1000)).not.toThrow();
+    expect(failures).toEqual([{ name: 'prod', error: expect.stringContaining('keyFile may only contain') }]);
+    expect(manager.getState('prod')).toMatchObject({
+      status: 'failed',
+      running: false,
+      restarts: 1,
+      lastError: expect.stringContaining('keyFile may only contain')
+    });
+
+    jest.advanceTimersByTime(60000);
+    expect(children).toHaveLength(1);
+    expect(manager.supervised.has('prod')).toBe(false);
+  });
+
+  test('should mark tunnels whose ssh binary cannot be spawned as failed without restarting', async () => {
+    const missingSpawn = jest.fn((command, args, spawnOptions) => childProcess.spawn(path.join(tempDir, 'missing-ssh'), args, spawnOptions));
+    const manager = new TunnelManager({ ...options, spawn: missingSpawn, initialDelay: 10 });
+    await manager.add('prod', { remoteHost: 'prod-01' });
+    const exits = [];
+    manager.on('exit', event => exits.push(event));
+
+    const failed = new Promise(resolve => manager.once('failed', resolve));
+    manager.supervise('prod');
+
+    expect(await failed).toEqual({ name: 'prod', error: expect.stringContaining('ENOENT') });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    expect(missingSpawn).toHaveBeenCalledTimes(1);
+    expect(exits).toEqual([]);
+    expect(manager.supervised.has('prod')).toBe(false);
+    expect(manager.getState('prod')).toMatchObject({ status: 'failed', running: false, lastError: expect.stringContaining('ENOENT') });
+  });
+
+  test('should report tunnels whose supervisor died as dead', async () => {
+    const manager = new TunnelManager(options);
+    await manager.add('prod', { remoteHost: 'prod-01' });
+
+    fs.mkdirSync(options.stateDir, { recursive: true });
+    fs.writeFileSync(path.join(options.stateDir, 'prod.json'), JSON.stringify({ status: 'up', pid: 2 ** 22 + 1, restarts: 3 }));
+
+    expect(manager.getState('prod')).toMatchObject({ status: 'dead', running: false, restarts: 3 });
+    expect(manager.stopSupervisor('prod')).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Unit tests for ConnectionDiagnostics
+ * Tests the reasons given for missing tunnels, dead remote servers, rejected tokens and foreign servers
+ */
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const ConnectionDiagnostics = require('../../src/utils/connection-diagnostics');
+const NotificationClient = require('../../src/client/NotificationClient');
+const SSHTunnelHelper = require('../../src/utils/ssh-helper');
+const TunnelManager = require('../../src/services/TunnelManager');
+
+describe('ConnectionDiagnostics', () => {
+  let tempDir;
+  let helper;
+  let tunnelManager;
+  let server;
+
+  const listen = async (newServer) => {
+    server = newServer;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+  };
+
+  const freePort = async () => {
+    const port = await listen(net.createServer());
+    await new Promise(resolve => server.close(resolve));
+    server = null;
+    return port;
+  };
+
+  const diagnose = (port, options = {}) => new ConnectionDiagnostics(
+    new NotificationClient({ baseURL: `http://localhost:${port}`, token: 'a'.repeat(32), ...options }),
+    { helper, tunnelManager, timeout: 1000 }
+  ).run();
+
+  const httpServer = (routes) => http.createServer((req, res) => {
+    const [status, body] = routes[req.url] || [404, {}];
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-diagnostics-'));
+    helper = new SSHTunnelHelper();
+    helper.findTunnelProcesses = jest.fn().mockResolvedValue([]);
+    tunnelManager = new TunnelManager({ path: path.join(tempDir, 'tunnels.json'), stateDir: path.join(tempDir, 'tunnels') });
+    server = null;
+  });
+
+  afterEach(async () => {
+    if (server && server.listening) {
+      await new Promise(resolve => server.close(resolve));
+    }
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should suggest starting a tunnel when nothing listens on the local port', async () => {
+    const port = await freePort();
+
+    const diagnosis = await diagnose(port);
+    expect(diagnosis).toMatchObject({ ok: false, problem: 'no-tunnel' });
+    expect(diagnosis.fix).toContain(`ssh -L ${port}:localhost:3000`);
+    expect(diagnosis.guideStep.title).toBe('Setup SSH Tunnel');
+
+    // A defined tunnel for the port is started by name
+    await tunnelManager.add('prod', { remoteHost: 'prod-01', localPort: port });
+    expect((await diagnose(port)).fix).toBe('notify tunnel up prod');
+  });
+
+  test('should blame the remote server when the tunnel accepts but drops connections', async () => {
+    const port = await listen(net.createServer(connection => connection.destroy()));
+    helper.findTunnelProcesses.mockResolvedValue([{ pid: '4242', localPort: port, remotePort: 3000, reverse: false }]);
+
+    const diagnosis = await diagnose(port);
+    expect(diagnosis.problem).toBe('tunnel-refused');
+    expect(diagnosis.checks.map(check => [check.name, check.ok])).toEqual([['health', false], ['tunnel', true], ['listening', true]]);
+    expect(diagnosis.guideStep.title).toBe('Test Connection');
+  });
+
+  test('should report rejected credentials and incompatible servers', async () => {
+    const health = { status: 'healthy', service: 'ssh-notify-tool', version: '1.0.0' };
+    const port = await listen(httpServer({
+      '/api/health': [200, health],
+      '/api/channels': [401, { error: 'Unauthorized', message: 'Invalid or expired token' }]
+    }));
+
+    const rejected = await diagnose(port);
+    expect(rejected).toMatchObject({ problem: 'auth-rejected', message: expect.stringContaining('Invalid or expired token') });
+    expect(rejected.fix).toMatch(/^export NOTIFY_AUTH_TOKEN=/);
+
+    health.version = '2.1.0';
+    expect((await diagnose(port)).problem).toBe('version-mismatch');
+  });
+
+  test('should recognize other programs and report success', async () => {
+    const routes = { '/api/health': [200, 'hello'] };
+    const port = await listen(httpServer(routes));
+
+    expect((await diagnose(port)).problem).toBe('not-notify-server');
+
+    routes['/api/health'] = [200, { status: 'healthy', version: '1.0.0' }];
+    routes['/api/channels'] = [200, { channels: [] }];
+    expect(await diagnose(port)).toMatchObject({ ok: true, problem: null, fix: null });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Unit tests for JsonPath
+ * Tests property, index and wildcard selection and expression parsing errors
+ */
+
+const JsonPath = require('../../src/utils/json-path');
+
+describe('JsonPath', () => {
+  const data = {
+    title: 'Deploy',
+    metadata: {
+      tags: ['prod', 'eu', 'web'],
+      'build.id': 42,
+      checks: [{ name: 'lint', ok: true }, { name: 'test', ok: false }]
+    }
+  };
+
+  test('should select properties, indexes and quoted names', () => {
+    expect(JsonPath.get(data, '$.title')).toBe('Deploy');
+    expect(JsonPath.get(data, '$.metadata.tags[0]')).toBe('prod');
+    expect(JsonPath.get(data, '$.metadata.tags[-1]')).toBe('web');
+    expect(JsonPath.get(data, "$.metadata['build.id']")).toBe(42);
+    expect(JsonPath.get(data, '$["metadata"].checks[1].name')).toBe('test');
+    expect(JsonPath.get(data, '$')).toBe(data);
+    expect(JsonPath.get(data, '$.metadata.missing.deeper')).toBeUndefined();
+    expect(JsonPath.get(data, '$.title.length')).toBeUndefined();
+  });
+
+  test('should return every match for wildcard paths', () => {
+    expect(JsonPath.get(data, '$.metadata.checks[*].name')).toEqual(['lint', 'test']);
+    expect(JsonPath.get({ a: { x: 1 }, b: { x: 2 } }, '$.*.x')).toEqual([1, 2]);
+    expect(JsonPath.get(data, '$.missing[*]')).toEqual([]);
+  });
+
+  test('should recognize and reject expressions', () => {
+    expect(JsonPath.isPath('$.title')).toBe(true);
+    expect(JsonPath.isPath('$')).toBe(true);
+    expect(JsonPath.isPath('$5 off')).toBe(false);
+    expect(JsonPath.isPath(42)).toBe(false);
+
+    expect(() => new JsonPath('title')).toThrow('JSONPath must start with $');
+    expect(() => new JsonPath('$.tags[0')).toThrow('Invalid JSONPath $.tags[0 at position 6');
+    expect(() => new JsonPath('$..title')).toThrow('at position 1');
+  });
+});
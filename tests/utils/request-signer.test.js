@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Unit tests for RequestSigner
+ * Tests signature verification, replay window and nonce reuse
+ */
+
+const RequestSigner = require('../../src/utils/request-signer');
+
+describe('RequestSigner', () => {
+  const secret = 'build-host-shared-secret';
+  const now = Date.UTC(2026, 9, 19, 12, 0);
+  const request = {
+    method: 'POST',
+    path: '/api/notify',
+    body: '{"notification":{"title":"Build done","message":"ok"}}'
+  };
+
+  const signed = (overrides = {}, signer = new RequestSigner(secret)) => ({
+    ...request,
+    headers: signer.sign({ ...request, timestamp: now, ...overrides })
+  });
+
+  test('should verify requests signed with the same secret', () => {
+    const verifier = new RequestSigner(secret);
+
+    expect(RequestSigner.isSigned(signed().headers)).toBe(true);
+    expect(verifier.verify(signed(), now + 1000)).toEqual({ valid: true });
+    expect(verifier.verify(signed({}, new RequestSigner('some-other-secret-value')), now))
+      .toEqual({ valid: false, reason: 'Invalid request signature' });
+  });
+
+  test('should reject requests altered after signing', () => {
+    const verifier = new RequestSigner(secret);
+
+    expect(verifier.verify({ ...signed(), body: request.body.replace('ok', 'pwned') }, now).valid).toBe(false);
+    expect(verifier.verify({ ...signed(), path: '/api/notify/broadcast' }, now).valid).toBe(false);
+    expect(verifier.verify({ ...signed(), method: 'DELETE' }, now).valid).toBe(false);
+  });
+
+  test('should reject stale timestamps and reused nonces', () => {
+    const verifier = new RequestSigner(secret, { windowMs: 60000 });
+    const original = signed({ nonce: 'n1' });
+
+    expect(verifier.verify(signed({ nonce: 'n0' }), now + 61000).reason).toBe('Request timestamp is outside the allowed window');
+    expect(verifier.verify(original, now).valid).toBe(true);
+    expect(verifier.verify(original, now + 30000).reason).toBe('Request nonce has already been used');
+    expect(verifier.verify({ ...request, headers: {} }, now).reason).toMatch(/need timestamp, nonce and signature/);
+  });
+
+  test('should require a reasonably long secret', () => {
+    expect(() => new RequestSigner('short')).toThrow('Signing secret must be at least 16 characters');
+  });
+});
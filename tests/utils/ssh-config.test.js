@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Unit tests for SSHConfig
+ * Tests host matching, first-value-wins resolution and Include handling
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SSHConfig = require('../../src/utils/ssh-config');
+
+describe('SSHConfig', () => {
+  test('should resolve options like ssh, with the first value winning', () => {
+    const config = SSHConfig.parse([
+      '# Production hosts',
+      'Host app-* !app-legacy',
+      '  HostName %h.internal',
+      '  ProxyJump "ops@bastion.example.com:2222"',
+      '  IdentityFile ~/.ssh/prod',
+      '',
+      'Match exec "true"',
+      '  User nobody',
+      '',
+      'Host *',
+      '  User=deploy',
+      '  ProxyJump none',
+      '  IdentityFile ~/.ssh/id_ed25519',
+      '  ControlPath ~/.ssh/cm-%C'
+    ].join('\n'));
+
+    expect(config.getHost('APP-01')).toEqual({
+      hostname: '%h.internal',
+      proxyjump: 'ops@bastion.example.com:2222',
+      identityfile: ['~/.ssh/prod', '~/.ssh/id_ed25519'],
+      user: 'deploy',
+      controlpath: '~/.ssh/cm-%C'
+    });
+
+    expect(config.getHost('app-legacy')).toMatchObject({ user: 'deploy', proxyjump: 'none' });
+    expect(config.getHost('app-legacy').hostname).toBeUndefined();
+  });
+
+  test('should read included files in place', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-ssh-config-'));
+
+    try {
+      fs.mkdirSync(path.join(tempDir, 'config.d'));
+      fs.writeFileSync(path.join(tempDir, 'config.d', '10-bastion'), 'Host db\n  ProxyJump bastion\n');
+      fs.writeFileSync(path.join(tempDir, 'config.d', '20-db'), 'Host db\n  ProxyJump other\n  Port 2200\n');
+      fs.writeFileSync(path.join(tempDir, 'config'), 'Include config.d/*\nInclude missing\nHost db\n  Port 22\n');
+
+      expect(SSHConfig.load(path.join(tempDir, 'config')).getHost('db')).toEqual({ proxyjump: 'bastion', port: '2200' });
+      expect(SSHConfig.load(path.join(tempDir, 'absent')).getHost('db')).toEqual({});
+    } finally {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * @fileoverview Unit tests for SSHTunnelHelper
+ * Tests tunnel command, setup guide and ssh config generation for local, reverse, Unix socket and jump host forwards
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const SSHConfig = require('../../src/utils/ssh-config');
+const SSHTunnelHelper = require('../../src/utils/ssh-helper');
+
+describe('SSHTunnelHelper', () => {
+  const helper = new SSHTunnelHelper();
+
+  test('should forward a local port to the remote server port', () => {
+    const command = helper.generateTunnelCommand({ remoteHost: 'build-01', remoteUser: 'ci', keyFile: '/keys/ci' });
+
+    expect(command).toMatch(/^ssh -L 3001:localhost:3000 -i "\/keys\/ci" -N -f /);
+    expect(command).toMatch(/ ci@build-01$/);
+  });
+
+  test('should forward Unix sockets on either side', () => {
+    const config = {
+      remoteHost: 'jump.example.com',
+      localSocket: '/home/ana/.notifytool/jump.sock',
+      remoteSocket: '/home/ana/.notifytool/notify.sock'
+    };
+
+    const command = helper.generateTunnelCommand(config);
+    expect(command).toContain('-L /home/ana/.notifytool/jump.sock:/home/ana/.notifytool/notify.sock');
+    expect(command).toContain('-o StreamLocalBindUnlink=yes');
+
+    expect(helper.generateTunnelCommand({ remoteHost: 'jump', remoteSocket: '/run/notify.sock' }))
+      .toContain('-L 3001:/run/notify.sock');
+
+    const guide = helper.generateSetupGuide(config);
+    expect(guide.steps[2].command).toBe('export NOTIFY_SOCKET=/home/ana/.notifytool/jump.sock');
+    expect(guide.commands.test).toContain('--unix-socket /home/ana/.notifytool/jump.sock');
+    expect(helper.generateAutosshCommand(config)).toMatch(/^AUTOSSH_POLL=30 autossh -L .* -M 0$/);
+
+    expect(() => helper.generateTunnelCommand({ remoteHost: 'jump', localSocket: 'notify.sock' }))
+      .toThrow('localSocket must be an absolute path');
+    expect(() => helper.generateTestCommand({ remoteHost: 'jump', reverse: true, remoteSocket: "/tmp/n.sock';id;'" }))
+      .toThrow('remoteSocket must be an absolute path');
+  });
+
+  test('should reject key files that could inject shell or ssh options', () => {
+    expect(helper.generateTunnelCommand({ remoteHost: 'build-01', keyFile: '~/.ssh/id_ed25519-%r' }))
+      .toContain('-i "~/.ssh/id_ed25519-%r"');
+
+    for (const keyFile of ['/keys/ci"; id; "', '$(id)', '-oProxyCommand=id', '/keys/my key']) {
+      expect(() => helper.generateTunnelCommand({ remoteHost: 'build-01', keyFile }))
+        .toThrow('keyFile may only contain');
+    }
+    expect(() => helper.generateSSHConfig({ remoteHost: 'build-01', keyFile: '/keys/ci\n  ProxyCommand id' }))
+      .toThrow('keyFile may only contain');
+  });
+
+  test('should reject hosts and users that would be read as ssh options', () => {
+    const invalid = [
+      { remoteHost: '-oProxyCommand=id' },
+      { remoteHost: 'build-01', remoteUser: '-oProxyCommand=id' },
+      { remoteHost: '-p2222' }
+    ];
+
+    for (const config of invalid) {
+      expect(() => helper.generateTunnelArgs(config)).toThrow('may not start with -');
+      expect(() => helper.generateTunnelCommand(config)).toThrow('may not start with -');
+      expect(() => helper.generateSSHConfig(config)).toThrow('may not start with -');
+    }
+    expect(() => helper.generateTunnelArgs({ remoteHost: 'build-01', jumpHosts: ['-oProxyCommand=id'] }))
+      .toThrow('Jump host -oProxyCommand=id must be');
+    expect(helper.generateTunnelArgs({ remoteHost: 'build-01', remoteUser: 'ci-bot' })).toContain('ci-bot@build-01');
+  });
+
+  test('should forward a remote port back to the local server in reverse mode', () => {
+    const config = { remoteHost: 'build-01', remoteUser: 'ci', sshPort: 2222, reverse: true };
+
+    expect(helper.generateTunnelCommand(config)).toMatch(/^ssh -R 3001:localhost:3000 -p 2222 -N -f .* ci@build-01$/);
+    expect(helper.generateTestCommand(config))
+      .toBe(`ssh -p 2222 ci@build-01 'curl -sf http://localhost:3001/api/health' || echo "Connection failed"`);
+    expect(helper.generateKillCommand(config)).toBe('pkill -f "ssh.*-R.*3001:"');
+
+    const guide = helper.generateSetupGuide({ ...config, remoteSocket: '/home/ci/.notifytool/notify.sock' });
+    expect(guide.summary).toBe('Reverse SSH tunnel from build-01:/home/ci/.notifytool/notify.sock to localhost:3000');
+    expect(guide.steps[2].command).toBe('export NOTIFY_SOCKET=/home/ci/.notifytool/notify.sock');
+    expect(guide.commands.test).toContain('--unix-socket /home/ci/.notifytool/notify.sock');
+  });
+
+  test('should generate ~/.ssh/config entries for either direction', () => {
+    expect(helper.generateSSHConfig({ remoteHost: 'build-01', remoteUser: 'ci', keyFile: '~/.ssh/ci', reverse: true })).toBe([
+      'Host notify-build-01',
+      '  HostName build-01',
+      '  User ci',
+      '  IdentityFile ~/.ssh/ci',
+      '  RemoteForward 3001 localhost:3000',
+      '  ServerAliveInterval 30',
+      '  ServerAliveCountMax 3',
+      '  ExitOnForwardFailure yes',
+      ''
+    ].join('\n'));
+
+    expect(helper.generateSSHConfig({ remoteHost: 'jump', alias: 'notify', remotePort: 5000 }))
+      .toContain('Host notify\n  HostName jump\n  LocalForward 3001 localhost:5000\n');
+    expect(() => helper.generateSSHConfig({ remoteHost: 'jump; rm -rf ~' })).toThrow('Remote host and user may only contain');
+  });
+
+  test('should route tunnels through jump hosts and shared connections', () => {
+    const config = {
+      remoteHost: 'app-01.internal',
+      jumpHosts: ['ops@bastion:2222', 'inner'],
+      controlMaster: true,
+      controlPath: '~/.ssh/cm-%r@%h:%p',
+      controlPersist: '10m',
+      identityAgent: '~/.1password/agent.sock'
+    };
+
+    expect(helper.generateTunnelCommand(config)).toBe(
+      'ssh -L 3001:localhost:3000 -J ops@bastion:2222,inner -o IdentityAgent=~/.1password/agent.sock -N -f'
+      + ' -o ServerAliveInterval=30 -o ServerAliveCountMax=3 -o ExitOnForwardFailure=yes'
+      + ' -o ControlMaster=auto -o ControlPath=~/.ssh/cm-%r@%h:%p -o ControlPersist=10m app-01.internal'
+    );
+    expect(helper.generateSSHConfig(config)).toContain('  ProxyJump ops@bastion:2222,inner\n  ControlMaster auto\n');
+    expect(helper.generateTestCommand({ ...config, reverse: true })).toMatch(/^ssh -J ops@bastion:2222,inner .* app-01.internal 'curl/);
+
+    // Supervised tunnels own their connection instead of joining a master
+    expect(helper.generateTunnelArgs(config, { background: false }).join(' '))
+      .toContain('-o ControlMaster=yes -o ControlPath=~/.ssh/cm-%r@%h:%p -o ControlPersist=no');
+    expect(helper.generateTunnelArgs({ ...config, controlMaster: 'no' }, { background: false }).join(' '))
+      .toContain('-o ControlPath=none app-01.internal');
+
+    expect(() => helper.generateTunnelCommand({ remoteHost: 'app', jumpHosts: 'bastion;id' })).toThrow('Jump host bastion;id must be');
+    expect(() => helper.generateTunnelCommand({ remoteHost: 'app', controlPath: '$(id)' })).toThrow('controlPath must be');
+    expect(() => helper.generateTunnelCommand({ remoteHost: 'app', controlMaster: 'maybe' })).toThrow('controlMaster must be');
+  });
+
+  test('should apply jump hosts and multiplexing from ~/.ssh/config', () => {
+    const configured = new SSHTunnelHelper({
+      sshConfig: SSHConfig.parse('Host *.internal\n  ProxyJump bastion\n  ControlMaster auto\n  ControlPath ~/.ssh/cm-%C\n')
+    });
+
+    expect(configured.resolveHost({ remoteHost: 'db.internal', remoteUser: 'ana' })).toEqual({
+      hostName: 'db.internal',
+      user: 'ana',
+      port: 22,
+      jumpHosts: ['bastion'],
+      controlMaster: 'auto',
+      controlPath: '~/.ssh/cm-%C',
+      identityAgent: null
+    });
+    expect(configured.generateSetupGuide({ remoteHost: 'db.internal' }).summary).toBe('SSH tunnel from localhost:3001 to db.internal:3000 via bastion');
+
+    // ssh reads the file itself; only supervised tunnels need the multiplexing overridden
+    expect(configured.generateTunnelCommand({ remoteHost: 'db.internal' })).not.toContain('Control');
+    expect(configured.generateTunnelArgs({ remoteHost: 'db.internal' }, { background: false })).toContain('ControlMaster=yes');
+    expect(configured.generateTunnelArgs({ remoteHost: 'db.internal', jumpHosts: 'none' }).join(' ')).toContain('-o ProxyJump=none');
+  });
+
+  test('should parse port and socket forwards of running tunnels', () => {
+    expect(helper._parseForward('3001:localhost:3000')).toEqual({ localPort: 3001, remotePort: 3000 });
+    expect(helper._parseForward('/tmp/a.sock:/run/notify.sock')).toEqual({ localSocket: '/tmp/a.sock', remoteSocket: '/run/notify.sock' });
+    expect(helper._parseForward('3001:localhost:3000', true)).toEqual({ remotePort: 3001, localPort: 3000 });
+  });
+
+  test('should test tunnels listening on a Unix socket', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-ssh-'));
+    const socketPath = path.join(tempDir, 'tunnel.sock');
+    const server = net.createServer(connection => connection.end());
+
+    try {
+      expect(await helper.testTunnel(socketPath, 1000)).toBe(false);
+
+      await new Promise(resolve => server.listen(socketPath, resolve));
+      expect(await helper.testTunnel(socketPath, 1000)).toBe(true);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
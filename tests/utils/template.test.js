@@ -0,0 +1,52 @@
+/**
+ * @fileoverview Unit tests for Template
+ * Tests interpolation, conditionals, loops, escaping and syntax errors
+ */
+
+const Template = require('../../src/utils/template');
+
+describe('Template', () => {
+  test('should interpolate variables and dotted paths', () => {
+    const output = Template.render('{{service}} {{version}} on {{metadata.env}} ({{missing}})', {
+      service: 'api',
+      version: '1.2.3',
+      metadata: { env: 'prod' }
+    });
+
+    expect(output).toBe('api 1.2.3 on prod ()');
+  });
+
+  test('should render conditionals with else', () => {
+    const template = new Template('{{#if failed}}FAILED: {{reason}}{{else}}ok{{/if}}');
+
+    expect(template.render({ failed: true, reason: 'timeout' })).toBe('FAILED: timeout');
+    expect(template.render({ failed: false })).toBe('ok');
+    expect(template.render({ failed: [] })).toBe('ok');
+  });
+
+  test('should loop with item context, position and outer context', () => {
+    const output = Template.render(
+      '{{#each hosts}}{{#if @first}}[{{/if}}{{this.name}}/{{status}}/{{env}}{{#if @last}}]{{else}}, {{/if}}{{/each}}',
+      { env: 'prod', hosts: [{ name: 'web1', status: 'ok' }, { name: 'web2', status: 'down' }] }
+    );
+
+    expect(output).toBe('[web1/ok/prod, web2/down/prod]');
+    expect(Template.render('{{#each tags}}#{{this}} {{/each}}', { tags: ['a', 'b'] })).toBe('#a #b ');
+    expect(Template.render('{{#each items}}x{{else}}none{{/each}}', { items: [] })).toBe('none');
+  });
+
+  test('should escape variables unless triple-braced', () => {
+    const escape = value => value.replace(/</g, '&lt;');
+    const output = Template.render('{{text}} {{{text}}}', { text: '<b>' }, { escape });
+
+    expect(output).toBe('&lt;b> <b>');
+  });
+
+  test('should reject malformed templates', () => {
+    expect(() => new Template('{{#if a}}open')).toThrow('Unclosed template block {{#if}}');
+    expect(() => new Template('{{#if a}}{{/each}}')).toThrow('Expected {{/if}} but found {{/each}}');
+    expect(() => new Template('{{/if}}')).toThrow('without an open block');
+    expect(() => new Template('{{#with a}}{{/with}}')).toThrow('Unknown template block');
+    expect(() => new Template('{{else}}')).toThrow('Unexpected {{else}}');
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Unit tests for TimeWindow
+ * Tests same-day and overnight windows, weekday limits and timezones
+ */
+
+const TimeWindow = require('../../src/utils/time-window');
+
+describe('TimeWindow', () => {
+  // Friday 2026-10-23 and the following Saturday, server local time
+  const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes);
+
+  test('should match same-day windows with exclusive end', () => {
+    const window = new TimeWindow('09:00-17:30');
+
+    expect(window.contains(at(23, 9, 0))).toBe(true);
+    expect(window.contains(at(23, 17, 29))).toBe(true);
+    expect(window.contains(at(23, 17, 30))).toBe(false);
+    expect(window.contains(at(23, 8, 59))).toBe(false);
+  });
+
+  test('should match overnight windows', () => {
+    const window = new TimeWindow('22:00-07:00');
+
+    expect(window.contains(at(23, 23, 15))).toBe(true);
+    expect(window.contains(at(24, 6, 59))).toBe(true);
+    expect(window.contains(at(24, 7, 0))).toBe(false);
+    expect(window.contains(at(23, 12, 0))).toBe(false);
+  });
+
+  test('should attribute overnight hours to the start day', () => {
+    const window = new TimeWindow({ start: '22:00', end: '07:00', days: ['fri'] });
+
+    expect(window.contains(at(23, 23, 0))).toBe(true);
+    expect(window.contains(at(24, 3, 0))).toBe(true);
+    expect(window.contains(at(24, 23, 0))).toBe(false);
+  });
+
+  test('should evaluate windows in a configured timezone', () => {
+    const window = new TimeWindow({ start: '09:00', end: '10:00', timezone: 'Asia/Shanghai' });
+
+    expect(window.contains(new Date('2026-10-23T01:30:00Z'))).toBe(true);
+    expect(window.contains(new Date('2026-10-23T09:30:00Z'))).toBe(false);
+  });
+
+  test('should compute the end of the current occurrence', () => {
+    const window = new TimeWindow('22:00-07:00');
+
+    expect(window.getEnd(at(23, 23, 15))).toEqual(at(24, 7, 0));
+  });
+
+  test('should reject invalid windows', () => {
+    expect(() => new TimeWindow('9-5')).toThrow('Invalid time window');
+    expect(() => new TimeWindow('10:00-10:00')).toThrow('must differ');
+    expect(() => new TimeWindow({ start: '09:00', end: '10:00', days: ['someday'] })).toThrow('Invalid day');
+    expect(() => new TimeWindow({ start: '09:00', end: '10:00', timezone: 'Mars/Base' })).toThrow();
+  });
+});